@@ -0,0 +1,53 @@
+/**
+ * Punched binding styles. Holes repeat at `pitch` along the bound edge;
+ * `along` and `across` are the hole size along and into that edge and
+ * `margin` is the punch die's edge distance, from the paper edge to the near
+ * side of the holes. Dimensions are inches.
+ */
+export const BINDING_STYLES = {
+  'wire-3-1': { label: 'Wire-O 3:1', pitch: 1 / 3, shape: 'square', along: 5 / 32, across: 5 / 32, margin: 1 / 8 },
+  'wire-2-1': { label: 'Wire-O 2:1', pitch: 1 / 2, shape: 'slot', along: 5 / 16, across: 1 / 4, margin: 3 / 16 },
+  'coil-4-1': { label: 'Coil 4:1', pitch: 1 / 4, shape: 'round', along: 3 / 16, across: 3 / 16, margin: 1 / 8 },
+  comb: { label: 'Plastic comb', pitch: 9 / 16, shape: 'slot', along: 1 / 8, across: 5 / 16, margin: 1 / 8 },
+};
+
+export const HOLE_SHAPES = { round: 'Round', square: 'Square', slot: 'Rectangular slot' };
+
+// The die is centred on the bound length and keeps at least this much paper
+// between the end of the document and the first hole so the end does not tear.
+const END_CLEARANCE = 1 / 4;
+
+const BOUND_EDGES = new Set(['top', 'bottom', 'left', 'right']);
+
+/**
+ * Lays a binding style out along the `edge` of a `document` ({ width, height },
+ * inches, as placed). Returns the die setting — pitch, hole size and shape,
+ * edge distance, hole count and the distance from the document end to the
+ * first hole centre — with hole `entries` in the drilling planner's
+ * edge/alignment form. Returns `null` for an unknown style.
+ */
+export function calculateBindingPlan(style, edge, document) {
+  const binding = BINDING_STYLES[style];
+  if (!binding || !document) return null;
+  const boundEdge = BOUND_EDGES.has(edge) ? edge : 'left';
+  const length = boundEdge === 'left' || boundEdge === 'right' ? document.height : document.width;
+  const usable = Number(length) - binding.along - 2 * END_CLEARANCE;
+  const count = usable >= 0 ? Math.floor(usable / binding.pitch + 1e-9) + 1 : 0;
+  const firstCenter = (length - (count - 1) * binding.pitch) / 2;
+  const centerOffset = binding.margin + binding.across / 2;
+  return {
+    style,
+    ...binding,
+    edge: boundEdge,
+    length,
+    holesPerInch: 1 / binding.pitch,
+    count,
+    firstCenter: count > 0 ? firstCenter : 0,
+    entries: Array.from({ length: count }, (_, index) => ({
+      edge: boundEdge,
+      align: 'start',
+      axisOffset: firstCenter + index * binding.pitch,
+      offset: centerOffset,
+    })),
+  };
+}
@@ -0,0 +1,139 @@
+import { toNumber } from '../utils/units.js';
+
+const BINDING_EDGES = ['left', 'right', 'top'];
+
+export const BOOKLET_BINDING_LABELS = {
+  left: 'Left (reads left to right)',
+  right: 'Right (reads right to left)',
+  top: 'Top (calendar)',
+};
+
+export const normalizeBookletSpec = (spec = {}) => ({
+  enabled: spec.enabled === true,
+  pageCount: Math.max(0, Math.floor(toNumber(spec.pageCount))),
+  pageWidth: Math.max(0, toNumber(spec.pageWidth)),
+  pageHeight: Math.max(0, toNumber(spec.pageHeight)),
+  bindingEdge: BINDING_EDGES.includes(spec.bindingEdge) ? spec.bindingEdge : 'left',
+  caliper: Math.max(0, toNumber(spec.caliper)),
+  quantity: Math.max(0, Math.floor(toNumber(spec.quantity))),
+  scoreSheet: Math.max(1, Math.floor(toNumber(spec.scoreSheet) || 1)),
+});
+
+/**
+ * Flat size of one printer spread: two pages side by side across the spine,
+ * stacked for top binding.
+ */
+export const getBookletSpreadSize = (spec) =>
+  spec.bindingEdge === 'top'
+    ? { width: spec.pageWidth, height: spec.pageHeight * 2 }
+    : { width: spec.pageWidth * 2, height: spec.pageHeight };
+
+// Pages read from the lead (left or top) half of the spread to the trail half.
+// Right binding reads backwards, so its spreads swap halves.
+const orderSpread = (pair, bindingEdge) => (bindingEdge === 'right' ? [pair[1], pair[0]] : pair);
+
+const toPage = (number, pageCount) => ({ number, blank: number > pageCount });
+
+/**
+ * Imposes a saddle-stitched booklet. The page count is padded with blanks at
+ * the back to a multiple of four; sheet 1 is the outer wrap carrying the
+ * covers. The outside of sheet `i` pairs the last page with the first
+ * (16/1, 14/3, …) and the inside pairs the next two (2/15, 4/13, …).
+ *
+ * Every sheet wraps the sheets nested inside it, so its spine allowance is
+ * two calipers per inner sheet. The allowance is centred on the fold; a
+ * positive allowance splits the spine into a pair of scores.
+ *
+ * `spreadsPerSide` is how many spreads the press sheet holds; the signatures
+ * are planned by planBookletSignatures.
+ */
+export function calculateBooklet(rawSpec = {}, { spreadsPerSide = 0 } = {}) {
+  const spec = normalizeBookletSpec(rawSpec);
+  if (spec.pageCount <= 0 || spec.pageWidth <= 0 || spec.pageHeight <= 0) return null;
+  const paddedPages = Math.ceil(spec.pageCount / 4) * 4;
+  const sheetCount = paddedPages / 4;
+  const spread = getBookletSpreadSize(spec);
+  const spineSpan = spec.bindingEdge === 'top' ? spread.height : spread.width;
+
+  const sheets = Array.from({ length: sheetCount }, (_, index) => {
+    const outer = orderSpread([paddedPages - 2 * index, 1 + 2 * index], spec.bindingEdge);
+    const inner = orderSpread([2 + 2 * index, paddedPages - 1 - 2 * index], spec.bindingEdge);
+    return {
+      sheet: index + 1,
+      front: outer.map((number) => toPage(number, spec.pageCount)),
+      back: inner.map((number) => toPage(number, spec.pageCount)),
+      spineAllowance: 2 * spec.caliper * (sheetCount - 1 - index),
+    };
+  });
+
+  const scoreSheet = sheets[Math.min(spec.scoreSheet, sheetCount) - 1];
+  return planBookletSignatures(
+    {
+      ...spec,
+      paddedPages,
+      blanks: paddedPages - spec.pageCount,
+      sheetCount,
+      spread,
+      sheets,
+      scoreSheet: scoreSheet.sheet,
+      spineScoreOffsets: getSpineScoreOffsets(scoreSheet.spineAllowance, spineSpan),
+    },
+    spreadsPerSide
+  );
+}
+
+/**
+ * Groups a booklet's sheets into signatures once the press sheet is known.
+ * Each signature (one press sheet, printed sheetwise) takes `spreadsPerSide`
+ * consecutive booklet sheets; a short last signature repeats its sheets to
+ * fill the form.
+ */
+export function planBookletSignatures(booklet, spreadsPerSide = 0) {
+  if (!booklet) return null;
+  const perSignature = Math.max(0, Math.floor(toNumber(spreadsPerSide)));
+  const signatures = [];
+  if (perSignature > 0) {
+    for (let start = 0; start < booklet.sheetCount; start += perSignature) {
+      const group = booklet.sheets.slice(start, start + perSignature);
+      const copiesPerSheet = Math.floor(perSignature / group.length);
+      signatures.push({
+        signature: signatures.length + 1,
+        sheets: group.map((sheet) => sheet.sheet),
+        copiesPerSheet,
+        pressSheets: booklet.quantity > 0 ? Math.ceil(booklet.quantity / copiesPerSheet) : 0,
+      });
+    }
+  }
+  return {
+    ...booklet,
+    spreadsPerSide: perSignature,
+    signatures,
+    pressSheetsRequired: signatures.reduce((total, signature) => total + signature.pressSheets, 0),
+  };
+}
+
+// Offsets across the spread, in the 0–1 form the score tab uses.
+const getSpineScoreOffsets = (allowance, span) => {
+  const half = Math.min(allowance / 2, span / 2) / span;
+  return half > 0 ? [0.5 - half, 0.5 + half] : [0.5];
+};
+
+/**
+ * Adds the booklet's spine scores to the score offsets typed on the Scores tab.
+ * Left/right binding folds along a vertical line; top binding along a
+ * horizontal one.
+ */
+export function mergeBookletScores(booklet, scores = {}) {
+  if (!booklet) return scores;
+  const axis = booklet.bindingEdge === 'top' ? 'horizontal' : 'vertical';
+  const merged = [...(scores[axis] ?? []), ...booklet.spineScoreOffsets];
+  return {
+    ...scores,
+    [axis]: merged
+      .filter((offset, index) => merged.findIndex((other) => Math.abs(other - offset) < 1e-9) === index)
+      .sort((a, b) => a - b),
+  };
+}
+
+// "16/1"; blank pages print as "—".
+export const formatBookletSpread = (pages) => pages.map((page) => (page.blank ? '—' : page.number)).join('/');
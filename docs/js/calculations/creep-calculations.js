@@ -0,0 +1,61 @@
+export const CREEP_METHODS = {
+  artwork: 'Shift artwork',
+  trim: 'Shift trim',
+};
+
+export const normalizeCreepMethod = (method) => (method === 'trim' ? 'trim' : 'artwork');
+
+/**
+ * Per-spread creep compensation for a saddle-stitched booklet from
+ * calculateBooklet. Inner sheets push out at the fore-edge by the wrap the
+ * sheets around them take up: half the difference between the outer sheet's
+ * spine allowance and their own, which is one caliper per sheet inwards.
+ *
+ * Positions run across the flat spread from its lead (left or top) edge and
+ * the fold is the spine score at its middle. `artwork` moves each page's content
+ * toward the fold by the creep and keeps the flat trim; `trim` keeps the
+ * artwork and pulls both fore-edge trims in instead.
+ */
+export function calculateCreep(booklet, { method = 'artwork' } = {}) {
+  if (!booklet?.sheets?.length) return null;
+  const resolvedMethod = normalizeCreepMethod(method);
+  const span = booklet.bindingEdge === 'top' ? booklet.spread.height : booklet.spread.width;
+  const pageSpan = span / 2;
+  const fold = pageSpan;
+  const outerAllowance = booklet.sheets[0].spineAllowance;
+
+  const spreads = booklet.sheets.map((sheet) => {
+    const creep = (outerAllowance - sheet.spineAllowance) / 2;
+    const trimInset = resolvedMethod === 'trim' ? creep : 0;
+    return {
+      sheet: sheet.sheet,
+      front: sheet.front,
+      back: sheet.back,
+      creep,
+      artworkShift: resolvedMethod === 'artwork' ? creep : 0,
+      leadTrim: fold - pageSpan + trimInset,
+      trailTrim: fold + pageSpan - trimInset,
+      trimmedSpan: span - 2 * trimInset,
+    };
+  });
+
+  return {
+    method: resolvedMethod,
+    caliper: booklet.caliper,
+    fold,
+    span,
+    spreads,
+    maxCreep: spreads[spreads.length - 1].creep,
+  };
+}
+
+// One-line summary of a spread's adjustment for tables and the details sheet.
+export function describeCreepAdjustment(spread, method, digits = 4) {
+  if (!(spread.creep > 0)) return 'None';
+  if (method === 'trim') {
+    return `Trim at ${spread.leadTrim.toFixed(digits)} and ${spread.trailTrim.toFixed(digits)} in (${spread.trimmedSpan.toFixed(
+      digits
+    )} in flat)`;
+  }
+  return `Pages move ${spread.artworkShift.toFixed(digits)} in toward the spine`;
+}
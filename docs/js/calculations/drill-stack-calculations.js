@@ -0,0 +1,101 @@
+import { toNumber } from '../utils/units.js';
+import { getCellKey, getGridCells } from './layout-calculations.js';
+
+export const FENCE_EDGES = {
+  left: 'Left edge',
+  top: 'Top edge',
+  right: 'Right edge',
+  bottom: 'Bottom edge',
+};
+
+// A paper drill takes a lift of about 2 in; thinner bits wander in a deep
+// pile, so under 1/4 in the lift is kept to eight times the bit diameter.
+export const MAX_DRILL_LIFT = 2;
+const BIT_LIFT_RATIO = 8;
+
+const POSITION_DECIMALS = 4;
+
+export const normalizeDrillStackSpec = (spec = {}) => ({
+  fence: FENCE_EDGES[spec.fence] ? spec.fence : 'left',
+  caliper: Math.max(0, toNumber(spec.caliper)),
+});
+
+// Placed pieces may be turned clockwise (placed x = W − y, y = x for a placed
+// width W); the operator drills the cut piece as entered, so turn them back.
+const toEnteredPosition = (local, placed, rotated) =>
+  rotated
+    ? { x: local.y, y: placed.width - local.x, width: local.height, height: local.width }
+    : local;
+
+const measureFromFence = (position, fence, entered) => {
+  switch (fence) {
+    case 'right':
+      return { fromFence: entered.width - position.x, along: position.y };
+    case 'top':
+      return { fromFence: position.y, along: position.x };
+    case 'bottom':
+      return { fromFence: entered.height - position.y, along: position.x };
+    default:
+      return { fromFence: position.x, along: position.y };
+  }
+};
+
+const roundPosition = (value) => Number(value.toFixed(POSITION_DECIMALS));
+
+/**
+ * Turns the sheet hole list into a drill-ready readout for the cut pile. Each
+ * hole is measured on its piece as entered: `fromFence` from the `fence` edge
+ * the pile is jogged against and `along` the fence from the side guide (the
+ * top edge for a left or right fence, the left edge for a top or bottom one).
+ * Pieces drilled the same way share spindles; `pieces` counts how many pieces
+ * carry each one, so a spindle short of the total marks pieces that differ.
+ *
+ * `lift` recommends the tallest pile to drill at once for the smallest round
+ * bit and the paper `caliper`, or is `null` for punched holes or no caliper.
+ */
+export function calculateDrillStack(layout, holes = [], spec = {}, { punched = false } = {}) {
+  const { fence, caliper } = normalizeDrillStackSpec(spec);
+  if (!Array.isArray(holes) || holes.length === 0 || !layout?.document) return null;
+  const placed = layout.document;
+  const rotated = Boolean(layout.orientation?.rotated);
+  const entered = rotated ? { width: placed.height, height: placed.width } : placed;
+  const origins = new Map(getGridCells(layout).map((cell) => [getCellKey(cell), cell]));
+  const spindles = new Map();
+  const pieces = new Set();
+
+  holes.forEach((hole) => {
+    const key = getCellKey({ row: hole.docDown - 1, col: hole.docAcross - 1 });
+    const origin = origins.get(key);
+    if (!origin) return;
+    pieces.add(key);
+    const local = { x: hole.x - origin.x, y: hole.y - origin.y, width: hole.width, height: hole.height };
+    const position = toEnteredPosition(local, placed, rotated);
+    const { fromFence, along } = measureFromFence(position, fence, entered);
+    const spindle = {
+      fromFence: roundPosition(fromFence),
+      along: roundPosition(along),
+      shape: hole.shape ?? 'round',
+      width: position.width,
+      height: position.height,
+    };
+    const spindleKey = [spindle.fromFence, spindle.along, spindle.shape, spindle.width, spindle.height].join(':');
+    if (!spindles.has(spindleKey)) spindles.set(spindleKey, { ...spindle, pieces: 0 });
+    spindles.get(spindleKey).pieces += 1;
+  });
+
+  const bits = holes.filter((hole) => (hole.shape ?? 'round') === 'round').map((hole) => hole.diameter);
+  const bit = bits.length > 0 ? Math.min(...bits) : 0;
+  const liftHeight = Math.min(MAX_DRILL_LIFT, BIT_LIFT_RATIO * bit);
+  const lift =
+    punched || !(caliper > 0) || !(bit > 0)
+      ? null
+      : { height: liftHeight, sheets: Math.floor(liftHeight / caliper + 1e-9), bit };
+
+  return {
+    fence,
+    caliper,
+    pieces: pieces.size,
+    spindles: [...spindles.values()].sort((a, b) => a.along - b.along || a.fromFence - b.fromFence),
+    lift,
+  };
+}
@@ -1,4 +1,7 @@
-import { clampToZero, inchesToMillimeters, getUnitsPrecision } from '../utils/units.js';
+import { inchesToMillimeters, getUnitsPrecision } from '../utils/units.js';
+import { BINDING_STYLES, calculateBindingPlan } from './binding-calculations.js';
+import { getAxisGutter, getDocumentOffsets, getGapAfter } from './gutter-pattern.js';
+import { getGridCells } from './layout-calculations.js';
 
 const DEFAULT_MEASUREMENT_PRECISION = {
   inches: getUnitsPrecision('in'),
@@ -86,13 +89,30 @@ const mapHoleEntryToDocument = (entry, document) => {
   }
 };
 
+// A binding style is laid out along the bound edge of the piece as placed,
+// so its holes follow the document size instead of fixed entries.
+const resolveBinding = (layout, plan = {}) => calculateBindingPlan(plan?.preset, plan?.edge, layout?.document);
+
+// Only a binding style has a punch die setting to report. `enteredEdge` is the
+// bound edge as entered; `edge` follows the piece when the layout turns it.
+const withBinding = (finishing, layout, plan) => {
+  const binding = resolveBinding(layout, plan);
+  return binding ? { ...finishing, binding: { ...binding, enteredEdge: plan?.enteredEdge ?? binding.edge } } : finishing;
+};
+
+const resolveHoleSize = (edge, along, across) =>
+  edge === 'left' || edge === 'right' ? { width: across, height: along } : { width: along, height: across };
+
 const generateHolePositions = (layout, plan = {}) => {
-  const entries = Array.isArray(plan.entries) ? plan.entries.map(normalizeHoleEntry) : [];
+  const binding = resolveBinding(layout, plan);
+  const rawEntries = binding ? binding.entries : plan.entries;
+  const entries = Array.isArray(rawEntries) ? rawEntries.map(normalizeHoleEntry) : [];
   const diameter = Number(plan.size);
   const cleanDiameter = Number.isFinite(diameter) && diameter > 0 ? diameter : 0;
-  if (entries.length === 0 || cleanDiameter <= 0) {
+  if (entries.length === 0 || (!binding && cleanDiameter <= 0)) {
     return [];
   }
+  const shape = binding?.shape ?? 'round';
 
   const countsAcross = Math.max(0, layout?.counts?.across ?? 0);
   const countsDown = Math.max(0, layout?.counts?.down ?? 0);
@@ -100,47 +120,205 @@ const generateHolePositions = (layout, plan = {}) => {
     return [];
   }
 
-  const layoutArea = layout.layoutArea ?? {};
-  const gutter = layout.gutter ?? { horizontal: 0, vertical: 0 };
   const document = layout.document ?? {};
-  const horizontalStep = (document.width ?? 0) + clampToZero(gutter.horizontal ?? 0);
-  const verticalStep = (document.height ?? 0) + clampToZero(gutter.vertical ?? 0);
-
   const holes = [];
 
-  for (let row = 0; row < countsDown; row++) {
-    for (let col = 0; col < countsAcross; col++) {
-      const originX = (layoutArea.originX ?? 0) + col * horizontalStep;
-      const originY = (layoutArea.originY ?? 0) + row * verticalStep;
-      entries.forEach((entry, index) => {
-        const position = mapHoleEntryToDocument(entry, document);
-        if (!position) return;
-        holes.push({
-          label: `Hole ${index + 1} — Doc ${col + 1},${row + 1}`,
-          x: originX + position.x,
-          y: originY + position.y,
-          diameter: cleanDiameter,
-          docAcross: col + 1,
-          docDown: row + 1,
-          holeIndex: index + 1,
-        });
+  // Staggered grids shift alternate lines, so each piece supplies its own origin.
+  getGridCells(layout).forEach(({ row, col, x: originX, y: originY }) => {
+    entries.forEach((entry, index) => {
+      const position = mapHoleEntryToDocument(entry, document);
+      if (!position) return;
+      const size = binding
+        ? resolveHoleSize(entry.edge, binding.along, binding.across)
+        : { width: cleanDiameter, height: cleanDiameter };
+      holes.push({
+        label: `Hole ${index + 1} — Doc ${col + 1},${row + 1}`,
+        x: originX + position.x,
+        y: originY + position.y,
+        shape,
+        ...size,
+        ...(shape === 'round' ? { diameter: size.width } : {}),
+        docAcross: col + 1,
+        docDown: row + 1,
+        holeIndex: index + 1,
       });
-    }
-  }
+    });
+  });
 
   return holes;
 };
 
+/**
+ * Perforating wheels by teeth per inch. Each tooth pitch is a cut followed by
+ * the tie, the uncut bridge that holds the sheet together until it is torn.
+ */
+export const PERFORATION_PATTERNS = {
+  standard: { label: 'Standard (4 TPI)', tpi: 4, tie: 1 / 16 },
+  fine: { label: 'Fine (8 TPI)', tpi: 8, tie: 1 / 32 },
+  micro: { label: 'Micro-perf (12 TPI)', tpi: 12, tie: 1 / 48 },
+};
+
+export const describePerforationPattern = (key) => {
+  const pattern = PERFORATION_PATTERNS[key];
+  if (!pattern) return null;
+  return { key, label: pattern.label, tpi: pattern.tpi, cut: 1 / pattern.tpi - pattern.tie, tie: pattern.tie };
+};
+
+const isLineSettings = (entry) => typeof entry === 'object' && entry !== null;
+const lineOffset = (entry) => Number(isLineSettings(entry) ? entry.offset : entry);
+
+/**
+ * Reads a finishing line entered either as a bare offset (0–1 of the document)
+ * or as `{ offset, startInset, endInset, skipGutters, pattern }`. Insets stop
+ * the line short of where it would start and end (inches); `skipGutters`
+ * breaks it into one run per piece; `pattern` names a PERFORATION_PATTERNS
+ * wheel. Returns `null` for an offset that is not a number.
+ */
+export const normalizeLineEntry = (entry) => {
+  const offset = lineOffset(entry);
+  if (!Number.isFinite(offset)) return null;
+  const settings = isLineSettings(entry) ? entry : {};
+  const inset = (value) => Math.max(0, Number(value) || 0);
+  return {
+    offset: Math.min(Math.max(offset, 0), 1),
+    startInset: inset(settings.startInset),
+    endInset: inset(settings.endInset),
+    skipGutters: settings.skipGutters === true,
+    pattern: PERFORATION_PATTERNS[settings.pattern] ? settings.pattern : null,
+  };
+};
+
+const hasLineSettings = (line) => line.startInset > 0 || line.endInset > 0 || line.skipGutters || Boolean(line.pattern);
+
+// Line settings are stored under the offset they were entered for, so they
+// stay with their line when other offsets are added or removed.
+export const getLineSettingsKey = (offset) => String(Number(offset));
+
+/**
+ * Pairs each offset with the line settings stored under it (see
+ * getLineSettingsKey). Offsets left on the defaults stay bare numbers so they
+ * keep running the full sheet.
+ */
+export function applyLineSettings(offsets, settings = {}) {
+  const byOffset = isLineSettings(settings) && !Array.isArray(settings) ? settings : {};
+  return (Array.isArray(offsets) ? offsets : []).map((offset) => {
+    const line = normalizeLineEntry({ ...byOffset[getLineSettingsKey(offset)], offset });
+    return line && hasLineSettings(line) ? line : offset;
+  });
+}
+
+// Rotating the document 90° clockwise maps a point (x, y) on the entered piece
+// to (height − y, x) on the placed piece. Vertical offsets therefore become
+// horizontal ones unchanged, while horizontal offsets flip to `1 − offset`.
+// A line keeps running in the same direction along the piece, so a vertical
+// line turned horizontal runs right-to-left and swaps its insets.
+const rotateOffsetsClockwise = (offsets) =>
+  (Array.isArray(offsets) ? offsets : [])
+    .filter((entry) => Number.isFinite(lineOffset(entry)))
+    .map((entry) => (isLineSettings(entry) ? { ...entry, offset: 1 - lineOffset(entry) } : 1 - Number(entry)))
+    .sort((a, b) => lineOffset(a) - lineOffset(b));
+
+const swapLineInsets = (offsets) =>
+  Array.isArray(offsets)
+    ? offsets.map((entry) =>
+      isLineSettings(entry) ? { ...entry, startInset: entry.endInset, endInset: entry.startInset } : entry
+    )
+    : offsets;
+
+const toFraction = (value, fallback) => {
+  const numeric = Number(value);
+  return Math.min(Math.max(Number.isFinite(numeric) ? numeric : fallback, 0), 1);
+};
+
+/**
+ * Reads a score limited to part of the document, such as one panel of a
+ * pocket folder: a `direction` line at `offset` across the document that only
+ * runs from `start` to `end` along it, all as fractions of the document as
+ * entered. Returns `null` when the run is empty.
+ */
+export const normalizePanelScore = (entry = {}) => {
+  const start = toFraction(entry?.start, 0);
+  const end = toFraction(entry?.end, 1);
+  if (!(end > start)) return null;
+  return {
+    direction: entry.direction === 'horizontal' ? 'horizontal' : 'vertical',
+    offset: toFraction(entry.offset, 0.5),
+    start,
+    end,
+  };
+};
+
+// A vertical line turns horizontal and runs right-to-left, so its run flips;
+// a horizontal line turns vertical at `1 − offset` and keeps its run.
+const rotatePanelScoreClockwise = (entry) => {
+  const score = normalizePanelScore(entry);
+  if (!score) return null;
+  return score.direction === 'vertical'
+    ? { direction: 'horizontal', offset: score.offset, start: 1 - score.end, end: 1 - score.start }
+    : { direction: 'vertical', offset: 1 - score.offset, start: score.start, end: score.end };
+};
+
+const ROTATED_HOLE_EDGES = { left: 'top', top: 'right', right: 'bottom', bottom: 'left' };
+const FLIPPED_HOLE_ALIGNS = { start: 'end', center: 'center', end: 'start' };
+
+const rotateHoleEntryClockwise = (entry) => {
+  const normalized = normalizeHoleEntry(entry);
+  // Left/right edges run along the entered height, which becomes the placed
+  // width measured from the opposite side, so the alignment mirrors.
+  const mirrorsAxis = normalized.edge === 'left' || normalized.edge === 'right';
+  return {
+    edge: ROTATED_HOLE_EDGES[normalized.edge],
+    align: mirrorsAxis ? FLIPPED_HOLE_ALIGNS[normalized.align] : normalized.align,
+    axisOffset: mirrorsAxis && normalized.align === 'center' ? -normalized.axisOffset : normalized.axisOffset,
+    offset: normalized.offset,
+  };
+};
+
+const hasEntries = (...lists) => lists.some((list) => Array.isArray(list) && list.length > 0);
+
+// Which kinds of sheet finishing the options ask for, for layouts that drop them.
+export const listFinishingInputs = (options = {}) => {
+  const plan = options.holePlan ?? {};
+  return [
+    hasEntries(options.scoreHorizontal, options.scoreVertical, options.panelScores) && 'scores',
+    hasEntries(options.perforationHorizontal, options.perforationVertical) && 'perforations',
+    (BINDING_STYLES[plan.preset] || (hasEntries(plan.entries) && Number(plan.size) > 0)) && 'holes',
+  ].filter(Boolean);
+};
+
+export function rotateFinishingOptions(options = {}) {
+  const holePlan = options.holePlan ?? {};
+  return {
+    ...options,
+    scoreHorizontal: options.scoreVertical,
+    scoreVertical: rotateOffsetsClockwise(options.scoreHorizontal),
+    perforationHorizontal: swapLineInsets(options.perforationVertical),
+    perforationVertical: rotateOffsetsClockwise(options.perforationHorizontal),
+    panelScores: Array.isArray(options.panelScores)
+      ? options.panelScores.map(rotatePanelScoreClockwise).filter(Boolean)
+      : options.panelScores,
+    holePlan: Array.isArray(holePlan.entries)
+      ? {
+        ...holePlan,
+        edge: ROTATED_HOLE_EDGES[holePlan.edge] ?? holePlan.edge,
+        enteredEdge: holePlan.edge,
+        entries: holePlan.entries.map(rotateHoleEntryClockwise),
+      }
+      : options.holePlan,
+  };
+}
+
+// `gutterSpan` may be a plain gap or an axis gutter pattern (see gutter-pattern.js).
 export function generateEdgePositions(startOffset, docSpan, gutterSpan, docCount) {
   if (docCount <= 0) return [];
   const out = [];
-  const g = clampToZero(gutterSpan);
   let lead = startOffset;
   out.push(lead);
   for (let i = 0; i < docCount; i++) {
     const trail = lead + docSpan;
     out.push(trail);
     if (i < docCount - 1) {
+      const g = getGapAfter(gutterSpan, i);
       lead = trail + g;
       if (g > 0) out.push(lead);
     }
@@ -154,12 +332,11 @@ export function generateScorePositions(startOffset, docSpan, gutterSpan, docCoun
     .filter((x) => Number.isFinite(Number(x)))
     .map((x) => Math.min(Math.max(Number(x) || 0, 0), 1));
   if (offs.length === 0) return [];
-  const g = clampToZero(gutterSpan);
   const out = [];
-  for (let i = 0; i < docCount; i++) {
-    const s = startOffset + i * (docSpan + g);
+  getDocumentOffsets(docSpan, gutterSpan, docCount).forEach((lead) => {
+    const s = startOffset + lead;
     offs.forEach((o) => out.push(s + docSpan * o));
-  }
+  });
   return out;
 }
 
@@ -172,7 +349,146 @@ export const mapPositionsToReadout = (label, positions, precision) => {
   }));
 };
 
-export function calculateFinishing(layout = {}, options = {}) {
+// Lines with settings carry the runs they cut along the sheet, each piece's
+// run or one from the first piece to the last, shortened by the insets, plus
+// the perforating pattern. Bare offsets keep the plain readout and run the
+// whole layout area.
+const mapLinesToReadout = (label, along, across, entries, precision) => {
+  const lines = (Array.isArray(entries) ? entries : []).map(normalizeLineEntry).filter(Boolean);
+  if (lines.length === 0) return [];
+  const placed = [];
+  getDocumentOffsets(along.docSpan, along.gutter, along.count).forEach((lead) => {
+    lines.forEach((line) => placed.push({ position: along.origin + lead + along.docSpan * line.offset, line }));
+  });
+  const pieces = getDocumentOffsets(across.docSpan, across.gutter, across.count).map((lead) => ({
+    start: across.origin + lead,
+    end: across.origin + lead + across.docSpan,
+  }));
+  const grid = pieces.length > 0 ? [{ start: pieces[0].start, end: pieces[pieces.length - 1].end }] : [];
+  return mapPositionsToReadout(
+    label,
+    placed.map(({ position }) => position),
+    precision
+  ).map((readout, order) => {
+    const { line } = placed[order];
+    if (!hasLineSettings(line)) return readout;
+    const pattern = describePerforationPattern(line.pattern);
+    // A pattern alone changes the wheel, not where the line runs.
+    if (!line.skipGutters && line.startInset === 0 && line.endInset === 0) return { ...readout, pattern };
+    const segments = (line.skipGutters ? pieces : grid)
+      .map((run) => ({ start: run.start + line.startInset, end: run.end - line.endInset }))
+      .filter((segment) => segment.end > segment.start);
+    return { ...readout, segments, pattern };
+  });
+};
+
+// Panel scores repeat on every piece but only cover their stretch of it, so
+// each piece contributes its own line limited to that `extent`.
+const mapPanelScoresToReadout = (layout, entries, precision) => {
+  const scores = (Array.isArray(entries) ? entries : []).map(normalizePanelScore).filter(Boolean);
+  const readouts = { horizontal: [], vertical: [] };
+  const { width, height } = layout.document ?? {};
+  if (scores.length === 0 || !(width > 0) || !(height > 0)) return readouts;
+  getGridCells(layout).forEach(({ row, col, x, y }) => {
+    scores.forEach((score, index) => {
+      const horizontal = score.direction === 'horizontal';
+      const position = horizontal ? y + height * score.offset : x + width * score.offset;
+      const origin = horizontal ? x : y;
+      const span = horizontal ? width : height;
+      const [readout] = mapPositionsToReadout('Panel score', [position], precision);
+      readouts[score.direction].push({
+        ...readout,
+        label: `Panel score ${index + 1} — Doc ${col + 1},${row + 1}`,
+        extent: { start: origin + span * score.start, end: origin + span * score.end },
+      });
+    });
+  });
+  return readouts;
+};
+
+const REMAINDER_REGION_LABELS = { right: 'Right fill', bottom: 'Bottom fill' };
+
+const withExtent = (readouts, extent) => (extent ? readouts.map((readout) => ({ ...readout, extent })) : readouts);
+
+const SPLIT_TOLERANCE = 1e-9;
+
+const coversExtent = (outer, inner) =>
+  !inner || (outer.start <= inner.start + SPLIT_TOLERANCE && outer.end >= inner.end - SPLIT_TOLERANCE);
+
+// Drops edges that a split line already cuts along their whole run.
+const withoutSplits = (positions, splits, extent) =>
+  positions.filter(
+    (position) =>
+      !splits.some(
+        (split) => Math.abs(split.position - position) < SPLIT_TOLERANCE && coversExtent(split.extent, extent)
+      )
+  );
+
+const mapSplitsToReadout = (splits, precision) =>
+  mapPositionsToReadout(
+    'Fill split',
+    splits.map((split) => split.position),
+    precision
+  ).map((readout, index) => ({ ...readout, extent: splits[index].extent }));
+
+// Fill blocks hold rotated pieces, so each contributes its own cut and slit
+// runs. The splits that separate them from the grid lead the fill entries, and
+// every line carries the span it is limited to on the guillotine.
+const calculateRemainderEdges = (remainder, gutter, precision) => {
+  const splits = remainder?.splits ?? [];
+  const splitCuts = splits.filter((split) => split.axis === 'horizontal');
+  const splitSlits = splits.filter((split) => split.axis === 'vertical');
+  const cuts = mapSplitsToReadout(splitCuts, precision);
+  const slits = mapSplitsToReadout(splitSlits, precision);
+  (remainder?.blocks ?? []).forEach((block) => {
+    const label = REMAINDER_REGION_LABELS[block.region] ?? 'Fill';
+    const blockCuts = generateEdgePositions(block.originY, block.document.height, gutter.vertical, block.counts.down);
+    const blockSlits = generateEdgePositions(
+      block.originX,
+      block.document.width,
+      gutter.horizontal,
+      block.counts.across
+    );
+    const cutExtent = block.extent?.x;
+    const slitExtent = block.extent?.y;
+    cuts.push(
+      ...withExtent(
+        mapPositionsToReadout(`${label} cut`, withoutSplits(blockCuts, splitCuts, cutExtent), precision),
+        cutExtent
+      )
+    );
+    slits.push(
+      ...withExtent(
+        mapPositionsToReadout(`${label} slit`, withoutSplits(blockSlits, splitSlits, slitExtent), precision),
+        slitExtent
+      )
+    );
+  });
+  return { cuts, slits, splitCuts, splitSlits };
+};
+
+// A staggered grid is die-cut: there are no straight knife runs, scores or
+// perforations across the sheet, only the holes punched in each piece.
+const calculateDieCutFinishing = (layout, options) =>
+  withBinding(
+    {
+      cuts: [],
+      slits: [],
+      scores: { horizontal: [], vertical: [] },
+      perforations: { horizontal: [], vertical: [] },
+      holes: generateHolePositions(layout, options.holePlan),
+    },
+    layout,
+    options.holePlan
+  );
+
+export function calculateFinishing(layout = {}, rawOptions = {}) {
+  // Finishing offsets are entered relative to the document as typed, so they
+  // follow the piece when the layout placed it rotated.
+  const options = layout?.orientation?.rotated ? rotateFinishingOptions(rawOptions) : rawOptions;
+  if (layout?.stagger) return calculateDieCutFinishing(layout, options);
+  // Roll labels come off the press die-cut and rewound; nothing is drilled.
+  if (layout?.roll) return calculateDieCutFinishing(layout, {});
   const layoutArea = layout?.layoutArea ?? {};
   const counts = layout?.counts ?? {};
   const document = layout?.document ?? {};
@@ -184,41 +500,59 @@ export function calculateFinishing(layout = {}, options = {}) {
   const docHeight = Number.isFinite(document.height) && document.height > 0 ? document.height : 0;
   const horizontalGutter = Number.isFinite(gutter.horizontal) ? gutter.horizontal : 0;
   const verticalGutter = Number.isFinite(gutter.vertical) ? gutter.vertical : 0;
+  // The primary grid follows any gutter pattern; fill blocks keep the regular gutter.
+  const gridGutterAcross = getAxisGutter(gutter, 'horizontal');
+  const gridGutterDown = getAxisGutter(gutter, 'vertical');
   const countAcross = Math.max(0, Number.isFinite(counts.across) ? counts.across : 0);
   const countDown = Math.max(0, Number.isFinite(counts.down) ? counts.down : 0);
 
-  const hEdges = generateEdgePositions(originY, docHeight, verticalGutter, countDown);
-  const vEdges = generateEdgePositions(originX, docWidth, horizontalGutter, countAcross);
-  const hScores = generateScorePositions(originY, docHeight, verticalGutter, countDown, options.scoreHorizontal);
-  const vScores = generateScorePositions(originX, docWidth, horizontalGutter, countAcross, options.scoreVertical);
-  const hPerforations = generateScorePositions(
-    originY,
-    docHeight,
-    verticalGutter,
-    countDown,
-    options.perforationHorizontal
-  );
-  const vPerforations = generateScorePositions(
-    originX,
-    docWidth,
-    horizontalGutter,
-    countAcross,
-    options.perforationVertical
-  );
+  const hEdges = generateEdgePositions(originY, docHeight, gridGutterDown, countDown);
+  const vEdges = generateEdgePositions(originX, docWidth, gridGutterAcross, countAcross);
+  const hScores = generateScorePositions(originY, docHeight, gridGutterDown, countDown, options.scoreHorizontal);
+  const vScores = generateScorePositions(originX, docWidth, gridGutterAcross, countAcross, options.scoreVertical);
+  const gridAcross = { origin: originX, docSpan: docWidth, gutter: gridGutterAcross, count: countAcross };
+  const gridDown = { origin: originY, docSpan: docHeight, gutter: gridGutterDown, count: countDown };
   const holes = generateHolePositions(layout, options.holePlan);
   const measurementPrecision = normalizeMeasurementPrecision(options.measurementPrecision);
-  return {
-    cuts: mapPositionsToReadout('Cut', hEdges, measurementPrecision),
-    slits: mapPositionsToReadout('Slit', vEdges, measurementPrecision),
+  const panelScores = mapPanelScoresToReadout(layout, options.panelScores, measurementPrecision);
+  const remainder = layout?.remainder;
+  const remainderEdges = calculateRemainderEdges(
+    remainder,
+    { horizontal: horizontalGutter, vertical: verticalGutter },
+    measurementPrecision
+  );
+  return withBinding({
+    cuts: [
+      ...withExtent(
+        mapPositionsToReadout(
+          'Cut',
+          withoutSplits(hEdges, remainderEdges.splitCuts, remainder?.primaryExtent?.x),
+          measurementPrecision
+        ),
+        remainder?.primaryExtent?.x
+      ),
+      ...remainderEdges.cuts,
+    ],
+    slits: [
+      ...withExtent(
+        mapPositionsToReadout(
+          'Slit',
+          withoutSplits(vEdges, remainderEdges.splitSlits, remainder?.primaryExtent?.y),
+          measurementPrecision
+        ),
+        remainder?.primaryExtent?.y
+      ),
+      ...remainderEdges.slits,
+    ],
     scores: {
-      horizontal: mapPositionsToReadout('Score', hScores, measurementPrecision),
-      vertical: mapPositionsToReadout('Score', vScores, measurementPrecision),
+      horizontal: [...mapPositionsToReadout('Score', hScores, measurementPrecision), ...panelScores.horizontal],
+      vertical: [...mapPositionsToReadout('Score', vScores, measurementPrecision), ...panelScores.vertical],
     },
     perforations: {
-      horizontal: mapPositionsToReadout('Perforation', hPerforations, measurementPrecision),
-      vertical: mapPositionsToReadout('Perforation', vPerforations, measurementPrecision),
+      horizontal: mapLinesToReadout('Perforation', gridDown, gridAcross, options.perforationHorizontal, measurementPrecision),
+      vertical: mapLinesToReadout('Perforation', gridAcross, gridDown, options.perforationVertical, measurementPrecision),
     },
     holes,
-  };
+  }, layout, options.holePlan);
 }
 
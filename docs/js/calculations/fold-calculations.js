@@ -0,0 +1,88 @@
+import { toNumber } from '../utils/units.js';
+
+/**
+ * Folds the score planner can lay out. Roll and accordion folds take a panel
+ * count; the rest have a fixed panel arrangement. Folds that `tuck` panels
+ * inside one another need those panels shortened.
+ */
+export const FOLD_TYPES = {
+  letter: { label: 'Letter', tucks: true },
+  roll: { label: 'Roll', panels: 4, minPanels: 3, tucks: true },
+  z: { label: 'Z-fold' },
+  gate: { label: 'Gate', tucks: true },
+  'double-parallel': { label: 'Double parallel', tucks: true },
+  french: { label: 'French' },
+  accordion: { label: 'Accordion', panels: 4, minPanels: 2 },
+};
+
+// How much shorter each panel that folds inside another has to be so it
+// clears the fold instead of buckling against it. Thicker stock wraps round
+// a wider fold.
+export const PAPER_THICKNESSES = {
+  text: { label: 'Text (under 0.006 in)', compensation: 1 / 16 },
+  cover: { label: 'Cover (0.006–0.012 in)', compensation: 3 / 32 },
+  'heavy-cover': { label: 'Heavy cover (over 0.012 in)', compensation: 1 / 8 },
+};
+
+// Each panel rolls inside the last, so from the third panel on every one is
+// another compensation step shorter than the two outer panels.
+const rollPanels = (width, count, step) => {
+  const outer = (width + (step * (count - 2) * (count - 1)) / 2) / count;
+  return Array.from({ length: count }, (_, index) => (index < 2 ? outer : outer - (index - 1) * step));
+};
+
+const equalPanels = (width, count) => Array.from({ length: count }, () => width / count);
+
+const PANEL_LAYOUTS = {
+  letter: (width, _count, step) => rollPanels(width, 3, step),
+  roll: rollPanels,
+  z: (width) => equalPanels(width, 3),
+  accordion: equalPanels,
+  // Both flaps close over the centre panel and stop short of meeting.
+  gate: (width, _count, step) => {
+    const flap = (width / 2 - step) / 2;
+    return [flap, width / 2 + step, flap];
+  },
+  // Folded in half and in half again; the half that folds inside is shorter.
+  'double-parallel': (width, _count, step) => {
+    const outer = (width + 2 * step) / 4;
+    return [outer, outer, outer - step, outer - step];
+  },
+  // Folded in half one way and then in half across the first fold.
+  french: (width) => equalPanels(width, 2),
+};
+
+/**
+ * Lays out a fold across `width` (inches, the document side the folds divide)
+ * and returns its panel widths from the leading edge (left or top) together
+ * with the score `offsets` as fractions of the width, ready for the Scores
+ * tab. Panels that tuck inside are at the trailing end and are shortened by
+ * the `stock` compensation. A French fold also scores the other side in half,
+ * reported as `cross` offsets.
+ *
+ * Returns `null` for an unknown fold, a missing width, or a panel count that
+ * leaves a panel with no width.
+ */
+export function calculateFoldPlan({ type, width, panels, stock = 'text' } = {}) {
+  const fold = FOLD_TYPES[type];
+  const span = toNumber(width);
+  if (!fold || !(span > 0)) return null;
+  const count = fold.panels ? Math.max(fold.minPanels, Math.floor(toNumber(panels) || fold.panels)) : null;
+  const compensation = fold.tucks ? (PAPER_THICKNESSES[stock] ?? PAPER_THICKNESSES.text).compensation : 0;
+  const widths = PANEL_LAYOUTS[type](span, count, compensation);
+  if (widths.some((panel) => !(panel > 0))) return null;
+  let position = 0;
+  const offsets = widths.slice(0, -1).map((panel) => {
+    position += panel;
+    return position / span;
+  });
+  return {
+    type,
+    label: fold.label,
+    width: span,
+    compensation,
+    panels: widths,
+    offsets,
+    cross: type === 'french' ? [0.5] : [],
+  };
+}
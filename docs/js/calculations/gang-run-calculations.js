@@ -0,0 +1,166 @@
+import { clampToZero, toNumber } from '../utils/units.js';
+import { calculateAxisUsage, calculateDocumentCount, normalizeBleed } from './layout-calculations.js';
+import { generateEdgePositions, mapPositionsToReadout } from './finishing-calculations.js';
+
+export const normalizeGangItems = (items = []) =>
+  (Array.isArray(items) ? items : [])
+    .map((item, index) => ({
+      id: typeof item?.id === 'string' && item.id ? item.id : `item-${index + 1}`,
+      label: typeof item?.label === 'string' && item.label.trim() ? item.label.trim() : `Item ${index + 1}`,
+      width: toNumber(item?.width),
+      height: toNumber(item?.height),
+      quantity: Math.max(1, Math.floor(toNumber(item?.quantity) || 1)),
+    }))
+    .filter((item) => item.width > 0 && item.height > 0);
+
+// A strip is one full-width band of a single item. Pick whichever orientation
+// packs the most pieces per unit of sheet height; ties stay as entered.
+const planStrip = (item, availableWidth, gutter) => {
+  const options = [
+    { rotated: false, width: item.width, height: item.height },
+    { rotated: true, width: item.height, height: item.width },
+  ]
+    .map((option) => ({
+      ...option,
+      count: calculateDocumentCount(availableWidth, option.width, gutter.horizontal),
+    }))
+    .filter((option) => option.count > 0);
+  if (options.length === 0) return null;
+  const density = (option) => option.count / (option.height + gutter.vertical);
+  return options.reduce((best, option) => (density(option) > density(best) ? option : best));
+};
+
+// Re-packing a centered layout area must reproduce the same strips, so allow
+// for the rounding left over after subtracting every strip height.
+const FIT_TOLERANCE = 1e-9;
+
+// The item furthest from its quantity (fewest pieces per requested copy) gets
+// the next strip, so the sheet count is driven down for the slowest item.
+const pickNextItem = (plans, counts, remainingHeight) =>
+  plans
+    .filter((plan) => plan.strip && plan.strip.height <= remainingHeight + FIT_TOLERANCE)
+    .reduce((best, plan) => {
+      if (!best) return plan;
+      const need = plan.item.quantity / counts[plan.index];
+      const bestNeed = best.item.quantity / counts[best.index];
+      if (need !== bestNeed) return need > bestNeed ? plan : best;
+      return plan.item.quantity > best.item.quantity ? plan : best;
+    }, null);
+
+/**
+ * Packs several document sizes onto one sheet as full-width strips stacked
+ * down the layout area. Strips are separated by full-width cuts and each strip
+ * is slit on its own, so the result is always guillotine-compatible.
+ */
+export function calculateGangLayout(ctx, rawItems = []) {
+  const { sheet, margins, gutter, layoutArea } = ctx;
+  const items = normalizeGangItems(rawItems);
+  const gh = clampToZero(gutter.horizontal);
+  const gv = clampToZero(gutter.vertical);
+  const plans = items.map((item, index) => ({
+    item,
+    index,
+    strip: planStrip(item, layoutArea.width, { horizontal: gh, vertical: gv }),
+  }));
+  const counts = items.map(() => 0);
+  const strips = [];
+  let cursorY = layoutArea.originY;
+  let remainingHeight = layoutArea.height;
+
+  for (;;) {
+    const plan = pickNextItem(plans, counts, remainingHeight);
+    if (!plan) break;
+    const { strip, item, index } = plan;
+    const usage = calculateAxisUsage(layoutArea.width, strip.width, gh, strip.count);
+    strips.push({
+      itemId: item.id,
+      label: item.label,
+      originX: layoutArea.originX,
+      originY: cursorY,
+      document: { width: strip.width, height: strip.height },
+      rotated: strip.rotated,
+      count: strip.count,
+      usedWidth: usage.usedSpan,
+    });
+    counts[index] += strip.count;
+    cursorY += strip.height + gv;
+    remainingHeight -= strip.height + gv;
+  }
+
+  const usedWidth = strips.reduce((max, strip) => Math.max(max, strip.usedWidth), 0);
+  const usedHeight = strips.length > 0 ? cursorY - gv - layoutArea.originY : 0;
+  const placed = items.map((item, index) => ({
+    ...item,
+    count: counts[index],
+    sheetsNeeded: counts[index] > 0 ? Math.ceil(item.quantity / counts[index]) : null,
+  }));
+  const sheetsRequired = placed.some((item) => item.sheetsNeeded === null)
+    ? null
+    : placed.reduce((max, item) => Math.max(max, item.sheetsNeeded), 0);
+  const summaries = placed.map((item) => ({
+    ...item,
+    produced: sheetsRequired === null ? null : item.count * sheetsRequired,
+    overs: sheetsRequired === null ? null : item.count * sheetsRequired - item.quantity,
+  }));
+
+  return {
+    sheet,
+    margins,
+    document: ctx.document,
+    gutter: { horizontal: gh, vertical: gv },
+    layoutArea,
+    bleed: normalizeBleed(ctx.bleed),
+    counts: { across: 0, down: 0 },
+    usage: {
+      horizontal: { usedSpan: usedWidth, trailingMargin: clampToZero(layoutArea.width - usedWidth) },
+      vertical: { usedSpan: usedHeight, trailingMargin: clampToZero(layoutArea.height - usedHeight) },
+    },
+    realizedMargins: {
+      left: clampToZero(layoutArea.originX),
+      top: clampToZero(layoutArea.originY),
+      right: clampToZero(sheet.rawWidth - layoutArea.originX - usedWidth),
+      bottom: clampToZero(sheet.rawHeight - layoutArea.originY - usedHeight),
+    },
+    gang: {
+      strips,
+      items: summaries,
+      total: counts.reduce((sum, count) => sum + count, 0),
+      sheetsRequired,
+    },
+  };
+}
+
+/**
+ * Combined cut list for a gang layout: full-width cuts on every strip edge,
+ * then each strip's slits limited to that strip's band.
+ */
+export function calculateGangFinishing(layout, precision) {
+  const strips = layout?.gang?.strips ?? [];
+  const gh = clampToZero(layout?.gutter?.horizontal);
+  // Without a vertical gutter neighbouring strips share an edge; cut it once.
+  const cutPositions = [];
+  strips.forEach((strip) => {
+    [strip.originY, strip.originY + strip.document.height].forEach((edge) => {
+      if (!cutPositions.some((position) => Math.abs(position - edge) < 1e-9)) {
+        cutPositions.push(edge);
+      }
+    });
+  });
+  const slits = strips.flatMap((strip, index) =>
+    mapPositionsToReadout(
+      `Strip ${index + 1} slit`,
+      generateEdgePositions(strip.originX, strip.document.width, gh, strip.count),
+      precision
+    ).map((readout) => ({
+      ...readout,
+      extent: { start: strip.originY, end: strip.originY + strip.document.height },
+    }))
+  );
+  return {
+    cuts: mapPositionsToReadout('Cut', cutPositions, precision),
+    slits,
+    scores: { horizontal: [], vertical: [] },
+    perforations: { horizontal: [], vertical: [] },
+    holes: [],
+  };
+}
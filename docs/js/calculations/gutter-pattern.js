@@ -0,0 +1,53 @@
+import { clampToZero, toNumber } from '../utils/units.js';
+
+// An axis gutter is either a plain number (one gap size everywhere) or
+// `{ size, every, wide, gaps }` when the gaps along that axis vary. A `wide` of
+// `null` means none was entered and the widened gaps keep the regular size.
+
+/**
+ * Normalizes the gutter pattern for one axis. `every`/`wide` widen every Nth
+ * gap (a tear-off stub or centre spine every few columns) and `gaps` sets
+ * individual gaps in order, falling back to `every`/`wide` and then the regular
+ * gutter past its end. Returns `null` when the pattern changes nothing.
+ */
+export function normalizeGutterPattern(pattern) {
+  if (!pattern || typeof pattern !== 'object') return null;
+  const every = Math.max(0, Math.floor(toNumber(pattern.every)));
+  const wide = pattern.wide == null || pattern.wide === '' ? null : clampToZero(toNumber(pattern.wide));
+  const gaps = (Array.isArray(pattern.gaps) ? pattern.gaps : []).map((gap) => clampToZero(toNumber(gap)));
+  if (every === 0 && gaps.length === 0) return null;
+  return { every, wide, gaps };
+}
+
+export const isUniformGutter = (axisGutter) => axisGutter === null || typeof axisGutter !== 'object';
+
+// Resolves `gutter.horizontal`/`gutter.vertical` together with any pattern the
+// context carries for that axis.
+export const getAxisGutter = (gutter, axis) => {
+  const size = clampToZero(toNumber(gutter?.[axis]));
+  const pattern = gutter?.pattern?.[axis];
+  return pattern ? { ...pattern, size } : size;
+};
+
+// Width of the gap that follows the document at `index` (zero-based).
+export const getGapAfter = (axisGutter, index) => {
+  if (isUniformGutter(axisGutter)) return clampToZero(toNumber(axisGutter));
+  const { size = 0, every = 0, wide = null, gaps = [] } = axisGutter;
+  if (index < gaps.length) return gaps[index];
+  if (every > 0 && (index + 1) % every === 0) return wide ?? size;
+  return size;
+};
+
+export const getAxisGaps = (axisGutter, count) =>
+  Array.from({ length: Math.max(0, count - 1) }, (_, index) => getGapAfter(axisGutter, index));
+
+// Lead edge of every document measured from the start of the grid.
+export const getDocumentOffsets = (span, axisGutter, count) => {
+  const offsets = [];
+  let lead = 0;
+  for (let index = 0; index < count; index += 1) {
+    offsets.push(lead);
+    lead += span + getGapAfter(axisGutter, index);
+  }
+  return offsets;
+};
@@ -0,0 +1,198 @@
+import { clampCornerRadii, normalizeCornerRadii, rotateCornerRadiiClockwise } from './corner-radii.js';
+import { getCellKey, getGridCells } from './layout-calculations.js';
+
+// Less paper than this between a hole and the trim tears out in use.
+export const MIN_HOLE_EDGE_DISTANCE = 1 / 8;
+
+const TOLERANCE = 1e-6;
+
+const isRound = (hole) => hole.shape !== 'square' && hole.shape !== 'slot';
+
+const holeBox = (hole) => {
+  const width = Number(hole.width ?? hole.diameter) || 0;
+  const height = Number(hole.height ?? hole.diameter) || 0;
+  return {
+    left: hole.x - width / 2,
+    right: hole.x + width / 2,
+    top: hole.y - height / 2,
+    bottom: hole.y + height / 2,
+    radius: width / 2,
+  };
+};
+
+// Each rounded corner is a quarter circle about a centre `r` in from both
+// edges; `sx`/`sy` point from that centre toward the corner.
+const CORNERS = {
+  topLeft: { sx: -1, sy: -1 },
+  topRight: { sx: 1, sy: -1 },
+  bottomRight: { sx: 1, sy: 1 },
+  bottomLeft: { sx: -1, sy: 1 },
+};
+
+// Paper left between the hole and a rounded corner, or Infinity when the hole
+// is not in the corner's quarter.
+const cornerClearance = (hole, box, piece, corner, radius) => {
+  const { sx, sy } = CORNERS[corner];
+  const cx = sx < 0 ? piece.left + radius : piece.right - radius;
+  const cy = sy < 0 ? piece.top + radius : piece.bottom - radius;
+  if (isRound(hole)) {
+    if ((hole.x - cx) * sx <= 0 || (hole.y - cy) * sy <= 0) return Infinity;
+    return radius - (Math.hypot(hole.x - cx, hole.y - cy) + box.radius);
+  }
+  const px = sx < 0 ? box.left : box.right;
+  const py = sy < 0 ? box.top : box.bottom;
+  if ((px - cx) * sx <= 0 || (py - cy) * sy <= 0) return Infinity;
+  return radius - Math.hypot(px - cx, py - cy);
+};
+
+// Circle, ellipse and oval dies are fitted to the trim box (die-shape-path.js).
+// Circles and ovals are capsules, every point within `radius` of a centre
+// segment, so their clearance is exact; an ellipse is measured against its
+// outline sampled this finely. Custom path dies are only checked against
+// their trim box.
+const ELLIPSE_SAMPLES = 360;
+
+const segmentDistance = (point, [ax, ay], [bx, by]) => {
+  const length = (bx - ax) ** 2 + (by - ay) ** 2;
+  const t = length > 0 ? Math.min(Math.max(((point.x - ax) * (bx - ax) + (point.y - ay) * (by - ay)) / length, 0), 1) : 0;
+  return Math.hypot(point.x - (ax + t * (bx - ax)), point.y - (ay + t * (by - ay)));
+};
+
+const capsule = (start, end, radius) => (point) => radius - segmentDistance(point, start, end);
+
+const ellipse = (cx, cy, rx, ry) => {
+  const outline = Array.from({ length: ELLIPSE_SAMPLES }, (_, index) => {
+    const angle = (2 * Math.PI * index) / ELLIPSE_SAMPLES;
+    return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+  });
+  return (point) => {
+    const distance = Math.min(...outline.map((edge) => Math.hypot(point.x - edge.x, point.y - edge.y)));
+    return ((point.x - cx) / rx) ** 2 + ((point.y - cy) / ry) ** 2 <= 1 ? distance : -distance;
+  };
+};
+
+// Signed distance from a point to the die line of a piece of this size,
+// positive inside, or `null` when the die is not one of the fitted shapes.
+const dieClearanceFor = (shape, width, height) => {
+  const [cx, cy, radius] = [width / 2, height / 2, Math.min(width, height) / 2];
+  switch (shape?.type) {
+    case 'circle':
+      return capsule([cx, cy], [cx, cy], radius);
+    case 'ellipse':
+      return ellipse(cx, cy, width / 2, height / 2);
+    case 'oval':
+      return width >= height
+        ? capsule([radius, cy], [width - radius, cy], radius)
+        : capsule([cx, radius], [cx, height - radius], radius);
+    default:
+      return null;
+  }
+};
+
+// The die outline is convex, so a hole's tightest point is its edge toward the
+// die line: its radius for a round hole, a corner for a square or slot.
+const dieClearance = (inside, hole, box, piece) => {
+  const at = (x, y) => inside({ x: x - piece.left, y: y - piece.top });
+  if (isRound(hole)) return at(hole.x, hole.y) - box.radius;
+  return Math.min(at(box.left, box.top), at(box.right, box.top), at(box.right, box.bottom), at(box.left, box.bottom));
+};
+
+const placedCorners = (layout, piece) => {
+  // Die shapes replace the rounded corners.
+  if (layout.dieShape) return null;
+  const corners = layout.orientation?.rotated
+    ? rotateCornerRadiiClockwise(layout.roundedCorners)
+    : layout.roundedCorners;
+  return clampCornerRadii(normalizeCornerRadii(corners), piece.right - piece.left, piece.bottom - piece.top);
+};
+
+// A line without `segments` or an `extent` runs the whole layout.
+const lineSpans = (line) => line.segments ?? (line.extent ? [line.extent] : [{ start: -Infinity, end: Infinity }]);
+
+const crossesLine = (box, line, axis) => {
+  const position = Number(line.inches);
+  const [near, far, start, end] =
+    axis === 'horizontal' ? [box.top, box.bottom, box.left, box.right] : [box.left, box.right, box.top, box.bottom];
+  if (!(position > near + TOLERANCE && position < far - TOLERANCE)) return false;
+  return lineSpans(line).some((span) => span.start < end - TOLERANCE && span.end > start + TOLERANCE);
+};
+
+const holesOverlap = (a, b, boxA, boxB) => {
+  if (isRound(a) && isRound(b)) return Math.hypot(a.x - b.x, a.y - b.y) < boxA.radius + boxB.radius - TOLERANCE;
+  return (
+    boxA.left < boxB.right - TOLERANCE &&
+    boxB.left < boxA.right - TOLERANCE &&
+    boxA.top < boxB.bottom - TOLERANCE &&
+    boxB.top < boxA.bottom - TOLERANCE
+  );
+};
+
+/**
+ * Checks the drilled and punched holes of a finishing plan against the piece
+ * they are in. Returns one conflict per problem, `{ kind, holes, clearance }`
+ * with `holes` as indexes into `finishing.holes`:
+ * - `trim` / `corner` — less than MIN_HOLE_EDGE_DISTANCE of paper between the
+ *   hole and the trim (a straight edge, or the die line of a circle, ellipse
+ *   or oval die) or a rounded corner; a negative `clearance` means the hole
+ *   breaks out of the piece.
+ * - `score` / `perforation` — a line runs through the hole; `line` is its label.
+ * - `overlap` — two holes in the same piece run into each other.
+ * Rounded corners are read from `layout.roundedCorners` as entered and the die
+ * shape from `layout.dieShape` as normalized; a custom path die is only checked
+ * against its trim box.
+ */
+export function findHoleConflicts(layout, finishing) {
+  const holes = finishing?.holes ?? [];
+  if (holes.length === 0 || !layout?.document) return [];
+  const { width, height } = layout.document;
+  const pieces = new Map(
+    getGridCells(layout).map((cell) => [
+      getCellKey(cell),
+      { left: cell.x, top: cell.y, right: cell.x + width, bottom: cell.y + height },
+    ])
+  );
+  const corners = placedCorners(layout, { left: 0, top: 0, right: width, bottom: height });
+  const inside = dieClearanceFor(layout.dieShape, width, height);
+  const lines = [
+    ...['horizontal', 'vertical'].flatMap((axis) =>
+      (finishing.scores?.[axis] ?? []).map((line) => ({ kind: 'score', axis, line }))
+    ),
+    ...['horizontal', 'vertical'].flatMap((axis) =>
+      (finishing.perforations?.[axis] ?? []).map((line) => ({ kind: 'perforation', axis, line }))
+    ),
+  ];
+  const boxes = holes.map(holeBox);
+  const conflicts = [];
+  const byPiece = new Map();
+
+  holes.forEach((hole, index) => {
+    const box = boxes[index];
+    const key = getCellKey({ row: hole.docDown - 1, col: hole.docAcross - 1 });
+    const piece = pieces.get(key);
+    if (piece) {
+      const trim = inside
+        ? dieClearance(inside, hole, box, piece)
+        : Math.min(box.left - piece.left, piece.right - box.right, box.top - piece.top, piece.bottom - box.bottom);
+      const corner = Math.min(
+        ...Object.entries(corners ?? {})
+          .filter(([, radius]) => radius > 0)
+          .map(([name, radius]) => cornerClearance(hole, box, piece, name, radius))
+      );
+      // The straight edge is already reported when it is the tighter of the two.
+      if (trim < MIN_HOLE_EDGE_DISTANCE - TOLERANCE) {
+        conflicts.push({ kind: 'trim', holes: [index], clearance: trim });
+      } else if (corner < MIN_HOLE_EDGE_DISTANCE - TOLERANCE) {
+        conflicts.push({ kind: 'corner', holes: [index], clearance: corner });
+      }
+    }
+    lines.forEach(({ kind, axis, line }) => {
+      if (crossesLine(box, line, axis)) conflicts.push({ kind, holes: [index], line: line.label });
+    });
+    if (!byPiece.has(key)) byPiece.set(key, []);
+    byPiece.get(key).forEach((other) => {
+      if (holesOverlap(holes[other], hole, boxes[other], box)) conflicts.push({ kind: 'overlap', holes: [other, index] });
+    });
+    byPiece.get(key).push(index);
+  });
+  return conflicts;
+}
@@ -0,0 +1,76 @@
+import { getGridCells } from './layout-calculations.js';
+
+const SYMMETRY_TOLERANCE = 1e-6;
+
+export const IMPOSITION_LABELS = {
+  sheetwise: 'Sheetwise',
+  'work-and-turn': 'Work-and-turn',
+  'work-and-tumble': 'Work-and-tumble',
+};
+
+const SIDE_LETTERS = { front: 'F', back: 'B' };
+
+// Where a cell lands once the sheet is flipped to print the second side.
+const mirrorPosition = (cell, axis, sheet) =>
+  axis === 'horizontal'
+    ? { x: sheet.rawWidth - cell.x - cell.width, y: cell.y }
+    : { x: cell.x, y: sheet.rawHeight - cell.y - cell.height };
+
+// Every flipped cell has to land exactly on another cell, otherwise the cuts
+// made from the first side miss the pieces printed on the second.
+const isMirrorSymmetric = (cells, axis, sheet) =>
+  cells.every((cell) => {
+    const mirrored = mirrorPosition(cell, axis, sheet);
+    return cells.some(
+      (other) =>
+        Math.abs(other.x - mirrored.x) < SYMMETRY_TOLERANCE && Math.abs(other.y - mirrored.y) < SYMMETRY_TOLERANCE
+    );
+  });
+
+/**
+ * Labels every cell of the primary grid with the side of the job it carries on
+ * each pass. Pieces are numbered in reading order on the first side; `backX`/
+ * `backY` give the same piece's position once the sheet is flipped, so a
+ * number shows up behind itself in the back view. Sheetwise prints all fronts
+ * and then all backs from a second plate; work-and-turn/tumble put fronts on
+ * the first half of the mirror axis and backs on the second. Returns `null`
+ * for gang runs.
+ */
+export function calculateImposition(layout) {
+  if (!layout?.imposition || layout.gang) return null;
+  const { mode, mirrorAxis, selfBacking } = layout.imposition;
+  const across = layout.counts?.across ?? 0;
+  const down = layout.counts?.down ?? 0;
+  const { width, height } = layout.document;
+  const cells = getGridCells(layout).map(({ row, col, x, y }, index) => {
+    const firstHalf = mirrorAxis === 'horizontal' ? col < across / 2 : row < down / 2;
+    const front = !selfBacking || firstHalf ? 'front' : 'back';
+    const cell = {
+      number: index + 1,
+      row,
+      col,
+      x,
+      y,
+      width,
+      height,
+      front,
+      back: front === 'front' ? 'back' : 'front',
+    };
+    const mirrored = mirrorPosition(cell, mirrorAxis, layout.sheet);
+    return { ...cell, backX: mirrored.x, backY: mirrored.y };
+  });
+  return {
+    mode,
+    mirrorAxis,
+    selfBacking,
+    cells,
+    fronts: cells.filter((cell) => cell.front === 'front').length,
+    backs: cells.filter((cell) => cell.front === 'back').length,
+    // A separate back plate is simply the mirrored front, so it always registers.
+    symmetric: !selfBacking || isMirrorSymmetric(cells, mirrorAxis, layout.sheet),
+  };
+}
+
+// "F3" / "B3": the job side a piece shows on the requested sheet side.
+export const formatImpositionLabel = (cell, side = 'front') =>
+  `${SIDE_LETTERS[side === 'back' ? cell.back : cell.front]}${cell.number}`;
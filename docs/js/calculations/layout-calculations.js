@@ -1,4 +1,12 @@
 import { clampToZero, toNumber } from '../utils/units.js';
+import {
+  getAxisGaps,
+  getAxisGutter,
+  getDocumentOffsets,
+  getGapAfter,
+  isUniformGutter,
+  normalizeGutterPattern,
+} from './gutter-pattern.js';
 
 export const normalizePerSide = (s = {}) => ({
   top: toNumber(s.top),
@@ -7,38 +15,215 @@ export const normalizePerSide = (s = {}) => ({
   left: toNumber(s.left),
 });
 
-export function createCalculationContext({ sheet, document, gutter, margins = {}, nonPrintable = {} }) {
+// Bleed is measured outward from each trim edge and never negative.
+export const normalizeBleed = (s = {}) => {
+  const sides = normalizePerSide(s);
+  return {
+    top: clampToZero(sides.top),
+    right: clampToZero(sides.right),
+    bottom: clampToZero(sides.bottom),
+    left: clampToZero(sides.left),
+  };
+};
+
+// Turning a piece 90° clockwise moves its left edge to the top, and so on.
+export const rotatePerSideClockwise = (s = {}) => ({
+  top: s.left,
+  right: s.top,
+  bottom: s.right,
+  left: s.bottom,
+});
+
+const PRESS_FEEDS = new Set(['short-edge', 'long-edge']);
+const OPPOSITE_SIDES = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+/**
+ * Resolves the press gripper and tail for a sheet. The feed is given as which
+ * edge leads (`short-edge` or `long-edge`), so swapping the sheet's width and
+ * height moves the gripper with it. The leading edge is drawn at the top when
+ * it runs across the sheet and on the left otherwise; the tail is opposite.
+ */
+export function normalizePressConstraints(press = {}, sheetWidth = 0, sheetHeight = 0) {
+  const feed = PRESS_FEEDS.has(press?.feed) ? press.feed : 'short-edge';
+  const gripper = clampToZero(toNumber(press?.gripper));
+  const tail = clampToZero(toNumber(press?.tail));
+  // A square sheet has no short edge, so it always feeds from the top.
+  const topEdgeIsShort = sheetWidth <= sheetHeight;
+  const leadsFromTop = sheetWidth === sheetHeight || (feed === 'short-edge') === topEdgeIsShort;
+  const gripperEdge = leadsFromTop ? 'top' : 'left';
+  const tailEdge = OPPOSITE_SIDES[gripperEdge];
+  const insets = { top: 0, right: 0, bottom: 0, left: 0 };
+  insets[gripperEdge] = gripper;
+  insets[tailEdge] = tail;
+  return { feed, gripper, tail, gripperEdge, tailEdge, insets };
+}
+
+// The press can print nowhere inside the non-printable area or the gripper and
+// tail, whichever reaches further in from each edge.
+export const getUnprintableInsets = (sheet = {}) => {
+  const np = normalizePerSide(sheet.nonPrintable);
+  const press = sheet.press?.insets ?? {};
+  return {
+    top: Math.max(np.top, toNumber(press.top)),
+    right: Math.max(np.right, toNumber(press.right)),
+    bottom: Math.max(np.bottom, toNumber(press.bottom)),
+    left: Math.max(np.left, toNumber(press.left)),
+  };
+};
+
+const GRAIN_MODES = new Set(['long', 'short']);
+
+export const normalizeGrain = (grain) => (GRAIN_MODES.has(grain) ? grain : null);
+
+/**
+ * Axis the paper fibres run along on the sheet as drawn: `vertical` when they
+ * follow its height. Long grain runs with the long side, short grain with the
+ * short side, so swapping the width and height keeps the grain on the paper.
+ * A square sheet takes its height as the long side. Returns `null` when no
+ * grain is set.
+ */
+export function getGrainAxis(sheet = {}) {
+  const grain = normalizeGrain(sheet?.grain);
+  if (!grain) return null;
+  const longIsVertical = toNumber(sheet.rawWidth) <= toNumber(sheet.rawHeight);
+  return (grain === 'long') === longIsVertical ? 'vertical' : 'horizontal';
+}
+
+const IMPOSITION_MODES = new Set(['sheetwise', 'work-and-turn', 'work-and-tumble']);
+
+export const normalizeImpositionMode = (mode) => (IMPOSITION_MODES.has(mode) ? mode : 'sheetwise');
+
+/**
+ * Resolves how the back of the sheet lines up with the front. Turning (and a
+ * sheetwise back plate) keeps the gripper edge, so positions mirror parallel
+ * to it; tumbling flips the sheet head to tail. `mirrorAxis` is `horizontal`
+ * when x positions mirror and `vertical` when y positions do. Work-and-turn
+ * and work-and-tumble print both sides from one plate (`selfBacking`), so
+ * half the grid carries the fronts and the other half the backs.
+ */
+export function resolveImposition(mode, press) {
+  const normalized = normalizeImpositionMode(mode);
+  const gripperAlongX = press?.gripperEdge !== 'left' && press?.gripperEdge !== 'right';
+  const keepsGripper = normalized !== 'work-and-tumble';
+  return {
+    mode: normalized,
+    mirrorAxis: gripperAlongX === keepsGripper ? 'horizontal' : 'vertical',
+    selfBacking: normalized !== 'sheetwise',
+  };
+}
+
+// The back only registers when both ends of the mirror axis give up the same
+// space, so a self-backing plate uses the larger of each pair of sides.
+const mirrorSides = (sides, imposition) => {
+  if (!imposition.selfBacking) return sides;
+  if (imposition.mirrorAxis === 'horizontal') {
+    const side = Math.max(sides.left, sides.right);
+    return { ...sides, left: side, right: side };
+  }
+  const side = Math.max(sides.top, sides.bottom);
+  return { ...sides, top: side, bottom: side };
+};
+
+// A self-backing plate splits the grid in half along the mirror axis, so the
+// count along that axis has to be even.
+const splitCount = (count, axis, imposition) =>
+  imposition?.selfBacking && imposition.mirrorAxis === axis ? count - (count % 2) : count;
+
+const ORIENTATION_MODES = new Set(['as-entered', 'rotated', 'best']);
+
+// `as-entered` keeps the document exactly as typed, `rotated` forces the 90°
+// turn, and `best` lets calculateLayout pick whichever yields the higher count.
+export const normalizeOrientationMode = (mode) => (ORIENTATION_MODES.has(mode) ? mode : 'as-entered');
+
+export function createCalculationContext({
+  sheet,
+  document,
+  gutter,
+  margins = {},
+  nonPrintable = {},
+  press = {},
+  orientation,
+  fillRemainder = false,
+  bleed = {},
+  imposition,
+  stagger = {},
+}) {
   // Abbreviations: sw/sh = sheet width/height, dw/dh = document width/height,
-  // gh/gv = gutter horizontal/vertical, m = margins, np = non-printable area
-  const m = normalizePerSide(margins);
+  // gh/gv = gutter horizontal/vertical, m = margins, np = non-printable area,
+  // up = np combined with the press gripper/tail
   const np = normalizePerSide(nonPrintable);
   const sw = toNumber(sheet?.width),
     sh = toNumber(sheet?.height);
+  const pressConstraints = normalizePressConstraints(press, sw, sh);
+  // A staggered grid has no straight lines to mirror, fill beside or widen, so
+  // it always prints sheetwise with the regular gutter and no fill blocks.
+  const staggerPlan = normalizeStagger(stagger);
+  const staggered = isStaggered(staggerPlan);
+  const impositionPlan = resolveImposition(staggered ? 'sheetwise' : imposition, pressConstraints);
+  const m = mirrorSides(normalizePerSide(margins), impositionPlan);
+  const up = mirrorSides(getUnprintableInsets({ nonPrintable: np, press: pressConstraints }), impositionPlan);
   const dw = toNumber(document?.width),
     dh = toNumber(document?.height);
   const gh = toNumber(gutter?.horizontal),
     gv = toNumber(gutter?.vertical);
-  const effW = clampToZero(sw - np.left - np.right);
-  const effH = clampToZero(sh - np.top - np.bottom);
+  const pattern = {
+    horizontal: staggered ? null : normalizeGutterPattern(gutter?.pattern?.horizontal),
+    vertical: staggered ? null : normalizeGutterPattern(gutter?.pattern?.vertical),
+  };
+  const effW = clampToZero(sw - up.left - up.right);
+  const effH = clampToZero(sh - up.top - up.bottom);
 
-  const originX = Math.max(m.left, np.left);
-  const originY = Math.max(m.top, np.top);
-  const extentX = sw - Math.max(m.right, np.right);
-  const extentY = sh - Math.max(m.bottom, np.bottom);
+  const originX = Math.max(m.left, up.left);
+  const originY = Math.max(m.top, up.top);
+  const extentX = sw - Math.max(m.right, up.right);
+  const extentY = sh - Math.max(m.bottom, up.bottom);
   const layW = clampToZero(extentX - originX);
   const layH = clampToZero(extentY - originY);
 
   return {
-    sheet: { rawWidth: sw, rawHeight: sh, nonPrintable: np, effectiveWidth: effW, effectiveHeight: effH },
+    sheet: {
+      rawWidth: sw,
+      rawHeight: sh,
+      nonPrintable: np,
+      press: pressConstraints,
+      grain: normalizeGrain(sheet?.grain),
+      effectiveWidth: effW,
+      effectiveHeight: effH,
+    },
     document: { width: dw, height: dh },
-    gutter: { horizontal: gh, vertical: gv },
+    gutter: {
+      horizontal: gh,
+      vertical: gv,
+      ...(pattern.horizontal || pattern.vertical ? { pattern } : {}),
+    },
     margins: m,
     layoutArea: { width: layW, height: layH, originX, originY },
+    orientation: normalizeOrientationMode(orientation),
+    // Fill blocks would break the mirror, so self-backing plates skip them.
+    fillRemainder: Boolean(fillRemainder) && !impositionPlan.selfBacking && !staggered,
+    bleed: normalizeBleed(bleed),
+    imposition: impositionPlan,
+    stagger: staggerPlan,
   };
 }
 
+// Gaps that vary along the axis cannot be divided out, so documents are added
+// one at a time until the next one would overrun the available span.
+const countWithGapPattern = (avail, span, gut) => {
+  const tolerance = 1e-9 * Math.max(1, avail);
+  let count = 0;
+  let used = 0;
+  for (;;) {
+    const next = used + (count > 0 ? getGapAfter(gut, count - 1) : 0) + span;
+    if (next > avail + tolerance) return count;
+    used = next;
+    count += 1;
+  }
+};
+
 export function calculateDocumentCount(avail, span, gut) {
   if (avail <= 0 || span <= 0) return 0;
+  if (!isUniformGutter(gut)) return countWithGapPattern(avail, span, gut);
   const g = clampToZero(gut);
   const step = span + g;
   if (step <= 0) return 0;
@@ -56,17 +241,417 @@ export function calculateDocumentCount(avail, span, gut) {
 
 export function calculateAxisUsage(avail, span, gut, count) {
   if (count <= 0) return { usedSpan: 0, trailingMargin: avail };
-  const g = clampToZero(gut);
-  const used = count * span + Math.max(0, count - 1) * g;
+  const used = count * span + getAxisGaps(gut, count).reduce((sum, gap) => sum + gap, 0);
   return { usedSpan: used, trailingMargin: clampToZero(avail - used) };
 }
 
+const STAGGER_MODES = new Set(['none', 'rows', 'columns']);
+
+// Lines closer than half the document would sit pieces mostly on top of one
+// another, and a near-zero pitch would fill the sheet with lines.
+const MIN_STAGGER_PITCH_RATIO = 1 / 2;
+
+// `rows` offsets every other row and `columns` every other column. A blank
+// pitch spaces the staggered lines by the document plus the gutter.
+export const normalizeStagger = (stagger = {}) => ({
+  mode: STAGGER_MODES.has(stagger?.mode) ? stagger.mode : 'none',
+  pitch: clampToZero(toNumber(stagger?.pitch)),
+});
+
+export const isStaggered = (stagger) => stagger?.mode === 'rows' || stagger?.mode === 'columns';
+
+/**
+ * Brick/hex grid for round and nested pieces. Pieces run along each line
+ * (a row for `rows`, a column for `columns`) at the document plus the regular
+ * gutter, and every other line shifts half that step so its pieces sit in the
+ * gaps of the lines beside it. Lines are `pitch` apart, so a pitch tighter
+ * than the document nests the lines into each other, down to half the
+ * document across the lines. Each line fits as many
+ * pieces as its own offset leaves room for. `limits` caps the counts the same
+ * way the across/down overrides cap a straight grid.
+ */
+export function calculateStaggeredGrid(layoutArea, document, gutter, stagger, limits = {}) {
+  const { mode, pitch } = normalizeStagger(stagger);
+  if (!isStaggered({ mode })) return null;
+  const rows = mode === 'rows';
+  const along = rows
+    ? { avail: layoutArea.width, span: document.width, gutter: clampToZero(toNumber(gutter?.horizontal)) }
+    : { avail: layoutArea.height, span: document.height, gutter: clampToZero(toNumber(gutter?.vertical)) };
+  const between = rows
+    ? { avail: layoutArea.height, span: document.height, gutter: clampToZero(toNumber(gutter?.vertical)) }
+    : { avail: layoutArea.width, span: document.width, gutter: clampToZero(toNumber(gutter?.horizontal)) };
+  const linePitch =
+    pitch > 0 ? Math.max(pitch, between.span * MIN_STAGGER_PITCH_RATIO) : between.span + between.gutter;
+  const shift = (along.span + along.gutter) / 2;
+  const lineLimit = rows ? limits.down : limits.across;
+  const perLineLimit = rows ? limits.across : limits.down;
+
+  const tolerance = 1e-9 * Math.max(1, between.avail);
+  const fitLines =
+    along.span > 0 && between.span > 0 && linePitch > 0 && between.avail + tolerance >= between.span
+      ? Math.floor((between.avail - between.span) / linePitch + tolerance) + 1
+      : 0;
+  const lines = Array.from({ length: Math.min(fitLines, lineLimit ?? fitLines) }, (_, index) => {
+    const offset = index % 2 === 1 ? shift : 0;
+    const fit = calculateDocumentCount(along.avail - offset, along.span, along.gutter);
+    return { index, offset, position: index * linePitch, count: Math.min(fit, perLineLimit ?? fit) };
+  });
+  const filled = lines.filter((line) => line.count > 0);
+  const alongUsed = Math.max(0, ...filled.map((line) => line.offset + line.count * along.span + (line.count - 1) * along.gutter));
+  const betweenUsed = filled.length > 0 ? filled[filled.length - 1].position + between.span : 0;
+  const perLine = Math.max(0, ...lines.map((line) => line.count));
+  const alongUsage = { usedSpan: alongUsed, trailingMargin: clampToZero(along.avail - alongUsed) };
+  const betweenUsage = { usedSpan: betweenUsed, trailingMargin: clampToZero(between.avail - betweenUsed) };
+
+  return {
+    mode,
+    pitch: linePitch,
+    shift,
+    lines,
+    total: lines.reduce((sum, line) => sum + line.count, 0),
+    counts: rows ? { across: perLine, down: lines.length } : { across: lines.length, down: perLine },
+    usage: rows
+      ? { horizontal: alongUsage, vertical: betweenUsage }
+      : { horizontal: betweenUsage, vertical: alongUsage },
+  };
+}
+
+// `row:col`, matching the preview's data-cell attribute.
+export const getCellKey = (cell) => `${Number(cell?.row)}:${Number(cell?.col)}`;
+
+/**
+ * Trim origin of every piece in the primary grid in reading order, following
+ * the gutter pattern or the stagger. `row`/`col` are zero-based; in a
+ * staggered grid they count pieces within each line. Blanked-out cells are
+ * left out unless `includeSkipped` is set.
+ */
+export function getGridCells(layout, { includeSkipped = false } = {}) {
+  const { layoutArea, document, gutter, stagger } = layout ?? {};
+  if (!layoutArea || !document) return [];
+  if (!includeSkipped && layout.skipped?.length) {
+    const skipped = new Set(layout.skipped.map(getCellKey));
+    return getGridCells(layout, { includeSkipped: true }).filter((cell) => !skipped.has(getCellKey(cell)));
+  }
+  const cells = [];
+  if (stagger) {
+    const rows = stagger.mode === 'rows';
+    const stepAlong = rows ? document.width + toNumber(gutter?.horizontal) : document.height + toNumber(gutter?.vertical);
+    const perLine = Math.max(0, ...stagger.lines.map((line) => line.count));
+    const outer = rows ? stagger.lines.length : perLine;
+    const inner = rows ? perLine : stagger.lines.length;
+    for (let row = 0; row < outer; row += 1) {
+      for (let col = 0; col < inner; col += 1) {
+        const line = stagger.lines[rows ? row : col];
+        const index = rows ? col : row;
+        if (index >= line.count) continue;
+        const along = line.offset + index * stepAlong;
+        cells.push({
+          row,
+          col,
+          x: layoutArea.originX + (rows ? along : line.position),
+          y: layoutArea.originY + (rows ? line.position : along),
+        });
+      }
+    }
+    return cells;
+  }
+  const across = layout.counts?.across ?? 0;
+  const down = layout.counts?.down ?? 0;
+  const columnOffsets = getDocumentOffsets(document.width, getAxisGutter(gutter, 'horizontal'), across);
+  const rowOffsets = getDocumentOffsets(document.height, getAxisGutter(gutter, 'vertical'), down);
+  for (let row = 0; row < down; row += 1) {
+    for (let col = 0; col < across; col += 1) {
+      cells.push({ row, col, x: layoutArea.originX + columnOffsets[col], y: layoutArea.originY + rowOffsets[row] });
+    }
+  }
+  return cells;
+}
+
+const countDocuments = (layoutArea, document, gutter, imposition, stagger) => {
+  const staggered = calculateStaggeredGrid(layoutArea, document, gutter, stagger);
+  if (staggered) return { ...staggered.counts, total: staggered.total };
+  const across = splitCount(
+    calculateDocumentCount(layoutArea.width, document.width, getAxisGutter(gutter, 'horizontal')),
+    'horizontal',
+    imposition
+  );
+  const down = splitCount(
+    calculateDocumentCount(layoutArea.height, document.height, getAxisGutter(gutter, 'vertical')),
+    'vertical',
+    imposition
+  );
+  return { across, down, total: across * down };
+};
+
+export function evaluateDocumentOrientations(ctx) {
+  const { layoutArea, document, gutter, imposition, stagger } = ctx;
+  const asEntered = { width: document.width, height: document.height };
+  const rotated = { width: document.height, height: document.width };
+  const asEnteredCounts = countDocuments(layoutArea, asEntered, gutter, imposition, stagger);
+  const rotatedCounts = countDocuments(layoutArea, rotated, gutter, imposition, stagger);
+  // Ties (including square documents) stay as entered so the preview never
+  // flips orientation without a real gain in yield.
+  const recommended = rotatedCounts.total > asEnteredCounts.total ? 'rotated' : 'as-entered';
+  return {
+    recommended,
+    candidates: {
+      'as-entered': { document: asEntered, counts: asEnteredCounts },
+      rotated: { document: rotated, counts: rotatedCounts },
+    },
+  };
+}
+
+const placeRemainderBlock = (region, area, document, gutter) => {
+  const width = clampToZero(area.width);
+  const height = clampToZero(area.height);
+  const across = calculateDocumentCount(width, document.width, gutter.horizontal);
+  const down = calculateDocumentCount(height, document.height, gutter.vertical);
+  if (across === 0 || down === 0) return null;
+  return {
+    region,
+    originX: area.x,
+    originY: area.y,
+    document,
+    counts: { across, down },
+    usage: {
+      horizontal: calculateAxisUsage(width, document.width, gutter.horizontal, across),
+      vertical: calculateAxisUsage(height, document.height, gutter.vertical, down),
+    },
+  };
+};
+
+// Guillotine extents for each block. The first split runs the full length of
+// the sheet; the second only spans the piece left over after the first.
+const planRemainderSplits = (arrangement, blocks, primaryRight, primaryBottom, sheet) => {
+  const sheetX = { start: 0, end: sheet.rawWidth };
+  const leftOfSplit = { start: 0, end: primaryRight };
+  const rightOfSplit = { start: primaryRight, end: sheet.rawWidth };
+  const sheetY = { start: 0, end: sheet.rawHeight };
+  const aboveSplit = { start: 0, end: primaryBottom };
+  const belowSplit = { start: primaryBottom, end: sheet.rawHeight };
+  const hasRight = blocks.some((block) => block.region === 'right');
+  const hasBottom = blocks.some((block) => block.region === 'bottom');
+  // A strip only spans the whole sheet when it is split off first or when no
+  // other strip exists to share the boundary with.
+  const rightSpan = arrangement === 'right-first' || !hasBottom ? sheetY : aboveSplit;
+  const bottomSpan = arrangement === 'bottom-first' || !hasRight ? sheetX : leftOfSplit;
+  const extents = {
+    right: { x: rightOfSplit, y: rightSpan },
+    bottom: { x: bottomSpan, y: belowSplit },
+  };
+  const rightSplit = hasRight ? { axis: 'vertical', position: primaryRight, extent: rightSpan } : null;
+  const bottomSplit = hasBottom ? { axis: 'horizontal', position: primaryBottom, extent: bottomSpan } : null;
+  return {
+    blocks: blocks.map((block) => ({ ...block, extent: extents[block.region] })),
+    splits: (arrangement === 'right-first' ? [rightSplit, bottomSplit] : [bottomSplit, rightSplit]).filter(Boolean),
+    primaryExtent: {
+      x: hasRight ? leftOfSplit : sheetX,
+      y: hasBottom ? aboveSplit : sheetY,
+    },
+  };
+};
+
+// Places rotated copies of the document in the strips left beside and below
+// the primary grid. Two arrangements are tried (right strip at full height, or
+// bottom strip at full width) and the higher count wins; ties keep right-first.
+export function calculateRemainderFill(layout) {
+  const { layoutArea, document, gutter, usage, sheet } = layout ?? {};
+  if (!layoutArea || !document || !usage) return null;
+  if ((layout.counts?.across ?? 0) === 0 || (layout.counts?.down ?? 0) === 0) return null;
+
+  const rotated = { width: document.height, height: document.width };
+  const gh = clampToZero(gutter?.horizontal);
+  const gv = clampToZero(gutter?.vertical);
+  const primaryRight = layoutArea.originX + usage.horizontal.usedSpan;
+  const primaryBottom = layoutArea.originY + usage.vertical.usedSpan;
+  const stripX = primaryRight + gh;
+  const stripY = primaryBottom + gv;
+  const layoutRight = layoutArea.originX + layoutArea.width;
+  const layoutBottom = layoutArea.originY + layoutArea.height;
+  const place = (region, area) => placeRemainderBlock(region, area, rotated, { horizontal: gh, vertical: gv });
+
+  const rightFull = { x: stripX, y: layoutArea.originY, width: layoutRight - stripX, height: layoutArea.height };
+  const rightBeside = { ...rightFull, height: usage.vertical.usedSpan };
+  const bottomFull = { x: layoutArea.originX, y: stripY, width: layoutArea.width, height: layoutBottom - stripY };
+  const bottomBeside = { ...bottomFull, width: usage.horizontal.usedSpan };
+
+  const candidates = [
+    { arrangement: 'right-first', blocks: [place('right', rightFull), place('bottom', bottomBeside)] },
+    { arrangement: 'bottom-first', blocks: [place('bottom', bottomFull), place('right', rightBeside)] },
+  ].map(({ arrangement, blocks }) => {
+    const placed = blocks.filter(Boolean);
+    const total = placed.reduce((sum, block) => sum + block.counts.across * block.counts.down, 0);
+    return { arrangement, blocks: placed, total };
+  });
+  const best = candidates[1].total > candidates[0].total ? candidates[1] : candidates[0];
+  if (best.total === 0) return null;
+
+  const { blocks, splits, primaryExtent } = planRemainderSplits(
+    best.arrangement,
+    best.blocks,
+    primaryRight,
+    primaryBottom,
+    sheet,
+  );
+  return { arrangement: best.arrangement, blocks, splits, total: best.total, primaryExtent };
+}
+
+// Right/bottom edges of everything placed on the sheet, including fill blocks.
+export function getOccupiedExtent(layout) {
+  const { layoutArea, usage } = layout;
+  let right = layoutArea.originX + usage.horizontal.usedSpan;
+  let bottom = layoutArea.originY + usage.vertical.usedSpan;
+  (layout.remainder?.blocks ?? []).forEach((block) => {
+    right = Math.max(right, block.originX + block.usage.horizontal.usedSpan);
+    bottom = Math.max(bottom, block.originY + block.usage.vertical.usedSpan);
+  });
+  return { right, bottom };
+}
+
+const ANCHOR_FACTORS = {
+  horizontal: { left: 0, center: 0.5, right: 1 },
+  vertical: { top: 0, center: 0.5, bottom: 1 },
+};
+
+/**
+ * Normalizes a nine-point layout anchor such as `top-left`, `center` or
+ * `bottom-right`. `auto` (the default) keeps the historical behaviour: centred
+ * in auto-margin mode, top-left against manual margins. Offsets move the grid
+ * inward from the anchored edge (right/down when centred).
+ */
+export function normalizeLayoutAnchor(anchor = {}) {
+  const point = typeof anchor.point === 'string' ? anchor.point : 'auto';
+  const [vertical, horizontal = vertical] = point === 'auto' ? [] : point.split('-');
+  const valid = point !== 'auto' && vertical in ANCHOR_FACTORS.vertical && horizontal in ANCHOR_FACTORS.horizontal;
+  return {
+    point: valid ? point : 'auto',
+    horizontal: valid ? horizontal : null,
+    vertical: valid ? vertical : null,
+    offsetX: toNumber(anchor.offsetX),
+    offsetY: toNumber(anchor.offsetY),
+  };
+}
+
+const placeOnAxis = (leftover, alignment, offset, axis) => {
+  const factor = ANCHOR_FACTORS[axis][alignment];
+  // Offsets push away from the anchored edge, so an end anchor moves back.
+  const shift = factor === 1 ? -offset : offset;
+  return Math.min(Math.max(leftover * factor + shift, 0), leftover);
+};
+
+/**
+ * Margins that place everything on the sheet (including fill blocks and, in
+ * auto-margin mode, the outer bleed) at the requested anchor inside the
+ * layout's current layout area. Manual margins are measured to the trim, so
+ * the bleed already lies within them and is not added again. The grid never
+ * leaves that area, so offsets are clamped to the space left over.
+ * Recalculating with these margins reproduces the same counts.
+ * A self-backing imposition ignores the anchor along its mirror axis and
+ * centres the trim grid on the sheet, so the back lands behind the front.
+ */
+export function calculateAnchoredMargins(layout, anchor, { autoMargins = false } = {}) {
+  const { horizontal, vertical, offsetX, offsetY } = normalizeLayoutAnchor(anchor);
+  const fallback = autoMargins ? 'center' : null;
+  const { layoutArea, sheet } = layout;
+  const occupied = getOccupiedExtent(layout);
+  const bleed = (autoMargins && layout.bleed) || { top: 0, right: 0, bottom: 0, left: 0 };
+  const usedW = occupied.right - layoutArea.originX + bleed.left + bleed.right;
+  const usedH = occupied.bottom - layoutArea.originY + bleed.top + bleed.bottom;
+  const dx = placeOnAxis(clampToZero(layoutArea.width - usedW), horizontal ?? fallback ?? 'left', offsetX, 'horizontal');
+  const dy = placeOnAxis(clampToZero(layoutArea.height - usedH), vertical ?? fallback ?? 'top', offsetY, 'vertical');
+  const margins = {
+    top: layoutArea.originY + dy + bleed.top,
+    right: sheet.rawWidth - (layoutArea.originX + dx + usedW) + bleed.right,
+    bottom: sheet.rawHeight - (layoutArea.originY + dy + usedH) + bleed.bottom,
+    left: layoutArea.originX + dx + bleed.left,
+  };
+  if (layout.imposition?.selfBacking) {
+    if (layout.imposition.mirrorAxis === 'horizontal') {
+      const side = (sheet.rawWidth - (occupied.right - layoutArea.originX)) / 2;
+      return { ...margins, left: side, right: side };
+    }
+    const side = (sheet.rawHeight - (occupied.bottom - layoutArea.originY)) / 2;
+    return { ...margins, top: side, bottom: side };
+  }
+  return margins;
+}
+
+export const getLayoutTotal = (layout) =>
+  (layout?.gang
+    ? layout.gang.total
+    : layout?.stagger
+      ? layout.stagger.total
+      : (layout?.counts?.across ?? 0) * (layout?.counts?.down ?? 0) + (layout?.remainder?.total ?? 0)) -
+  (layout?.skipped?.length ?? 0);
+
+/**
+ * Blanks out individual positions of the primary grid, e.g. to clear a clamp
+ * or a flaw in the stock. `cells` are `{ row, col }` pairs as reported by
+ * getGridCells; pairs that fall outside the current grid are dropped, so a
+ * saved list survives the grid shrinking and growing back. The returned
+ * layout lists the blanked cells in reading order under `skipped`.
+ */
+export function applySkippedCells(layout, cells = []) {
+  const wanted = new Set((Array.isArray(cells) ? cells : []).map(getCellKey));
+  const skipped = getGridCells(layout, { includeSkipped: true })
+    .filter((cell) => wanted.has(getCellKey(cell)))
+    .map(({ row, col }) => ({ row, col }));
+  return { ...layout, skipped };
+}
+
+// Caps a staggered grid: across/down limit the lines and the pieces per line.
+const applyStaggerOverrides = (layout, desiredAcross, desiredDown) => {
+  const stagger = calculateStaggeredGrid(layout.layoutArea, layout.document, layout.gutter, layout.stagger, {
+    across: desiredAcross,
+    down: desiredDown,
+  });
+  const { horizontal: h, vertical: v } = stagger.usage;
+  return {
+    ...layout,
+    stagger,
+    counts: stagger.counts,
+    usage: stagger.usage,
+    realizedMargins: {
+      ...layout.realizedMargins,
+      right: clampToZero(layout.sheet.rawWidth - (layout.layoutArea.originX + h.usedSpan)),
+      bottom: clampToZero(layout.sheet.rawHeight - (layout.layoutArea.originY + v.usedSpan)),
+    },
+  };
+};
+
+const withRemainderFill = (layout) => {
+  if (!layout.fillRemainder) return layout;
+  const remainder = calculateRemainderFill(layout);
+  if (!remainder) return { ...layout, remainder: null };
+  const filled = { ...layout, remainder };
+  const { right, bottom } = getOccupiedExtent(filled);
+  return {
+    ...filled,
+    realizedMargins: {
+      ...layout.realizedMargins,
+      right: clampToZero(layout.sheet.rawWidth - right),
+      bottom: clampToZero(layout.sheet.rawHeight - bottom),
+    },
+  };
+};
+
 export function calculateLayout(ctx) {
-  const { layoutArea, document, gutter, margins, sheet } = ctx;
-  const maxAcross = calculateDocumentCount(layoutArea.width, document.width, gutter.horizontal);
-  const maxDown = calculateDocumentCount(layoutArea.height, document.height, gutter.vertical);
-  const h = calculateAxisUsage(layoutArea.width, document.width, gutter.horizontal, maxAcross);
-  const v = calculateAxisUsage(layoutArea.height, document.height, gutter.vertical, maxDown);
+  const { layoutArea, gutter, margins, sheet } = ctx;
+  const mode = normalizeOrientationMode(ctx.orientation);
+  const evaluation = evaluateDocumentOrientations(ctx);
+  const selected = mode === 'best' ? evaluation.recommended : mode;
+  const document = evaluation.candidates[selected].document;
+  const gutterAcross = getAxisGutter(gutter, 'horizontal');
+  const gutterDown = getAxisGutter(gutter, 'vertical');
+  const staggered = calculateStaggeredGrid(layoutArea, document, gutter, ctx.stagger);
+  const maxAcross = staggered
+    ? staggered.counts.across
+    : splitCount(calculateDocumentCount(layoutArea.width, document.width, gutterAcross), 'horizontal', ctx.imposition);
+  const maxDown = staggered
+    ? staggered.counts.down
+    : splitCount(calculateDocumentCount(layoutArea.height, document.height, gutterDown), 'vertical', ctx.imposition);
+  const h = staggered?.usage.horizontal ?? calculateAxisUsage(layoutArea.width, document.width, gutterAcross, maxAcross);
+  const v = staggered?.usage.vertical ?? calculateAxisUsage(layoutArea.height, document.height, gutterDown, maxDown);
   const realizedLeft = clampToZero(layoutArea.originX);
   const realizedTop = clampToZero(layoutArea.originY);
   const docRightEdge = layoutArea.originX + h.usedSpan;
@@ -74,7 +659,7 @@ export function calculateLayout(ctx) {
   const realizedRight = clampToZero(sheet.rawWidth - docRightEdge);
   const realizedBottom = clampToZero(sheet.rawHeight - docBottomEdge);
 
-  return {
+  return withRemainderFill({
     sheet,
     margins,
     document,
@@ -88,14 +673,42 @@ export function calculateLayout(ctx) {
       right: realizedRight,
       bottom: realizedBottom,
     },
-  };
+    orientation: {
+      mode,
+      selected,
+      rotated: selected === 'rotated',
+      recommended: evaluation.recommended,
+      candidates: evaluation.candidates,
+    },
+    fillRemainder: Boolean(ctx.fillRemainder),
+    remainder: null,
+    imposition: ctx.imposition ?? null,
+    stagger: staggered,
+    // Bleed follows the piece, so a rotated placement rotates it too.
+    bleed: selected === 'rotated' ? rotatePerSideClockwise(normalizeBleed(ctx.bleed)) : normalizeBleed(ctx.bleed),
+  });
 }
 
 export function applyCountOverrides(layout, desiredAcross, desiredDown) {
-  const across = Math.min(layout.counts.across, desiredAcross ?? layout.counts.across);
-  const down = Math.min(layout.counts.down, desiredDown ?? layout.counts.down);
-  const h = calculateAxisUsage(layout.layoutArea.width, layout.document.width, layout.gutter.horizontal, across);
-  const v = calculateAxisUsage(layout.layoutArea.height, layout.document.height, layout.gutter.vertical, down);
+  if (layout.stagger) return applyStaggerOverrides(layout, desiredAcross, desiredDown);
+  const across = splitCount(
+    Math.min(layout.counts.across, desiredAcross ?? layout.counts.across),
+    'horizontal',
+    layout.imposition
+  );
+  const down = splitCount(Math.min(layout.counts.down, desiredDown ?? layout.counts.down), 'vertical', layout.imposition);
+  const h = calculateAxisUsage(
+    layout.layoutArea.width,
+    layout.document.width,
+    getAxisGutter(layout.gutter, 'horizontal'),
+    across
+  );
+  const v = calculateAxisUsage(
+    layout.layoutArea.height,
+    layout.document.height,
+    getAxisGutter(layout.gutter, 'vertical'),
+    down
+  );
   const realizedLeft = clampToZero(layout.layoutArea.originX);
   const realizedTop = clampToZero(layout.layoutArea.originY);
   const docRightEdge = layout.layoutArea.originX + h.usedSpan;
@@ -103,7 +716,7 @@ export function applyCountOverrides(layout, desiredAcross, desiredDown) {
   const realizedRight = clampToZero(layout.sheet.rawWidth - docRightEdge);
   const realizedBottom = clampToZero(layout.sheet.rawHeight - docBottomEdge);
 
-  return {
+  return withRemainderFill({
     ...layout,
     counts: { across, down },
     usage: { horizontal: h, vertical: v },
@@ -113,5 +726,5 @@ export function applyCountOverrides(layout, desiredAcross, desiredDown) {
       right: realizedRight,
       bottom: realizedBottom,
     },
-  };
+  });
 }
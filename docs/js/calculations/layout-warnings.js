@@ -0,0 +1,328 @@
+import { formatMeasurement } from '../utils/units.js';
+import { getAxisGaps, getAxisGutter } from './gutter-pattern.js';
+import { getGrainAxis, getUnprintableInsets } from './layout-calculations.js';
+import { calculateImposition, IMPOSITION_LABELS } from './imposition-calculations.js';
+import { MIN_HOLE_EDGE_DISTANCE } from './hole-validation.js';
+import { listFinishingInputs } from './finishing-calculations.js';
+
+const TOLERANCE = 1e-9;
+
+const SIDE_LABELS = { top: 'Top', right: 'Right', bottom: 'Bottom', left: 'Left' };
+
+const hasNeighboursAcross = (layout) =>
+  (layout.counts?.across ?? 0) > 1 ||
+  (layout.remainder?.blocks ?? []).some((block) => block.region === 'right' || block.counts.across > 1) ||
+  (layout.gang?.strips ?? []).some((strip) => strip.count > 1);
+
+const hasNeighboursDown = (layout) =>
+  (layout.counts?.down ?? 0) > 1 ||
+  (layout.remainder?.blocks ?? []).some((block) => block.region === 'bottom' || block.counts.down > 1) ||
+  (layout.gang?.strips ?? []).length > 1;
+
+// A gutter pattern can narrow individual gaps, so compare against the
+// narrowest one; fill blocks and gang strips use the regular gutter.
+const narrowestGap = (layout, axis, count) =>
+  Math.min(
+    ...getAxisGaps(getAxisGutter(layout.gutter, axis), count),
+    ...(layout.remainder || layout.gang ? [layout.gutter[axis]] : [])
+  );
+
+// Outer trim edges of everything placed, measured from the sheet origin.
+const placedTrimBox = (layout) => ({
+  top: layout.layoutArea.originY,
+  left: layout.layoutArea.originX,
+  right: layout.sheet.rawWidth - (layout.realizedMargins?.right ?? 0),
+  bottom: layout.sheet.rawHeight - (layout.realizedMargins?.bottom ?? 0),
+});
+
+function collectBleedWarnings(layout, units) {
+  const bleed = layout.bleed;
+  if (!bleed || Object.values(bleed).every((value) => !(value > 0))) return [];
+  const fmt = (value) => formatMeasurement(value, units);
+  const warnings = [];
+
+  const horizontalBleed = bleed.left + bleed.right;
+  const horizontalGap = narrowestGap(layout, 'horizontal', layout.counts?.across ?? 0);
+  if (hasNeighboursAcross(layout) && horizontalGap + TOLERANCE < horizontalBleed) {
+    warnings.push({
+      id: 'bleed-gutter-horizontal',
+      severity: 'warning',
+      message: `Horizontal gutter ${fmt(horizontalGap)} is less than the left + right bleed ${fmt(
+        horizontalBleed
+      )}; bleeds of neighbouring documents overlap.`,
+    });
+  }
+
+  const verticalBleed = bleed.top + bleed.bottom;
+  const verticalGap = narrowestGap(layout, 'vertical', layout.counts?.down ?? 0);
+  if (hasNeighboursDown(layout) && verticalGap + TOLERANCE < verticalBleed) {
+    warnings.push({
+      id: 'bleed-gutter-vertical',
+      severity: 'warning',
+      message: `Vertical gutter ${fmt(verticalGap)} is less than the top + bottom bleed ${fmt(
+        verticalBleed
+      )}; bleeds of neighbouring documents overlap.`,
+    });
+  }
+
+  // The gripper and tail are as unprintable as the non-printable area.
+  const nonPrintable = getUnprintableInsets(layout.sheet);
+  const trim = placedTrimBox(layout);
+  const overrun = {
+    top: (nonPrintable.top ?? 0) - (trim.top - bleed.top),
+    left: (nonPrintable.left ?? 0) - (trim.left - bleed.left),
+    right: trim.right + bleed.right - (layout.sheet.rawWidth - (nonPrintable.right ?? 0)),
+    bottom: trim.bottom + bleed.bottom - (layout.sheet.rawHeight - (nonPrintable.bottom ?? 0)),
+  };
+  Object.entries(overrun).forEach(([side, amount]) => {
+    if (!(bleed[side] > 0) || amount <= TOLERANCE) return;
+    warnings.push({
+      id: `bleed-printable-${side}`,
+      severity: 'warning',
+      message: `${SIDE_LABELS[side]} bleed runs ${fmt(amount)} into the non-printable area; increase the ${side} margin.`,
+    });
+  });
+
+  return warnings;
+}
+
+function collectImpositionWarnings(layout) {
+  const imposition = calculateImposition(layout);
+  if (!imposition?.selfBacking) return [];
+  const label = IMPOSITION_LABELS[imposition.mode];
+  if (imposition.cells.length === 0) {
+    return [
+      {
+        id: 'imposition-no-split',
+        severity: 'warning',
+        message: `${label} needs at least two pieces along the flip; nothing fits an even split on this sheet.`,
+      },
+    ];
+  }
+  if (!imposition.symmetric) {
+    return [
+      {
+        id: 'imposition-asymmetric',
+        severity: 'warning',
+        message: `${label} grid is not symmetric about the sheet centre; cuts made from the front will miss the backs. Use a symmetric gutter pattern.`,
+      },
+    ];
+  }
+  return [];
+}
+
+// Round pieces in neighbouring staggered lines sit half a step apart, so they
+// only clear each other once the lines are √3/2 of a step apart (a hex grid).
+function collectStaggerWarnings(layout, units) {
+  const stagger = layout.stagger;
+  if (!stagger || stagger.lines.length < 2) return [];
+  const step = stagger.shift * 2;
+  const minimum = (step * Math.sqrt(3)) / 2;
+  if (stagger.pitch + TOLERANCE >= minimum) return [];
+  return [
+    {
+      id: 'stagger-overlap',
+      severity: 'warning',
+      message: `Staggered ${stagger.mode} are ${formatMeasurement(stagger.pitch, units)} apart; round pieces need at least ${formatMeasurement(
+        minimum,
+        units
+      )} to clear each other.`,
+    },
+  ];
+}
+
+// A roll needs at least one label across the web and one around the repeat.
+function collectRollWarnings(layout, units, finishing) {
+  const roll = layout.roll;
+  if (!roll) return [];
+  const warnings = [];
+  const dropped = listFinishingInputs(finishing);
+  if (dropped.length > 0) {
+    const list = dropped.length > 1 ? `${dropped.slice(0, -1).join(', ')} and ${dropped.at(-1)}` : dropped[0];
+    warnings.push({
+      id: 'roll-finishing-skipped',
+      severity: 'warning',
+      message: `Roll labels come off the press die-cut, so the ${list} entered are left out.`,
+    });
+  }
+  if (roll.across === 0) {
+    warnings.push({
+      id: 'roll-web-narrow',
+      severity: 'warning',
+      message: `The ${formatMeasurement(roll.webWidth, units)} web is too narrow for one label between the edge trims.`,
+    });
+  }
+  if (roll.around === 0) {
+    warnings.push({
+      id: 'roll-repeat-short',
+      severity: 'warning',
+      message: `The ${formatMeasurement(roll.repeatLength, units)} repeat is shorter than one label plus the gap around.`,
+    });
+  }
+  return warnings;
+}
+
+// Numbers only go on the primary grid, and only inside the piece.
+function collectNumberingWarnings(layout, units) {
+  const numbering = layout.numbering;
+  if (!numbering) return [];
+  const warnings = [];
+  if (numbering.offDocument) {
+    warnings.push({
+      id: 'numbering-off-document',
+      severity: 'warning',
+      message: `The number position (${formatMeasurement(numbering.x, units)}, ${formatMeasurement(
+        numbering.y,
+        units
+      )}) falls outside the document.`,
+    });
+  }
+  const unnumbered = layout.remainder?.total ?? 0;
+  if (unnumbered > 0) {
+    warnings.push({
+      id: 'numbering-fill-blocks',
+      severity: 'warning',
+      message: `${unnumbered} fill-block piece${unnumbered === 1 ? '' : 's'} beside the grid ${
+        unnumbered === 1 ? 'is' : 'are'
+      } not numbered.`,
+    });
+  }
+  return warnings;
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// One warning per kind of hole conflict (see findHoleConflicts), naming the
+// first hole so it can be found in the hole table. Custom die paths are only
+// checked against their trim box, so holes in them also get a reminder.
+function collectHoleWarnings(layout, units, holes = []) {
+  const conflicts = layout.holeConflicts ?? [];
+  const fmt = (value) => formatMeasurement(value, units);
+  const edge = layout.dieShape && layout.dieShape.type !== 'path' ? 'die line' : 'trim edge';
+  const labelOf = (index) => holes[index]?.label ?? `Hole ${index + 1}`;
+  const byKind = (kind, test = () => true) => conflicts.filter((conflict) => conflict.kind === kind && test(conflict));
+  const tightest = (list) => Math.min(...list.map((conflict) => conflict.clearance));
+  const warnings = [];
+
+  const breakouts = byKind('trim', (conflict) => conflict.clearance < 0);
+  if (breakouts.length > 0) {
+    warnings.push({
+      id: 'hole-trim-breakout',
+      severity: 'warning',
+      message: `${plural(breakouts.length, 'hole')} break${breakouts.length === 1 ? 's' : ''} out of the ${edge}, by up to ${fmt(
+        -tightest(breakouts)
+      )} (first: ${labelOf(breakouts[0].holes[0])}).`,
+    });
+  }
+  const close = byKind('trim', (conflict) => conflict.clearance >= 0);
+  if (close.length > 0) {
+    warnings.push({
+      id: 'hole-edge-distance',
+      severity: 'warning',
+      message: `${plural(close.length, 'hole')} leave${close.length === 1 ? 's' : ''} as little as ${fmt(
+        tightest(close)
+      )} to the ${edge}, under the ${fmt(MIN_HOLE_EDGE_DISTANCE)} minimum (first: ${labelOf(close[0].holes[0])}).`,
+    });
+  }
+  const corners = byKind('corner');
+  if (corners.length > 0) {
+    const clearance = tightest(corners);
+    warnings.push({
+      id: 'hole-corner',
+      severity: 'warning',
+      message: `${plural(corners.length, 'hole')} ${
+        clearance < 0 ? 'cut into the rounded corner' : `sit within ${fmt(MIN_HOLE_EDGE_DISTANCE)} of the rounded corner`
+      } (first: ${labelOf(corners[0].holes[0])}).`,
+    });
+  }
+  [
+    ['score', 'hole-score', 'a score line'],
+    ['perforation', 'hole-perforation', 'a perforation'],
+  ].forEach(([kind, id, what]) => {
+    const crossed = byKind(kind);
+    if (crossed.length === 0) return;
+    warnings.push({
+      id,
+      severity: 'warning',
+      message: `${plural(crossed.length, 'hole')} ${crossed.length === 1 ? 'is' : 'are'} crossed by ${what} (first: ${labelOf(
+        crossed[0].holes[0]
+      )} and ${crossed[0].line}).`,
+    });
+  });
+  const overlaps = byKind('overlap');
+  if (overlaps.length > 0) {
+    const [first, second] = overlaps[0].holes;
+    warnings.push({
+      id: 'hole-overlap',
+      severity: 'warning',
+      message: `${plural(overlaps.length, 'pair')} of holes overlap (first: ${labelOf(first)} and ${labelOf(second)}).`,
+    });
+  }
+  if (layout.dieShape?.type === 'path' && holes.length > 0) {
+    warnings.push({
+      id: 'hole-die-unchecked',
+      severity: 'warning',
+      message: 'Holes are only checked against the trim box of a custom die shape; check them against the die line.',
+    });
+  }
+  return warnings;
+}
+
+const AXIS_LABELS = { horizontal: 'Horizontal', vertical: 'Vertical' };
+const OTHER_AXIS = { horizontal: 'vertical', vertical: 'horizontal' };
+
+// Paper folds cleanly along its grain and cracks across it, so a score line
+// should run with the fibres. Turning the piece swaps its score directions, so
+// the rotation checks compare the placed scores with their swapped twin.
+function collectGrainWarnings(layout, scores) {
+  const grain = getGrainAxis(layout.sheet);
+  if (!grain || !scores) return [];
+  const across = OTHER_AXIS[grain];
+  const againstNow = (scores[across]?.length ?? 0) > 0;
+  const againstTurned = (scores[grain]?.length ?? 0) > 0;
+  const rotated = Boolean(layout.orientation?.rotated);
+  const grainLabel = `${layout.sheet.grain} grain`;
+  const warnings = [];
+  if (againstNow) {
+    warnings.push({
+      id: 'grain-score-against',
+      severity: 'warning',
+      message: `${AXIS_LABELS[across]} scores run across the ${grainLabel}; folds may crack.${
+        againstTurned || rotated ? '' : ' Rotating the document would fold with the grain.'
+      }`,
+    });
+  }
+  if (rotated && againstNow && !againstTurned) {
+    warnings.push({
+      id: 'grain-rotation',
+      severity: 'warning',
+      message: `Rotating the document turned its folds across the ${grainLabel}; placed as entered they fold with it.`,
+    });
+  } else if (!rotated && layout.orientation?.recommended === 'rotated' && againstTurned && !againstNow) {
+    warnings.push({
+      id: 'grain-rotation',
+      severity: 'warning',
+      message: `The recommended rotation would turn the folds across the ${grainLabel}.`,
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Collects production warnings for a calculated layout. Each entry carries a
+ * stable `id`, a `severity`, and a message formatted in the active units.
+ * Pass the placed `scores` from the finishing plan to check them against the
+ * paper grain, and its `holes` to name the ones in `layout.holeConflicts`.
+ */
+export function collectLayoutWarnings(layout, { units = 'in', scores, holes, finishing } = {}) {
+  if (!layout?.sheet || !layout.layoutArea) return [];
+  return [
+    ...collectBleedWarnings(layout, units),
+    ...collectImpositionWarnings(layout),
+    ...collectStaggerWarnings(layout, units),
+    ...collectRollWarnings(layout, units, finishing),
+    ...collectGrainWarnings(layout, scores),
+    ...collectNumberingWarnings(layout, units),
+    ...collectHoleWarnings(layout, units, holes),
+  ];
+}
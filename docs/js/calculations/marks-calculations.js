@@ -0,0 +1,179 @@
+const POINTS_PER_INCH = 72;
+const REGISTRATION_DIAMETER = 0.25;
+const COLOR_BAR_INKS = ['cyan', 'magenta', 'yellow', 'black'];
+const TOLERANCE = 1e-9;
+
+export const DEFAULT_MARK_SETTINGS = {
+  crop: false,
+  length: 0.25,
+  offset: 0.0625,
+  weight: 0.25,
+  registration: false,
+  slug: false,
+  slugDepth: 0.25,
+};
+
+const positiveOr = (value, fallback) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : fallback;
+};
+
+// Blank length/weight/depth fields fall back to the defaults; a blank offset
+// starts the marks at the trim (or the bleed edge, whichever is further out).
+export const normalizeMarkSettings = (raw = {}) => ({
+  crop: raw.crop === true,
+  length: positiveOr(raw.length, DEFAULT_MARK_SETTINGS.length),
+  offset: positiveOr(raw.offset, 0),
+  weight: positiveOr(raw.weight, DEFAULT_MARK_SETTINGS.weight),
+  registration: raw.registration === true,
+  slug: raw.slug === true,
+  slugDepth: positiveOr(raw.slugDepth, DEFAULT_MARK_SETTINGS.slugDepth),
+});
+
+export const hasPrinterMarks = (settings) => Boolean(settings?.crop || settings?.registration || settings?.slug);
+
+const toBox = ({ x, y, width, height, bleed = {} }) => ({
+  left: x - (bleed.left ?? 0),
+  top: y - (bleed.top ?? 0),
+  right: x + width + (bleed.right ?? 0),
+  bottom: y + height + (bleed.bottom ?? 0),
+});
+
+// Trims a mark running from `start` toward `end` along one axis at the fixed
+// cross position so it stops at the printable edge and at the first piece (with
+// its bleed) in the way. Returns null when nothing of the mark is left.
+function clipMark(start, end, cross, axis, printable, boxes) {
+  const [lead, trail] = axis === 'x' ? ['left', 'right'] : ['top', 'bottom'];
+  const [crossLead, crossTrail] = axis === 'x' ? ['top', 'bottom'] : ['left', 'right'];
+  if (start < printable[lead] - TOLERANCE || start > printable[trail] + TOLERANCE) return null;
+  const direction = Math.sign(end - start);
+  let limit = direction > 0 ? Math.min(end, printable[trail]) : Math.max(end, printable[lead]);
+  for (const box of boxes) {
+    if (cross < box[crossLead] - TOLERANCE || cross > box[crossTrail] + TOLERANCE) continue;
+    if (start > box[lead] + TOLERANCE && start < box[trail] - TOLERANCE) return null;
+    if (direction > 0 && box[lead] >= start - TOLERANCE) limit = Math.min(limit, box[lead]);
+    if (direction < 0 && box[trail] <= start + TOLERANCE) limit = Math.max(limit, box[trail]);
+  }
+  return Math.abs(limit - start) > TOLERANCE ? limit : null;
+}
+
+function calculateCropMarks(trims, settings, printable, boxes) {
+  const marks = [];
+  const seen = new Set();
+  const push = (mark) => {
+    const key = [mark.x1, mark.y1, mark.x2, mark.y2].map((value) => value.toFixed(6)).join(',');
+    if (seen.has(key)) return;
+    seen.add(key);
+    marks.push(mark);
+  };
+  trims.forEach((trim) => {
+    const bleed = trim.bleed ?? {};
+    ['left', 'right'].forEach((xSide) => {
+      ['top', 'bottom'].forEach((ySide) => {
+        const x = xSide === 'left' ? trim.x : trim.x + trim.width;
+        const y = ySide === 'top' ? trim.y : trim.y + trim.height;
+        const xDirection = xSide === 'left' ? -1 : 1;
+        const yDirection = ySide === 'top' ? -1 : 1;
+        const xStart = x + xDirection * Math.max(settings.offset, bleed[xSide] ?? 0);
+        const xEnd = clipMark(xStart, xStart + xDirection * settings.length, y, 'x', printable, boxes);
+        if (xEnd !== null) push({ x1: xStart, y1: y, x2: xEnd, y2: y });
+        const yStart = y + yDirection * Math.max(settings.offset, bleed[ySide] ?? 0);
+        const yEnd = clipMark(yStart, yStart + yDirection * settings.length, x, 'y', printable, boxes);
+        if (yEnd !== null) push({ x1: x, y1: yStart, x2: x, y2: yEnd });
+      });
+    });
+  });
+  return marks;
+}
+
+// Free band between the pieces (plus their crop marks) and the printable edge.
+function getSideBand(side, printable, occupied, reach) {
+  if (side === 'top') return { side, start: printable.top, end: occupied.top - reach };
+  if (side === 'bottom') return { side, start: occupied.bottom + reach, end: printable.bottom };
+  if (side === 'left') return { side, start: printable.left, end: occupied.left - reach };
+  return { side, start: occupied.right + reach, end: printable.right };
+}
+
+const isHorizontalSide = (side) => side === 'top' || side === 'bottom';
+
+function calculateSlug(band, depth, printable) {
+  const available = band.end - band.start;
+  if (available <= TOLERANCE) return null;
+  const size = Math.min(depth, available);
+  // The slug sits against the printable edge, away from the pieces.
+  const outer = band.side === 'top' || band.side === 'left' ? band.start : band.end - size;
+  const slug = isHorizontalSide(band.side)
+    ? { x: printable.left, y: outer, width: printable.right - printable.left, height: size }
+    : { x: outer, y: printable.top, width: size, height: printable.bottom - printable.top };
+  const span = isHorizontalSide(band.side) ? slug.width : slug.height;
+  const colorBar = Array.from({ length: Math.floor(span / size + TOLERANCE) }, (_, index) => ({
+    x: isHorizontalSide(band.side) ? slug.x + index * size : slug.x,
+    y: isHorizontalSide(band.side) ? slug.y : slug.y + index * size,
+    width: size,
+    height: size,
+    ink: COLOR_BAR_INKS[index % COLOR_BAR_INKS.length],
+  }));
+  return { slug: { ...slug, side: band.side }, colorBar };
+}
+
+function calculateRegistrationTarget(band, printable) {
+  if (band.end - band.start < REGISTRATION_DIAMETER - TOLERANCE) return null;
+  const across = (band.start + band.end) / 2;
+  const along = isHorizontalSide(band.side)
+    ? (printable.left + printable.right) / 2
+    : (printable.top + printable.bottom) / 2;
+  return {
+    side: band.side,
+    cx: isHorizontalSide(band.side) ? along : across,
+    cy: isHorizontalSide(band.side) ? across : along,
+    radius: REGISTRATION_DIAMETER / 2,
+  };
+}
+
+/**
+ * Places printer's marks around the trimmed pieces. `trims` are the placed
+ * pieces (`x`, `y`, `width`, `height` and their `bleed`) and `insets` the
+ * unprintable band on each sheet side, so nothing lands where the press cannot
+ * print.
+ *
+ * Crop marks extend each trim edge outward from every corner, starting
+ * `offset` from the trim (never inside the bleed) and running `length` into
+ * the gutter or margin; they stop short of any other piece. Registration
+ * targets sit centred in the margin of each side that has room, and the slug
+ * takes the tail side (`slugSide`, bottom by default) with a CMYK color bar.
+ * `strokeWidth` is the crop and target weight in inches.
+ */
+export function calculatePrinterMarks({ width, height, insets = {}, trims = [], settings: rawSettings, slugSide = 'bottom' }) {
+  const settings = normalizeMarkSettings(rawSettings);
+  const empty = { crops: [], registration: [], slug: null, colorBar: [], strokeWidth: settings.weight / POINTS_PER_INCH };
+  if (!hasPrinterMarks(settings) || trims.length === 0) return empty;
+  const printable = {
+    left: insets.left ?? 0,
+    top: insets.top ?? 0,
+    right: width - (insets.right ?? 0),
+    bottom: height - (insets.bottom ?? 0),
+  };
+  const boxes = trims.map(toBox);
+  const occupied = boxes.reduce((bounds, box) => ({
+    left: Math.min(bounds.left, box.left),
+    top: Math.min(bounds.top, box.top),
+    right: Math.max(bounds.right, box.right),
+    bottom: Math.max(bounds.bottom, box.bottom),
+  }));
+  const reach = settings.crop ? settings.offset + settings.length : 0;
+  const bands = ['top', 'right', 'bottom', 'left'].map((side) => getSideBand(side, printable, occupied, reach));
+  const slugPlan = settings.slug ? calculateSlug(bands.find((band) => band.side === slugSide), settings.slugDepth, printable) : null;
+
+  return {
+    ...empty,
+    crops: settings.crop ? calculateCropMarks(trims, settings, printable, boxes) : [],
+    registration: settings.registration
+      ? bands
+        .filter((band) => !(slugPlan && band.side === slugSide))
+        .map((band) => calculateRegistrationTarget(band, printable))
+        .filter(Boolean)
+      : [],
+    slug: slugPlan?.slug ?? null,
+    colorBar: slugPlan?.colorBar ?? [],
+  };
+}
@@ -0,0 +1,86 @@
+import { toNumber } from '../utils/units.js';
+import { getGridCells } from './layout-calculations.js';
+
+export const NUMBERING_ORDERS = {
+  stack: 'Stack and cut',
+  sheet: 'Sheet by sheet',
+};
+
+const toPositive = (value) => Math.max(0, toNumber(value));
+
+export const normalizeNumberingSpec = (spec = {}) => ({
+  enabled: spec.enabled === true,
+  start: Math.floor(Math.max(0, toNumber(spec.start, 1))),
+  increment: Math.max(1, Math.floor(toNumber(spec.increment, 1))),
+  quantity: Math.floor(toPositive(spec.quantity)),
+  order: spec.order === 'sheet' ? 'sheet' : 'stack',
+  digits: Math.min(12, Math.floor(toPositive(spec.digits))),
+  x: toPositive(spec.x),
+  y: toPositive(spec.y),
+  sheet: Math.max(1, Math.floor(toNumber(spec.sheet, 1))),
+});
+
+/**
+ * Works out which number every piece of the primary grid carries on each
+ * sheet of the run. The number sits `x`/`y` inches from the top-left of the
+ * document as entered and turns with it when the layout rotates the piece.
+ *
+ * Stack-and-cut (crash) numbering gives each grid position one unbroken run:
+ * position k carries `start + (k × sheets + s) × increment` on sheet s, so
+ * once the stack is cut the piles go on top of one another in reading order
+ * and the whole job reads in sequence. Sheet-by-sheet numbers each sheet in
+ * reading order before moving to the next. Positions past the quantity on the
+ * last sheets print blank.
+ *
+ * Blanked-out cells carry no number; pieces in fill blocks beside the grid are
+ * left unnumbered. Returns `null` when numbering is off.
+ */
+export function calculateNumberingPlan(layout, spec) {
+  const numbering = normalizeNumberingSpec(spec);
+  if (!numbering.enabled || !layout?.document) return null;
+  const { width, height } = layout.document;
+  const rotated = Boolean(layout.orientation?.rotated);
+  const offset = rotated ? { x: width - numbering.y, y: numbering.x } : { x: numbering.x, y: numbering.y };
+  const cells = getGridCells(layout).map(({ row, col, x, y }) => ({ row, col, x: x + offset.x, y: y + offset.y }));
+  const perSheet = cells.length;
+  const sheets = perSheet > 0 ? Math.ceil(numbering.quantity / perSheet) : 0;
+  return {
+    ...numbering,
+    perSheet,
+    sheets,
+    sheet: Math.min(numbering.sheet, Math.max(1, sheets)),
+    cells,
+    offDocument: offset.x > width || offset.y > height,
+    last: numbering.quantity > 0 ? numbering.start + (numbering.quantity - 1) * numbering.increment : null,
+  };
+}
+
+/**
+ * The numbers printed on sheet `sheet` (1-based), one per plan cell in reading
+ * order; `null` marks a position left blank past the end of the run.
+ */
+export function getSheetNumbers(plan, sheet) {
+  if (!plan || sheet < 1 || sheet > plan.sheets) return [];
+  const index = sheet - 1;
+  return plan.cells.map((_, position) => {
+    const sequence = plan.order === 'stack' ? position * plan.sheets + index : index * plan.perSheet + position;
+    return sequence < plan.quantity ? plan.start + sequence * plan.increment : null;
+  });
+}
+
+// Ticket numbers are often printed to a fixed width with leading zeros.
+export const formatTicketNumber = (number, digits = 0) => (number === null ? '' : String(number).padStart(digits, '0'));
+
+/**
+ * The per-sheet numbering map as CSV: one row per sheet and one column per
+ * grid position, headed by its row and column on the sheet.
+ */
+export function buildNumberingCsv(plan) {
+  if (!plan) return '';
+  const header = ['Sheet', ...plan.cells.map(({ row, col }) => `R${row + 1} C${col + 1}`)];
+  const rows = Array.from({ length: plan.sheets }, (_, index) => [
+    String(index + 1),
+    ...getSheetNumbers(plan, index + 1).map((number) => formatTicketNumber(number, plan.digits)),
+  ]);
+  return [header, ...rows].map((row) => row.join(',')).join('\n');
+}
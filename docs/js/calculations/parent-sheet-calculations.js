@@ -0,0 +1,59 @@
+import { toNumber } from '../utils/units.js';
+import { calculateFinishing } from './finishing-calculations.js';
+import { calculateLayout, createCalculationContext, getLayoutTotal } from './layout-calculations.js';
+
+const EDGE_TOLERANCE = 1e-6;
+
+// A knife position on the sheet edge does not cut anything off, so it is
+// left out of the cut-down list and each group of labels is renumbered.
+const withoutSheetEdges = (readouts, span) => {
+  const steps = new Map();
+  return readouts
+    .filter((readout) => readout.inches > EDGE_TOLERANCE && readout.inches < span - EDGE_TOLERANCE)
+    .map((readout) => {
+      const base = readout.label.replace(/ \d+$/, '');
+      const step = (steps.get(base) ?? 0) + 1;
+      steps.set(base, step);
+      return { ...readout, label: `${base} ${step}` };
+    });
+};
+
+/**
+ * Plans how press sheets are cut out of a parent sheet before anything is
+ * imposed. The press sheet is laid out on the parent like a document with no
+ * gutter or margins, in whichever orientation fits more, with the leftover
+ * strips filled by rotated press sheets. Returns `null` until both sizes are
+ * entered.
+ */
+export function calculateParentCutDown(parent, press, precision) {
+  const parentWidth = toNumber(parent?.width);
+  const parentHeight = toNumber(parent?.height);
+  const pressWidth = toNumber(press?.width);
+  const pressHeight = toNumber(press?.height);
+  if (!(parentWidth > 0 && parentHeight > 0 && pressWidth > 0 && pressHeight > 0)) return null;
+
+  const layout = calculateLayout(
+    createCalculationContext({
+      sheet: { width: parentWidth, height: parentHeight },
+      document: { width: pressWidth, height: pressHeight },
+      gutter: { horizontal: 0, vertical: 0 },
+      orientation: 'best',
+      fillRemainder: true,
+    })
+  );
+  const pressSheetsPerParent = getLayoutTotal(layout);
+  const finishing = pressSheetsPerParent > 0 ? calculateFinishing(layout, { measurementPrecision: precision }) : null;
+  const usedArea = pressSheetsPerParent * pressWidth * pressHeight;
+
+  return {
+    parent: { width: parentWidth, height: parentHeight },
+    press: { width: pressWidth, height: pressHeight },
+    counts: { ...layout.counts },
+    rotated: layout.orientation?.selected === 'rotated',
+    fillCount: layout.remainder?.total ?? 0,
+    pressSheetsPerParent,
+    wastePercent: Math.max(0, 100 * (1 - usedArea / (parentWidth * parentHeight))),
+    cuts: finishing ? withoutSheetEdges(finishing.cuts, parentHeight) : [],
+    slits: finishing ? withoutSheetEdges(finishing.slits, parentWidth) : [],
+  };
+}
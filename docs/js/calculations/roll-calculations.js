@@ -0,0 +1,88 @@
+import { toNumber } from '../utils/units.js';
+import { calculateDocumentCount, createCalculationContext, getLayoutTotal } from './layout-calculations.js';
+
+const INCHES_PER_FOOT = 12;
+const METERS_PER_INCH = 0.0254;
+const SQUARE_INCHES_PER_SQUARE_FOOT = 144;
+
+const toPositive = (value) => Math.max(0, toNumber(value));
+
+export const normalizeRollSpec = (spec = {}) => ({
+  enabled: spec.enabled === true,
+  webWidth: toPositive(spec.webWidth),
+  repeatLength: toPositive(spec.repeatLength),
+  edgeTrim: toPositive(spec.edgeTrim),
+  quantity: Math.floor(toPositive(spec.quantity)),
+});
+
+/**
+ * Roll counterpart of createCalculationContext: one repeat of the web stands
+ * in for the sheet, `webWidth` wide and `repeatLength` long in the feed
+ * direction. Labels run across the web as entered, centred between the edge
+ * trims with the horizontal gutter between lanes. The vertical gutter is the
+ * smallest gap around; the repeat is shared out evenly between the labels that
+ * fit, so the last gap closes onto the next repeat. A blank repeat holds one
+ * label plus its gap.
+ *
+ * The returned context carries `roll` with the resolved repeat, counts and
+ * gap around for calculateRollRun.
+ */
+export function createRollContext({ roll, document, gutter, bleed = {} }) {
+  const spec = normalizeRollSpec(roll);
+  const dw = toPositive(document?.width),
+    dh = toPositive(document?.height);
+  const gh = toPositive(gutter?.horizontal),
+    gv = toPositive(gutter?.vertical);
+  const repeatLength = spec.repeatLength > 0 ? spec.repeatLength : dh + gv;
+  const around = calculateDocumentCount(repeatLength, dh + gv, 0);
+  const gapAround = around > 0 ? repeatLength / around - dh : gv;
+  const across = calculateDocumentCount(spec.webWidth - 2 * spec.edgeTrim, dw, gh);
+  const usedAcross = across > 0 ? across * dw + (across - 1) * gh : 0;
+  const side = (spec.webWidth - usedAcross) / 2;
+
+  const ctx = createCalculationContext({
+    sheet: { width: spec.webWidth, height: repeatLength },
+    document: { width: dw, height: dh },
+    gutter: { horizontal: gh, vertical: gapAround },
+    margins: { top: gapAround / 2, right: side, bottom: gapAround / 2, left: side },
+    orientation: 'as-entered',
+    bleed,
+  });
+  return { ...ctx, roll: { ...spec, repeatLength, across, around, gapAround } };
+}
+
+/**
+ * Run figures for a roll layout: labels per repeat from the placed counts
+ * (after any across/around overrides and blanked cells), the repeats and web length needed for
+ * `quantity`, and the matrix waste stripped from around the labels. Pass
+ * `labelArea` when the die shape is not a full rectangle.
+ */
+export function calculateRollRun(layout, roll, { labelArea } = {}) {
+  if (!roll || !layout) return null;
+  const across = layout.counts?.across ?? 0;
+  const around = layout.counts?.down ?? 0;
+  const perRepeat = getLayoutTotal(layout);
+  const repeats = roll.quantity > 0 && perRepeat > 0 ? Math.ceil(roll.quantity / perRepeat) : 0;
+  const inches = repeats * roll.repeatLength;
+  const area = labelArea ?? layout.document.width * layout.document.height;
+  const webArea = roll.webWidth * roll.repeatLength;
+  const wastePerRepeat = Math.max(0, webArea - perRepeat * area);
+  return {
+    webWidth: roll.webWidth,
+    repeatLength: roll.repeatLength,
+    edgeTrim: roll.edgeTrim,
+    gapAround: roll.gapAround,
+    across,
+    around,
+    perRepeat,
+    quantity: roll.quantity,
+    repeats,
+    produced: repeats * perRepeat,
+    length: { inches, feet: inches / INCHES_PER_FOOT, meters: inches * METERS_PER_INCH },
+    matrixWaste: {
+      percent: webArea > 0 ? (wastePerRepeat / webArea) * 100 : 0,
+      perRepeat: wastePerRepeat,
+      squareFeet: (wastePerRepeat * repeats) / SQUARE_INCHES_PER_SQUARE_FOOT,
+    },
+  };
+}
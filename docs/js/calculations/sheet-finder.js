@@ -0,0 +1,118 @@
+import { toNumber } from '../utils/units.js';
+import { calculateRunPlan } from '../utils/summary-calculations.js';
+import { calculateLayout, createCalculationContext, getLayoutTotal } from './layout-calculations.js';
+
+export const SHEET_FINDER_SORTS = ['yield', 'waste', 'sheets'];
+
+/**
+ * Parses a free-form list of extra sheet sizes such as "14x20, 19×25". Values
+ * are returned in whatever units they were typed in; entries that are not two
+ * positive numbers are skipped.
+ */
+export const parseSheetSizes = (text = '') =>
+  String(text)
+    .split(/[,;\n]+/)
+    .map((entry) => entry.trim().match(/^(\d*\.?\d+)\s*[x×*]\s*(\d*\.?\d+)$/i))
+    .filter(Boolean)
+    .map(([, width, height]) => ({ width: Number(width), height: Number(height) }))
+    .filter((size) => size.width > 0 && size.height > 0);
+
+const compareSheetsNeeded = (a, b) => {
+  if (a.sheetsNeeded === b.sheetsNeeded) return 0;
+  if (a.sheetsNeeded === null) return 1;
+  if (b.sheetsNeeded === null) return -1;
+  return a.sheetsNeeded - b.sheetsNeeded;
+};
+
+const COMPARATORS = {
+  yield: (a, b) => b.yield - a.yield || a.wastePercent - b.wastePercent,
+  waste: (a, b) => a.wastePercent - b.wastePercent || b.yield - a.yield,
+  sheets: (a, b) => compareSheetsNeeded(a, b) || a.wastePercent - b.wastePercent,
+};
+
+/**
+ * Lays the current document out on every candidate sheet and ranks the
+ * results. Margins are left to the non-printable area and press gripper/tail,
+ * matching auto-margin mode, so each sheet is judged on the most it can hold.
+ * The gripper follows the feed edge, so it lands on a different side of a
+ * landscape sheet than a portrait one. Sheets that cannot
+ * fit a single piece always sort last.
+ */
+export function rankSheetCandidates(
+  sheets = [],
+  {
+    document,
+    gutter,
+    nonPrintable,
+    press,
+    imposition,
+    orientation,
+    fillRemainder,
+    bleed,
+    stagger,
+    targetQuantity = 0,
+    sortBy = 'yield',
+  } = {}
+) {
+  const docArea = toNumber(document?.width) * toNumber(document?.height);
+  const compare = COMPARATORS[sortBy] ?? COMPARATORS.yield;
+  return sheets
+    .map((sheet) => {
+      const width = toNumber(sheet.width);
+      const height = toNumber(sheet.height);
+      const layout = calculateLayout(
+        createCalculationContext({
+          sheet: { width, height },
+          document,
+          gutter,
+          nonPrintable,
+          press,
+          imposition,
+          orientation,
+          fillRemainder,
+          bleed,
+          stagger,
+        })
+      );
+      const total = getLayoutTotal(layout);
+      const sheetArea = width * height;
+      const plan = calculateRunPlan({ desiredPieces: targetQuantity, nUp: total });
+      return {
+        id: sheet.id,
+        label: sheet.label,
+        width,
+        height,
+        yield: total,
+        wastePercent: sheetArea > 0 ? Math.max(0, 100 * (1 - (total * docArea) / sheetArea)) : 100,
+        sheetsNeeded: plan ? plan.totalSheets : null,
+        orientation: layout.orientation?.selected ?? 'as-entered',
+      };
+    })
+    .sort((a, b) => {
+      if ((a.yield > 0) !== (b.yield > 0)) return a.yield > 0 ? -1 : 1;
+      return compare(a, b);
+    });
+}
+
+const SAME_SIZE_TOLERANCE = 1e-3;
+
+export const isSameSheetSize = (a, b) =>
+  Math.abs(a.width - b.width) < SAME_SIZE_TOLERANCE && Math.abs(a.height - b.height) < SAME_SIZE_TOLERANCE;
+
+/**
+ * Builds the finder's sheet list: every preset, then the sheet currently
+ * entered and any extra sizes, skipping sizes that are already listed.
+ */
+export function collectSheetCandidates(presets = [], current = null, extras = []) {
+  const sheets = presets.map(({ id, label, width, height }) => ({ id, label, width, height }));
+  const additions = [
+    ...(current ? [{ id: 'current', label: 'Current sheet', ...current }] : []),
+    ...extras.map((size, index) => ({ id: `extra-${index + 1}`, label: `Extra sheet ${index + 1}`, ...size })),
+  ];
+  additions.forEach((sheet) => {
+    if (!(sheet.width > 0 && sheet.height > 0)) return;
+    if (sheets.some((existing) => isSameSheetSize(existing, sheet))) return;
+    sheets.push(sheet);
+  });
+  return sheets;
+}
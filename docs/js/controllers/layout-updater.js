@@ -1,28 +1,72 @@
-import { calculateFinishing } from '../calculations/finishing-calculations.js';
+import { calculateBooklet, mergeBookletScores, planBookletSignatures } from '../calculations/booklet-calculations.js';
+import { calculateCreep } from '../calculations/creep-calculations.js';
+import { applyLineSettings, calculateFinishing } from '../calculations/finishing-calculations.js';
+import {
+  calculateGangFinishing,
+  calculateGangLayout,
+  normalizeGangItems,
+} from '../calculations/gang-run-calculations.js';
 import {
   applyCountOverrides,
+  applySkippedCells,
+  calculateAnchoredMargins,
   calculateLayout,
   createCalculationContext,
+  getGrainAxis,
+  getLayoutTotal,
+  normalizeLayoutAnchor,
 } from '../calculations/layout-calculations.js';
+import { calculateImposition } from '../calculations/imposition-calculations.js';
+import { hasPrinterMarks, normalizeMarkSettings } from '../calculations/marks-calculations.js';
+import { calculateParentCutDown } from '../calculations/parent-sheet-calculations.js';
+import { calculateRollRun, createRollContext } from '../calculations/roll-calculations.js';
+import { calculateNumberingPlan } from '../calculations/numbering-calculations.js';
+import {
+  collectSheetCandidates,
+  parseSheetSizes,
+  rankSheetCandidates,
+} from '../calculations/sheet-finder.js';
+import { sheetPresets } from '../data/input-presets.js';
 import { calculateProgramSequence } from '../utils/program-sequence.js';
-import { getCurrentUnits, isAutoMarginModeEnabled, setMeasurementInput } from '../tabs/inputs.js';
+import {
+  getCurrentUnits,
+  isAutoMarginModeEnabled,
+  setMeasurementInput,
+  updateImpositionSummary,
+  updateOrientationAdvice,
+  updateParentSheetPlan,
+  updateSheetFinder,
+} from '../tabs/inputs.js';
 import {
   $,
   fillTable,
   fillHoleTable,
   parseOffsets,
   readIntOptional,
+  readIntegerInput,
   resetMeasurementRegistry,
   autoActivateLayerVisibility,
 } from '../utils/dom.js';
 import { updateSummaryCalculators } from './summary-calculators.js';
 import {
-  clampToZero,
   formatMeasurement,
   MM_PER_INCH,
 } from '../utils/units.js';
+import { getDieShapeArea, normalizeDieShape } from '../rendering/die-shape-path.js';
 import { drawSVG } from '../rendering/svg-preview-renderer.js';
 import { updatePrintableVisualizer } from '../tabs/print.js';
+import { updateGangRunResults } from '../tabs/gang-run.js';
+import { updateBookletResults } from '../tabs/booklet.js';
+import { updateRollResults } from '../tabs/roll.js';
+import { updateNumberingResults } from '../tabs/numbering.js';
+import { updatePerforationLines } from '../tabs/perforations.js';
+import { updateDrillingResults } from '../tabs/drilling.js';
+import { updateSkippedCellsSummary } from '../tabs/summary.js';
+import { updateCreepResults } from '../tabs/creep.js';
+import { updateWarnings } from '../tabs/warnings.js';
+import { collectLayoutWarnings } from '../calculations/layout-warnings.js';
+import { findHoleConflicts } from '../calculations/hole-validation.js';
+import { calculateDrillStack, normalizeDrillStackSpec } from '../calculations/drill-stack-calculations.js';
 
 function updateDocCountField(selector, count) {
   const el = $(selector);
@@ -46,6 +90,15 @@ function currentInputs() {
     if (!Number.isFinite(raw)) return 0;
     return units === 'mm' ? raw / MM_PER_INCH : raw;
   };
+  const readInchesOptional = (selector) => (($(selector)?.value || '').trim() === '' ? null : readInches(selector));
+  const readInchesList = (selector) =>
+    parseOffsets($(selector)?.value || '').map((value) => (units === 'mm' ? value / MM_PER_INCH : value));
+  // Blank pattern fields leave that axis with the regular gutter.
+  const readGutterPattern = (suffix) => ({
+    every: readIntOptional(`#gutEvery${suffix}`) ?? 0,
+    wide: readInchesOptional(`#gutWide${suffix}`),
+    gaps: readInchesList(`#gutGaps${suffix}`),
+  });
   const autoMargins = isAutoMarginModeEnabled();
   const rawMargins = {
     top: readInches('#mTop'),
@@ -55,9 +108,23 @@ function currentInputs() {
   };
   return {
     units,
-    sheet: { width: readInches('#sheetW'), height: readInches('#sheetH') },
+    sheet: { width: readInches('#sheetW'), height: readInches('#sheetH'), grain: $('#sheetGrain')?.value || null },
+    parentSheet: { width: readInches('#parentW'), height: readInches('#parentH') },
     document: { width: readInches('#docW'), height: readInches('#docH') },
-    gutter: { horizontal: readInches('#gutH'), vertical: readInches('#gutV') },
+    gutter: {
+      horizontal: readInches('#gutH'),
+      vertical: readInches('#gutV'),
+      pattern: { horizontal: readGutterPattern('H'), vertical: readGutterPattern('V') },
+    },
+    orientation: $('#docOrientation')?.value || 'as-entered',
+    fillRemainder: Boolean($('#fillRemainder')?.checked),
+    imposition: $('#impositionMode')?.value || 'sheetwise',
+    stagger: { mode: $('#staggerMode')?.value || 'none', pitch: readInches('#staggerPitch') },
+    anchor: normalizeLayoutAnchor({
+      point: $('#layoutAnchor')?.value,
+      offsetX: readInches('#anchorOffsetX'),
+      offsetY: readInches('#anchorOffsetY'),
+    }),
     margins: autoMargins ? { top: 0, right: 0, bottom: 0, left: 0 } : rawMargins,
     nonPrintable: {
       top: readInches('#npTop'),
@@ -65,13 +132,49 @@ function currentInputs() {
       bottom: readInches('#npBottom'),
       left: readInches('#npLeft'),
     },
+    press: {
+      gripper: readInches('#pressGripper'),
+      tail: readInches('#pressTail'),
+      feed: $('#pressFeed')?.value || 'short-edge',
+    },
+    bleed: {
+      top: readInches('#bleedTop'),
+      right: readInches('#bleedRight'),
+      bottom: readInches('#bleedBottom'),
+      left: readInches('#bleedLeft'),
+    },
+    marks: normalizeMarkSettings({
+      crop: Boolean($('#marksCrop')?.checked),
+      length: readInches('#marksLength'),
+      offset: readInches('#marksOffset'),
+      weight: Number($('#marksWeight')?.value),
+      registration: Boolean($('#marksRegistration')?.checked),
+      slug: Boolean($('#marksSlug')?.checked),
+      slugDepth: readInches('#marksSlugDepth'),
+    }),
     scoreV: parseOffsets($('#scoresV')?.value || ''),
     scoreH: parseOffsets($('#scoresH')?.value || ''),
     perfV: parseOffsets($('#perfV')?.value || ''),
     perfH: parseOffsets($('#perfH')?.value || ''),
+    perfLines: readJsonInput('#perfLineData', { vertical: {}, horizontal: {} }),
+    panelScores: readJsonInput('#panelScoreData', []),
     forceAcross: readIntOptional('#forceAcross'),
     forceDown: readIntOptional('#forceDown'),
+    skippedCells: readJsonInput('#skippedCellsData', []),
     drilling: readHolePlan(),
+    gangRun: readGangRun(),
+    roll: readJsonInput('#rollData', { enabled: false }),
+    numbering: readJsonInput('#numberingData', { enabled: false }),
+    booklet: readJsonInput('#bookletData', { enabled: false }),
+    creepMethod: $('#creepMethod')?.value || 'artwork',
+    sheetFinder: {
+      quantity: readIntegerInput('#sheetFinderQty', { min: 0, fallback: 0 }),
+      sortBy: $('#sheetFinderSort')?.value || 'yield',
+      extraSheets: parseSheetSizes($('#sheetFinderSheets')?.value || '').map((size) => ({
+        width: units === 'mm' ? size.width / MM_PER_INCH : size.width,
+        height: units === 'mm' ? size.height / MM_PER_INCH : size.height,
+      })),
+    },
     autoMargins,
   };
 }
@@ -89,13 +192,24 @@ function readJsonInput(selector, defaultValue) {
 }
 
 function readHolePlan() {
-  const defaults = { preset: 'none', size: 0, entries: [] };
+  const defaults = { preset: 'none', size: 0, edge: 'left', fence: 'left', caliper: 0, entries: [] };
   const parsed = readJsonInput('#holePlanData', defaults);
   if (parsed === defaults) return defaults;
   const preset = typeof parsed.preset === 'string' ? parsed.preset : 'none';
   const size = Number(parsed.size);
   const entries = Array.isArray(parsed.entries) ? parsed.entries : [];
-  return { preset, size: Number.isFinite(size) ? size : 0, entries };
+  const edge = typeof parsed.edge === 'string' ? parsed.edge : 'left';
+  return { preset, size: Number.isFinite(size) ? size : 0, edge, entries, ...normalizeDrillStackSpec(parsed) };
+}
+
+function readGangRun() {
+  const defaults = { enabled: false, items: [] };
+  const parsed = readJsonInput('#gangRunData', defaults);
+  if (parsed === defaults) return defaults;
+  return {
+    enabled: parsed.enabled === true,
+    items: Array.isArray(parsed.items) ? parsed.items : [],
+  };
 }
 
 function readRoundedCorners() {
@@ -114,56 +228,117 @@ function readRoundedCorners() {
   };
 }
 
+function readDieShape() {
+  return normalizeDieShape(readJsonInput('#dieShapeData', { type: 'rectangle' }));
+}
+
 export function status(txt) {
   $('#status').textContent = txt;
 }
 
 export function update() {
   const inp = currentInputs();
-  let ctx = createCalculationContext(inp);
-  let layout = calculateLayout(ctx);
-  layout = applyCountOverrides(layout, inp.forceAcross, inp.forceDown);
-
-  if (inp.autoMargins) {
-    const effW = ctx.sheet.effectiveWidth,
-      effH = ctx.sheet.effectiveHeight;
-    const usedW = layout.usage.horizontal.usedSpan,
-      usedH = layout.usage.vertical.usedSpan;
-    const printableLeftoverX = clampToZero((effW - usedW) / 2);
-    const printableLeftoverY = clampToZero((effH - usedH) / 2);
-    const leftMargin = ctx.sheet.nonPrintable.left + printableLeftoverX;
-    const rightMargin = ctx.sheet.nonPrintable.right + printableLeftoverX;
-    const topMargin = ctx.sheet.nonPrintable.top + printableLeftoverY;
-    const bottomMargin = ctx.sheet.nonPrintable.bottom + printableLeftoverY;
+  // Plan the parent sheet cut-down first; the press sheet it yields is the
+  // sheet everything below imposes on.
+  const parentPlan = calculateParentCutDown(inp.parentSheet, inp.sheet);
+  // Roll mode prints the entered label on a web instead of press sheets, so it
+  // takes precedence over the sheet-only gang run and booklet modes.
+  const rollPlan = inp.roll.enabled === true ? inp.roll : null;
+  // A gang run replaces the single document grid with packed item strips.
+  const gangItems = !rollPlan && inp.gangRun.enabled ? normalizeGangItems(inp.gangRun.items) : [];
+  // Booklet mode imposes the printer spread in place of the entered document.
+  // Each spread carries different pages, so the sheet is always printed sheetwise.
+  const bookletPlan =
+    !rollPlan && gangItems.length === 0 && inp.booklet.enabled === true ? calculateBooklet(inp.booklet) : null;
+  const layoutInputs = bookletPlan ? { ...inp, document: bookletPlan.spread, imposition: 'sheetwise' } : inp;
+  const layoutFor = (context) =>
+    gangItems.length > 0
+      ? calculateGangLayout(context, gangItems)
+      : applyCountOverrides(calculateLayout(context), inp.forceAcross, inp.forceDown);
+  // Front/back imposition splits the single document grid; gang strips are
+  // always printed sheetwise.
+  let ctx = rollPlan
+    ? createRollContext({ roll: rollPlan, document: inp.document, gutter: inp.gutter, bleed: inp.bleed })
+    : createCalculationContext(gangItems.length > 0 ? { ...inp, imposition: 'sheetwise' } : layoutInputs);
+  let layout = layoutFor(ctx);
+
+  // Auto margins always re-place the grid; manual margins only move it when an
+  // anchor or offset asks for something other than the top-left origin, or when
+  // work-and-turn/tumble needs the grid centred on the sheet. Roll lanes are
+  // already centred on the web.
+  const anchored = inp.anchor.point !== 'auto' || inp.anchor.offsetX !== 0 || inp.anchor.offsetY !== 0;
+  if (!rollPlan && (inp.autoMargins || anchored || ctx.imposition.selfBacking)) {
+    // Re-placing shrinks the layout area, which can turn a rotation win into a
+    // tie. Pin the orientation chosen on the full area and keep its report.
+    const orientation = layout.orientation;
+    // Place everything, including any rotated fill blocks, with the outer
+    // bleed kept inside the layout area.
+    const margins = calculateAnchoredMargins(layout, inp.anchor, { autoMargins: inp.autoMargins });
     ctx = createCalculationContext({
-      sheet: { width: ctx.sheet.rawWidth, height: ctx.sheet.rawHeight },
+      sheet: { width: ctx.sheet.rawWidth, height: ctx.sheet.rawHeight, grain: ctx.sheet.grain },
       document: ctx.document,
       gutter: ctx.gutter,
-      margins: { top: topMargin, right: rightMargin, bottom: bottomMargin, left: leftMargin },
+      margins,
       nonPrintable: ctx.sheet.nonPrintable,
+      press: ctx.sheet.press,
+      imposition: ctx.imposition.mode,
+      orientation: orientation?.selected,
+      fillRemainder: ctx.fillRemainder,
+      bleed: ctx.bleed,
+      stagger: ctx.stagger,
     });
-    layout = calculateLayout(ctx);
-    layout = applyCountOverrides(layout, inp.forceAcross, inp.forceDown);
-    // Feed the derived margins through the shared helper so the canonical inch
-    // cache and display stay synchronized for subsequent calculations.
-    setMeasurementInput('#mTop', topMargin, inp.units);
-    setMeasurementInput('#mRight', rightMargin, inp.units);
-    setMeasurementInput('#mBottom', bottomMargin, inp.units);
-    setMeasurementInput('#mLeft', leftMargin, inp.units);
+    layout = layoutFor(ctx);
+    if (orientation) layout.orientation = { ...orientation };
+    if (inp.autoMargins) {
+      // Feed the derived margins through the shared helper so the canonical inch
+      // cache and display stay synchronized for subsequent calculations.
+      setMeasurementInput('#mTop', margins.top, inp.units);
+      setMeasurementInput('#mRight', margins.right, inp.units);
+      setMeasurementInput('#mBottom', margins.bottom, inp.units);
+      setMeasurementInput('#mLeft', margins.left, inp.units);
+    }
   }
 
+  // Blanked cells are picked on the placed grid, so they go on last.
+  layout = applySkippedCells(layout, inp.skippedCells);
+
+  const booklet = bookletPlan ? planBookletSignatures(bookletPlan, getLayoutTotal(layout)) : null;
+  const scores = mergeBookletScores(booklet, { horizontal: inp.scoreH, vertical: inp.scoreV });
+
+  const dieShape = readDieShape();
+  layout.roll = calculateRollRun(layout, ctx.roll, {
+    labelArea: getDieShapeArea(dieShape, layout.document.width, layout.document.height),
+  });
+
+  // Numbering runs one piece through the grid, so it has nothing to number in
+  // gang runs, booklets or on a web.
+  layout.numbering = layout.gang || booklet || layout.roll ? null : calculateNumberingPlan(layout, inp.numbering);
+
   resetMeasurementRegistry();
-  const fin = calculateFinishing(layout, {
-    scoreHorizontal: inp.scoreH,
-    scoreVertical: inp.scoreV,
-    perforationHorizontal: inp.perfH,
-    perforationVertical: inp.perfV,
+  const finishingOptions = {
+    scoreHorizontal: scores.horizontal,
+    scoreVertical: scores.vertical,
+    perforationHorizontal: applyLineSettings(inp.perfH, inp.perfLines.horizontal),
+    perforationVertical: applyLineSettings(inp.perfV, inp.perfLines.vertical),
     holePlan: inp.drilling,
-  });
+    panelScores: inp.panelScores,
+  };
+  const fin = layout.gang ? calculateGangFinishing(layout) : calculateFinishing(layout, finishingOptions);
   layout.roundedCorners = readRoundedCorners();
-  const programSequence = calculateProgramSequence(layout);
+  layout.dieShape = dieShape;
+  layout.holeConflicts = findHoleConflicts(layout, fin);
+  // A web has no sheet margins to carry printer's marks.
+  layout.marks = layout.roll ? normalizeMarkSettings() : inp.marks;
+  layout.creep = calculateCreep(booklet, { method: inp.creepMethod });
+  // The guillotine program assumes one uniform grid; gang runs use the cut list
+  // and staggered grids and roll labels are die-cut.
+  const programSequence = layout.gang || layout.stagger || layout.roll ? [] : calculateProgramSequence(layout);
 
   autoActivateLayerVisibility({
+    bleed: Object.values(layout.bleed ?? {}).some((value) => value > 0),
+    press: (layout.sheet.press?.gripper ?? 0) > 0 || (layout.sheet.press?.tail ?? 0) > 0,
+    imposition: Boolean(layout.imposition?.selfBacking),
+    marks: hasPrinterMarks(layout.marks),
     scores:
       (fin.scores?.horizontal?.length ?? 0) > 0 ||
       (fin.scores?.vertical?.length ?? 0) > 0,
@@ -171,16 +346,58 @@ export function update() {
       (fin.perforations?.horizontal?.length ?? 0) > 0 ||
       (fin.perforations?.vertical?.length ?? 0) > 0,
     holes: (fin.holes?.length ?? 0) > 0,
+    grain: Boolean(getGrainAxis(layout.sheet)),
+    numbering: (layout.numbering?.sheets ?? 0) > 0,
   });
 
-  updateDocCountField('#forceAcross', layout.counts.across);
-  updateDocCountField('#forceDown', layout.counts.down);
+  updateOrientationAdvice(layout.orientation);
+  updateImpositionSummary(calculateImposition(layout));
+  updateGangRunResults(layout.gang);
+  updateBookletResults(booklet);
+  updateRollResults(layout.roll);
+  updateNumberingResults(layout.numbering);
+  updatePerforationLines({ vertical: inp.perfV, horizontal: inp.perfH });
+  updateSkippedCellsSummary(layout.skipped);
+  updateCreepResults(layout.creep);
+  // The finder ranks the single document on press sheets, so it has nothing
+  // to say for gangs or rolls.
+  updateSheetFinder(
+    layout.gang || layout.roll
+      ? null
+      : rankSheetCandidates(collectSheetCandidates(sheetPresets, inp.sheet, inp.sheetFinder.extraSheets), {
+        document: layoutInputs.document,
+        gutter: inp.gutter,
+        nonPrintable: inp.nonPrintable,
+        press: inp.press,
+        imposition: layoutInputs.imposition,
+        orientation: inp.orientation,
+        fillRemainder: inp.fillRemainder,
+        bleed: inp.bleed,
+        stagger: inp.stagger,
+        targetQuantity: inp.sheetFinder.quantity,
+        sortBy: inp.sheetFinder.sortBy,
+      }),
+    inp.sheet
+  );
+  updateWarnings(
+    collectLayoutWarnings(layout, {
+      units: inp.units,
+      scores: fin.scores,
+      holes: fin.holes,
+      finishing: finishingOptions,
+    })
+  );
+  if (!layout.gang) {
+    updateDocCountField('#forceAcross', layout.counts.across);
+    updateDocCountField('#forceDown', layout.counts.down);
+  }
 
-  updateSummaryCalculators(layout);
+  updateParentSheetPlan(parentPlan);
+  updateSummaryCalculators(layout, { pressSheetsPerParent: parentPlan?.pressSheetsPerParent ?? 0 });
 
-  $('#vAcross').textContent = layout.counts.across;
-  $('#vDown').textContent = layout.counts.down;
-  $('#vTotal').textContent = layout.counts.across * layout.counts.down;
+  $('#vAcross').textContent = layout.gang ? '—' : layout.counts.across;
+  $('#vDown').textContent = layout.gang ? '—' : layout.counts.down;
+  $('#vTotal').textContent = getLayoutTotal(layout);
   const summaryPrecision = inp.units === 'mm' ? 2 : 3;
   const formatSummary = (value) => formatMeasurement(value, inp.units, summaryPrecision);
   $('#vLayout').textContent = `${formatSummary(layout.layoutArea.width)} × ${formatSummary(layout.layoutArea.height)}`;
@@ -197,12 +414,17 @@ export function update() {
 
   fillTable($('#tblCuts tbody'), fin.cuts, 'cut');
   fillTable($('#tblSlits tbody'), fin.slits, 'slit');
-  fillTable($('#tblScoresH tbody'), fin.scores.horizontal, 'score-horizontal');
-  fillTable($('#tblScoresV tbody'), fin.scores.vertical, 'score-vertical');
+  fillTable($('#tblScoresH tbody'), fin.scores.horizontal, 'score-horizontal', { showExtent: true });
+  fillTable($('#tblScoresV tbody'), fin.scores.vertical, 'score-vertical', { showExtent: true });
   fillTable($('#tblPerforationsH tbody'), fin.perforations.horizontal, 'perforation-horizontal');
   fillTable($('#tblPerforationsV tbody'), fin.perforations.vertical, 'perforation-vertical');
   fillTable($('#tblProgramSequence tbody'), programSequence, 'program-sequence');
   fillHoleTable($('#tblHoles tbody'), fin.holes ?? []);
+  updateDrillingResults({
+    binding: fin.binding ?? null,
+    stack: calculateDrillStack(layout, fin.holes, inp.drilling, { punched: Boolean(fin.binding) }),
+  });
+  fillTable($('#tblParentCuts tbody'), parentPlan ? [...parentPlan.cuts, ...parentPlan.slits] : [], 'parent-cut');
 
   updatePrintableVisualizer({ layout, finishing: fin, context: ctx, programSequence });
 
@@ -1,4 +1,5 @@
 import { $, $$, readFloatInput, readIntegerInput } from '../utils/dom.js';
+import { getLayoutTotal } from '../calculations/layout-calculations.js';
 import {
   calculatePadTotals,
   calculateRunPlan,
@@ -23,6 +24,7 @@ const INPUT_SELECTORS = [
 let initialized = false;
 let autoNUp = 1;
 let pendingAutoNUp = null;
+let pressSheetsPerParent = 0;
 
 const formatNumber = (value) => {
   if (!Number.isFinite(value)) {
@@ -103,19 +105,24 @@ const updateRunPlanner = () => {
   const nUp = readNUp('#runNUp');
   const oversPercent = readFloatInput('#runOvers', { min: 0, fallback: 0 });
 
-  const result = calculateRunPlan({ desiredPieces, nUp, oversPercent });
+  const result = calculateRunPlan({ desiredPieces, nUp, oversPercent, pressSheetsPerParent });
   if (!result) {
     setText('#runTotalPieces', '—');
     setText('#runTotalSheets', '—');
     setText('#runOversBreakdown', '—');
+    setText('#runParentSheets', '—');
     return;
   }
 
-  const { totalPieces, totalSheets, oversPieces, oversSheets } = result;
+  const { totalPieces, totalSheets, oversPieces, oversSheets, parentSheets } = result;
 
   setText('#runTotalPieces', formatNumber(totalPieces));
   setText('#runTotalSheets', formatNumber(totalSheets));
   setText('#runOversBreakdown', formatPiecesWithSheets(oversPieces, oversSheets));
+  setText(
+    '#runParentSheets',
+    parentSheets === null ? '—' : `${formatNumber(parentSheets)} (${formatNumber(pressSheetsPerParent)} press sheets each)`
+  );
 };
 
 const updateSheetsConverter = () => {
@@ -211,10 +218,15 @@ export function initializeSummaryCalculators() {
   recalcAll();
 }
 
-export function updateSummaryCalculators(layout) {
+/**
+ * Pushes the latest layout into the calculators. `pressSheetsPerParent` comes
+ * from the parent sheet cut-down plan and is zero when no parent is entered.
+ */
+export function updateSummaryCalculators(layout, { pressSheetsPerParent: perParent = 0 } = {}) {
+  pressSheetsPerParent = Number.isFinite(perParent) ? Math.max(0, Math.floor(perParent)) : 0;
   const counts = layout?.counts;
   const totalNUp = Number.isFinite(counts?.across) && Number.isFinite(counts?.down)
-    ? counts.across * counts.down
+    ? getLayoutTotal(layout)
     : null;
   if (totalNUp === null) {
     return;
@@ -4,6 +4,7 @@ export const sheetPresets = [
     label: '12×18 in',
     width: 12,
     height: 18,
+    grain: 'long',
     systems: ['imperial'],
   },
   {
@@ -11,6 +12,7 @@ export const sheetPresets = [
     label: '13×19 in',
     width: 13,
     height: 19,
+    grain: 'long',
     systems: ['imperial'],
   },
   {
@@ -18,6 +20,7 @@ export const sheetPresets = [
     label: 'A3 (297×420 mm)',
     width: 11.69291,
     height: 16.53543,
+    grain: 'long',
     systems: ['metric'],
   },
   {
@@ -25,6 +28,59 @@ export const sheetPresets = [
     label: 'SRA3 (320×450 mm)',
     width: 12.59843,
     height: 17.71654,
+    grain: 'long',
+    systems: ['metric'],
+  },
+];
+
+export const parentSheetPresets = [
+  {
+    id: 'parent-2335',
+    label: '23×35 in',
+    width: 23,
+    height: 35,
+    systems: ['imperial'],
+  },
+  {
+    id: 'parent-2538',
+    label: '25×38 in',
+    width: 25,
+    height: 38,
+    systems: ['imperial'],
+  },
+  {
+    id: 'parent-2640',
+    label: '26×40 in',
+    width: 26,
+    height: 40,
+    systems: ['imperial'],
+  },
+  {
+    id: 'parent-2840',
+    label: '28×40 in',
+    width: 28,
+    height: 40,
+    systems: ['imperial'],
+  },
+  {
+    id: 'parent-sra2',
+    label: 'SRA2 (450×640 mm)',
+    width: 17.71654,
+    height: 25.19685,
+    systems: ['metric'],
+  },
+  {
+    id: 'parent-sra1',
+    label: 'SRA1 (640×900 mm)',
+    width: 25.19685,
+    height: 35.43307,
+    systems: ['metric'],
+  },
+  {
+    id: 'parent-b1',
+    label: 'B1 (707×1000 mm)',
+    width: 27.83465,
+    height: 39.37008,
     systems: ['metric'],
   },
 ];
@@ -1,3 +1,5 @@
+import { calculateFoldPlan } from '../calculations/fold-calculations.js';
+
 const perSide = (value) => ({ top: value, right: value, bottom: value, left: value });
 
 export const layoutPresets = {
@@ -16,7 +18,8 @@ export const layoutPresets = {
     document: { width: 11, height: 8.5 },
     gutter: { horizontal: 0.25, vertical: 0.25 },
     nonPrintable: perSide(0.125),
-    scores: { horizontal: [], vertical: [1 / 3, 2 / 3] },
+    // A letter fold on text stock: the tuck-in panel is 1/16 in short.
+    scores: { horizontal: [], vertical: calculateFoldPlan({ type: 'letter', width: 11 }).offsets },
     perforations: { horizontal: [], vertical: [] },
   },
   'postcard-gang-run': {
@@ -4,6 +4,12 @@ import finishingTab from '../tabs/finishing.js';
 import perforationsTab from '../tabs/perforations.js';
 import drillingTab from '../tabs/drilling.js';
 import roundedCornersTab from '../tabs/rounded-corners.js';
+import dieShapeTab from '../tabs/die-shape.js';
+import gangRunTab from '../tabs/gang-run.js';
+import rollTab from '../tabs/roll.js';
+import numberingTab from '../tabs/numbering.js';
+import bookletTab from '../tabs/booklet.js';
+import creepTab from '../tabs/creep.js';
 import presetsTab from '../tabs/presets.js';
 import printTab from '../tabs/print.js';
 import programSequenceTab from '../tabs/program-sequence.js';
@@ -14,13 +20,19 @@ import { initializeTabRegistry, registerTab } from '../tabs/registry.js';
 
 const TAB_REGISTRATIONS = ({ update, status }) => [
   { module: inputsTab, context: { update, status } },
-  { module: summaryTab, context: {} },
+  { module: summaryTab, context: { update, status } },
   { module: finishingTab, context: {} },
   { module: programSequenceTab, context: {} },
   { module: scoresTab, context: { update, status } },
   { module: perforationsTab, context: { update, status } },
   { module: drillingTab, context: { update, status } },
   { module: roundedCornersTab, context: { update, status } },
+  { module: dieShapeTab, context: { update, status } },
+  { module: gangRunTab, context: { update, status } },
+  { module: rollTab, context: { update, status } },
+  { module: numberingTab, context: { update, status } },
+  { module: bookletTab, context: { update, status } },
+  { module: creepTab, context: { update, status } },
   { module: warningsTab, context: {} },
   { module: printTab, context: {} },
   {
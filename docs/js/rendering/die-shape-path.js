@@ -0,0 +1,436 @@
+import { clampCornerRadii, normalizeCornerRadii } from '../calculations/corner-radii.js';
+import { buildRoundedRectPath } from './rounded-rect-path.js';
+
+export const DIE_SHAPE_LABELS = {
+  rectangle: 'Rectangle',
+  circle: 'Circle',
+  ellipse: 'Ellipse',
+  oval: 'Oval',
+  path: 'Custom path',
+};
+
+// Inches per path unit for the units a pasted path can be drawn in.
+export const PATH_UNIT_SCALES = {
+  in: 1,
+  mm: 1 / 25.4,
+  pt: 1 / 72,
+  px: 1 / 96,
+};
+
+const ARGUMENT_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const FLAG_PATTERN = /[01]/y;
+const SEPARATOR_PATTERN = /[\s,]/;
+const COMMAND_PATTERN = /[MLHVCSQTAZ]/i;
+
+// Converts one SVG arc into cubic segments (SVG 1.1 implementation notes F.6.5
+// and F.6.6) so every path is made of points that scale and rotate exactly.
+function arcToCubics([x1, y1], radiusX, radiusY, rotation, largeArc, sweep, [x2, y2]) {
+  if (x1 === x2 && y1 === y2) return [];
+  let rx = Math.abs(radiusX);
+  let ry = Math.abs(radiusY);
+  if (rx === 0 || ry === 0) return [{ type: 'L', points: [[x2, y2]] }];
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+  const step = delta / segments;
+  const handle = (4 / 3) * Math.tan(step / 4);
+  const pointAt = (t) => [
+    cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+    cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos,
+  ];
+  const tangentAt = (t) => [
+    -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+    -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos,
+  ];
+  return Array.from({ length: segments }, (_, index) => {
+    const t1 = start + index * step;
+    const t2 = t1 + step;
+    const [p1x, p1y] = pointAt(t1);
+    const [p2x, p2y] = index === segments - 1 ? [x2, y2] : pointAt(t2);
+    const [d1x, d1y] = tangentAt(t1);
+    const [d2x, d2y] = tangentAt(t2);
+    return {
+      type: 'C',
+      points: [
+        [p1x + handle * d1x, p1y + handle * d1y],
+        [p2x - handle * d2x, p2y - handle * d2y],
+        [p2x, p2y],
+      ],
+    };
+  });
+}
+
+/**
+ * Parses SVG path data into absolute `M`, `L`, `C`, `Q` and `Z` commands, each
+ * with its `points`. Relative commands, shorthand curves and arcs are resolved
+ * along the way (arcs become cubics). Returns `null` when the data cannot be
+ * read or draws nothing.
+ */
+export function parseSvgPath(pathData) {
+  const source = String(pathData ?? '');
+  const commands = [];
+  let index = 0;
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  let lastControl = null;
+  let command = null;
+
+  const skipSeparators = () => {
+    while (index < source.length && SEPARATOR_PATTERN.test(source[index])) index += 1;
+  };
+  const read = (pattern) => {
+    skipSeparators();
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) return null;
+    index = pattern.lastIndex;
+    return Number(match[0]);
+  };
+
+  for (;;) {
+    skipSeparators();
+    if (index >= source.length) break;
+    if (COMMAND_PATTERN.test(source[index])) {
+      command = source[index];
+      index += 1;
+    } else if (!command || command.toUpperCase() === 'Z') {
+      return null;
+    }
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    const args = [];
+    for (let slot = 0; slot < ARGUMENT_COUNTS[upper]; slot += 1) {
+      const value = read(upper === 'A' && (slot === 3 || slot === 4) ? FLAG_PATTERN : NUMBER_PATTERN);
+      if (value === null) return null;
+      args.push(value);
+    }
+    const [ox, oy] = relative ? current : [0, 0];
+    const point = (x, y) => [ox + x, oy + y];
+    let control = null;
+
+    if (upper === 'M') {
+      current = point(args[0], args[1]);
+      subpathStart = current;
+      commands.push({ type: 'M', points: [current] });
+      // Further coordinate pairs after a moveto are implicit linetos.
+      command = relative ? 'l' : 'L';
+    } else if (upper === 'L' || upper === 'H' || upper === 'V') {
+      const x = upper === 'V' ? current[0] : (relative ? ox : 0) + args[0];
+      const y = upper === 'H' ? current[1] : upper === 'V' ? (relative ? oy : 0) + args[0] : oy + args[1];
+      current = [x, y];
+      commands.push({ type: 'L', points: [current] });
+    } else if (upper === 'C' || upper === 'S') {
+      const first =
+        upper === 'C'
+          ? point(args[0], args[1])
+          : lastControl?.type === 'C'
+            ? [2 * current[0] - lastControl.point[0], 2 * current[1] - lastControl.point[1]]
+            : current;
+      const rest = upper === 'C' ? args.slice(2) : args;
+      const second = point(rest[0], rest[1]);
+      current = point(rest[2], rest[3]);
+      commands.push({ type: 'C', points: [first, second, current] });
+      control = { type: 'C', point: second };
+    } else if (upper === 'Q' || upper === 'T') {
+      const handle =
+        upper === 'Q'
+          ? point(args[0], args[1])
+          : lastControl?.type === 'Q'
+            ? [2 * current[0] - lastControl.point[0], 2 * current[1] - lastControl.point[1]]
+            : current;
+      current = upper === 'Q' ? point(args[2], args[3]) : point(args[0], args[1]);
+      commands.push({ type: 'Q', points: [handle, current] });
+      control = { type: 'Q', point: handle };
+    } else if (upper === 'A') {
+      const end = point(args[5], args[6]);
+      commands.push(...arcToCubics(current, args[0], args[1], args[2], args[3] === 1, args[4] === 1, end));
+      current = end;
+    } else {
+      commands.push({ type: 'Z', points: [] });
+      current = subpathStart;
+    }
+    lastControl = control;
+  }
+
+  return commands.some((entry) => entry.type !== 'M' && entry.type !== 'Z') ? commands : null;
+}
+
+// Parameters in (0, 1) where a quadratic or cubic Bézier turns along one axis.
+function curveExtrema(values) {
+  if (values.length === 3) {
+    const [p0, p1, p2] = values;
+    const denominator = p0 - 2 * p1 + p2;
+    return denominator === 0 ? [] : [(p0 - p1) / denominator];
+  }
+  const [p0, p1, p2, p3] = values;
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  if (Math.abs(a) < 1e-12) return b === 0 ? [] : [-c / b];
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return [];
+  const root = Math.sqrt(discriminant);
+  return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+}
+
+const bezierAt = (values, t) =>
+  values.length === 3
+    ? (1 - t) ** 2 * values[0] + 2 * (1 - t) * t * values[1] + t ** 2 * values[2]
+    : (1 - t) ** 3 * values[0] + 3 * (1 - t) ** 2 * t * values[1] + 3 * (1 - t) * t ** 2 * values[2] + t ** 3 * values[3];
+
+/**
+ * Tight bounding box of parsed path commands, following curves to their
+ * turning points rather than their control handles.
+ */
+export function getPathBounds(commands) {
+  const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  const include = ([x, y]) => {
+    bounds.left = Math.min(bounds.left, x);
+    bounds.right = Math.max(bounds.right, x);
+    bounds.top = Math.min(bounds.top, y);
+    bounds.bottom = Math.max(bounds.bottom, y);
+  };
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  (commands ?? []).forEach(({ type, points }) => {
+    if (type === 'Z') {
+      current = subpathStart;
+      return;
+    }
+    const end = points[points.length - 1];
+    if (type === 'M') subpathStart = end;
+    if (type === 'C' || type === 'Q') {
+      const xs = [current[0], ...points.map((point) => point[0])];
+      const ys = [current[1], ...points.map((point) => point[1])];
+      [...curveExtrema(xs), ...curveExtrema(ys)]
+        .filter((t) => t > 0 && t < 1)
+        .forEach((t) => include([bezierAt(xs, t), bezierAt(ys, t)]));
+    }
+    include(end);
+    current = end;
+  });
+  if (!Number.isFinite(bounds.left)) return null;
+  return { x: bounds.left, y: bounds.top, width: bounds.right - bounds.left, height: bounds.bottom - bounds.top };
+}
+
+const mapPathPoints = (commands, transform) =>
+  commands.map(({ type, points }) => ({ type, points: points.map(transform) }));
+
+const formatNumber = (value) => String(Number(value.toFixed(4)));
+
+export const formatSvgPath = (commands) =>
+  commands
+    .map(({ type, points }) => [type, ...points.flatMap((point) => point.map(formatNumber))].join(' '))
+    .join(' ');
+
+// Scales a path by `factor` about the origin, e.g. to turn points into inches.
+export const scaleSvgPath = (commands, factor) => mapPathPoints(commands, ([x, y]) => [x * factor, y * factor]);
+
+const TRANSFORM_PATTERN = /[\s,]*(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)[\s,]*/y;
+
+// Product of two `[a, b, c, d, e, f]` SVG matrices; the second applies first.
+const multiplyMatrices = ([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) => [
+  a1 * a2 + c1 * b2,
+  b1 * a2 + d1 * b2,
+  a1 * c2 + c1 * d2,
+  b1 * c2 + d1 * d2,
+  a1 * e2 + c1 * f2 + e1,
+  b1 * e2 + d1 * f2 + f1,
+];
+
+function transformMatrix(name, args) {
+  const count = args.length;
+  if (name === 'matrix') return count === 6 ? args : null;
+  if (name === 'translate') return count === 1 || count === 2 ? [1, 0, 0, 1, args[0], args[1] ?? 0] : null;
+  if (name === 'scale') return count === 1 || count === 2 ? [args[0], 0, 0, args[1] ?? args[0], 0, 0] : null;
+  const radians = (args[0] * Math.PI) / 180;
+  if (name === 'skewX') return count === 1 ? [1, 0, Math.tan(radians), 1, 0, 0] : null;
+  if (name === 'skewY') return count === 1 ? [1, Math.tan(radians), 0, 1, 0, 0] : null;
+  if (count !== 1 && count !== 3) return null;
+  const [, cx = 0, cy = 0] = args;
+  const rotation = [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0];
+  return multiplyMatrices(multiplyMatrices([1, 0, 0, 1, cx, cy], rotation), [1, 0, 0, 1, -cx, -cy]);
+}
+
+// Reads an SVG `transform` list into one matrix; `null` when any part is unreadable.
+function parseSvgTransform(value) {
+  const source = String(value ?? '');
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let index = 0;
+  while (index < source.length && source.slice(index).trim() !== '') {
+    TRANSFORM_PATTERN.lastIndex = index;
+    const match = TRANSFORM_PATTERN.exec(source);
+    if (!match) return null;
+    index = TRANSFORM_PATTERN.lastIndex;
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    const step = args.every(Number.isFinite) ? transformMatrix(match[1], args) : null;
+    if (!step) return null;
+    matrix = multiplyMatrices(matrix, step);
+  }
+  return matrix;
+}
+
+/**
+ * Combines the paths of an SVG file into one outline. Each `{ d, transform }`
+ * is parsed on its own, so a leading relative `m` starts from the origin as it
+ * does in the file, and its transform (the path's groups outermost first, then
+ * its own) is applied to its points. Returns `null` when a transform cannot be
+ * read or nothing draws.
+ */
+export function combineSvgPaths(paths) {
+  const parts = paths.map(({ d, transform }) => ({ matrix: parseSvgTransform(transform), commands: parseSvgPath(d) }));
+  if (parts.some((part) => !part.matrix)) return null;
+  const commands = parts.flatMap(({ matrix: [a, b, c, d, e, f], commands: parsed }) =>
+    parsed ? mapPathPoints(parsed, ([x, y]) => [a * x + c * y + e, b * x + d * y + f]) : []
+  );
+  return commands.length > 0 ? commands : null;
+}
+
+/**
+ * Normalizes the die shape for the document. Circles and ellipses fill the
+ * trim box (a circle takes its shorter side), ovals run round ends along the
+ * longer side, and a custom path keeps its parsed commands and bounds so it
+ * can be stretched onto the trim box. Returns `null` for the plain rectangle
+ * or a path that cannot be read.
+ */
+export function normalizeDieShape(source) {
+  const type = source?.type;
+  if (type === 'circle' || type === 'ellipse' || type === 'oval') return { type };
+  if (type !== 'path') return null;
+  const commands = Array.isArray(source.commands) ? source.commands : parseSvgPath(source.d);
+  const bounds = commands ? getPathBounds(commands) : null;
+  if (!bounds || !(bounds.width > 0) || !(bounds.height > 0)) return null;
+  return { type, commands, bounds };
+}
+
+const withPathCommands = (shape, transform) => {
+  if (shape?.type !== 'path') return shape;
+  const commands = mapPathPoints(shape.commands, transform);
+  return { ...shape, commands, bounds: getPathBounds(commands) };
+};
+
+// Matches rotateCornerRadiiClockwise: the left of the entered piece ends up on top.
+export const rotateDieShapeClockwise = (shape) => withPathCommands(shape, ([x, y]) => [-y, x]);
+
+export const mirrorDieShape = (shape, axis) =>
+  withPathCommands(shape, ([x, y]) => (axis === 'horizontal' ? [-x, y] : [x, -y]));
+
+const ellipsePath = (cx, cy, rx, ry) =>
+  `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+
+function ovalPath(x, y, width, height) {
+  const radius = Math.min(width, height) / 2;
+  if (width >= height) {
+    return `M ${x + radius} ${y} H ${x + width - radius} A ${radius} ${radius} 0 0 1 ${x + width - radius} ${y + height} H ${
+      x + radius
+    } A ${radius} ${radius} 0 0 1 ${x + radius} ${y} Z`;
+  }
+  return `M ${x + width} ${y + radius} V ${y + height - radius} A ${radius} ${radius} 0 0 1 ${x} ${y + height - radius} V ${
+    y + radius
+  } A ${radius} ${radius} 0 0 1 ${x + width} ${y + radius} Z`;
+}
+
+/**
+ * Path data for a die shape fitted to the box at (`x`, `y`). Returns an empty
+ * string for the plain rectangle so callers can fall back to their own rect.
+ */
+export function buildDieShapePath(shape, x, y, width, height) {
+  if (!shape || !(width > 0) || !(height > 0)) return '';
+  if (shape.type === 'circle') {
+    return ellipsePath(x + width / 2, y + height / 2, Math.min(width, height) / 2, Math.min(width, height) / 2);
+  }
+  if (shape.type === 'ellipse') return ellipsePath(x + width / 2, y + height / 2, width / 2, height / 2);
+  if (shape.type === 'oval') return ovalPath(x, y, width, height);
+  if (shape.type === 'path' && shape.bounds) {
+    const scaleX = width / shape.bounds.width;
+    const scaleY = height / shape.bounds.height;
+    return formatSvgPath(
+      mapPathPoints(shape.commands, ([px, py]) => [x + (px - shape.bounds.x) * scaleX, y + (py - shape.bounds.y) * scaleY])
+    );
+  }
+  return '';
+}
+
+/**
+ * Closed cut outline of one piece: its die shape, its rounded corners, or the
+ * plain trim rectangle.
+ */
+export function buildTrimOutlinePath(x, y, width, height, { shape, cornerRadii } = {}) {
+  const shaped = buildDieShapePath(shape, x, y, width, height);
+  if (shaped) return shaped;
+  const rounded = clampCornerRadii(normalizeCornerRadii(cornerRadii), width, height);
+  if (rounded) return buildRoundedRectPath(x, y, width, height, rounded);
+  return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+}
+
+const CURVE_SAMPLES = 16;
+
+// Signed shoelace area of the outline, with curves flattened into short chords.
+function pathArea(commands) {
+  let area = 0;
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  const edge = (point) => {
+    area += current[0] * point[1] - point[0] * current[1];
+    current = point;
+  };
+  commands.forEach(({ type, points }) => {
+    if (type === 'M') {
+      edge(subpathStart);
+      current = points[0];
+      subpathStart = points[0];
+    } else if (type === 'L') {
+      edge(points[0]);
+    } else if (type === 'C' || type === 'Q') {
+      const xs = [current[0], ...points.map((point) => point[0])];
+      const ys = [current[1], ...points.map((point) => point[1])];
+      for (let step = 1; step <= CURVE_SAMPLES; step += 1) {
+        edge([bezierAt(xs, step / CURVE_SAMPLES), bezierAt(ys, step / CURVE_SAMPLES)]);
+      }
+    } else {
+      edge(subpathStart);
+    }
+  });
+  edge(subpathStart);
+  return area / 2;
+}
+
+/**
+ * Area inside the die shape fitted to a `width` × `height` box, or the full
+ * box for the plain rectangle. Custom paths add up their subpaths with sign,
+ * so a counter drawn the other way round comes out as a hole.
+ */
+export function getDieShapeArea(shape, width, height) {
+  if (!(width > 0) || !(height > 0)) return 0;
+  if (shape?.type === 'circle') return (Math.PI * Math.min(width, height) ** 2) / 4;
+  if (shape?.type === 'ellipse') return (Math.PI * width * height) / 4;
+  if (shape?.type === 'oval') return width * height - (1 - Math.PI / 4) * Math.min(width, height) ** 2;
+  if (shape?.type === 'path' && shape.bounds) {
+    return Math.abs(pathArea(shape.commands)) * (width / shape.bounds.width) * (height / shape.bounds.height);
+  }
+  return width * height;
+}
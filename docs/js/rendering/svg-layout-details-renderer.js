@@ -1,4 +1,10 @@
 import { inchesToMillimeters, getUnitsPrecision } from '../utils/units.js';
+import { getLayoutTotal } from '../calculations/layout-calculations.js';
+import { getAxisGaps, getAxisGutter } from '../calculations/gutter-pattern.js';
+import { calculateImposition, IMPOSITION_LABELS } from '../calculations/imposition-calculations.js';
+import { CREEP_METHODS, describeCreepAdjustment } from '../calculations/creep-calculations.js';
+import { formatBookletSpread } from '../calculations/booklet-calculations.js';
+import { DIE_SHAPE_LABELS } from './die-shape-path.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 const PRINT_DPI = 96;
@@ -97,6 +103,12 @@ function formatDistanceInches(value, digits = 3) {
   return `${n.toFixed(digits)} in`;
 }
 
+// Matches the Scores tab: the stretch a limited line covers, or the full run.
+function formatDistanceExtent(extent, digits = 3) {
+  if (!extent) return 'Full';
+  return `${Number(extent.start).toFixed(digits)}–${Number(extent.end).toFixed(digits)} in`;
+}
+
 function formatDistanceMillimeters(value, digits = MILLIMETER_PRECISION) {
   const n = Number(value);
   if (!Number.isFinite(n)) return '—';
@@ -118,6 +130,30 @@ function formatPerSide(perSide = {}) {
   return `T ${top}  |  R ${right}  |  B ${bottom}  |  L ${left}`;
 }
 
+const FEED_LABELS = { 'short-edge': 'short edge first', 'long-edge': 'long edge first' };
+
+function formatPress(press) {
+  if (!press || !(press.gripper > 0 || press.tail > 0)) return '—';
+  return `Gripper ${press.gripperEdge} ${formatMeasurementPair(press.gripper)}  |  Tail ${press.tailEdge} ${formatMeasurementPair(
+    press.tail
+  )}  (${FEED_LABELS[press.feed] ?? press.feed})`;
+}
+
+function formatImposition(layout) {
+  const imposition = calculateImposition(layout);
+  if (!imposition) return '—';
+  const label = IMPOSITION_LABELS[imposition.mode];
+  return imposition.selfBacking ? `${label}: ${imposition.fronts} fronts + ${imposition.backs} backs` : label;
+}
+
+// A patterned gutter lists the gaps actually used between the placed pieces.
+function formatGutter(gutter, axis, count) {
+  const base = formatMeasurementPair(gutter?.[axis]);
+  if (!gutter?.pattern?.[axis]) return base;
+  const gaps = getAxisGaps(getAxisGutter(gutter, axis), count);
+  return gaps.length > 0 ? `${base}; gaps ${gaps.map((gap) => gap.toFixed(3)).join(', ')} in` : base;
+}
+
 function ensureRows(rows, columns) {
   if (Array.isArray(rows) && rows.length > 0) {
     return rows.map((row) => ({ ...row }));
@@ -276,17 +312,40 @@ function createInputsTable(layout, context) {
   const nonPrintable = context?.sheet?.nonPrintable ?? layout.sheet?.nonPrintable ?? {};
   const gutters = layout.gutter ?? {};
 
+  // A roll's "sheet" is one repeat of the web.
   const rows = [
-    { label: 'Sheet Width', value: formatMeasurementPair(sheet.rawWidth) },
-    { label: 'Sheet Height', value: formatMeasurementPair(sheet.rawHeight) },
+    { label: layout.roll ? 'Web Width' : 'Sheet Width', value: formatMeasurementPair(sheet.rawWidth) },
+    { label: layout.roll ? 'Repeat Length' : 'Sheet Height', value: formatMeasurementPair(sheet.rawHeight) },
+    ...(sheet.grain ? [{ label: 'Grain', value: sheet.grain === 'long' ? 'Long grain' : 'Short grain' }] : []),
     { label: 'Document Width', value: formatMeasurementPair(document.width) },
     { label: 'Document Height', value: formatMeasurementPair(document.height) },
+    { label: 'Die Shape', value: DIE_SHAPE_LABELS[layout.dieShape?.type ?? 'rectangle'] },
+    { label: 'Orientation', value: layout.orientation?.rotated ? 'Rotated 90°' : 'As entered' },
+    { label: 'Imposition', value: formatImposition(layout) },
     {
       label: 'Documents',
-      value: `${counts.across ?? 0} across × ${counts.down ?? 0} down (total ${(counts.across ?? 0) * (counts.down ?? 0)})`,
+      value: layout.gang
+        ? `Gang run: ${layout.gang.items.map((item) => `${item.count} × ${item.label}`).join(', ')} (total ${getLayoutTotal(layout)})`
+        : `${counts.across ?? 0} across × ${counts.down ?? 0} down${
+          layout.remainder?.total ? ` + ${layout.remainder.total} rotated fill` : ''
+        }${layout.stagger ? `, alternate ${layout.stagger.mode} offset` : ''}${
+          layout.skipped?.length ? ` − ${layout.skipped.length} blank` : ''
+        } (total ${getLayoutTotal(layout)}${
+          layout.roll ? ' per repeat' : ''
+        })`,
     },
-    { label: 'Gutter Horizontal', value: formatMeasurementPair(gutters.horizontal) },
-    { label: 'Gutter Vertical', value: formatMeasurementPair(gutters.vertical) },
+    ...(layout.roll?.repeats > 0
+      ? [
+        {
+          label: 'Roll Run',
+          value: `${layout.roll.repeats} repeats, ${layout.roll.length.feet.toFixed(1)} ft / ${layout.roll.length.meters.toFixed(
+            1
+          )} m for ${layout.roll.quantity} labels`,
+        },
+      ]
+      : []),
+    { label: 'Gutter Horizontal', value: formatGutter(gutters, 'horizontal', counts.across ?? 0) },
+    { label: 'Gutter Vertical', value: formatGutter(gutters, 'vertical', counts.down ?? 0) },
     { label: 'Layout Origin X', value: formatMeasurementPair(layoutArea.originX) },
     { label: 'Layout Origin Y', value: formatMeasurementPair(layoutArea.originY) },
     { label: 'Layout Width', value: formatMeasurementPair(layoutArea.width) },
@@ -301,6 +360,8 @@ function createInputsTable(layout, context) {
     },
     { label: 'Realized Margins', value: formatPerSide(realizedMargins) },
     { label: 'Non-Printable Margins', value: formatPerSide(nonPrintable) },
+    { label: 'Press Gripper / Tail', value: formatPress(sheet.press) },
+    { label: 'Bleed', value: formatPerSide(layout.bleed ?? {}) },
   ];
 
   return {
@@ -333,28 +394,24 @@ function createMeasurementTable(title, items = []) {
   };
 }
 
-function createDirectionalMeasurementTable(title, horizontal = [], vertical = []) {
+// `showExtent` adds the span column the Scores tab shows for limited lines.
+function createDirectionalMeasurementTable(title, horizontal = [], vertical = [], { showExtent = false } = {}) {
   const rows = [];
-  if (Array.isArray(horizontal)) {
-    horizontal.forEach((item) => {
-      rows.push({
-        direction: 'Horizontal',
-        label: item.label ?? '—',
-        inches: formatDistanceInches(item.inches),
-        millimeters: formatDistanceMillimeters(item.millimeters),
-      });
-    });
-  }
-  if (Array.isArray(vertical)) {
-    vertical.forEach((item) => {
+  [
+    ['Horizontal', horizontal],
+    ['Vertical', vertical],
+  ].forEach(([direction, items]) => {
+    if (!Array.isArray(items)) return;
+    items.forEach((item) => {
       rows.push({
-        direction: 'Vertical',
+        direction,
         label: item.label ?? '—',
         inches: formatDistanceInches(item.inches),
         millimeters: formatDistanceMillimeters(item.millimeters),
+        ...(showExtent ? { extent: formatDistanceExtent(item.extent) } : {}),
       });
     });
-  }
+  });
 
   return {
     title,
@@ -363,6 +420,7 @@ function createDirectionalMeasurementTable(title, horizontal = [], vertical = []
       { key: 'label', label: 'Label', align: 'left' },
       { key: 'inches', label: 'Inches', align: 'right' },
       { key: 'millimeters', label: 'Millimeters', align: 'right' },
+      ...(showExtent ? [{ key: 'extent', label: 'Span', align: 'right' }] : []),
     ],
     rows,
   };
@@ -388,12 +446,35 @@ function createProgramSequenceTable(programSequence = []) {
   };
 }
 
+// Booklet jobs only; the table is left out of the sheet otherwise.
+function createCreepTable(creep) {
+  if (!creep) return null;
+  return {
+    title: `Creep Compensation (${CREEP_METHODS[creep.method]})`,
+    columns: [
+      { key: 'sheet', label: 'Sheet', align: 'left', weight: 0.5 },
+      { key: 'pages', label: 'Pages', align: 'left', weight: 1 },
+      { key: 'creep', label: 'Creep', align: 'right', weight: 0.8 },
+      { key: 'adjustment', label: 'Adjustment', align: 'left', weight: 2.4 },
+    ],
+    rows: creep.spreads.map((spread) => ({
+      sheet: String(spread.sheet),
+      pages: `${formatBookletSpread(spread.front)}, ${formatBookletSpread(spread.back)}`,
+      creep: formatDistanceInches(spread.creep, 4),
+      adjustment: describeCreepAdjustment(spread, creep.method),
+    })),
+  };
+}
+
 function createHoleTable(holes = []) {
   const rows = Array.isArray(holes)
     ? holes.map((hole) => {
         const x = formatMeasurementPair(hole.x);
         const y = formatMeasurementPair(hole.y);
-        const diameter = formatMeasurementPair(hole.diameter);
+        const diameter =
+          hole.shape === 'square' || hole.shape === 'slot'
+            ? `${formatMeasurementPair(hole.width)} × ${formatMeasurementPair(hole.height)}`
+            : formatMeasurementPair(hole.diameter);
         const docLabel = hole.docAcross && hole.docDown ? `${hole.docAcross}, ${hole.docDown}` : '—';
         return {
           label: hole.label ?? 'Hole',
@@ -412,7 +493,7 @@ function createHoleTable(holes = []) {
       { key: 'document', label: 'Doc (Across,Down)', align: 'left' },
       { key: 'x', label: 'X Position', align: 'left' },
       { key: 'y', label: 'Y Position', align: 'left' },
-      { key: 'diameter', label: 'Diameter', align: 'left' },
+      { key: 'diameter', label: 'Size', align: 'left' },
     ],
     rows,
   };
@@ -447,8 +528,11 @@ export function createLayoutDetailsSvg({ layout, finishing, context, programSequ
     createProgramSequenceTable(programSequence),
     createMeasurementTable('Cuts', finishing?.cuts),
     createMeasurementTable('Slits', finishing?.slits),
-    createDirectionalMeasurementTable('Scores', finishing?.scores?.horizontal, finishing?.scores?.vertical),
+    createDirectionalMeasurementTable('Scores', finishing?.scores?.horizontal, finishing?.scores?.vertical, {
+      showExtent: true,
+    }),
     createDirectionalMeasurementTable('Perforations', finishing?.perforations?.horizontal, finishing?.perforations?.vertical),
+    createCreepTable(layout.creep),
     createHoleTable(finishing?.holes),
   ].filter(Boolean);
 
@@ -1,4 +1,16 @@
 import { createMeasurementId } from '../utils/dom.js';
+import { rotateCornerRadiiClockwise } from '../calculations/corner-radii.js';
+import { mirrorDieShape, rotateDieShapeClockwise } from './die-shape-path.js';
+import {
+  getCellKey,
+  getGrainAxis,
+  getGridCells,
+  getUnprintableInsets,
+  rotatePerSideClockwise,
+} from '../calculations/layout-calculations.js';
+import { calculateImposition, formatImpositionLabel } from '../calculations/imposition-calculations.js';
+import { calculatePrinterMarks } from '../calculations/marks-calculations.js';
+import { formatTicketNumber, getSheetNumbers } from '../calculations/numbering-calculations.js';
 
 function getNonPrintableMetrics(sheet = {}) {
   const region = sheet?.nonPrintable ?? {};
@@ -16,6 +28,29 @@ function getPrintableDimensions(sheet, nonPrintable) {
   return { width, height };
 }
 
+// Full-length band of `depth` along one sheet edge.
+function getEdgeBand(side, depth, width, height) {
+  if (side === 'top') return { x: 0, y: 0, width, height: depth };
+  if (side === 'bottom') return { x: 0, y: height - depth, width, height: depth };
+  if (side === 'left') return { x: 0, y: 0, width: depth, height };
+  return { x: width - depth, y: 0, width: depth, height };
+}
+
+function addPressRegions(items, press, width, height) {
+  if (!press) return;
+  [
+    { side: press.gripperEdge, depth: press.gripper, className: 'svg-gripper-region' },
+    { side: press.tailEdge, depth: press.tail, className: 'svg-tail-region' },
+  ].forEach(({ side, depth, className }) => {
+    if (!(depth > 0)) return;
+    addRect(items, {
+      ...getEdgeBand(side, depth, width, height),
+      layer: 'press',
+      classNames: [className],
+    });
+  });
+}
+
 function toCornerValue(value) {
   const numeric = Number(value);
   return Number.isFinite(numeric) && numeric > 0 ? numeric : 0;
@@ -39,6 +74,17 @@ function resolveRoundedCorners(source) {
 
 const hasRoundedCorners = (corners) => Object.values(corners).some((value) => value > 0);
 
+function resolveBleed(source) {
+  return {
+    top: toCornerValue(source?.top),
+    right: toCornerValue(source?.right),
+    bottom: toCornerValue(source?.bottom),
+    left: toCornerValue(source?.left),
+  };
+}
+
+const hasBleed = (bleed) => Object.values(bleed).some((value) => value > 0);
+
 function addRect(items, rect) {
   if (!rect) return;
   items.push({ type: 'rect', ...rect });
@@ -54,27 +100,214 @@ function addCircle(items, circle) {
   items.push({ type: 'circle', ...circle });
 }
 
-export function buildLayoutScene(layout, finishing = {}) {
+function addText(items, text) {
+  if (!text) return;
+  items.push({ type: 'text', ...text });
+}
+
+// Layers that belong to the sheet itself and so move when it is flipped; the
+// non-printable area, gripper and tail stay with the press.
+const MIRRORED_LAYERS = new Set([
+  'layout',
+  'bleed',
+  'docs',
+  'imposition',
+  'marks',
+  'cuts',
+  'slits',
+  'scores',
+  'perforations',
+  'holes',
+]);
+
+const mirrorCornerRadii = (corners, axis) =>
+  corners &&
+  (axis === 'horizontal'
+    ? { topLeft: corners.topRight, topRight: corners.topLeft, bottomRight: corners.bottomLeft, bottomLeft: corners.bottomRight }
+    : { topLeft: corners.bottomLeft, topRight: corners.bottomRight, bottomRight: corners.topRight, bottomLeft: corners.topLeft });
+
+function addPrinterMarks(items, marks) {
+  marks.colorBar.forEach(({ ink, ...patch }) => {
+    addRect(items, { ...patch, layer: 'marks', classNames: ['svg-color-patch', `svg-color-patch--${ink}`] });
+  });
+  if (marks.slug) {
+    const { x, y, width, height } = marks.slug;
+    addRect(items, { x, y, width, height, layer: 'marks', classNames: ['svg-slug-area'] });
+  }
+  marks.crops.forEach((mark) => {
+    addLine(items, { ...mark, strokeWidth: marks.strokeWidth, layer: 'marks', classNames: ['svg-crop-mark'] });
+  });
+  // A target is a circle with cross hairs running just past it.
+  marks.registration.forEach(({ cx, cy, radius }) => {
+    const reach = radius * 1.4;
+    addCircle(items, { cx, cy, radius, strokeWidth: marks.strokeWidth, layer: 'marks', classNames: ['svg-registration-mark'] });
+    addLine(items, {
+      x1: cx - reach,
+      y1: cy,
+      x2: cx + reach,
+      y2: cy,
+      strokeWidth: marks.strokeWidth,
+      layer: 'marks',
+      classNames: ['svg-registration-mark'],
+    });
+    addLine(items, {
+      x1: cx,
+      y1: cy - reach,
+      x2: cx,
+      y2: cy + reach,
+      strokeWidth: marks.strokeWidth,
+      layer: 'marks',
+      classNames: ['svg-registration-mark'],
+    });
+  });
+}
+
+// How many repeats of a roll the preview shows at once.
+const ROLL_PREVIEW_REPEATS = 3;
+
+// The web is open at both ends, so only its edges are outlined.
+function addWeb(items, width, height) {
+  addRect(items, { x: 0, y: 0, width, height, layer: 'sheet', classNames: ['svg-web'] });
+  [0, width].forEach((x) => {
+    addLine(items, { x1: x, y1: 0, x2: x, y2: height, layer: 'sheet', classNames: ['svg-web-edge'] });
+  });
+}
+
+// Grain arrows sit at a quarter, half and three quarters across the sheet and
+// span its middle along the grain.
+const GRAIN_ARROW_POSITIONS = [0.25, 0.5, 0.75];
+const GRAIN_ARROW_EXTENT = 0.3;
+
+// Fibres have no direction, so each arrow is double-headed and reads the same
+// once the sheet is flipped.
+function addGrainArrows(items, axis, width, height) {
+  if (!axis) return;
+  const vertical = axis === 'vertical';
+  const along = vertical ? height : width;
+  const acrossSpan = vertical ? width : height;
+  const head = Math.min(width, height) * 0.03;
+  const point = (position, offset) => (vertical ? { x: offset, y: position } : { x: position, y: offset });
+  const start = along * (0.5 - GRAIN_ARROW_EXTENT);
+  const end = along * (0.5 + GRAIN_ARROW_EXTENT);
+  GRAIN_ARROW_POSITIONS.forEach((fraction) => {
+    const offset = acrossSpan * fraction;
+    [
+      [point(start, offset), point(end, offset)],
+      [point(start, offset), point(start + head, offset - head)],
+      [point(start, offset), point(start + head, offset + head)],
+      [point(end, offset), point(end - head, offset - head)],
+      [point(end, offset), point(end - head, offset + head)],
+    ].forEach(([from, to]) => {
+      addLine(items, { x1: from.x, y1: from.y, x2: to.x, y2: to.y, layer: 'grain', classNames: ['svg-grain-arrow'] });
+    });
+  });
+}
+
+// Perforations entered with insets or gutter skips only cut their segments;
+// a perforating pattern is drawn to scale as its cut and tie.
+function addPerforationLines(items, perforations, axis, span) {
+  (perforations ?? []).forEach((perforation, index) => {
+    const position = Number(perforation?.inches ?? 0);
+    if (!Number.isFinite(position)) return;
+    const dash = perforation.pattern ? [perforation.pattern.cut, perforation.pattern.tie] : undefined;
+    const horizontal = axis === 'horizontal';
+    (perforation.segments ?? [span]).forEach(({ start, end }) => {
+      addLine(items, {
+        x1: horizontal ? start : position,
+        y1: horizontal ? position : start,
+        x2: horizontal ? end : position,
+        y2: horizontal ? position : end,
+        layer: 'perforations',
+        classNames: ['svg-perforation-line'],
+        dash,
+        measurement: {
+          id: createMeasurementId(`perforation-${axis}`, index),
+          type: `perforation-${axis}`,
+        },
+      });
+    });
+  });
+}
+
+// Shows the numbers the chosen sheet of the run carries.
+function addNumberingLabels(items, numbering, document) {
+  if (!numbering) return;
+  const numbers = getSheetNumbers(numbering, numbering.sheet);
+  const fontSize = Math.min(0.25, Math.min(document.width, document.height) * 0.2);
+  numbers.forEach((number, index) => {
+    if (number === null) return;
+    const cell = numbering.cells[index];
+    addText(items, {
+      x: cell.x,
+      y: cell.y,
+      text: formatTicketNumber(number, numbering.digits),
+      fontSize,
+      layer: 'numbering',
+      classNames: ['svg-numbering-label'],
+    });
+  });
+}
+
+function mirrorItem(item, axis, width, height) {
+  if (!MIRRORED_LAYERS.has(item.layer)) return item;
+  const flipX = (x, span = 0) => (axis === 'horizontal' ? width - x - span : x);
+  const flipY = (y, span = 0) => (axis === 'vertical' ? height - y - span : y);
+  if (item.type === 'rect') {
+    return {
+      ...item,
+      x: flipX(item.x, item.width),
+      y: flipY(item.y, item.height),
+      cornerRadii: mirrorCornerRadii(item.cornerRadii, axis),
+      shape: mirrorDieShape(item.shape, axis),
+    };
+  }
+  if (item.type === 'line') {
+    return { ...item, x1: flipX(item.x1), y1: flipY(item.y1), x2: flipX(item.x2), y2: flipY(item.y2) };
+  }
+  if (item.type === 'circle') return { ...item, cx: flipX(item.cx), cy: flipY(item.cy) };
+  if (item.type === 'text') return { ...item, x: flipX(item.x), y: flipY(item.y) };
+  return item;
+}
+
+/**
+ * Describes everything drawn for a layout as plain rect/line/circle/text items
+ * in sheet inches. `side: 'back'` shows the sheet after it is flipped for the
+ * second side: sheet content is mirrored along the imposition's mirror axis
+ * and each piece is labelled with the job side printed there.
+ *
+ * A roll layout describes a web segment a few repeats long instead; the scene
+ * then carries the `repeat` length and marks the items that travel with the
+ * web as `feed`.
+ */
+export function buildLayoutScene(layout, finishing = {}, { side = 'front' } = {}) {
   if (!layout?.sheet) return null;
+  // A roll shows a few repeats of the web in place of the sheet.
+  const roll = layout.roll ?? null;
   const width = Number(layout.sheet.rawWidth ?? 0);
-  const height = Number(layout.sheet.rawHeight ?? 0);
+  const height = roll ? roll.repeatLength * ROLL_PREVIEW_REPEATS : Number(layout.sheet.rawHeight ?? 0);
   if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
     return null;
   }
 
   const items = [];
 
-  addRect(items, {
-    x: 0,
-    y: 0,
-    width,
-    height,
-    layer: 'sheet',
-    classNames: ['svg-sheet-outline'],
-  });
+  if (roll) {
+    addWeb(items, width, height);
+  } else {
+    addRect(items, {
+      x: 0,
+      y: 0,
+      width,
+      height,
+      layer: 'sheet',
+      classNames: ['svg-sheet-outline'],
+    });
+  }
 
   const nonPrintable = getNonPrintableMetrics(layout.sheet);
-  const printable = getPrintableDimensions(layout.sheet, nonPrintable);
+  // The printable outline also excludes the press gripper and tail.
+  const unprintable = getUnprintableInsets(layout.sheet);
+  const printable = getPrintableDimensions(layout.sheet, unprintable);
 
   if (nonPrintable.top > 0) {
     addRect(items, {
@@ -121,10 +354,12 @@ export function buildLayoutScene(layout, finishing = {}) {
     });
   }
 
-  if (printable.width > 0 && printable.height > 0) {
+  addPressRegions(items, layout.sheet.press, width, height);
+
+  if (!roll && printable.width > 0 && printable.height > 0) {
     addRect(items, {
-      x: nonPrintable.left,
-      y: nonPrintable.top,
+      x: unprintable.left,
+      y: unprintable.top,
       width: printable.width,
       height: printable.height,
       layer: 'nonPrintable',
@@ -134,40 +369,167 @@ export function buildLayoutScene(layout, finishing = {}) {
 
   addRect(items, {
     x: layout.layoutArea.originX,
-    y: layout.layoutArea.originY,
+    y: roll ? 0 : layout.layoutArea.originY,
     width: layout.layoutArea.width,
-    height: layout.layoutArea.height,
+    height: roll ? height : layout.layoutArea.height,
     layer: 'layout',
     classNames: ['svg-layout-area'],
   });
 
-  const docCorners = resolveRoundedCorners(layout.roundedCorners);
+  const placedCorners = layout.orientation?.rotated
+    ? rotateCornerRadiiClockwise(layout.roundedCorners)
+    : layout.roundedCorners;
+  const docCorners = resolveRoundedCorners(placedCorners);
   const shouldRoundDocs = hasRoundedCorners(docCorners);
-  const across = layout.counts?.across ?? 0;
-  const down = layout.counts?.down ?? 0;
-  for (let yIndex = 0; yIndex < down; yIndex += 1) {
-    for (let xIndex = 0; xIndex < across; xIndex += 1) {
-      const originX = layout.layoutArea.originX + xIndex * (layout.document.width + layout.gutter.horizontal);
-      const originY = layout.layoutArea.originY + yIndex * (layout.document.height + layout.gutter.vertical);
-      addRect(items, {
-        x: originX,
-        y: originY,
-        width: layout.document.width,
-        height: layout.document.height,
-        layer: 'docs',
+  // Die shapes replace the rounded corners; circles, ellipses and ovals are the
+  // same turned, so only custom paths need rotating with the piece.
+  const placedShape = layout.dieShape
+    ? layout.orientation?.rotated
+      ? rotateDieShapeClockwise(layout.dieShape)
+      : layout.dieShape
+    : null;
+  const fillShape = placedShape ? rotateDieShapeClockwise(placedShape) : null;
+  const placedBleed = resolveBleed(layout.bleed);
+  const turnedBleed = resolveBleed(rotatePerSideClockwise(placedBleed));
+  const skippedKeys = new Set((layout.skipped ?? []).map(getCellKey));
+  const placements = getGridCells(layout, { includeSkipped: true }).map(({ row, col, x, y }) => {
+    const skipped = skippedKeys.has(getCellKey({ row, col }));
+    return {
+      x,
+      y,
+      width: layout.document.width,
+      height: layout.document.height,
+      bleed: placedBleed,
+      classNames: skipped ? ['svg-document-area', 'svg-document-area--skipped'] : ['svg-document-area'],
+      cornerRadii: shouldRoundDocs && !placedShape ? docCorners : null,
+      shape: placedShape,
+      cell: { row, col },
+      skipped,
+    };
+  });
+
+  const remainderBlocks = layout.remainder?.blocks ?? [];
+  const fillCorners = resolveRoundedCorners(rotateCornerRadiiClockwise(placedCorners));
+  const shouldRoundFill = hasRoundedCorners(fillCorners);
+  remainderBlocks.forEach((block) => {
+    for (let yIndex = 0; yIndex < block.counts.down; yIndex += 1) {
+      for (let xIndex = 0; xIndex < block.counts.across; xIndex += 1) {
+        placements.push({
+          x: block.originX + xIndex * (block.document.width + layout.gutter.horizontal),
+          y: block.originY + yIndex * (block.document.height + layout.gutter.vertical),
+          width: block.document.width,
+          height: block.document.height,
+          bleed: turnedBleed,
+          classNames: ['svg-document-area', 'svg-document-area--fill'],
+          cornerRadii: shouldRoundFill && !fillShape ? fillCorners : null,
+          shape: fillShape,
+        });
+      }
+    }
+  });
+
+  (layout.gang?.strips ?? []).forEach((strip) => {
+    for (let index = 0; index < strip.count; index += 1) {
+      placements.push({
+        x: strip.originX + index * (strip.document.width + layout.gutter.horizontal),
+        y: strip.originY,
+        width: strip.document.width,
+        height: strip.document.height,
+        bleed: strip.rotated ? turnedBleed : placedBleed,
         classNames: ['svg-document-area'],
-        cornerRadii: shouldRoundDocs ? docCorners : null,
+        cornerRadii: null,
+        shape: null,
       });
     }
+  });
+
+  // Every repeat on the web carries the same labels. `feed` marks what moves
+  // with the web so the preview can scroll it.
+  if (roll) {
+    const frame = placements.splice(0);
+    for (let index = 0; index < ROLL_PREVIEW_REPEATS; index += 1) {
+      const offset = index * roll.repeatLength;
+      frame.forEach((placement) => placements.push({ ...placement, y: placement.y + offset, feed: true }));
+      addLine(items, {
+        x1: 0,
+        y1: offset,
+        x2: width,
+        y2: offset,
+        layer: 'layout',
+        classNames: ['svg-repeat-line'],
+        feed: true,
+      });
+    }
+  }
+
+  // Bleed boxes go down first so the trim rectangles stay visible on top.
+  // Blanked-out cells stay in the preview as outlines that can be clicked back
+  // in, but carry no bleed and no marks.
+  const trims = placements.filter((placement) => !placement.skipped);
+  if (hasBleed(placedBleed)) {
+    trims.forEach(({ x, y, width: docWidth, height: docHeight, bleed, shape, feed }) => {
+      addRect(items, {
+        x: x - bleed.left,
+        y: y - bleed.top,
+        width: docWidth + bleed.left + bleed.right,
+        height: docHeight + bleed.top + bleed.bottom,
+        layer: 'bleed',
+        classNames: ['svg-bleed-area'],
+        shape,
+        feed,
+      });
+    });
   }
 
+  placements.forEach(({ bleed, ...placement }) => {
+    addRect(items, { ...placement, layer: 'docs' });
+  });
+
+  const imposition = calculateImposition(layout);
+  (imposition?.cells ?? []).forEach((cell) => {
+    addText(items, {
+      x: cell.x + cell.width / 2,
+      y: cell.y + cell.height / 2,
+      text: formatImpositionLabel(cell, side),
+      fontSize: Math.min(0.5, Math.min(cell.width, cell.height) * 0.3),
+      layer: 'imposition',
+      classNames: ['svg-imposition-label', `svg-imposition-label--${side === 'back' ? cell.back : cell.front}`],
+    });
+  });
+
+  // Numbers go on in their own pass over the printed front, so the back view
+  // leaves them off.
+  if (side !== 'back') addNumberingLabels(items, layout.numbering, layout.document);
+
+  const press = layout.sheet.press;
+  addPrinterMarks(
+    items,
+    calculatePrinterMarks({
+      width,
+      height,
+      insets: unprintable,
+      trims,
+      settings: layout.marks,
+      slugSide: press?.tail > 0 ? press.tailEdge : 'bottom',
+    })
+  );
+
+  // Scores and perforations belong to the primary grid; once fill blocks sit
+  // beside it the lines stop at the grid instead of crossing rotated pieces.
+  const lineSpanX = remainderBlocks.length > 0
+    ? { start: layout.layoutArea.originX, end: layout.layoutArea.originX + (layout.usage?.horizontal?.usedSpan ?? 0) }
+    : { start: layout.layoutArea.originX, end: layout.layoutArea.originX + layout.layoutArea.width };
+  const lineSpanY = remainderBlocks.length > 0
+    ? { start: layout.layoutArea.originY, end: layout.layoutArea.originY + (layout.usage?.vertical?.usedSpan ?? 0) }
+    : { start: layout.layoutArea.originY, end: layout.layoutArea.originY + layout.layoutArea.height };
+
   (finishing.cuts ?? []).forEach((cut, index) => {
     const y = Number(cut?.inches ?? 0);
     if (!Number.isFinite(y)) return;
     addLine(items, {
-      x1: 0,
+      x1: cut.extent?.start ?? 0,
       y1: y,
-      x2: width,
+      x2: cut.extent?.end ?? width,
       y2: y,
       layer: 'cuts',
       classNames: ['svg-cut-line'],
@@ -183,9 +545,9 @@ export function buildLayoutScene(layout, finishing = {}) {
     if (!Number.isFinite(x)) return;
     addLine(items, {
       x1: x,
-      y1: 0,
+      y1: slit.extent?.start ?? 0,
       x2: x,
-      y2: height,
+      y2: slit.extent?.end ?? height,
       layer: 'slits',
       classNames: ['svg-slit-line'],
       measurement: {
@@ -195,13 +557,14 @@ export function buildLayoutScene(layout, finishing = {}) {
     });
   });
 
+  // Panel scores carry the stretch of their piece they cover.
   (finishing.scores?.horizontal ?? []).forEach((score, index) => {
     const y = Number(score?.inches ?? 0);
     if (!Number.isFinite(y)) return;
     addLine(items, {
-      x1: layout.layoutArea.originX,
+      x1: score.extent?.start ?? lineSpanX.start,
       y1: y,
-      x2: layout.layoutArea.originX + layout.layoutArea.width,
+      x2: score.extent?.end ?? lineSpanX.end,
       y2: y,
       layer: 'scores',
       classNames: ['svg-score-line'],
@@ -217,9 +580,9 @@ export function buildLayoutScene(layout, finishing = {}) {
     if (!Number.isFinite(x)) return;
     addLine(items, {
       x1: x,
-      y1: layout.layoutArea.originY,
+      y1: score.extent?.start ?? lineSpanY.start,
       x2: x,
-      y2: layout.layoutArea.originY + layout.layoutArea.height,
+      y2: score.extent?.end ?? lineSpanY.end,
       layer: 'scores',
       classNames: ['svg-score-line'],
       measurement: {
@@ -229,52 +592,40 @@ export function buildLayoutScene(layout, finishing = {}) {
     });
   });
 
-  (finishing.perforations?.horizontal ?? []).forEach((perforation, index) => {
-    const y = Number(perforation?.inches ?? 0);
-    if (!Number.isFinite(y)) return;
-    addLine(items, {
-      x1: layout.layoutArea.originX,
-      y1: y,
-      x2: layout.layoutArea.originX + layout.layoutArea.width,
-      y2: y,
-      layer: 'perforations',
-      classNames: ['svg-perforation-line'],
-      measurement: {
-        id: createMeasurementId('perforation-horizontal', index),
-        type: 'perforation-horizontal',
-      },
-    });
-  });
-
-  (finishing.perforations?.vertical ?? []).forEach((perforation, index) => {
-    const x = Number(perforation?.inches ?? 0);
-    if (!Number.isFinite(x)) return;
-    addLine(items, {
-      x1: x,
-      y1: layout.layoutArea.originY,
-      x2: x,
-      y2: layout.layoutArea.originY + layout.layoutArea.height,
-      layer: 'perforations',
-      classNames: ['svg-perforation-line'],
-      measurement: {
-        id: createMeasurementId('perforation-vertical', index),
-        type: 'perforation-vertical',
-      },
-    });
-  });
+  addPerforationLines(items, finishing.perforations?.horizontal, 'horizontal', lineSpanX);
+  addPerforationLines(items, finishing.perforations?.vertical, 'vertical', lineSpanY);
 
+  // Holes that break out, cross a line or run into each other are flagged.
+  const conflictingHoles = new Set((layout.holeConflicts ?? []).flatMap((conflict) => conflict.holes));
   (finishing.holes ?? []).forEach((hole, index) => {
+    const cx = Number(hole?.x ?? 0);
+    const cy = Number(hole?.y ?? 0);
+    const classNames = conflictingHoles.has(index) ? ['svg-hole', 'svg-hole--conflict'] : ['svg-hole'];
+    // Square holes and binding slots are punched, not drilled.
+    if (hole?.shape === 'square' || hole?.shape === 'slot') {
+      addRect(items, {
+        x: cx - hole.width / 2,
+        y: cy - hole.height / 2,
+        width: hole.width,
+        height: hole.height,
+        layer: 'holes',
+        classNames,
+        measurement: {
+          id: createMeasurementId('hole', index),
+          type: 'hole',
+        },
+      });
+      return;
+    }
     const diameter = Number(hole?.diameter ?? 0);
     if (!Number.isFinite(diameter) || diameter <= 0) return;
     const radius = diameter / 2;
-    const cx = Number(hole?.x ?? 0);
-    const cy = Number(hole?.y ?? 0);
     addCircle(items, {
       cx,
       cy,
       radius,
       layer: 'holes',
-      classNames: ['svg-hole'],
+      classNames,
       measurement: {
         id: createMeasurementId('hole', index),
         type: 'hole',
@@ -282,5 +633,17 @@ export function buildLayoutScene(layout, finishing = {}) {
     });
   });
 
-  return { width, height, items };
+  addGrainArrows(items, getGrainAxis(layout.sheet), width, height);
+
+  const feed = roll ? { repeat: roll.repeatLength } : {};
+  if (side !== 'back') return { width, height, side: 'front', items, ...feed };
+  // Gang runs carry no imposition; their back is turned side to side.
+  const mirrorAxis = imposition?.mirrorAxis ?? 'horizontal';
+  return {
+    width,
+    height,
+    side: 'back',
+    items: items.map((item) => mirrorItem(item, mirrorAxis, width, height)),
+    ...feed,
+  };
 }
@@ -1,11 +1,60 @@
 import { $, applyLayerVisibility, restoreMeasurementSelections } from '../utils/dom.js';
 import { buildLayoutScene } from './svg-layout-scene.js';
-import { createCircleFactory, createLineFactory, createRectFactory } from './svg-shape-factories.js';
+import { createCircleFactory, createLineFactory, createRectFactory, createTextFactory } from './svg-shape-factories.js';
+
+// The last layout drawn, kept so switching between the front and back view
+// can redraw without recalculating.
+const preview = { layout: null, finishing: null, side: 'front' };
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WEB_FEED_CLIP_ID = 'svgWebFeedClip';
+
+// Roll labels travel down the web: everything marked `feed` goes into a group
+// clipped to the segment that CSS scrolls by one repeat per loop.
+function openWebFeed(svg, scene, scale, offsetX, offsetY) {
+  const clip = document.createElementNS(SVG_NS, 'clipPath');
+  clip.setAttribute('id', WEB_FEED_CLIP_ID);
+  const clipRect = document.createElementNS(SVG_NS, 'rect');
+  clipRect.setAttribute('x', offsetX);
+  clipRect.setAttribute('y', offsetY);
+  clipRect.setAttribute('width', scene.width * scale);
+  clipRect.setAttribute('height', scene.height * scale);
+  clip.appendChild(clipRect);
+  const defs = document.createElementNS(SVG_NS, 'defs');
+  defs.appendChild(clip);
+  svg.appendChild(defs);
+
+  const frame = document.createElementNS(SVG_NS, 'g');
+  frame.setAttribute('clip-path', `url(#${WEB_FEED_CLIP_ID})`);
+  const feed = document.createElementNS(SVG_NS, 'g');
+  feed.classList.add('svg-web-feed');
+  feed.style.setProperty('--web-repeat', `${scene.repeat * scale}px`);
+  const lane = document.createElementNS(SVG_NS, 'g');
+  feed.appendChild(lane);
+  frame.appendChild(feed);
+  svg.appendChild(frame);
+  return lane;
+}
+
+// A copy one repeat behind fills the top of the segment as the web moves on,
+// so the loop restarts without a jump.
+function closeWebFeed(lane, scene, scale) {
+  const trailing = lane.cloneNode(true);
+  trailing.setAttribute('transform', `translate(0 ${-scene.repeat * scale})`);
+  lane.parentNode.appendChild(trailing);
+}
+
+export function setPreviewSide(side) {
+  preview.side = side === 'back' ? 'back' : 'front';
+  if (preview.layout) drawSVG(preview.layout, preview.finishing);
+}
 
 export function drawSVG(layout, fin) {
   const svg = $('#svg');
   if (!svg) return;
-  const scene = buildLayoutScene(layout, fin);
+  preview.layout = layout;
+  preview.finishing = fin;
+  const scene = buildLayoutScene(layout, fin, { side: preview.side });
   const { width: viewBoxWidth, height: viewBoxHeight } = svg.viewBox.baseVal;
   const padding = 20;
 
@@ -22,16 +71,30 @@ export function drawSVG(layout, fin) {
   const offsetX = padding + (viewBoxWidth - 2 * padding - sheetWidth * scale) / 2;
   const offsetY = padding + (viewBoxHeight - 2 * padding - sheetHeight * scale) / 2;
 
-  const drawRect = createRectFactory(svg, scale, offsetX, offsetY);
-  const drawLine = createLineFactory(svg, scale, offsetX, offsetY);
-  const drawCircle = createCircleFactory(svg, scale, offsetX, offsetY);
+  const createDrawers = (parent) => ({
+    drawRect: createRectFactory(parent, scale, offsetX, offsetY),
+    drawLine: createLineFactory(parent, scale, offsetX, offsetY),
+    drawCircle: createCircleFactory(parent, scale, offsetX, offsetY),
+    drawText: createTextFactory(parent, scale, offsetX, offsetY),
+  });
+  const sheetDrawers = createDrawers(svg);
+  let feedLane = null;
+  let feedDrawers = null;
   scene.items.forEach((item) => {
     if (!item) return;
+    if (item.feed && scene.repeat > 0 && !feedLane) {
+      feedLane = openWebFeed(svg, scene, scale, offsetX, offsetY);
+      feedDrawers = createDrawers(feedLane);
+    }
+    const { drawRect, drawLine, drawCircle, drawText } = item.feed && feedDrawers ? feedDrawers : sheetDrawers;
     if (item.type === 'rect') {
       drawRect(item.x, item.y, item.width, item.height, {
         layer: item.layer,
         classNames: item.classNames,
         cornerRadii: item.cornerRadii,
+        shape: item.shape,
+        cell: item.cell,
+        measurement: item.measurement,
       });
       return;
     }
@@ -40,6 +103,8 @@ export function drawSVG(layout, fin) {
         layer: item.layer,
         classNames: item.classNames,
         measurement: item.measurement,
+        strokeWidth: item.strokeWidth,
+        dash: item.dash,
       });
       return;
     }
@@ -48,10 +113,21 @@ export function drawSVG(layout, fin) {
         layer: item.layer,
         classNames: item.classNames,
         measurement: item.measurement,
+        strokeWidth: item.strokeWidth,
+      });
+      return;
+    }
+    if (item.type === 'text') {
+      drawText(item.x, item.y, item.text, {
+        fontSize: item.fontSize,
+        layer: item.layer,
+        classNames: item.classNames,
       });
     }
   });
 
+  if (feedLane) closeWebFeed(feedLane, scene, scale);
+
   applyLayerVisibility();
   restoreMeasurementSelections();
 }
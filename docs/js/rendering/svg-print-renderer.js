@@ -1,9 +1,27 @@
-import { buildRoundedRectPath, clampCornerRadii, normalizeCornerRadii, scaleCornerRadii } from './rounded-rect-path.js';
+import { clampCornerRadii, normalizeCornerRadii, scaleCornerRadii } from '../calculations/corner-radii.js';
+import { buildRoundedRectPath } from './rounded-rect-path.js';
+import { buildDieShapePath, buildTrimOutlinePath } from './die-shape-path.js';
 import { buildLayoutScene } from './svg-layout-scene.js';
 import { applyLayerAttributes } from './svg-layer-attributes.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
-const DEFAULT_LAYERS = ['sheet', 'nonPrintable', 'layout', 'docs', 'cuts', 'slits', 'scores', 'perforations', 'holes'];
+const DEFAULT_LAYERS = [
+  'sheet',
+  'nonPrintable',
+  'press',
+  'layout',
+  'bleed',
+  'docs',
+  'imposition',
+  'marks',
+  'cuts',
+  'slits',
+  'scores',
+  'perforations',
+  'holes',
+  'grain',
+  'numbering',
+];
 
 // Browsers assume 96 px = 1 inch when translating between physical units and
 // screen pixels. We use the same conversion so every coordinate we draw can be
@@ -14,15 +32,34 @@ const INLINE_STYLE_MARKER = 'data-print-style';
 const PRINTABLE_SVG_STYLES = `
   .svg-line { stroke-linecap: round; }
   .svg-sheet-outline { fill: none; stroke: #334155; stroke-width: 1.5px; }
+  .svg-web { fill: none; stroke: none; }
+  .svg-web-edge { stroke: #334155; stroke-width: 1.5px; }
+  .svg-grain-arrow { stroke: #7c3aed; stroke-width: 1px; }
+  .svg-repeat-line { stroke: #64748b; stroke-width: 0.5px; stroke-dasharray: 4 4; }
   .svg-nonprintable-region { fill: rgba(249, 115, 22, 0.28); stroke: none; }
+  .svg-gripper-region { fill: rgba(239, 68, 68, 0.3); stroke: #ef4444; stroke-width: 0.5px; }
+  .svg-tail-region { fill: rgba(239, 68, 68, 0.14); stroke: #ef4444; stroke-width: 0.5px; stroke-dasharray: 2 2; }
   .svg-printable-outline { fill: none; stroke: #f97316; stroke-width: 1px; }
   .svg-layout-area { fill: none; stroke: #38bdf8; stroke-width: 1.5px; }
+  .svg-bleed-area { fill: rgba(236, 72, 153, 0.12); stroke: #ec4899; stroke-width: 0.5px; stroke-dasharray: 2 2; }
   .svg-document-area { fill: rgba(94, 234, 212, 0.18); stroke: #5eead4; stroke-width: 1px; }
+  .svg-document-area--fill { stroke-dasharray: 6 4; }
+  .svg-imposition-label { font-family: sans-serif; font-weight: 600; fill: #0f766e; }
+  .svg-imposition-label--back { fill: #be185d; }
+  .svg-numbering-label { font-family: monospace; font-weight: 600; fill: #b91c1c; }
+  .svg-crop-mark, .svg-registration-mark { stroke: #000000; fill: none; }
+  .svg-slug-area { fill: none; stroke: #94a3b8; stroke-width: 0.5px; stroke-dasharray: 2 2; }
+  .svg-color-patch { stroke: none; }
+  .svg-color-patch--cyan { fill: #00aeef; }
+  .svg-color-patch--magenta { fill: #ec008c; }
+  .svg-color-patch--yellow { fill: #fff200; }
+  .svg-color-patch--black { fill: #000000; }
   .svg-cut-line { stroke: #22d3ee; stroke-width: 1px; }
   .svg-slit-line { stroke: #facc15; stroke-width: 1px; }
   .svg-score-line { stroke: #a855f7; stroke-width: 1px; }
   .svg-perforation-line { stroke: #fb7185; stroke-width: 1px; stroke-dasharray: 6 4; }
   .svg-hole { fill: rgba(37, 99, 235, 0.12); stroke: #2563eb; stroke-width: 1px; }
+  .svg-hole--conflict { fill: rgba(220, 38, 38, 0.2); stroke: #dc2626; }
 `;
 
 function ensureInlineStyles(svg) {
@@ -75,18 +112,21 @@ function createScaledDrawers(svg, scale) {
   // maintains the correct physical size when opened in another tool.
   const toPx = (value) => value * scale;
 
-  const drawRect = (x, y, rectWidth, rectHeight, { layer, classNames, cornerRadii } = {}) => {
+  const drawRect = (x, y, rectWidth, rectHeight, { layer, classNames, cornerRadii, shape } = {}) => {
     const normalized = normalizeCornerRadii(cornerRadii);
     const rounded = clampCornerRadii(normalized, rectWidth, rectHeight);
     const pxX = toPx(x);
     const pxY = toPx(y);
     const pxWidth = toPx(rectWidth);
     const pxHeight = toPx(rectHeight);
+    const shapePath = buildDieShapePath(shape, pxX, pxY, pxWidth, pxHeight);
 
-    if (rounded) {
+    if (shapePath || rounded) {
       const path = createSvgElement('path');
-      const scaledRadii = scaleCornerRadii(rounded, scale);
-      path.setAttribute('d', buildRoundedRectPath(pxX, pxY, pxWidth, pxHeight, scaledRadii));
+      path.setAttribute(
+        'd',
+        shapePath || buildRoundedRectPath(pxX, pxY, pxWidth, pxHeight, scaleCornerRadii(rounded, scale))
+      );
       addClassNames(path, classNames);
       applyLayerAttributes(path, layer);
       svg.appendChild(path);
@@ -103,29 +143,47 @@ function createScaledDrawers(svg, scale) {
     svg.appendChild(rect);
   };
 
-  const drawLine = (x1, y1, x2, y2, { layer, classNames } = {}) => {
+  const drawLine = (x1, y1, x2, y2, { layer, classNames, strokeWidth, dash } = {}) => {
     const line = createSvgElement('line');
     line.setAttribute('x1', toPx(x1));
     line.setAttribute('y1', toPx(y1));
     line.setAttribute('x2', toPx(x2));
     line.setAttribute('y2', toPx(y2));
+    // Printer's marks carry their own weight; everything else is styled by class.
+    if (strokeWidth > 0) line.setAttribute('stroke-width', toPx(strokeWidth));
+    // A perforating pattern is drawn to scale, ahead of the class dash.
+    if (dash) line.style.strokeDasharray = dash.map(toPx).join(' ');
     line.classList.add('svg-line');
     addClassNames(line, classNames);
     applyLayerAttributes(line, layer);
     svg.appendChild(line);
   };
 
-  const drawCircle = (cx, cy, radius, { layer, classNames } = {}) => {
+  const drawCircle = (cx, cy, radius, { layer, classNames, strokeWidth } = {}) => {
     const circle = createSvgElement('circle');
     circle.setAttribute('cx', toPx(cx));
     circle.setAttribute('cy', toPx(cy));
     circle.setAttribute('r', toPx(radius));
+    if (strokeWidth > 0) circle.setAttribute('stroke-width', toPx(strokeWidth));
     addClassNames(circle, classNames);
     applyLayerAttributes(circle, layer);
     svg.appendChild(circle);
   };
 
-  return { drawRect, drawLine, drawCircle };
+  const drawText = (x, y, content, { fontSize, layer, classNames } = {}) => {
+    const text = createSvgElement('text');
+    text.setAttribute('x', toPx(x));
+    text.setAttribute('y', toPx(y));
+    text.setAttribute('font-size', toPx(fontSize));
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.textContent = content;
+    addClassNames(text, classNames);
+    applyLayerAttributes(text, layer);
+    svg.appendChild(text);
+  };
+
+  return { drawRect, drawLine, drawCircle, drawText };
 }
 
 function createSvgRoot(widthInches, heightInches) {
@@ -151,7 +209,7 @@ function createSvgRoot(widthInches, heightInches) {
 }
 
 export function createPrintableSvg(layout, finishing, options = {}) {
-  const scene = buildLayoutScene(layout, finishing);
+  const scene = buildLayoutScene(layout, finishing, { side: options.side });
   if (!scene) return null;
   const width = scene.width;
   const height = scene.height;
@@ -165,15 +223,17 @@ export function createPrintableSvg(layout, finishing, options = {}) {
 
   ensureInlineStyles(svg);
 
-  const { drawRect, drawLine, drawCircle } = createScaledDrawers(svg, scale);
+  const { drawRect, drawLine, drawCircle, drawText } = createScaledDrawers(svg, scale);
 
   scene.items.forEach((item) => {
-    if (!item || !isLayerVisible(item.layer)) return;
+    // Blanked-out cells are only drawn in the preview, to be clicked back in.
+    if (!item || item.skipped || !isLayerVisible(item.layer)) return;
     if (item.type === 'rect') {
       drawRect(item.x, item.y, item.width, item.height, {
         layer: item.layer,
         classNames: item.classNames,
         cornerRadii: item.cornerRadii,
+        shape: item.shape,
       });
       return;
     }
@@ -181,6 +241,8 @@ export function createPrintableSvg(layout, finishing, options = {}) {
       drawLine(item.x1, item.y1, item.x2, item.y2, {
         layer: item.layer,
         classNames: item.classNames,
+        strokeWidth: item.strokeWidth,
+        dash: item.dash,
       });
       return;
     }
@@ -188,9 +250,59 @@ export function createPrintableSvg(layout, finishing, options = {}) {
       drawCircle(item.cx, item.cy, item.radius, {
         layer: item.layer,
         classNames: item.classNames,
+        strokeWidth: item.strokeWidth,
+      });
+      return;
+    }
+    if (item.type === 'text') {
+      drawText(item.x, item.y, item.text, {
+        fontSize: item.fontSize,
+        layer: item.layer,
+        classNames: item.classNames,
       });
     }
   });
 
   return svg;
 }
+
+// Cutters pick up the die from a hairline stroke, so the dieline carries its
+// styling as presentation attributes rather than classes.
+const DIELINE_STROKE = '#ec008c';
+const DIELINE_STROKE_WIDTH_PT = 0.25;
+
+/**
+ * Builds a dieline-only SVG for the cutter: one closed outline per trimmed
+ * piece (its die shape, rounded corners or plain rectangle) at sheet size,
+ * with nothing else on the page. A roll die covers one repeat of the web.
+ */
+export function createDielineSvg(layout) {
+  const scene = buildLayoutScene(layout);
+  if (!scene) return null;
+  const frameHeight = scene.repeat ?? scene.height;
+  const { svg, scale } = createSvgRoot(scene.width, frameHeight);
+  svg.setAttribute('aria-label', 'Dieline');
+
+  const group = createSvgElement('g');
+  group.setAttribute('id', 'dieline');
+  group.setAttribute('fill', 'none');
+  group.setAttribute('stroke', DIELINE_STROKE);
+  group.setAttribute('stroke-width', (DIELINE_STROKE_WIDTH_PT / 72) * scale);
+
+  scene.items
+    .filter((item) => item.type === 'rect' && item.layer === 'docs' && !item.skipped && item.y < frameHeight)
+    .forEach((item) => {
+      const path = createSvgElement('path');
+      path.setAttribute(
+        'd',
+        buildTrimOutlinePath(item.x * scale, item.y * scale, item.width * scale, item.height * scale, {
+          shape: item.shape,
+          cornerRadii: item.cornerRadii && scaleCornerRadii(item.cornerRadii, scale),
+        })
+      );
+      group.appendChild(path);
+    });
+
+  svg.appendChild(group);
+  return svg;
+}
@@ -1,11 +1,8 @@
 import { applyLayerAttributes } from './svg-layer-attributes.js';
 import { setupMeasurementLine } from './svg-measurement-lines.js';
-import {
-  buildRoundedRectPath,
-  clampCornerRadii,
-  normalizeCornerRadii,
-  scaleCornerRadii,
-} from './rounded-rect-path.js';
+import { clampCornerRadii, normalizeCornerRadii, scaleCornerRadii } from '../calculations/corner-radii.js';
+import { buildRoundedRectPath } from './rounded-rect-path.js';
+import { buildDieShapePath } from './die-shape-path.js';
 
 function addClassNames(el, classNames = []) {
   if (!classNames) return;
@@ -21,43 +18,53 @@ function addClassNames(el, classNames = []) {
 }
 
 export function createRectFactory(svg, scale, offsetX, offsetY) {
-  return function drawRect(x, y, width, height, { layer, classNames, cornerRadii } = {}) {
+  return function drawRect(x, y, width, height, { layer, classNames, cornerRadii, shape, cell, measurement } = {}) {
     const normalized = normalizeCornerRadii(cornerRadii);
     const rounded = clampCornerRadii(normalized, width, height);
     const pxX = offsetX + x * scale;
     const pxY = offsetY + y * scale;
     const pxWidth = Math.max(0.5, width * scale);
     const pxHeight = Math.max(0.5, height * scale);
+    const shapePath = buildDieShapePath(shape, pxX, pxY, pxWidth, pxHeight);
 
-    if (rounded) {
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      const scaledRadii = scaleCornerRadii(rounded, scale);
-      path.setAttribute('d', buildRoundedRectPath(pxX, pxY, pxWidth, pxHeight, scaledRadii));
-      addClassNames(path, classNames);
-      applyLayerAttributes(path, layer);
-      svg.appendChild(path);
-      return;
+    let el;
+    if (shapePath || rounded) {
+      el = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      el.setAttribute(
+        'd',
+        shapePath || buildRoundedRectPath(pxX, pxY, pxWidth, pxHeight, scaleCornerRadii(rounded, scale))
+      );
+    } else {
+      el = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      el.setAttribute('x', pxX);
+      el.setAttribute('y', pxY);
+      el.setAttribute('width', pxWidth);
+      el.setAttribute('height', pxHeight);
     }
 
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('x', pxX);
-    rect.setAttribute('y', pxY);
-    rect.setAttribute('width', pxWidth);
-    rect.setAttribute('height', pxHeight);
+    // Grid cells carry their position so a click can blank them out.
+    if (cell) el.setAttribute('data-cell', `${cell.row}:${cell.col}`);
+    addClassNames(el, classNames);
+    applyLayerAttributes(el, layer);
 
-    addClassNames(rect, classNames);
-    applyLayerAttributes(rect, layer);
-    svg.appendChild(rect);
+    if (measurement) {
+      setupMeasurementLine(el, measurement.id, measurement.type);
+    }
+
+    svg.appendChild(el);
   };
 }
 
 export function createLineFactory(svg, scale, offsetX, offsetY) {
-  return function drawLine(x1, y1, x2, y2, { layer, classNames, measurement } = {}) {
+  return function drawLine(x1, y1, x2, y2, { layer, classNames, measurement, strokeWidth, dash } = {}) {
     const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
     line.setAttribute('x1', offsetX + x1 * scale);
     line.setAttribute('y1', offsetY + y1 * scale);
     line.setAttribute('x2', offsetX + x2 * scale);
     line.setAttribute('y2', offsetY + y2 * scale);
+    if (strokeWidth > 0) line.setAttribute('stroke-width', Math.max(0.5, strokeWidth * scale));
+    // Inline so a to-scale perforating pattern wins over the class dash.
+    if (dash) line.style.strokeDasharray = dash.map((length) => Math.max(0.5, length * scale)).join(' ');
 
     line.classList.add('svg-line');
     addClassNames(line, classNames);
@@ -71,12 +78,29 @@ export function createLineFactory(svg, scale, offsetX, offsetY) {
   };
 }
 
+export function createTextFactory(svg, scale, offsetX, offsetY) {
+  return function drawText(x, y, content, { fontSize = 0.25, layer, classNames } = {}) {
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('x', offsetX + x * scale);
+    text.setAttribute('y', offsetY + y * scale);
+    text.setAttribute('font-size', Math.max(6, fontSize * scale));
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.textContent = content;
+
+    addClassNames(text, classNames);
+    applyLayerAttributes(text, layer);
+    svg.appendChild(text);
+  };
+}
+
 export function createCircleFactory(svg, scale, offsetX, offsetY) {
-  return function drawCircle(cx, cy, radius, { layer, classNames, measurement } = {}) {
+  return function drawCircle(cx, cy, radius, { layer, classNames, measurement, strokeWidth } = {}) {
     const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
     circle.setAttribute('cx', offsetX + cx * scale);
     circle.setAttribute('cy', offsetY + cy * scale);
     circle.setAttribute('r', Math.max(0.5, radius * scale));
+    if (strokeWidth > 0) circle.setAttribute('stroke-width', Math.max(0.5, strokeWidth * scale));
 
     addClassNames(circle, classNames);
     applyLayerAttributes(circle, layer);
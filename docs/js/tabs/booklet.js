@@ -0,0 +1,224 @@
+import { formatBookletSpread, normalizeBookletSpec } from '../calculations/booklet-calculations.js';
+import { $ } from '../utils/dom.js';
+import {
+  MM_PER_INCH,
+  formatInchesForUnits,
+  formatMeasurement,
+  formatMeasurementValue,
+  getUnitsLabel,
+} from '../utils/units.js';
+import { getCurrentUnits } from './inputs.js';
+import { hydrateTabPanel } from './registry.js';
+
+const TAB_KEY = 'booklet';
+
+const FIELD_SELECTORS = {
+  pageCount: '#bookletPageCount',
+  pageWidth: '#bookletPageWidth',
+  pageHeight: '#bookletPageHeight',
+  bindingEdge: '#bookletBindingEdge',
+  caliper: '#bookletCaliper',
+  quantity: '#bookletQuantity',
+  scoreSheet: '#bookletScoreSheet',
+};
+
+// Page sizes and caliper are kept in inches and shown in the units picked on
+// the Inputs tab. Caliper keeps four decimals so thin stock survives in mm.
+const MEASUREMENT_FIELDS = {
+  pageWidth: { step: { in: '0.01', mm: '0.5' } },
+  pageHeight: { step: { in: '0.01', mm: '0.5' } },
+  caliper: { precision: 4, step: { in: '0.0005', mm: '0.01' } },
+};
+
+let initialized = false;
+let unitListenerBound = false;
+let storedContext = { update: () => {}, status: () => {} };
+let elements = {};
+let currentConfig = normalizeBookletSpec({
+  enabled: false,
+  pageCount: 16,
+  pageWidth: 5.5,
+  pageHeight: 8.5,
+  bindingEdge: 'left',
+  caliper: 0.004,
+  quantity: 0,
+  scoreSheet: 1,
+});
+
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const setHiddenValue = () => {
+  if (!elements.hiddenInput) return;
+  try {
+    elements.hiddenInput.value = JSON.stringify(currentConfig);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to serialize booklet config', error);
+  }
+};
+
+const parseHiddenConfig = () => {
+  if (!elements.hiddenInput) return null;
+  const raw = elements.hiddenInput.value;
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved booklet config', error);
+  }
+  return null;
+};
+
+const readFieldValue = (key, value) => {
+  if (!(key in MEASUREMENT_FIELDS) || getCurrentUnits() !== 'mm') return value;
+  const numeric = Number(value);
+  return value !== '' && Number.isFinite(numeric) ? numeric / MM_PER_INCH : value;
+};
+
+const formatFieldValue = (key, value, units) => {
+  const measurement = MEASUREMENT_FIELDS[key];
+  return measurement ? formatInchesForUnits(value, units, measurement.precision) : String(value);
+};
+
+const updateUnitLabels = (units) => {
+  document.querySelectorAll('[data-role="booklet-units"]').forEach((label) => {
+    label.textContent = getUnitsLabel(units);
+  });
+};
+
+const syncUIFromConfig = () => {
+  if (elements.enabledInput) {
+    elements.enabledInput.checked = currentConfig.enabled;
+  }
+  const units = getCurrentUnits();
+  updateUnitLabels(units);
+  Object.entries(elements.fields).forEach(([key, input]) => {
+    if (!input) return;
+    input.value = formatFieldValue(key, currentConfig[key], units);
+    const step = MEASUREMENT_FIELDS[key]?.step;
+    if (step) input.setAttribute('step', step[units === 'mm' ? 'mm' : 'in']);
+  });
+};
+
+// Only the edited field is read back so the other sizes keep their inch
+// values instead of the rounded figures on screen.
+const onFieldChanged = (key, value) => {
+  currentConfig = normalizeBookletSpec({ ...currentConfig, [key]: readFieldValue(key, value) });
+  setHiddenValue();
+  getUpdate()();
+};
+
+const createCell = (text, className) => {
+  const cell = document.createElement('td');
+  if (className) cell.className = className;
+  cell.textContent = text;
+  return cell;
+};
+
+const formatAllowance = (inches, units) =>
+  inches > 0 ? formatMeasurementValue(inches, units, units === 'mm' ? 3 : 4) : '—';
+
+const describeBooklet = (booklet, units) => {
+  const blanks = booklet.blanks > 0 ? ` (${booklet.blanks} blank)` : '';
+  const spread = `${formatMeasurement(booklet.spread.width, units)} × ${formatMeasurement(booklet.spread.height, units)}`;
+  const base = `${booklet.paddedPages} pages${blanks} on ${booklet.sheetCount} sheets; spread ${spread}.`;
+  if (booklet.signatures.length === 0) return `${base} The spread does not fit the press sheet.`;
+  const signatures = `${booklet.signatures.length} signature${booklet.signatures.length === 1 ? '' : 's'} at ${booklet.spreadsPerSide} up`;
+  return booklet.quantity > 0
+    ? `${base} ${signatures}; ${booklet.pressSheetsRequired} press sheets for ${booklet.quantity} booklets.`
+    : `${base} ${signatures}.`;
+};
+
+/**
+ * Writes the printer spreads and signature plan from calculateBooklet into the
+ * booklet tab. `null` means booklet mode is off or the page setup is empty.
+ */
+function updateBookletResults(booklet) {
+  const summary = $('#bookletSummary');
+  const spreadsBody = $('#tblBookletSpreads tbody');
+  const signaturesBody = $('#tblBookletSignatures tbody');
+  if (spreadsBody) spreadsBody.innerHTML = '';
+  if (signaturesBody) signaturesBody.innerHTML = '';
+  if (!booklet) {
+    if (summary) summary.textContent = 'Booklet mode disabled.';
+    return;
+  }
+  const units = getCurrentUnits();
+  updateUnitLabels(units);
+  if (summary) summary.textContent = describeBooklet(booklet, units);
+  booklet.sheets.forEach((sheet) => {
+    if (!spreadsBody) return;
+    const row = document.createElement('tr');
+    if (sheet.sheet === booklet.scoreSheet) row.className = 'booklet-row--scored';
+    row.appendChild(createCell(String(sheet.sheet), 'k'));
+    row.appendChild(createCell(formatBookletSpread(sheet.front), 'k'));
+    row.appendChild(createCell(formatBookletSpread(sheet.back), 'k'));
+    row.appendChild(createCell(formatAllowance(sheet.spineAllowance, units), 'k'));
+    spreadsBody.appendChild(row);
+  });
+  booklet.signatures.forEach((signature) => {
+    if (!signaturesBody) return;
+    const row = document.createElement('tr');
+    row.appendChild(createCell(String(signature.signature), 'k'));
+    row.appendChild(createCell(signature.sheets.join(', '), 'k'));
+    row.appendChild(createCell(String(signature.copiesPerSheet), 'k'));
+    row.appendChild(createCell(signature.pressSheets > 0 ? String(signature.pressSheets) : '—', 'k'));
+    signaturesBody.appendChild(row);
+  });
+}
+
+const init = (context = {}) => {
+  hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
+  if (initialized) {
+    syncUIFromConfig();
+    return;
+  }
+
+  elements = {
+    enabledInput: $('#bookletEnabled'),
+    hiddenInput: $('#bookletData'),
+    fields: Object.fromEntries(Object.entries(FIELD_SELECTORS).map(([key, selector]) => [key, $(selector)])),
+  };
+
+  const saved = parseHiddenConfig();
+  currentConfig = normalizeBookletSpec(saved ?? currentConfig);
+  syncUIFromConfig();
+  setHiddenValue();
+
+  elements.enabledInput?.addEventListener('change', (event) => {
+    currentConfig = { ...currentConfig, enabled: event.target.checked };
+    setHiddenValue();
+    getUpdate()();
+    getStatus()(currentConfig.enabled ? 'Booklet mode enabled' : 'Booklet mode disabled');
+  });
+  Object.entries(elements.fields).forEach(([key, input]) => {
+    const eventName = input?.tagName === 'SELECT' ? 'change' : 'input';
+    input?.addEventListener(eventName, (event) => onFieldChanged(key, event.target.value));
+  });
+  if (!unitListenerBound) {
+    document.addEventListener('calculator:units-change', syncUIFromConfig);
+    unitListenerBound = true;
+  }
+
+  initialized = true;
+};
+
+const bookletTab = {
+  key: TAB_KEY,
+  init,
+  onActivate(context) {
+    init(context);
+  },
+  onRegister(context) {
+    init(context);
+  },
+};
+
+export { updateBookletResults };
+export default bookletTab;
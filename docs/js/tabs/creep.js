@@ -0,0 +1,74 @@
+import { CREEP_METHODS, describeCreepAdjustment } from '../calculations/creep-calculations.js';
+import { formatBookletSpread } from '../calculations/booklet-calculations.js';
+import { $ } from '../utils/dom.js';
+import { hydrateTabPanel } from './registry.js';
+
+const TAB_KEY = 'creep';
+
+let initialized = false;
+let storedContext = { update: () => {}, status: () => {} };
+
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const createCell = (text, className) => {
+  const cell = document.createElement('td');
+  if (className) cell.className = className;
+  cell.textContent = text;
+  return cell;
+};
+
+/**
+ * Writes the per-spread adjustments from calculateCreep into the creep tab.
+ * `null` means booklet mode is off, so there is nothing to compensate.
+ */
+function updateCreepResults(creep) {
+  const summary = $('#creepSummary');
+  const body = $('#tblCreep tbody');
+  if (body) body.innerHTML = '';
+  if (!creep) {
+    if (summary) summary.textContent = 'Enable booklet mode to calculate creep.';
+    return;
+  }
+  if (summary) {
+    summary.textContent = creep.maxCreep > 0
+      ? `${CREEP_METHODS[creep.method]}: the innermost spread creeps ${creep.maxCreep.toFixed(4)} in on ${creep.caliper} in stock; fold at ${creep.fold.toFixed(3)} in.`
+      : 'No creep: a single sheet or zero caliper.';
+  }
+  if (!body) return;
+  creep.spreads.forEach((spread) => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(String(spread.sheet), 'k'));
+    row.appendChild(createCell(`${formatBookletSpread(spread.front)}, ${formatBookletSpread(spread.back)}`, 'k'));
+    row.appendChild(createCell(spread.creep.toFixed(4), 'k'));
+    row.appendChild(createCell(describeCreepAdjustment(spread, creep.method)));
+    body.appendChild(row);
+  });
+}
+
+const init = (context = {}) => {
+  hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
+  if (initialized) return;
+
+  $('#creepMethod')?.addEventListener('change', (event) => {
+    getUpdate()();
+    getStatus()(`Creep: ${CREEP_METHODS[event.target.value] ?? CREEP_METHODS.artwork}`);
+  });
+
+  initialized = true;
+};
+
+const creepTab = {
+  key: TAB_KEY,
+  init,
+  onActivate(context) {
+    init(context);
+  },
+  onRegister(context) {
+    init(context);
+  },
+};
+
+export { updateCreepResults };
+export default creepTab;
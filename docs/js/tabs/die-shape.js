@@ -0,0 +1,208 @@
+import { $ } from '../utils/dom.js';
+import { hydrateTabPanel } from './registry.js';
+import { setMeasurementInput } from './inputs.js';
+import {
+  DIE_SHAPE_LABELS,
+  PATH_UNIT_SCALES,
+  combineSvgPaths,
+  formatSvgPath,
+  getPathBounds,
+  parseSvgPath,
+  scaleSvgPath,
+} from '../rendering/die-shape-path.js';
+
+const TAB_KEY = 'die-shape';
+
+// Inches per unit for the lengths an SVG file can declare on its root element.
+const SVG_LENGTH_SCALES = { ...PATH_UNIT_SCALES, cm: 1 / 2.54, pc: 1 / 6, '': 1 / 96 };
+
+let initialized = false;
+let storedContext = { update: () => {}, status: () => {} };
+let elements = {};
+let currentShape = { type: 'rectangle' };
+
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const formatInches = (value) => `${Number(value.toFixed(3))} in`;
+
+const setHiddenValue = () => {
+  if (!elements.hiddenInput) return;
+  try {
+    elements.hiddenInput.value = JSON.stringify(currentShape);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to serialize die shape', error);
+  }
+};
+
+const parseHiddenShape = () => {
+  const raw = elements.hiddenInput?.value;
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object' && DIE_SHAPE_LABELS[parsed.type]) {
+      return parsed;
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved die shape', error);
+  }
+  return null;
+};
+
+// Reads the pasted path in the chosen units and returns it in inches.
+const readPathInInches = () => {
+  const commands = parseSvgPath(elements.pathInput?.value);
+  if (!commands) return null;
+  const scale = PATH_UNIT_SCALES[elements.unitsSelect?.value] ?? 1;
+  const inches = scaleSvgPath(commands, scale);
+  const bounds = getPathBounds(inches);
+  return bounds && bounds.width > 0 && bounds.height > 0 ? { commands: inches, bounds } : null;
+};
+
+function renderSummary() {
+  if (!elements.summary) return;
+  if (currentShape.type === 'rectangle') {
+    elements.summary.textContent = 'Rectangular trim.';
+    return;
+  }
+  if (currentShape.type !== 'path') {
+    elements.summary.textContent = `${DIE_SHAPE_LABELS[currentShape.type]} fitted to the document size.`;
+    return;
+  }
+  const path = readPathInInches();
+  elements.summary.textContent = path
+    ? `Custom path, ${formatInches(path.bounds.width)} × ${formatInches(path.bounds.height)} bounding box.`
+    : 'Enter valid SVG path data to cut a custom shape; documents stay rectangular until then.';
+}
+
+const syncPathCard = () => {
+  if (elements.pathCard) elements.pathCard.hidden = currentShape.type !== 'path';
+};
+
+function applyShape(statusMessage) {
+  const type = elements.typeSelect?.value ?? 'rectangle';
+  currentShape = { type };
+  if (type === 'path') {
+    const path = readPathInInches();
+    if (path) {
+      currentShape = { type, d: formatSvgPath(path.commands) };
+      // The bounding box is what the layout engine places.
+      setMeasurementInput('#docW', path.bounds.width);
+      setMeasurementInput('#docH', path.bounds.height);
+    }
+  }
+  syncPathCard();
+  setHiddenValue();
+  renderSummary();
+  getUpdate()();
+  if (statusMessage) {
+    getStatus()(statusMessage);
+  }
+}
+
+// Transforms from the outermost group down to the element, as one list.
+const getTransformChain = (element, root) => {
+  const transforms = [];
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    transforms.unshift(node.getAttribute('transform') ?? '');
+  }
+  return transforms.join(' ');
+};
+
+/**
+ * Pulls every path out of an SVG file, applies the transforms of the path and
+ * its groups, and converts it to inches using the root width and viewBox, so
+ * the imported outline keeps its drawn size.
+ */
+function readSvgOutline(markup) {
+  const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+  const svg = doc.querySelector('svg');
+  if (!svg) return null;
+  const commands = combineSvgPaths(
+    Array.from(svg.querySelectorAll('path'), (path) => ({
+      d: path.getAttribute('d'),
+      transform: getTransformChain(path, svg),
+    }))
+  );
+  if (!commands) return null;
+  const viewBox = (svg.getAttribute('viewBox') ?? '').split(/[\s,]+/).map(Number);
+  const width = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(svg.getAttribute('width') ?? '');
+  const unitScale = width ? SVG_LENGTH_SCALES[width[2].toLowerCase()] : undefined;
+  const scale =
+    width && unitScale && viewBox.length === 4 && viewBox[2] > 0
+      ? (Number(width[1]) * unitScale) / viewBox[2]
+      : unitScale ?? SVG_LENGTH_SCALES[''];
+  return formatSvgPath(scaleSvgPath(commands, scale));
+}
+
+async function handleFileImport(event) {
+  const [file] = event.target.files ?? [];
+  if (!file) return;
+  const outline = readSvgOutline(await file.text());
+  event.target.value = '';
+  if (!outline) {
+    getStatus()('No usable path found in the SVG file');
+    return;
+  }
+  if (elements.typeSelect) elements.typeSelect.value = 'path';
+  if (elements.unitsSelect) elements.unitsSelect.value = 'in';
+  if (elements.pathInput) elements.pathInput.value = outline;
+  applyShape(`Imported die shape from ${file.name}`);
+}
+
+const syncUIFromShape = () => {
+  if (elements.typeSelect) elements.typeSelect.value = currentShape.type;
+  if (currentShape.type === 'path' && elements.pathInput && !elements.pathInput.value) {
+    elements.pathInput.value = currentShape.d ?? '';
+    if (elements.unitsSelect) elements.unitsSelect.value = 'in';
+  }
+  syncPathCard();
+  renderSummary();
+};
+
+const init = (context = {}) => {
+  hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
+  if (initialized) {
+    syncUIFromShape();
+    return;
+  }
+
+  elements = {
+    typeSelect: $('#dieShapeType'),
+    pathCard: $('#dieShapePathCard'),
+    pathInput: $('#dieShapePath'),
+    unitsSelect: $('#dieShapeUnits'),
+    fileInput: $('#dieShapeFile'),
+    summary: $('#dieShapeSummary'),
+    hiddenInput: $('#dieShapeData'),
+  };
+
+  currentShape = parseHiddenShape() ?? currentShape;
+  syncUIFromShape();
+  setHiddenValue();
+
+  elements.typeSelect?.addEventListener('change', (event) =>
+    applyShape(`Die shape set to ${DIE_SHAPE_LABELS[event.target.value]?.toLowerCase() ?? 'rectangle'}`)
+  );
+  elements.pathInput?.addEventListener('change', () => applyShape('Custom die path applied'));
+  elements.unitsSelect?.addEventListener('change', () => applyShape('Custom die path units updated'));
+  elements.fileInput?.addEventListener('change', handleFileImport);
+
+  initialized = true;
+};
+
+const dieShapeTab = {
+  key: TAB_KEY,
+  init,
+  onActivate(context) {
+    init(context);
+  },
+  onRegister(context) {
+    init(context);
+  },
+};
+
+export default dieShapeTab;
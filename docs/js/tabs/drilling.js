@@ -1,6 +1,10 @@
 import { $ } from '../utils/dom.js';
 import { toFiniteNumber } from '../utils/numbers.js';
+import { formatMeasurement } from '../utils/units.js';
+import { BINDING_STYLES, HOLE_SHAPES } from '../calculations/binding-calculations.js';
+import { FENCE_EDGES, normalizeDrillStackSpec } from '../calculations/drill-stack-calculations.js';
 import { hydrateTabPanel } from './registry.js';
+import { getCurrentUnits } from './inputs.js';
 
 const TAB_KEY = 'drilling';
 
@@ -18,7 +22,15 @@ const ALIGN_LABELS = {
   right: { start: 'Top', center: 'Center', end: 'Bottom' },
 };
 
-const VALID_PRESETS = new Set(['none', 'three-hole', 'custom']);
+const DRILLED_PRESET_LABELS = {
+  none: 'No holes',
+  'two-hole': '2-hole',
+  'three-hole': '3-hole',
+  'five-hole': '5-hole',
+  custom: 'Custom',
+};
+
+const VALID_PRESETS = new Set([...Object.keys(DRILLED_PRESET_LABELS), ...Object.keys(BINDING_STYLES)]);
 const VALID_ALIGNS = new Set(['start', 'center', 'end']);
 
 const HOLE_SIZE_LABELS = new Map([
@@ -35,22 +47,37 @@ const DEFAULT_CUSTOM_ENTRY = {
   offset: 0.25,
 };
 
+// Ring binder patterns are centred on the bound edge: 2-hole at 2 3/4 in
+// centres and 5-hole combining those with the 4 1/4 in 3-hole centres.
+const centredHoles = (edge, axisOffsets) =>
+  axisOffsets.map((axisOffset) => ({ edge, align: 'center', axisOffset, offset: 0.3125 }));
+
+// Binding styles carry no entries of their own; calculateFinishing lays the
+// holes out along the bound edge for the document size.
 const PRESET_GENERATORS = {
   none: () => [],
-  'three-hole': () => [
-    { edge: 'left', align: 'start', axisOffset: 0.5, offset: 0.3125 },
-    { edge: 'left', align: 'center', axisOffset: 0, offset: 0.3125 },
-    { edge: 'left', align: 'end', axisOffset: 0.5, offset: 0.3125 },
+  'two-hole': (_entries, { edge }) => centredHoles(edge, [-1.375, 1.375]),
+  'three-hole': (_entries, { edge }) => [
+    { edge, align: 'start', axisOffset: 0.5, offset: 0.3125 },
+    { edge, align: 'center', axisOffset: 0, offset: 0.3125 },
+    { edge, align: 'end', axisOffset: 0.5, offset: 0.3125 },
   ],
+  'five-hole': (_entries, { edge }) => centredHoles(edge, [-4.25, -1.375, 0, 1.375, 4.25]),
+  ...Object.fromEntries(Object.keys(BINDING_STYLES).map((style) => [style, () => []])),
   custom: (entries = []) => (entries.length ? entries : [DEFAULT_CUSTOM_ENTRY]),
 };
 
+const isEdgePreset = (preset) => preset !== 'none' && preset !== 'custom';
+
 let initialized = false;
 let storedContext = { update: () => {}, status: () => {} };
 let elements = {};
 let currentConfig = {
   preset: 'none',
   size: 0.25,
+  edge: 'left',
+  fence: 'left',
+  caliper: 0.004,
   entries: [],
 };
 
@@ -67,9 +94,9 @@ const normalizeEntry = (entry = {}) => {
   return { edge, align, axisOffset, offset };
 };
 
-const resolvePresetEntries = (preset, entries = []) => {
+const resolvePresetEntries = (preset, edge, entries = []) => {
   const generator = PRESET_GENERATORS[preset] ?? PRESET_GENERATORS.none;
-  const generated = generator(entries).map(normalizeEntry);
+  const generated = generator(entries, { edge }).map(normalizeEntry);
   return generated;
 };
 
@@ -77,9 +104,14 @@ const normalizeConfig = (config = {}) => {
   const preset = VALID_PRESETS.has(config.preset) ? config.preset : 'none';
   const size = toNumber(config.size, currentConfig.size ?? 0.25);
   const diameter = size > 0 ? size : 0.25;
+  const edge = EDGE_OPTIONS.some((opt) => opt.value === config.edge) ? config.edge : 'left';
   const rawEntries = Array.isArray(config.entries) ? config.entries : [];
-  const entries = preset === 'custom' ? rawEntries.map(normalizeEntry) : resolvePresetEntries(preset);
-  return { preset, size: diameter, entries };
+  const entries = preset === 'custom' ? rawEntries.map(normalizeEntry) : resolvePresetEntries(preset, edge);
+  const { fence, caliper } = normalizeDrillStackSpec({
+    fence: config.fence ?? currentConfig.fence,
+    caliper: config.caliper ?? currentConfig.caliper,
+  });
+  return { preset, size: diameter, edge, fence, caliper, entries };
 };
 
 const setHiddenValue = () => {
@@ -97,6 +129,19 @@ const toggleCustomContainer = (show) => {
   elements.customContainer.hidden = !show;
 };
 
+// Pattern presets are placed on a chosen edge; binding dies fix the hole size.
+const syncPatternControls = () => {
+  if (elements.edgeContainer) {
+    elements.edgeContainer.hidden = !isEdgePreset(currentConfig.preset);
+  }
+  if (elements.edgeSelect) {
+    elements.edgeSelect.value = currentConfig.edge;
+  }
+  if (elements.sizeSelect) {
+    elements.sizeSelect.disabled = Boolean(BINDING_STYLES[currentConfig.preset]);
+  }
+};
+
 const createOption = (value, label) => {
   const option = document.createElement('option');
   option.value = value;
@@ -252,7 +297,14 @@ const syncUIFromConfig = () => {
   if (elements.sizeSelect) {
     elements.sizeSelect.value = String(currentConfig.size);
   }
+  if (elements.fenceSelect) {
+    elements.fenceSelect.value = currentConfig.fence;
+  }
+  if (elements.caliperInput) {
+    elements.caliperInput.value = String(currentConfig.caliper);
+  }
   toggleCustomContainer(currentConfig.preset === 'custom');
+  syncPatternControls();
   if (currentConfig.preset === 'custom') {
     if (currentConfig.entries.length === 0) {
       currentConfig = normalizeConfig({
@@ -286,12 +338,15 @@ const applyConfig = (config, { silent = false, statusMessage = null } = {}) => {
 const handlePresetChange = () => {
   const preset = elements.presetSelect?.value ?? 'none';
   if (!VALID_PRESETS.has(preset)) return;
+  const label = BINDING_STYLES[preset]?.label ?? DRILLED_PRESET_LABELS[preset];
   const statusMessage =
     preset === 'custom'
       ? 'Custom hole drilling enabled'
-      : preset === 'three-hole'
-        ? '3-hole drilling preset applied'
-        : 'Hole drilling disabled';
+      : preset === 'none'
+        ? 'Hole drilling disabled'
+        : BINDING_STYLES[preset]
+          ? `${label} binding holes applied`
+          : `${label} drilling preset applied`;
   const entries = preset === 'custom' ? currentConfig.entries : undefined;
   applyConfig({ preset, entries }, { statusMessage });
 };
@@ -304,6 +359,24 @@ const handleSizeChange = () => {
   });
 };
 
+const handleEdgeChange = () => {
+  const edge = elements.edgeSelect?.value ?? 'left';
+  const option = EDGE_OPTIONS.find((opt) => opt.value === edge);
+  applyConfig({ edge }, { statusMessage: `Holes moved to the ${option?.label.toLowerCase() ?? 'left edge'}` });
+};
+
+const handleFenceChange = () => {
+  const fence = elements.fenceSelect?.value ?? 'left';
+  applyConfig({ fence }, { statusMessage: `Drill positions measured from the ${FENCE_EDGES[fence]?.toLowerCase() ?? 'left edge'}` });
+};
+
+// Typing a caliper refreshes the lift without re-rendering the custom rows.
+const handleCaliperInput = () => {
+  currentConfig = normalizeConfig({ ...currentConfig, caliper: elements.caliperInput?.value });
+  setHiddenValue();
+  getUpdate()();
+};
+
 const handleAddLocation = () => {
   const base = currentConfig.entries[currentConfig.entries.length - 1] ?? DEFAULT_CUSTOM_ENTRY;
   const nextEntry = { ...base };
@@ -339,6 +412,10 @@ const init = (context = {}) => {
   elements = {
     presetSelect: $('#drillPreset'),
     sizeSelect: $('#drillSize'),
+    edgeSelect: $('#drillEdge'),
+    edgeContainer: document.querySelector('[data-edge-config]'),
+    fenceSelect: $('#drillFence'),
+    caliperInput: $('#drillCaliper'),
     customContainer: document.querySelector('[data-custom-config]'),
     locationsContainer: $('#drillLocations'),
     addButton: $('#drillAddLocation'),
@@ -353,6 +430,9 @@ const init = (context = {}) => {
 
   elements.presetSelect?.addEventListener('change', handlePresetChange);
   elements.sizeSelect?.addEventListener('change', handleSizeChange);
+  elements.edgeSelect?.addEventListener('change', handleEdgeChange);
+  elements.fenceSelect?.addEventListener('change', handleFenceChange);
+  elements.caliperInput?.addEventListener('input', handleCaliperInput);
   elements.addButton?.addEventListener('click', () => {
     handleAddLocation();
     if (elements.locationsContainer?.lastElementChild) {
@@ -368,6 +448,97 @@ const init = (context = {}) => {
   initialized = true;
 };
 
+const formatInches = (inches) => formatMeasurement(inches, getCurrentUnits());
+
+const describeHole = (binding) =>
+  binding.shape === 'round'
+    ? `${HOLE_SHAPES.round} ${formatInches(binding.along)}`
+    : `${HOLE_SHAPES[binding.shape]} ${formatInches(binding.along)} × ${formatInches(binding.across)}`;
+
+const appendSettingRows = (body, rows) => {
+  rows.forEach((values) => {
+    const row = document.createElement('tr');
+    values.forEach((value, column) => {
+      const cell = document.createElement('td');
+      if (column > 0) cell.className = 'k';
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+};
+
+const describeSpindleHole = (spindle) =>
+  spindle.shape === 'round'
+    ? formatInches(spindle.width)
+    : `${formatInches(spindle.width)} × ${formatInches(spindle.height)}`;
+
+const SIDE_GUIDES = { left: 'top', right: 'top', top: 'left', bottom: 'left' };
+
+const describeLift = (stack) => {
+  const guide = `Fence on the ${stack.fence} edge of the piece; along is measured from the ${SIDE_GUIDES[stack.fence]} edge.`;
+  if (!stack.lift) {
+    return stack.caliper > 0 ? `${guide} Punched holes: follow the punch's sheet capacity.` : `${guide} Enter a caliper for the lift.`;
+  }
+  return `${guide} Drill lifts of up to ${stack.lift.sheets} sheets (${formatInches(stack.lift.height)} for a ${formatInches(
+    stack.lift.bit
+  )} bit).`;
+};
+
+const updateDrillStack = (stack) => {
+  const summary = $('#drillStackSummary');
+  const body = $('#tblDrillStack tbody');
+  if (body) body.innerHTML = '';
+  if (!stack) {
+    if (summary) summary.textContent = 'No holes in the layout.';
+    return;
+  }
+  if (summary) summary.textContent = describeLift(stack);
+  if (!body) return;
+  appendSettingRows(
+    body,
+    stack.spindles.map((spindle, index) => [
+      `Spindle ${index + 1}`,
+      formatInches(spindle.fromFence),
+      formatInches(spindle.along),
+      describeSpindleHole(spindle),
+      `${spindle.pieces} of ${stack.pieces}`,
+    ])
+  );
+};
+
+/**
+ * Writes the punch die setting for a binding style (from calculateBindingPlan)
+ * and the drill-stack readout (from calculateDrillStack) into the drilling
+ * tab. `null` clears either one.
+ */
+function updateDrillingResults({ binding = null, stack = null } = {}) {
+  updateDrillStack(stack);
+  const summary = $('#drillDieSummary');
+  const body = $('#tblPunchDie tbody');
+  if (body) body.innerHTML = '';
+  if (!binding) {
+    if (summary) summary.textContent = 'Choose a binding style to see its punch die setting.';
+    return;
+  }
+  if (summary) {
+    const edge = binding.enteredEdge ?? binding.edge;
+    const placed = edge === binding.edge ? '' : ` (the ${binding.edge} edge as placed on the sheet)`;
+    summary.textContent =
+      binding.count > 0
+        ? `${binding.label}: ${binding.count} holes along the ${edge} edge of each piece${placed}.`
+        : `${binding.label}: the ${edge} edge${placed} is too short for the die.`;
+  }
+  if (!body) return;
+  appendSettingRows(body, [
+    ['Pitch', `${Number(binding.holesPerInch.toFixed(2))} holes per inch (${formatInches(binding.pitch)})`],
+    ['Hole', `${describeHole(binding)} (along × into the edge)`],
+    ['Edge distance', `${formatInches(binding.margin)} to the near side of the holes`],
+    ['Holes per edge', String(binding.count)],
+    ['First hole centre', `${formatInches(binding.firstCenter)} from the end of the edge`],
+  ]);
+}
+
 const drillingTab = {
   key: TAB_KEY,
   init,
@@ -379,4 +550,5 @@ const drillingTab = {
   },
 };
 
+export { updateDrillingResults };
 export default drillingTab;
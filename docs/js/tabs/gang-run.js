@@ -0,0 +1,280 @@
+import { $ } from '../utils/dom.js';
+import { toFiniteNumber } from '../utils/numbers.js';
+import { MM_PER_INCH, formatInchesForUnits, getUnitsLabel } from '../utils/units.js';
+import { getCurrentUnits } from './inputs.js';
+import { hydrateTabPanel } from './registry.js';
+
+const TAB_KEY = 'gang-run';
+
+const DEFAULT_ITEMS = [
+  { label: 'Postcard', width: 6, height: 4, quantity: 1000 },
+  { label: 'Rack card', width: 4, height: 9, quantity: 500 },
+];
+
+let initialized = false;
+let storedContext = { update: () => {}, status: () => {} };
+let elements = {};
+let unitListenerBound = false;
+let currentConfig = {
+  enabled: false,
+  items: DEFAULT_ITEMS,
+};
+
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const normalizeItem = (item = {}) => ({
+  label: typeof item.label === 'string' ? item.label : '',
+  width: Math.max(0, toFiniteNumber(item.width, 0)),
+  height: Math.max(0, toFiniteNumber(item.height, 0)),
+  quantity: Math.max(1, Math.floor(toFiniteNumber(item.quantity, 1))),
+});
+
+const normalizeConfig = (config = {}) => ({
+  enabled: config.enabled === true,
+  items: Array.isArray(config.items) ? config.items.map(normalizeItem) : [],
+});
+
+const setHiddenValue = () => {
+  if (!elements.hiddenInput) return;
+  try {
+    elements.hiddenInput.value = JSON.stringify(currentConfig);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to serialize gang run config', error);
+  }
+};
+
+const createField = (text, input) => {
+  const label = document.createElement('label');
+  label.className = 'form-label';
+  const span = document.createElement('span');
+  span.textContent = text;
+  label.appendChild(span);
+  label.appendChild(input);
+  return label;
+};
+
+const createInput = (role, type, value, attributes = {}) => {
+  const input = document.createElement('input');
+  input.type = type;
+  input.className = 'form-control';
+  input.dataset.role = role;
+  input.value = String(value);
+  Object.entries(attributes).forEach(([key, attr]) => input.setAttribute(key, attr));
+  return input;
+};
+
+const collectItemRows = () => Array.from(elements.itemsContainer?.querySelectorAll('.gang-item-row') ?? []);
+
+// Item sizes are kept in inches and shown in the units picked on the Inputs
+// tab, like the document size they stand in for.
+const SIZE_ROLES = new Set(['width', 'height']);
+
+const toInches = (value) => {
+  const numeric = toFiniteNumber(value, 0);
+  return getCurrentUnits() === 'mm' ? numeric / MM_PER_INCH : numeric;
+};
+
+// Only the edited field is read back so the other sizes keep their inch
+// values instead of the rounded figures on screen.
+const onItemFieldChanged = (row, role, value) => {
+  const index = collectItemRows().indexOf(row);
+  if (index < 0) return;
+  const items = [...currentConfig.items];
+  items[index] = normalizeItem({ ...items[index], [role]: SIZE_ROLES.has(role) ? toInches(value) : value });
+  currentConfig = { ...currentConfig, items };
+  setHiddenValue();
+  getUpdate()();
+};
+
+const onItemsChanged = (statusMessage = null) => {
+  setHiddenValue();
+  getUpdate()();
+  if (statusMessage) {
+    getStatus()(statusMessage);
+  }
+};
+
+const createItemRow = (item) => {
+  const row = document.createElement('div');
+  row.className = 'gang-item-row';
+
+  const units = getCurrentUnits();
+  const sizeAttributes = { step: units === 'mm' ? '0.5' : '0.01', min: '0' };
+  const labelInput = createInput('label', 'text', item.label, { placeholder: 'Item name' });
+  const widthInput = createInput('width', 'number', formatInchesForUnits(item.width, units), sizeAttributes);
+  const heightInput = createInput('height', 'number', formatInchesForUnits(item.height, units), sizeAttributes);
+  const quantityInput = createInput('quantity', 'number', item.quantity, { step: '1', min: '1' });
+  row.appendChild(createField('Item', labelInput));
+  row.appendChild(createField(`Width (${getUnitsLabel(units)})`, widthInput));
+  row.appendChild(createField(`Height (${getUnitsLabel(units)})`, heightInput));
+  row.appendChild(createField('Quantity', quantityInput));
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn btn-ghost';
+  removeButton.dataset.role = 'remove';
+  removeButton.textContent = 'Remove';
+  row.appendChild(removeButton);
+
+  [labelInput, widthInput, heightInput, quantityInput].forEach((input) =>
+    input.addEventListener('input', () => onItemFieldChanged(row, input.dataset.role, input.value))
+  );
+  removeButton.addEventListener('click', () => {
+    const index = collectItemRows().indexOf(row);
+    row.remove();
+    currentConfig = { ...currentConfig, items: currentConfig.items.filter((_, itemIndex) => itemIndex !== index) };
+    onItemsChanged('Removed gang item');
+  });
+
+  return row;
+};
+
+const renderItems = () => {
+  if (!elements.itemsContainer) return;
+  elements.itemsContainer.innerHTML = '';
+  currentConfig.items.forEach((item) => {
+    elements.itemsContainer.appendChild(createItemRow(item));
+  });
+};
+
+const updateUnitLabels = (units) => {
+  document.querySelectorAll('[data-role="gang-run-units"]').forEach((label) => {
+    label.textContent = getUnitsLabel(units);
+  });
+};
+
+const handleUnitsChange = (event) => {
+  updateUnitLabels(event?.detail?.units ?? getCurrentUnits());
+  renderItems();
+};
+
+const syncUIFromConfig = () => {
+  if (elements.enabledInput) {
+    elements.enabledInput.checked = currentConfig.enabled;
+  }
+  updateUnitLabels(getCurrentUnits());
+  renderItems();
+};
+
+const handleAddItem = () => {
+  const base = currentConfig.items[currentConfig.items.length - 1] ?? DEFAULT_ITEMS[0];
+  currentConfig = normalizeConfig({
+    ...currentConfig,
+    items: [...currentConfig.items, { ...base, label: `Item ${currentConfig.items.length + 1}` }],
+  });
+  elements.itemsContainer?.appendChild(createItemRow(currentConfig.items[currentConfig.items.length - 1]));
+  setHiddenValue();
+  getUpdate()();
+  getStatus()('Added gang item');
+};
+
+const parseHiddenConfig = () => {
+  if (!elements.hiddenInput) return null;
+  const raw = elements.hiddenInput.value;
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved gang run config', error);
+  }
+  return null;
+};
+
+const formatCount = (value) => (value === null || value === undefined ? '—' : String(value));
+
+const createCell = (text, className) => {
+  const cell = document.createElement('td');
+  if (className) cell.className = className;
+  cell.textContent = text;
+  return cell;
+};
+
+/**
+ * Writes the per-item counts from calculateGangLayout into the results table.
+ * Items whose size cannot fit on the sheet report no sheets needed.
+ */
+function updateGangRunResults(gang) {
+  const summary = $('#gangRunSummary');
+  const body = $('#tblGangItems tbody');
+  if (body) body.innerHTML = '';
+  if (!gang) {
+    if (summary) summary.textContent = 'Gang run disabled.';
+    return;
+  }
+  if (summary) {
+    const unplaced = gang.items.filter((item) => item.count === 0).map((item) => item.label);
+    summary.textContent = unplaced.length > 0
+      ? `${gang.total} up per sheet; ${unplaced.join(', ')} did not fit.`
+      : `${gang.total} up per sheet across ${gang.strips.length} strips; ${gang.sheetsRequired} sheets required.`;
+  }
+  if (!body) return;
+  const units = getCurrentUnits();
+  gang.items.forEach((item) => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(item.label));
+    row.appendChild(
+      createCell(`${formatInchesForUnits(item.width, units)} × ${formatInchesForUnits(item.height, units)}`, 'k')
+    );
+    row.appendChild(createCell(String(item.count), 'k'));
+    row.appendChild(createCell(String(item.quantity), 'k'));
+    row.appendChild(createCell(formatCount(item.sheetsNeeded), 'k'));
+    row.appendChild(createCell(formatCount(item.produced), 'k'));
+    row.appendChild(createCell(formatCount(item.overs), 'k'));
+    body.appendChild(row);
+  });
+}
+
+const init = (context = {}) => {
+  hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
+  if (initialized) {
+    syncUIFromConfig();
+    return;
+  }
+
+  elements = {
+    enabledInput: $('#gangRunEnabled'),
+    itemsContainer: $('#gangItems'),
+    addButton: $('#gangAddItem'),
+    hiddenInput: $('#gangRunData'),
+  };
+
+  const saved = parseHiddenConfig();
+  currentConfig = normalizeConfig(saved ?? currentConfig);
+  syncUIFromConfig();
+  setHiddenValue();
+
+  elements.enabledInput?.addEventListener('change', (event) => {
+    currentConfig = { ...currentConfig, enabled: event.target.checked };
+    setHiddenValue();
+    getUpdate()();
+    getStatus()(currentConfig.enabled ? 'Gang run enabled' : 'Gang run disabled');
+  });
+  elements.addButton?.addEventListener('click', handleAddItem);
+  if (!unitListenerBound) {
+    document.addEventListener('calculator:units-change', handleUnitsChange);
+    unitListenerBound = true;
+  }
+
+  initialized = true;
+};
+
+const gangRunTab = {
+  key: TAB_KEY,
+  init,
+  onActivate(context) {
+    init(context);
+  },
+  onRegister(context) {
+    init(context);
+  },
+};
+
+export { updateGangRunResults };
+export default gangRunTab;
@@ -1,4 +1,4 @@
-import { sheetPresets, documentPresets, gutterPresets } from '../data/input-presets.js';
+import { sheetPresets, parentSheetPresets, documentPresets, gutterPresets } from '../data/input-presets.js';
 import { DEFAULT_INPUTS, getDefaultInputsForUnits } from '../config/defaults.js';
 import { $ } from '../utils/dom.js';
 import {
@@ -8,24 +8,41 @@ import {
   getUnitsPrecision,
 } from '../utils/units.js';
 import { hydrateTabPanel } from './registry.js';
+import { isSameSheetSize } from '../calculations/sheet-finder.js';
+import { IMPOSITION_LABELS } from '../calculations/imposition-calculations.js';
 import { detectPreferredUnits } from '../utils/measurement-system.js';
 import { handleUnitCelebration, dismissAlert, destroyEagle } from '../ui/celebration.js';
 
 const TAB_KEY = 'inputs';
 const marginInputSelectors = ['#mTop', '#mRight', '#mBottom', '#mLeft'];
 const docCountSelectors = ['#forceAcross', '#forceDown'];
+const bleedSideSelectors = ['#bleedTop', '#bleedRight', '#bleedBottom', '#bleedLeft'];
 const numericInputSelectors = [
   '#sheetW',
   '#sheetH',
+  '#parentW',
+  '#parentH',
   '#docW',
   '#docH',
   '#gutH',
   '#gutV',
+  '#gutWideH',
+  '#gutWideV',
+  '#anchorOffsetX',
+  '#anchorOffsetY',
+  '#staggerPitch',
   ...marginInputSelectors,
   '#npTop',
   '#npRight',
   '#npBottom',
   '#npLeft',
+  '#pressGripper',
+  '#pressTail',
+  '#bleedAll',
+  ...bleedSideSelectors,
+  '#marksLength',
+  '#marksOffset',
+  '#marksSlugDepth',
 ];
 
 const CANONICAL_INCHES_ATTR = 'inches';
@@ -157,11 +174,29 @@ function applyDefaultsToInputs(defaults) {
 }
 
 function clearOptionalInputs() {
-  ['#scoresV', '#scoresH', '#perfV', '#perfH'].forEach((selector) => {
+  const textSelectors = ['#scoresV', '#scoresH', '#perfV', '#perfH', '#gutEveryH', '#gutEveryV', '#gutGapsH', '#gutGapsV', '#marksWeight'];
+  textSelectors.forEach((selector) => {
     const el = $(selector);
     if (!el) return;
     el.value = '';
   });
+  const measurementSelectors = [
+    '#bleedAll',
+    ...bleedSideSelectors,
+    '#parentW',
+    '#parentH',
+    '#gutWideH',
+    '#gutWideV',
+    '#anchorOffsetX',
+    '#anchorOffsetY',
+    '#staggerPitch',
+    '#pressGripper',
+    '#pressTail',
+    '#marksLength',
+    '#marksOffset',
+    '#marksSlugDepth',
+  ];
+  measurementSelectors.forEach((selector) => setMeasurementInput(selector, Number.NaN));
 }
 
 function rememberSystemPresetDefaults(system) {
@@ -178,12 +213,70 @@ function rememberSystemPresetDefaults(system) {
   }
 }
 
+function setOrientationMode(mode) {
+  const select = $('#docOrientation');
+  if (!select) return;
+  select.value = mode;
+}
+
+function setFillRemainder(enabled) {
+  const checkbox = $('#fillRemainder');
+  if (!checkbox) return;
+  checkbox.checked = enabled;
+}
+
+function setLayoutAnchor(point) {
+  const select = $('#layoutAnchor');
+  if (!select) return;
+  select.value = point;
+}
+
+function setImpositionMode(mode) {
+  const select = $('#impositionMode');
+  if (!select) return;
+  select.value = mode;
+}
+
+function setStaggerMode(mode) {
+  const select = $('#staggerMode');
+  if (!select) return;
+  select.value = mode;
+}
+
+function setPressFeed(feed) {
+  const select = $('#pressFeed');
+  if (!select) return;
+  select.value = feed;
+}
+
+function setSheetGrain(grain) {
+  const select = $('#sheetGrain');
+  if (!select) return;
+  select.value = grain;
+}
+
+function setPrinterMarks(enabled) {
+  ['#marksCrop', '#marksRegistration', '#marksSlug'].forEach((selector) => {
+    const checkbox = $(selector);
+    if (!checkbox) return;
+    checkbox.checked = enabled;
+  });
+}
+
 function applySystemDefaultInputs(system) {
   const units = system === 'metric' ? 'mm' : 'in';
   const defaults = getDefaultInputsForUnits(units);
   setAutoMarginMode(true);
   applyDefaultsToInputs(defaults);
   clearOptionalInputs();
+  setOrientationMode('as-entered');
+  setFillRemainder(false);
+  setLayoutAnchor('auto');
+  setPressFeed('short-edge');
+  setSheetGrain('');
+  setImpositionMode('sheetwise');
+  setStaggerMode('none');
+  setPrinterMarks(false);
   resetDocCountState();
   rememberSystemPresetDefaults(system);
 }
@@ -191,6 +284,7 @@ function applySystemDefaultInputs(system) {
 const UNIT_TO_SYSTEM = { in: 'imperial', mm: 'metric' };
 const presetSelectionMemory = {
   sheet: { imperial: '', metric: '' },
+  parent: { imperial: '', metric: '' },
   document: { imperial: '', metric: '' },
   gutter: { imperial: '', metric: '' },
 };
@@ -327,6 +421,7 @@ function populatePresetSelect(selectEl, presets, system, memoryKey) {
     option.textContent = preset.label;
     option.dataset.width = preset.width;
     option.dataset.height = preset.height;
+    if (preset.grain) option.dataset.grain = preset.grain;
     selectEl.appendChild(option);
   });
   selectEl.dataset.placeholder = placeholder;
@@ -353,16 +448,27 @@ function handlePresetSelect(selectEl, memoryKey, applyPreset) {
     const width = Number(option.dataset.width);
     const height = Number(option.dataset.height);
     if (!Number.isFinite(width) || !Number.isFinite(height)) return;
-    applyPreset(width, height);
+    applyPreset(width, height, option.dataset);
     getUpdate()();
   });
 }
 
-function setSheetPreset(w, h) {
+// Presets that know their stock also set the grain.
+function setSheetPreset(w, h, { grain } = {}) {
   const units = currentUnitsSelection;
   setMeasurementInput('#sheetW', Number(w), units);
   setMeasurementInput('#sheetH', Number(h), units);
-  getStatus()(`Sheet preset ${describePresetValue(w, units)}×${describePresetValue(h, units)} ${units}`);
+  if (grain) setSheetGrain(grain);
+  getStatus()(
+    `Sheet preset ${describePresetValue(w, units)}×${describePresetValue(h, units)} ${units}${grain ? `, ${grain} grain` : ''}`
+  );
+}
+
+function setParentPreset(w, h) {
+  const units = currentUnitsSelection;
+  setMeasurementInput('#parentW', Number(w), units);
+  setMeasurementInput('#parentH', Number(h), units);
+  getStatus()(`Parent sheet ${describePresetValue(w, units)}×${describePresetValue(h, units)} ${units}`);
 }
 
 function setDocumentPreset(w, h) {
@@ -469,6 +575,7 @@ function applyDefaultInputs() {
 
 function refreshPresetDropdowns(system) {
   populatePresetSelect($('#sheetPresetSelect'), sheetPresets, system, 'sheet');
+  populatePresetSelect($('#parentPresetSelect'), parentSheetPresets, system, 'parent');
   populatePresetSelect($('#documentPresetSelect'), documentPresets, system, 'document');
   populatePresetSelect($('#gutterPresetSelect'), gutterPresets, system, 'gutter');
 }
@@ -486,6 +593,18 @@ function attachMarginListeners() {
   });
 }
 
+function attachBleedListeners() {
+  const uniform = $('#bleedAll');
+  uniform?.addEventListener('input', () => {
+    const inches = readCanonicalInches(uniform);
+    bleedSideSelectors.forEach((selector) => setMeasurementInput(selector, inches ?? Number.NaN));
+  });
+  // Editing a single side means the bleed is no longer uniform.
+  bleedSideSelectors.forEach((selector) => {
+    $(selector)?.addEventListener('input', () => setMeasurementInput('#bleedAll', Number.NaN));
+  });
+}
+
 function attachDocCountListeners() {
   docCountSelectors.forEach((selector) => {
     const el = $(selector);
@@ -513,6 +632,7 @@ function attachCanonicalMeasurementListeners() {
 
 function attachPresetDropdownHandlers() {
   handlePresetSelect($('#sheetPresetSelect'), 'sheet', setSheetPreset);
+  handlePresetSelect($('#parentPresetSelect'), 'parent', setParentPreset);
   handlePresetSelect($('#documentPresetSelect'), 'document', setDocumentPreset);
   handlePresetSelect($('#gutterPresetSelect'), 'gutter', setGutterPreset);
 }
@@ -573,6 +693,220 @@ function attachSwapButtons() {
   });
 }
 
+const ORIENTATION_LABELS = {
+  'as-entered': 'as entered',
+  rotated: 'rotated 90°',
+};
+
+const STAGGER_STATUS = {
+  none: 'Straight grid',
+  rows: 'Alternate rows offset by half a piece',
+  columns: 'Alternate columns offset by half a piece',
+};
+
+const PRINTER_MARK_LABELS = {
+  '#marksCrop': 'Crop marks',
+  '#marksRegistration': 'Registration targets',
+  '#marksSlug': 'Slug and color bar',
+};
+
+function attachOrientationControls() {
+  $('#docOrientation')?.addEventListener('change', (event) => {
+    const mode = event.target.value;
+    getStatus()(mode === 'best' ? 'Best-fit orientation enabled' : `Document placed ${ORIENTATION_LABELS[mode]}`);
+    getUpdate()();
+  });
+  $('#applyBestOrientation')?.addEventListener('click', (event) => {
+    const recommended = event.currentTarget.dataset.recommended;
+    if (!ORIENTATION_LABELS[recommended]) return;
+    setOrientationMode(recommended);
+    getStatus()(`Document placed ${ORIENTATION_LABELS[recommended]}`);
+    getUpdate()();
+  });
+  $('#fillRemainder')?.addEventListener('change', (event) => {
+    getStatus()(event.target.checked ? 'Filling leftover space with rotated pieces' : 'Leftover fill disabled');
+    getUpdate()();
+  });
+  $('#impositionMode')?.addEventListener('change', (event) => {
+    getStatus()(`${IMPOSITION_LABELS[event.target.value] ?? 'Sheetwise'} imposition`);
+    getUpdate()();
+  });
+  $('#staggerMode')?.addEventListener('change', (event) => {
+    getStatus()(STAGGER_STATUS[event.target.value] ?? STAGGER_STATUS.none);
+    getUpdate()();
+  });
+  $('#sheetGrain')?.addEventListener('change', (event) => {
+    getStatus()(event.target.value ? `Sheet set to ${event.target.value} grain` : 'Sheet grain cleared');
+    getUpdate()();
+  });
+  $('#pressFeed')?.addEventListener('change', (event) => {
+    getStatus()(event.target.value === 'long-edge' ? 'Press feeds long edge first' : 'Press feeds short edge first');
+    getUpdate()();
+  });
+  Object.entries(PRINTER_MARK_LABELS).forEach(([selector, label]) => {
+    $(selector)?.addEventListener('change', (event) => {
+      getStatus()(`${label} ${event.target.checked ? 'on' : 'off'}`);
+      getUpdate()();
+    });
+  });
+  $('#layoutAnchor')?.addEventListener('change', (event) => {
+    const option = event.target.selectedOptions?.[0];
+    getStatus()(
+      event.target.value === 'auto' ? 'Layout anchor reset to auto' : `Layout anchored ${option?.textContent.toLowerCase()}`
+    );
+    getUpdate()();
+  });
+}
+
+const MIRROR_DESCRIPTIONS = {
+  horizontal: 'mirrored left to right',
+  vertical: 'mirrored top to bottom',
+};
+
+/**
+ * Describes how the current imposition splits the grid between the two sides
+ * of the job, and flags grids whose back would not land behind the front.
+ */
+function updateImpositionSummary(imposition) {
+  const summary = $('#impositionSummary');
+  if (!summary) return;
+  if (!imposition) {
+    summary.textContent = 'Imposition applies to single-document layouts.';
+    return;
+  }
+  const back = `Back ${MIRROR_DESCRIPTIONS[imposition.mirrorAxis]}`;
+  if (!imposition.selfBacking) {
+    summary.textContent = `${imposition.fronts} up per side on separate front and back plates. ${back}.`;
+    return;
+  }
+  if (imposition.cells.length === 0) {
+    summary.textContent = 'Needs room for at least two pieces along the flip to split fronts and backs.';
+    return;
+  }
+  summary.textContent = `${imposition.fronts} fronts + ${imposition.backs} backs on one plate; each sheet yields ${
+    imposition.cells.length
+  } finished pieces. ${back}${imposition.symmetric ? '.' : ' — the grid is not symmetric, so the back will not register.'}`;
+}
+
+/**
+ * Renders the orientation comparison produced by calculateLayout so users can
+ * see whether turning the document would fit more pieces, and enables the
+ * apply button only when the recommendation differs from what is placed.
+ */
+function updateOrientationAdvice(orientation) {
+  const advice = $('#orientationAdvice');
+  const button = $('#applyBestOrientation');
+  if (!orientation?.candidates) {
+    if (advice) advice.textContent = '';
+    if (button) button.disabled = true;
+    return;
+  }
+  const asEntered = orientation.candidates['as-entered'].counts.total;
+  const rotated = orientation.candidates.rotated.counts.total;
+  const placed = `Placed ${ORIENTATION_LABELS[orientation.selected]}.`;
+  if (advice) {
+    advice.textContent = orientation.recommended === 'rotated'
+      ? `${placed} Rotating 90° fits ${rotated} up vs ${asEntered} up as entered.`
+      : `${placed} As entered fits ${asEntered} up; rotated fits ${rotated} up.`;
+  }
+  if (button) {
+    button.dataset.recommended = orientation.recommended;
+    button.disabled = orientation.selected === orientation.recommended;
+  }
+}
+
+/**
+ * Describes the parent sheet cut-down from calculateParentCutDown. The cut
+ * list itself is written to #tblParentCuts by the layout updater.
+ */
+function updateParentSheetPlan(plan) {
+  const summary = $('#parentSheetPlan');
+  if (!summary) return;
+  if (!plan) {
+    summary.textContent = 'Enter a parent sheet to plan the cut-down to press sheets.';
+    return;
+  }
+  if (plan.pressSheetsPerParent === 0) {
+    summary.textContent = 'The press sheet does not fit on the parent sheet.';
+    return;
+  }
+  const grid = `${plan.counts.across} × ${plan.counts.down}${plan.rotated ? ' rotated' : ''}`;
+  const fill = plan.fillCount > 0 ? ` plus ${plan.fillCount} from the leftover` : '';
+  summary.textContent = `${plan.pressSheetsPerParent} press sheets per parent (${grid}${fill}); ${plan.wastePercent.toFixed(
+    1
+  )}% waste.`;
+}
+
+function applyFinderSheet(button) {
+  const width = Number(button.dataset.width);
+  const height = Number(button.dataset.height);
+  if (!Number.isFinite(width) || !Number.isFinite(height)) return;
+  const select = $('#sheetPresetSelect');
+  const preset = Array.from(select?.options ?? []).find(
+    (option) => option.value && option.value === button.dataset.sheetId
+  );
+  setSheetPreset(width, height, preset?.dataset);
+  if (select) {
+    select.value = preset ? button.dataset.sheetId : '';
+    presetSelectionMemory.sheet[getSystemForUnits(currentUnitsSelection)] = select.value;
+  }
+  getUpdate()();
+}
+
+function attachSheetFinderControls() {
+  ['#sheetFinderQty', '#sheetFinderSort', '#sheetFinderSheets'].forEach((selector) => {
+    $(selector)?.addEventListener('change', () => getUpdate()());
+  });
+  $('#tblSheetFinder')?.addEventListener('click', (event) => {
+    const button = event.target.closest?.('button[data-role="use-sheet"]');
+    if (button && !button.disabled) applyFinderSheet(button);
+  });
+}
+
+const createFinderCell = (text, className) => {
+  const cell = document.createElement('td');
+  if (className) cell.className = className;
+  cell.textContent = text;
+  return cell;
+};
+
+/**
+ * Fills the sheet finder table with the ranking from rankSheetCandidates. The
+ * row matching the sheet already entered is marked instead of offering a
+ * "Use" button. Passing `null` clears the table (gang runs skip the finder).
+ */
+function updateSheetFinder(rankings, currentSheet) {
+  const body = $('#tblSheetFinder tbody');
+  if (!body) return;
+  body.innerHTML = '';
+  if (!rankings) return;
+  const units = currentUnitsSelection;
+  rankings.forEach((entry) => {
+    const row = document.createElement('tr');
+    row.appendChild(createFinderCell(entry.label));
+    row.appendChild(
+      createFinderCell(`${describePresetValue(entry.width, units)}×${describePresetValue(entry.height, units)} ${units}`, 'k')
+    );
+    row.appendChild(createFinderCell(String(entry.yield), 'k'));
+    row.appendChild(createFinderCell(entry.yield > 0 ? `${entry.wastePercent.toFixed(1)}%` : '—', 'k'));
+    row.appendChild(createFinderCell(entry.sheetsNeeded === null ? '—' : String(entry.sheetsNeeded), 'k'));
+    const actionCell = document.createElement('td');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-ghost';
+    button.dataset.role = 'use-sheet';
+    button.dataset.sheetId = entry.id;
+    button.dataset.width = String(entry.width);
+    button.dataset.height = String(entry.height);
+    const inUse = currentSheet && isSameSheetSize(entry, currentSheet);
+    button.textContent = inUse ? 'In use' : 'Use';
+    button.disabled = Boolean(inUse) || entry.yield === 0;
+    actionCell.appendChild(button);
+    row.appendChild(actionCell);
+    body.appendChild(row);
+  });
+}
+
 function attachKeyboardShortcut() {
   if (keydownHandlerAttached) return;
   document.addEventListener('keydown', (e) => {
@@ -590,10 +924,13 @@ function init(context = {}) {
   attachMarginListeners();
   attachDocCountListeners();
   attachCanonicalMeasurementListeners();
+  attachBleedListeners();
   attachPresetDropdownHandlers();
   attachActionButtons();
   attachSwapButtons();
   attachApplyButtons();
+  attachOrientationControls();
+  attachSheetFinderControls();
   attachKeyboardShortcut();
   applyDefaultInputs();
   initialized = true;
@@ -623,6 +960,14 @@ export function getCurrentUnits() {
   return currentUnitsSelection;
 }
 
-export { setMeasurementInput, convertInputs };
+export {
+  readCanonicalInches,
+  setMeasurementInput,
+  convertInputs,
+  updateOrientationAdvice,
+  updateImpositionSummary,
+  updateParentSheetPlan,
+  updateSheetFinder,
+};
 
 export default inputsTab;
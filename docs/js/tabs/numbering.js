@@ -0,0 +1,210 @@
+import {
+  NUMBERING_ORDERS,
+  buildNumberingCsv,
+  formatTicketNumber,
+  getSheetNumbers,
+  normalizeNumberingSpec,
+} from '../calculations/numbering-calculations.js';
+import { $ } from '../utils/dom.js';
+import { hydrateTabPanel } from './registry.js';
+
+const TAB_KEY = 'numbering';
+
+const FIELD_SELECTORS = {
+  start: '#numberingStart',
+  increment: '#numberingIncrement',
+  quantity: '#numberingQuantity',
+  digits: '#numberingDigits',
+  x: '#numberingX',
+  y: '#numberingY',
+  order: '#numberingOrder',
+  sheet: '#numberingSheet',
+};
+
+let initialized = false;
+let storedContext = { update: () => {}, status: () => {} };
+let elements = {};
+let currentPlan = null;
+let currentConfig = normalizeNumberingSpec({
+  enabled: false,
+  start: 1,
+  increment: 1,
+  quantity: 0,
+  digits: 0,
+  x: 0.25,
+  y: 0.25,
+  order: 'stack',
+  sheet: 1,
+});
+
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const setHiddenValue = () => {
+  if (!elements.hiddenInput) return;
+  try {
+    elements.hiddenInput.value = JSON.stringify(currentConfig);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to serialize numbering config', error);
+  }
+};
+
+const parseHiddenConfig = () => {
+  if (!elements.hiddenInput) return null;
+  const raw = elements.hiddenInput.value;
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved numbering config', error);
+  }
+  return null;
+};
+
+// A blank start or increment falls back to counting up from one.
+const readFieldsFromUI = () =>
+  Object.fromEntries(
+    Object.entries(elements.fields).map(([key, input]) => {
+      const value = input?.value ?? currentConfig[key];
+      return [key, value === '' && (key === 'start' || key === 'increment') ? 1 : value];
+    })
+  );
+
+const syncUIFromConfig = () => {
+  if (elements.enabledInput) {
+    elements.enabledInput.checked = currentConfig.enabled;
+  }
+  Object.entries(elements.fields).forEach(([key, input]) => {
+    if (!input) return;
+    input.value = key === 'digits' && currentConfig.digits === 0 ? '' : String(currentConfig[key]);
+  });
+};
+
+const onFieldsChanged = () => {
+  currentConfig = normalizeNumberingSpec({ ...readFieldsFromUI(), enabled: currentConfig.enabled });
+  setHiddenValue();
+  getUpdate()();
+};
+
+const describePlan = (plan) => {
+  const format = (number) => formatTicketNumber(number, plan.digits);
+  const base = `${plan.perSheet} numbered per sheet, ${NUMBERING_ORDERS[plan.order].toLowerCase()}.`;
+  if (plan.perSheet === 0) return `${base} No pieces fit the sheet.`;
+  if (plan.sheets === 0) return `${base} Enter a quantity to plan the run.`;
+  const blanks = plan.sheets * plan.perSheet - plan.quantity;
+  return `${base} ${format(plan.start)}–${format(plan.last)} takes ${plan.sheets} sheet${plan.sheets === 1 ? '' : 's'}${
+    blanks > 0 ? ` with ${blanks} position${blanks === 1 ? '' : 's'} left blank` : ''
+  }.`;
+};
+
+// Lays the chosen sheet out as it prints: one table row per grid row.
+const renderSheetMap = (body, plan) => {
+  const numbers = getSheetNumbers(plan, plan.sheet);
+  const rows = new Map();
+  plan.cells.forEach((cell, index) => {
+    if (!rows.has(cell.row)) rows.set(cell.row, []);
+    rows.get(cell.row)[cell.col] = numbers[index];
+  });
+  const columns = Math.max(0, ...plan.cells.map((cell) => cell.col + 1));
+  [...rows.keys()]
+    .sort((a, b) => a - b)
+    .forEach((rowIndex) => {
+      const row = document.createElement('tr');
+      const cells = rows.get(rowIndex);
+      for (let col = 0; col < columns; col += 1) {
+        const cell = document.createElement('td');
+        cell.className = 'k';
+        const number = cells[col];
+        cell.textContent = number === undefined ? '' : number === null ? '—' : formatTicketNumber(number, plan.digits);
+        row.appendChild(cell);
+      }
+      body.appendChild(row);
+    });
+};
+
+/**
+ * Writes the plan from calculateNumberingPlan into the numbering tab. `null`
+ * means numbering is off or does not apply to the current layout.
+ */
+function updateNumberingResults(plan) {
+  currentPlan = plan;
+  const summary = $('#numberingSummary');
+  const body = $('#tblNumbering tbody');
+  const exportButton = $('#numberingExport');
+  const sheetInput = $('#numberingSheet');
+  if (body) body.innerHTML = '';
+  if (exportButton) exportButton.disabled = !plan || plan.sheets === 0;
+  if (!plan) {
+    if (summary) summary.textContent = currentConfig.enabled ? 'Numbering is not available for this layout.' : 'Numbering disabled.';
+    return;
+  }
+  if (summary) summary.textContent = describePlan(plan);
+  if (sheetInput) sheetInput.max = String(Math.max(1, plan.sheets));
+  if (body && plan.sheets > 0) renderSheetMap(body, plan);
+}
+
+const downloadCsv = () => {
+  if (!currentPlan || currentPlan.sheets === 0) return;
+  const blob = new Blob([`${buildNumberingCsv(currentPlan)}\n`], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `numbering-map-${currentPlan.start}-${currentPlan.last}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  getStatus()('Numbering map exported');
+};
+
+const init = (context = {}) => {
+  hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
+  if (initialized) {
+    syncUIFromConfig();
+    return;
+  }
+
+  elements = {
+    enabledInput: $('#numberingEnabled'),
+    hiddenInput: $('#numberingData'),
+    fields: Object.fromEntries(Object.entries(FIELD_SELECTORS).map(([key, selector]) => [key, $(selector)])),
+  };
+
+  const saved = parseHiddenConfig();
+  currentConfig = normalizeNumberingSpec(saved ?? currentConfig);
+  syncUIFromConfig();
+  setHiddenValue();
+
+  elements.enabledInput?.addEventListener('change', (event) => {
+    currentConfig = { ...currentConfig, enabled: event.target.checked };
+    setHiddenValue();
+    getUpdate()();
+    getStatus()(currentConfig.enabled ? 'Numbering enabled' : 'Numbering disabled');
+  });
+  Object.values(elements.fields).forEach((input) => {
+    input?.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', onFieldsChanged);
+  });
+  $('#numberingExport')?.addEventListener('click', downloadCsv);
+
+  initialized = true;
+};
+
+const numberingTab = {
+  key: TAB_KEY,
+  init,
+  onActivate(context) {
+    init(context);
+  },
+  onRegister(context) {
+    init(context);
+  },
+};
+
+export { updateNumberingResults };
+export default numberingTab;
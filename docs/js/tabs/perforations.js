@@ -1,4 +1,170 @@
-import { createOffsetPresetTab } from './offset-preset-tab.js';
+import { $ } from '../utils/dom.js';
+import {
+  PERFORATION_PATTERNS,
+  describePerforationPattern,
+  getLineSettingsKey,
+  normalizeLineEntry,
+} from '../calculations/finishing-calculations.js';
+import { createOffsetPresetTab, formatOffsetValue } from './offset-preset-tab.js';
+
+const DIRECTIONS = ['vertical', 'horizontal'];
+const DIRECTION_LABELS = { vertical: 'Vertical', horizontal: 'Horizontal' };
+
+// Settings for each entered line, by direction and offset. Settings for an
+// offset that is no longer entered are kept and come back if it is re-entered.
+let lineSettings = { vertical: {}, horizontal: {} };
+let renderedOffsets = '';
+
+const formatInches = (inches) => Number(inches.toFixed(4)).toString();
+
+const setHiddenValue = () => {
+  const hidden = $('#perfLineData');
+  if (hidden) hidden.value = JSON.stringify(lineSettings);
+};
+
+const readHiddenValue = () => {
+  const raw = $('#perfLineData')?.value;
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      const isSettingsMap = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      lineSettings = Object.fromEntries(
+        DIRECTIONS.map((direction) => [direction, isSettingsMap(parsed[direction]) ? parsed[direction] : {}])
+      );
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved perforation line settings', error);
+  }
+};
+
+// Edits are stored by offset; the index only labels the status message.
+const lineDataset = (direction, index, offset, key) => ({
+  direction,
+  index: String(index),
+  offset: getLineSettingsKey(offset),
+  key,
+});
+
+const createNumberCell = (direction, index, offset, key, value) => {
+  const cell = document.createElement('td');
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'form-control';
+  input.min = '0';
+  input.step = '0.0625';
+  input.placeholder = '0';
+  input.value = value > 0 ? String(value) : '';
+  Object.assign(input.dataset, lineDataset(direction, index, offset, key));
+  cell.appendChild(input);
+  return cell;
+};
+
+const createSkipCell = (direction, index, offset, checked) => {
+  const cell = document.createElement('td');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.className = 'form-choice__control';
+  input.checked = checked;
+  Object.assign(input.dataset, lineDataset(direction, index, offset, 'skipGutters'));
+  cell.appendChild(input);
+  return cell;
+};
+
+const createPatternCell = (direction, index, offset, value) => {
+  const cell = document.createElement('td');
+  const select = document.createElement('select');
+  select.className = 'form-control';
+  [['', 'Plain'], ...Object.entries(PERFORATION_PATTERNS).map(([key, pattern]) => [key, pattern.label])].forEach(
+    ([key, label]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+  );
+  select.value = value ?? '';
+  Object.assign(select.dataset, lineDataset(direction, index, offset, 'pattern'));
+  cell.appendChild(select);
+  return cell;
+};
+
+const lineLabel = (direction, index, offset) =>
+  `${DIRECTION_LABELS[direction]} ${index + 1} (${formatOffsetValue(offset)})`;
+
+// One editor row per entered offset. Only rebuilt when the offsets change so a
+// field being typed in keeps its focus across updates.
+const renderLineEditor = (offsets) => {
+  const body = $('#tblPerforationLines tbody');
+  if (!body) return;
+  body.innerHTML = '';
+  DIRECTIONS.forEach((direction) => {
+    offsets[direction].forEach((offset, index) => {
+      const line = normalizeLineEntry({ ...lineSettings[direction][getLineSettingsKey(offset)], offset });
+      if (!line) return;
+      const row = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      labelCell.textContent = lineLabel(direction, index, offset);
+      row.appendChild(labelCell);
+      row.appendChild(createNumberCell(direction, index, offset, 'startInset', line.startInset));
+      row.appendChild(createNumberCell(direction, index, offset, 'endInset', line.endInset));
+      row.appendChild(createSkipCell(direction, index, offset, line.skipGutters));
+      row.appendChild(createPatternCell(direction, index, offset, line.pattern));
+      body.appendChild(row);
+    });
+  });
+};
+
+const describeRuns = (line) => {
+  const runs = line.skipGutters ? 'Each piece' : 'Full length';
+  const insets = [
+    line.startInset > 0 ? `${formatInches(line.startInset)} in from start` : '',
+    line.endInset > 0 ? `${formatInches(line.endInset)} in from end` : '',
+  ].filter(Boolean);
+  return insets.length > 0 ? `${runs}, ${insets.join(', ')}` : runs;
+};
+
+const renderMachineSettings = (offsets) => {
+  const body = $('#tblPerforationSettings tbody');
+  if (!body) return;
+  body.innerHTML = '';
+  DIRECTIONS.forEach((direction) => {
+    offsets[direction].forEach((offset, index) => {
+      const line = normalizeLineEntry({ ...lineSettings[direction][getLineSettingsKey(offset)], offset });
+      if (!line) return;
+      const pattern = describePerforationPattern(line.pattern);
+      const row = document.createElement('tr');
+      [
+        lineLabel(direction, index, offset),
+        pattern ? String(pattern.tpi) : '—',
+        pattern ? formatInches(pattern.cut) : '—',
+        pattern ? formatInches(pattern.tie) : '—',
+        describeRuns(line),
+      ].forEach((value, column) => {
+        const cell = document.createElement('td');
+        if (column > 0 && column < 4) cell.className = 'k';
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    });
+  });
+};
+
+/**
+ * Refreshes the line settings editor and the machine settings table for the
+ * entered perforation offsets (`{ vertical, horizontal }` as parsed).
+ */
+function updatePerforationLines(offsets) {
+  const entered = { vertical: offsets?.vertical ?? [], horizontal: offsets?.horizontal ?? [] };
+  const signature = JSON.stringify(entered);
+  if (signature !== renderedOffsets) {
+    renderLineEditor(entered);
+    renderedOffsets = signature;
+  }
+  renderMachineSettings(entered);
+}
 
 const tab = createOffsetPresetTab({
   tabKey: 'perforations',
@@ -17,6 +183,30 @@ const tab = createOffsetPresetTab({
       custom: '#perfPresetHCustom',
     },
   },
+  onInit({ getUpdate, getStatus }) {
+    readHiddenValue();
+    setHiddenValue();
+
+    const onLineChanged = (event) => {
+      const { direction, index, offset, key } = event.target.dataset;
+      if (!DIRECTIONS.includes(direction) || !key || offset === undefined) return;
+      const value = key === 'skipGutters' ? event.target.checked : event.target.value;
+      const settings = { ...lineSettings[direction][offset], [key]: value };
+      lineSettings = { ...lineSettings, [direction]: { ...lineSettings[direction], [offset]: settings } };
+      setHiddenValue();
+      getUpdate()();
+      if (event.type === 'change') {
+        getStatus()(`${DIRECTION_LABELS[direction]} perforation ${Number(index) + 1} updated`);
+      }
+    };
+    const body = $('#tblPerforationLines tbody');
+    body?.addEventListener('input', (event) => {
+      if (event.target.type === 'number') onLineChanged(event);
+    });
+    body?.addEventListener('change', (event) => {
+      if (event.target.type !== 'number') onLineChanged(event);
+    });
+  },
 });
 
 // Re-export the api under the original names expected by presets.js
@@ -32,4 +222,5 @@ const perforationsTab = {
   },
 };
 
+export { updatePerforationLines };
 export default perforationsTab;
@@ -1,11 +1,13 @@
 import { hydrateTabPanel } from './registry.js';
-import { createPrintableSvg } from '../rendering/svg-print-renderer.js';
+import { createDielineSvg, createPrintableSvg } from '../rendering/svg-print-renderer.js';
+import { DIE_SHAPE_LABELS } from '../rendering/die-shape-path.js';
 import { createLayoutDetailsSvg } from '../rendering/svg-layout-details-renderer.js';
 import { calculateProgramSequence } from '../utils/program-sequence.js';
+import { getLayoutTotal } from '../calculations/layout-calculations.js';
 import { inchesToMillimeters, getUnitsPrecision } from '../utils/units.js';
 
 const TAB_KEY = 'print';
-const DEFAULT_LAYERS = ['sheet', 'nonPrintable', 'layout', 'docs', 'cuts', 'slits', 'scores', 'perforations', 'holes'];
+const DEFAULT_LAYERS = ['sheet', 'nonPrintable', 'press', 'layout', 'bleed', 'docs', 'imposition', 'marks', 'cuts', 'slits', 'scores', 'perforations', 'holes', 'grain', 'numbering'];
 
 let initialized = false;
 let panelEl = null;
@@ -14,6 +16,8 @@ let downloadButton = null;
 let printButton = null;
 let pdfButton = null;
 let layoutDetailsButton = null;
+let dielineButton = null;
+let sideSelect = null;
 const summaryEls = {
   sheet: null,
   document: null,
@@ -24,6 +28,7 @@ const summaryEls = {
 
 const state = {
   layers: new Set(DEFAULT_LAYERS),
+  side: 'front',
   layout: null,
   finishing: null,
   context: null,
@@ -72,16 +77,34 @@ function updateSummary() {
 
   setText(
     summaryEls.sheet,
-    `${fmtInches(ctx.sheet.rawWidth)} × ${fmtInches(ctx.sheet.rawHeight)}`,
+    layout.roll
+      ? `${fmtInches(ctx.sheet.rawWidth)} web, ${fmtInches(ctx.sheet.rawHeight)} repeat`
+      : `${fmtInches(ctx.sheet.rawWidth)} × ${fmtInches(ctx.sheet.rawHeight)}${
+        layout.sheet.grain ? `, ${layout.sheet.grain} grain` : ''
+      }`,
   );
+  const placedDocument = layout.document ?? ctx.document;
   setText(
     summaryEls.document,
-    `${fmtInches(ctx.document.width)} × ${fmtInches(ctx.document.height)}`,
+    `${fmtInches(placedDocument.width)} × ${fmtInches(placedDocument.height)}${layout.orientation?.rotated ? ' (rotated)' : ''}${
+      layout.dieShape ? `, ${DIE_SHAPE_LABELS[layout.dieShape.type].toLowerCase()}` : ''
+    }`,
   );
   const across = layout.counts?.across ?? 0;
   const down = layout.counts?.down ?? 0;
-  const total = across * down;
-  setText(summaryEls.counts, `${across} × ${down} = ${total}`);
+  const fill = layout.remainder?.total ?? 0;
+  const total = getLayoutTotal(layout);
+  const blank = layout.skipped?.length ? ` − ${layout.skipped.length} blank` : '';
+  if (layout.gang) {
+    const items = layout.gang.items.map((item) => `${item.count} × ${item.label}`).join(' + ');
+    setText(summaryEls.counts, `${items} = ${total}`);
+  } else if (layout.stagger) {
+    setText(summaryEls.counts, `${across} × ${down} staggered${blank} = ${total}`);
+  } else if (layout.roll) {
+    setText(summaryEls.counts, `${across} across × ${down} around${blank} = ${total} per repeat`);
+  } else {
+    setText(summaryEls.counts, fill > 0 ? `${across} × ${down} + ${fill} fill${blank} = ${total}` : `${across} × ${down}${blank} = ${total}`);
+  }
   setText(
     summaryEls.gutter,
     `${fmtInches(ctx.gutter.horizontal)} (H), ${fmtInches(ctx.gutter.vertical)} (V)`,
@@ -94,12 +117,13 @@ function updateSummary() {
   );
 }
 
+const createSideSvg = (side = state.side) =>
+  createPrintableSvg(state.layout, state.finishing, { visibleLayers: state.layers, side });
+
 function updateStage() {
   if (!stageEl) return;
   stageEl.innerHTML = '';
-  const svg = state.layout
-    ? createPrintableSvg(state.layout, state.finishing, { visibleLayers: state.layers })
-    : null;
+  const svg = state.layout ? createSideSvg() : null;
   if (!svg) {
     stageEl.appendChild(createEmptyState());
     return;
@@ -119,6 +143,9 @@ function updateActionState() {
   if (layoutDetailsButton) {
     layoutDetailsButton.disabled = !hasSvg;
   }
+  if (dielineButton) {
+    dielineButton.disabled = !hasSvg;
+  }
   if (printButton) {
     printButton.disabled = !hasSvg;
   }
@@ -141,26 +168,35 @@ function sanitizeFilename(value) {
     .toLowerCase();
 }
 
-function downloadSvg() {
-  if (!state.layout) return;
-  const svg = createPrintableSvg(state.layout, state.finishing, { visibleLayers: state.layers });
-  if (!svg) return;
-  const markup = serializeSvg(svg);
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`;
+function saveSvgFile(svg, filename) {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${serializeSvg(svg)}`;
   const blob = new Blob([xml], { type: 'image/svg+xml' });
   const url = URL.createObjectURL(blob);
-  const width = state.layout.sheet?.rawWidth ?? 0;
-  const height = state.layout.sheet?.rawHeight ?? 0;
-  const nameParts = ['layout', sanitizeFilename(width.toFixed(3)), sanitizeFilename(height.toFixed(3))].filter(Boolean);
   const link = document.createElement('a');
   link.href = url;
-  link.download = `${nameParts.join('-') || 'layout'}.svg`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
 
+function buildSheetFilename(prefix, suffix = '') {
+  const width = state.layout.sheet?.rawWidth ?? 0;
+  const height = state.layout.sheet?.rawHeight ?? 0;
+  const nameParts = [prefix, sanitizeFilename(width.toFixed(3)), sanitizeFilename(height.toFixed(3)), suffix].filter(
+    Boolean,
+  );
+  return `${nameParts.join('-') || prefix}.svg`;
+}
+
+function downloadSvg() {
+  if (!state.layout) return;
+  const svg = createSideSvg();
+  if (!svg) return;
+  saveSvgFile(svg, buildSheetFilename('layout', state.side === 'back' ? 'back' : ''));
+}
+
 function downloadLayoutDetailsSvg() {
   if (!state.layout) return;
   const programSequence = state.programSequence ?? calculateProgramSequence(state.layout);
@@ -171,24 +207,14 @@ function downloadLayoutDetailsSvg() {
     programSequence,
   });
   if (!svg) return;
-  const markup = serializeSvg(svg);
-  const width = state.layout.sheet?.rawWidth ?? 0;
-  const height = state.layout.sheet?.rawHeight ?? 0;
-  const nameParts = [
-    'layout-details',
-    sanitizeFilename(width.toFixed(3)),
-    sanitizeFilename(height.toFixed(3)),
-  ].filter(Boolean);
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`;
-  const blob = new Blob([xml], { type: 'image/svg+xml' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `${nameParts.join('-') || 'layout-details'}.svg`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  saveSvgFile(svg, buildSheetFilename('layout-details'));
+}
+
+function downloadDielineSvg() {
+  if (!state.layout) return;
+  const svg = createDielineSvg(state.layout);
+  if (!svg) return;
+  saveSvgFile(svg, buildSheetFilename('dieline'));
 }
 
 function downloadPdf() {
@@ -197,7 +223,9 @@ function downloadPdf() {
   const height = state.layout.sheet?.rawHeight ?? 0;
   if (width <= 0 || height <= 0) return;
 
-  const visualizerSvg = createPrintableSvg(state.layout, state.finishing, { visibleLayers: state.layers });
+  const visualizerSvg = createSideSvg('front');
+  // One plate prints both sides, so the back belongs in the package too.
+  const backSvg = state.layout.imposition?.selfBacking ? createSideSvg('back') : null;
   const programSequence = state.programSequence ?? calculateProgramSequence(state.layout);
   const detailsSvg = createLayoutDetailsSvg({
     layout: state.layout,
@@ -209,6 +237,7 @@ function downloadPdf() {
   if (!visualizerSvg || !detailsSvg) return;
 
   const visualizerMarkup = serializeSvg(visualizerSvg);
+  const backMarkup = backSvg ? serializeSvg(backSvg) : '';
   const detailsMarkup = serializeSvg(detailsSvg);
 
   const pdfWindow = window.open('', '_blank');
@@ -225,6 +254,7 @@ body { margin: 0; background: #fff; color: #000; }
 
   const html = `<!DOCTYPE html><html><head><title>Layout PDF Export</title><style>${styles}</style></head><body>`
     + `<div class="pdf-page">${visualizerMarkup}</div>`
+    + (backMarkup ? `<div class="pdf-page">${backMarkup}</div>` : '')
     + `<div class="pdf-page">${detailsMarkup}</div>`
     + '</body></html>';
 
@@ -243,7 +273,7 @@ body { margin: 0; background: #fff; color: #000; }
 
 function openPrintDialog() {
   if (!state.layout) return;
-  const svg = createPrintableSvg(state.layout, state.finishing, { visibleLayers: state.layers });
+  const svg = createSideSvg();
   if (!svg) return;
   const markup = serializeSvg(svg);
   const width = state.layout.sheet?.rawWidth ?? 0;
@@ -282,12 +312,23 @@ function bindEvents() {
     });
   });
 
+  if (sideSelect) {
+    sideSelect.value = state.side;
+    sideSelect.addEventListener('change', (event) => {
+      state.side = event.target.value === 'back' ? 'back' : 'front';
+      updateStage();
+    });
+  }
+
   if (downloadButton) {
     downloadButton.addEventListener('click', downloadSvg);
   }
   if (layoutDetailsButton) {
     layoutDetailsButton.addEventListener('click', downloadLayoutDetailsSvg);
   }
+  if (dielineButton) {
+    dielineButton.addEventListener('click', downloadDielineSvg);
+  }
   if (pdfButton) {
     pdfButton.addEventListener('click', downloadPdf);
   }
@@ -300,8 +341,10 @@ function cacheElements() {
   panelEl = ensurePanel();
   if (!panelEl) return;
   stageEl = panelEl.querySelector('#printPreviewStage');
+  sideSelect = panelEl.querySelector('#printSide');
   downloadButton = panelEl.querySelector('#printDownloadSvg');
   layoutDetailsButton = panelEl.querySelector('#printDownloadLayoutDetails');
+  dielineButton = panelEl.querySelector('#printDownloadDieline');
   pdfButton = panelEl.querySelector('#printDownloadPdf');
   printButton = panelEl.querySelector('#printOpenPrintDialog');
   summaryEls.sheet = panelEl.querySelector('#printSheetSummary');
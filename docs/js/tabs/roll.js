@@ -0,0 +1,202 @@
+import { normalizeRollSpec } from '../calculations/roll-calculations.js';
+import { $ } from '../utils/dom.js';
+import { MM_PER_INCH, formatInchesForUnits, formatMeasurement, getUnitsLabel } from '../utils/units.js';
+import { getCurrentUnits } from './inputs.js';
+import { hydrateTabPanel } from './registry.js';
+
+const TAB_KEY = 'roll';
+
+const FIELD_SELECTORS = {
+  webWidth: '#rollWebWidth',
+  repeatLength: '#rollRepeatLength',
+  edgeTrim: '#rollEdgeTrim',
+  quantity: '#rollQuantity',
+};
+
+// Web sizes are kept in inches and shown in the units picked on the Inputs tab.
+const MEASUREMENT_STEPS = {
+  webWidth: { in: '0.125', mm: '1' },
+  repeatLength: { in: '0.125', mm: '1' },
+  edgeTrim: { in: '0.0625', mm: '0.5' },
+};
+
+let initialized = false;
+let unitListenerBound = false;
+let storedContext = { update: () => {}, status: () => {} };
+let elements = {};
+let currentConfig = normalizeRollSpec({
+  enabled: false,
+  webWidth: 13,
+  repeatLength: 0,
+  edgeTrim: 0.125,
+  quantity: 0,
+});
+
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const setHiddenValue = () => {
+  if (!elements.hiddenInput) return;
+  try {
+    elements.hiddenInput.value = JSON.stringify(currentConfig);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to serialize roll config', error);
+  }
+};
+
+const parseHiddenConfig = () => {
+  if (!elements.hiddenInput) return null;
+  const raw = elements.hiddenInput.value;
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object') {
+      return parsed;
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved roll config', error);
+  }
+  return null;
+};
+
+const readFieldValue = (key, value) => {
+  if (!(key in MEASUREMENT_STEPS) || getCurrentUnits() !== 'mm') return value;
+  const numeric = Number(value);
+  return value !== '' && Number.isFinite(numeric) ? numeric / MM_PER_INCH : value;
+};
+
+const updateUnitLabels = (units) => {
+  document.querySelectorAll('[data-role="roll-units"]').forEach((label) => {
+    label.textContent = getUnitsLabel(units);
+  });
+};
+
+// Blank optional fields stay blank rather than showing a zero.
+const syncUIFromConfig = () => {
+  if (elements.enabledInput) {
+    elements.enabledInput.checked = currentConfig.enabled;
+  }
+  const units = getCurrentUnits();
+  updateUnitLabels(units);
+  Object.entries(elements.fields).forEach(([key, input]) => {
+    if (!input) return;
+    const optional = key === 'repeatLength' || key === 'quantity';
+    const step = MEASUREMENT_STEPS[key];
+    if (optional && currentConfig[key] === 0) {
+      input.value = '';
+    } else {
+      input.value = step ? formatInchesForUnits(currentConfig[key], units) : String(currentConfig[key]);
+    }
+    if (step) input.setAttribute('step', step[units === 'mm' ? 'mm' : 'in']);
+  });
+};
+
+// Only the edited field is read back so the other sizes keep their inch
+// values instead of the rounded figures on screen.
+const onFieldChanged = (key, value) => {
+  currentConfig = normalizeRollSpec({ ...currentConfig, [key]: readFieldValue(key, value) });
+  setHiddenValue();
+  getUpdate()();
+};
+
+const createRow = (label, value) => {
+  const row = document.createElement('tr');
+  const labelCell = document.createElement('td');
+  labelCell.textContent = label;
+  const valueCell = document.createElement('td');
+  valueCell.className = 'k';
+  valueCell.textContent = value;
+  row.appendChild(labelCell);
+  row.appendChild(valueCell);
+  return row;
+};
+
+const describeRun = (run, units) => {
+  const repeat = formatMeasurement(run.repeatLength, units);
+  const base = `${run.across} across × ${run.around} around = ${run.perRepeat} per ${repeat} repeat.`;
+  if (run.perRepeat === 0) return `${base} The label does not fit the web.`;
+  return run.repeats > 0
+    ? `${base} ${run.quantity} labels take ${run.length.feet.toFixed(1)} ft (${run.length.meters.toFixed(1)} m) of web.`
+    : base;
+};
+
+/**
+ * Writes the run figures from calculateRollRun into the roll tab. `null`
+ * means roll mode is off.
+ */
+function updateRollResults(run) {
+  const summary = $('#rollSummary');
+  const body = $('#tblRollRun tbody');
+  if (body) body.innerHTML = '';
+  if (!run) {
+    if (summary) summary.textContent = 'Roll mode disabled.';
+    return;
+  }
+  const units = getCurrentUnits();
+  if (summary) summary.textContent = describeRun(run, units);
+  if (!body) return;
+  [
+    ['Labels across', String(run.across)],
+    ['Labels around', String(run.around)],
+    ['Gap around', formatMeasurement(run.gapAround, units)],
+    ['Labels per repeat', String(run.perRepeat)],
+    ['Repeats', run.repeats > 0 ? String(run.repeats) : '—'],
+    ['Labels produced', run.repeats > 0 ? String(run.produced) : '—'],
+    ['Linear feet', run.repeats > 0 ? run.length.feet.toFixed(2) : '—'],
+    ['Linear meters', run.repeats > 0 ? run.length.meters.toFixed(2) : '—'],
+    ['Matrix waste', `${run.matrixWaste.percent.toFixed(1)}%`],
+    ['Matrix waste (sq ft)', run.repeats > 0 ? run.matrixWaste.squareFeet.toFixed(2) : '—'],
+  ].forEach(([label, value]) => body.appendChild(createRow(label, value)));
+}
+
+const init = (context = {}) => {
+  hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
+  if (initialized) {
+    syncUIFromConfig();
+    return;
+  }
+
+  elements = {
+    enabledInput: $('#rollEnabled'),
+    hiddenInput: $('#rollData'),
+    fields: Object.fromEntries(Object.entries(FIELD_SELECTORS).map(([key, selector]) => [key, $(selector)])),
+  };
+
+  const saved = parseHiddenConfig();
+  currentConfig = normalizeRollSpec(saved ?? currentConfig);
+  syncUIFromConfig();
+  setHiddenValue();
+
+  elements.enabledInput?.addEventListener('change', (event) => {
+    currentConfig = { ...currentConfig, enabled: event.target.checked };
+    setHiddenValue();
+    getUpdate()();
+    getStatus()(currentConfig.enabled ? 'Roll mode enabled' : 'Roll mode disabled');
+  });
+  Object.entries(elements.fields).forEach(([key, input]) =>
+    input?.addEventListener('input', (event) => onFieldChanged(key, event.target.value))
+  );
+  if (!unitListenerBound) {
+    document.addEventListener('calculator:units-change', syncUIFromConfig);
+    unitListenerBound = true;
+  }
+
+  initialized = true;
+};
+
+const rollTab = {
+  key: TAB_KEY,
+  init,
+  onActivate(context) {
+    init(context);
+  },
+  onRegister(context) {
+    init(context);
+  },
+};
+
+export { updateRollResults };
+export default rollTab;
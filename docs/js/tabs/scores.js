@@ -1,5 +1,101 @@
 import { $, parseOffsets } from '../utils/dom.js';
+import { formatMeasurement } from '../utils/units.js';
+import { FOLD_TYPES, calculateFoldPlan } from '../calculations/fold-calculations.js';
+import { normalizePanelScore } from '../calculations/finishing-calculations.js';
 import { createOffsetPresetTab } from './offset-preset-tab.js';
+import { getCurrentUnits, readCanonicalInches } from './inputs.js';
+
+// Folds divide the document as entered: vertical scores split its width and
+// horizontal scores its height.
+const FOLD_SPANS = { vertical: '#docW', horizontal: '#docH' };
+
+const describeFoldPlan = (plan, direction) => {
+  const units = getCurrentUnits();
+  const edge = direction === 'vertical' ? 'left' : 'top';
+  const panels = plan.panels.map((panel) => formatMeasurement(panel, units)).join(', ');
+  const tuck = plan.compensation > 0 ? `; tuck-in panels ${formatMeasurement(plan.compensation, units)} shorter per fold` : '';
+  return `${plan.label} fold panels from the ${edge} edge: ${panels}${tuck}.`;
+};
+
+const PANEL_SCORE_DIRECTIONS = { vertical: 'Vertical', horizontal: 'Horizontal' };
+const PANEL_SCORE_FIELDS = [
+  ['offset', 'Position'],
+  ['start', 'From'],
+  ['end', 'To'],
+];
+
+let panelScores = [];
+
+const setPanelScoreData = () => {
+  const hidden = $('#panelScoreData');
+  if (hidden) hidden.value = JSON.stringify(panelScores);
+};
+
+const readPanelScoreData = () => {
+  const raw = $('#panelScoreData')?.value;
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) panelScores = parsed.map(normalizePanelScore).filter(Boolean);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse saved panel scores', error);
+  }
+};
+
+const createPanelScoreField = (labelText, control) => {
+  const label = document.createElement('label');
+  label.className = 'form-label';
+  const span = document.createElement('span');
+  span.textContent = labelText;
+  label.append(span, control);
+  return label;
+};
+
+const createPanelScoreRow = (score, index) => {
+  const row = document.createElement('div');
+  row.className = 'panel-score-row';
+  row.dataset.index = String(index);
+
+  const directionSelect = document.createElement('select');
+  directionSelect.className = 'form-select';
+  directionSelect.dataset.key = 'direction';
+  Object.entries(PANEL_SCORE_DIRECTIONS).forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    directionSelect.appendChild(option);
+  });
+  directionSelect.value = score.direction;
+  row.appendChild(createPanelScoreField('Direction', directionSelect));
+
+  PANEL_SCORE_FIELDS.forEach(([key, text]) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'form-control';
+    input.min = '0';
+    input.max = '1';
+    input.step = '0.01';
+    input.value = String(score[key]);
+    input.dataset.key = key;
+    row.appendChild(createPanelScoreField(text, input));
+  });
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn';
+  removeButton.dataset.action = 'remove';
+  removeButton.textContent = 'Remove';
+  row.appendChild(removeButton);
+  return row;
+};
+
+const renderPanelScores = () => {
+  const list = $('#panelScoreList');
+  if (!list) return;
+  list.innerHTML = '';
+  panelScores.forEach((score, index) => list.appendChild(createPanelScoreRow(score, index)));
+};
 
 const tab = createOffsetPresetTab({
   tabKey: 'scores',
@@ -19,6 +115,103 @@ const tab = createOffsetPresetTab({
     },
   },
   onInit({ getUpdate, getStatus, verticalInput, horizontalInput }) {
+    const foldType = $('#foldType');
+    const foldPanels = $('#foldPanels');
+    const foldSummary = $('#foldSummary');
+
+    const foldTargets = {
+      vertical: {
+        setOffsets: tab.api.setVerticalOffsets,
+        lockInput: tab.api.lockVerticalInput,
+        setPresetState: tab.api.setVerticalPresetState,
+      },
+      horizontal: {
+        setOffsets: tab.api.setHorizontalOffsets,
+        lockInput: tab.api.lockHorizontalInput,
+        setPresetState: tab.api.setHorizontalPresetState,
+      },
+    };
+
+    const syncFoldPanels = () => {
+      const fold = FOLD_TYPES[foldType?.value];
+      if (!foldPanels) return;
+      foldPanels.disabled = !fold?.panels;
+      if (fold?.panels) foldPanels.min = String(fold.minPanels);
+    };
+
+    // A fold locks the scores it sets like the bifold/trifold presets do;
+    // Custom unlocks them again.
+    const applyFold = () => {
+      const direction = $('#foldDirection')?.value === 'horizontal' ? 'horizontal' : 'vertical';
+      const plan = calculateFoldPlan({
+        type: foldType?.value,
+        width: readCanonicalInches($(FOLD_SPANS[direction])),
+        panels: foldPanels?.value,
+        stock: $('#foldStock')?.value,
+      });
+      if (!plan) {
+        if (foldSummary) foldSummary.textContent = 'The document is too small for that fold.';
+        getStatus()('Fold does not fit the document');
+        return;
+      }
+      const presetKey = `fold-${plan.type}`;
+      const applyOffsets = (axis, offsets) => {
+        const { setOffsets, lockInput, setPresetState } = foldTargets[axis];
+        setOffsets(offsets);
+        lockInput(true, presetKey);
+        setPresetState(presetKey);
+      };
+      applyOffsets(direction, plan.offsets);
+      if (plan.cross.length > 0) applyOffsets(direction === 'vertical' ? 'horizontal' : 'vertical', plan.cross);
+      if (foldSummary) foldSummary.textContent = describeFoldPlan(plan, direction);
+      getUpdate()();
+      getStatus()(`${plan.label} fold scored`);
+    };
+
+    readPanelScoreData();
+    setPanelScoreData();
+    renderPanelScores();
+
+    // Rows keep what was typed; an empty or reversed run is dropped from the
+    // layout by normalizePanelScore until it is fixed.
+    const onPanelScoreChanged = (event) => {
+      const row = event.target.closest('.panel-score-row');
+      const { key } = event.target.dataset;
+      if (!row || !key) return;
+      const index = Number(row.dataset.index);
+      panelScores = panelScores.map((score, position) =>
+        position === index ? { ...score, [key]: event.target.value } : score
+      );
+      setPanelScoreData();
+      getUpdate()();
+    };
+    const panelScoreList = $('#panelScoreList');
+    panelScoreList?.addEventListener('input', onPanelScoreChanged);
+    panelScoreList?.addEventListener('change', (event) => {
+      if (event.target.tagName === 'SELECT') onPanelScoreChanged(event);
+    });
+    panelScoreList?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action="remove"]');
+      if (!button) return;
+      const index = Number(button.closest('.panel-score-row').dataset.index);
+      panelScores = panelScores.filter((_, position) => position !== index);
+      setPanelScoreData();
+      renderPanelScores();
+      getUpdate()();
+      getStatus()('Panel score removed');
+    });
+    $('#addPanelScore')?.addEventListener('click', () => {
+      panelScores = [...panelScores, normalizePanelScore({ direction: 'vertical', offset: 0.5, start: 0, end: 0.5 })];
+      setPanelScoreData();
+      renderPanelScores();
+      getUpdate()();
+      getStatus()('Panel score added');
+    });
+
+    foldType?.addEventListener('change', syncFoldPanels);
+    $('#applyFoldType')?.addEventListener('click', applyFold);
+    syncFoldPanels();
+
     $('#swapScoreOffsets')?.addEventListener('click', () => {
       if (!verticalInput || !horizontalInput) return;
       const vOffsets = parseOffsets(verticalInput.value);
@@ -1,12 +1,68 @@
-import { $$, getLayerVisibility, setLayerVisibility, applyLayerVisibility } from '../utils/dom.js';
+import { $, $$, getLayerVisibility, setLayerVisibility, applyLayerVisibility } from '../utils/dom.js';
+import { getCellKey } from '../calculations/layout-calculations.js';
+import { setPreviewSide } from '../rendering/svg-preview-renderer.js';
 import { initializeSummaryCalculators } from '../controllers/summary-calculators.js';
 import { hydrateTabPanel } from './registry.js';
 
 let initialized = false;
 const TAB_KEY = 'summary';
+let storedContext = { update: () => {}, status: () => {} };
 
-function init() {
+const getUpdate = () => storedContext.update ?? (() => {});
+const getStatus = () => storedContext.status ?? (() => {});
+
+const readSkippedCells = () => {
+  const raw = $('#skippedCellsData')?.value;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to parse blanked cells', error);
+    return [];
+  }
+};
+
+const writeSkippedCells = (cells) => {
+  const input = $('#skippedCellsData');
+  if (input) input.value = JSON.stringify(cells);
+};
+
+// Cells are numbered from one in messages, matching how operators count.
+const describeCell = ({ row, col }) => `row ${row + 1}, column ${col + 1}`;
+
+const toggleSkippedCell = (key) => {
+  const [row, col] = key.split(':').map(Number);
+  if (!Number.isInteger(row) || !Number.isInteger(col)) return;
+  const cells = readSkippedCells();
+  const remaining = cells.filter((cell) => getCellKey(cell) !== key);
+  const blanking = remaining.length === cells.length;
+  writeSkippedCells(blanking ? [...cells, { row, col }] : remaining);
+  getUpdate()();
+  getStatus()(`${blanking ? 'Blanked' : 'Restored'} ${describeCell({ row, col })}`);
+};
+
+/**
+ * Reports the cells the last update left blank. `skipped` comes from
+ * applySkippedCells, so saved cells outside the current grid are not counted.
+ */
+function updateSkippedCellsSummary(skipped = []) {
+  const count = skipped?.length ?? 0;
+  const summary = $('#vizSkippedSummary');
+  if (summary) {
+    summary.textContent =
+      count > 0
+        ? `${count} ${count === 1 ? 'cell' : 'cells'} left blank: ${skipped.map(describeCell).join('; ')}.`
+        : 'Click a document in the preview to leave it blank.';
+  }
+  const restore = $('#vizRestoreCells');
+  if (restore) restore.disabled = readSkippedCells().length === 0;
+}
+
+function init(context = {}) {
   hydrateTabPanel(TAB_KEY);
+  storedContext = { ...storedContext, ...context };
   initializeSummaryCalculators();
   if (initialized) return;
   $$('.viz-layer-input').forEach((input) => {
@@ -19,6 +75,17 @@ function init() {
       setLayerVisibility(layer, e.target.checked, { userInitiated: true });
     });
   });
+  $('#vizSide')?.addEventListener('change', (e) => setPreviewSide(e.target.value));
+  // The preview is redrawn on every update, so listen on the canvas itself.
+  $('#svg')?.addEventListener('click', (e) => {
+    const cell = e.target.closest?.('[data-cell]');
+    if (cell) toggleSkippedCell(cell.getAttribute('data-cell'));
+  });
+  $('#vizRestoreCells')?.addEventListener('click', () => {
+    writeSkippedCells([]);
+    getUpdate()();
+    getStatus()('Restored all cells');
+  });
   applyLayerVisibility();
   initialized = true;
 }
@@ -26,12 +93,13 @@ function init() {
 const summaryTab = {
   key: 'summary',
   init,
-  onActivate() {
-    init();
+  onActivate(context) {
+    init(context);
   },
-  onRegister() {
-    init();
+  onRegister(context) {
+    init(context);
   },
 };
 
+export { updateSkippedCellsSummary };
 export default summaryTab;
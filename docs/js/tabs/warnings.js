@@ -1,10 +1,43 @@
+import { $ } from '../utils/dom.js';
 import { hydrateTabPanel } from './registry.js';
 
 let initialized = false;
 const TAB_KEY = 'warnings';
+let latestWarnings = [];
+
+function renderWarnings() {
+  const list = $('#warningsList');
+  const empty = $('#warningsEmpty');
+  if (list) {
+    list.innerHTML = '';
+    latestWarnings.forEach((warning) => {
+      const item = document.createElement('li');
+      item.className = 'warning-item';
+      item.dataset.severity = warning.severity ?? 'warning';
+      item.dataset.warningId = warning.id;
+      item.textContent = warning.message;
+      list.appendChild(item);
+    });
+  }
+  if (empty) empty.hidden = latestWarnings.length > 0;
+  const trigger = document.querySelector(`.tabs-trigger[data-tab="${TAB_KEY}"]`);
+  if (trigger) {
+    trigger.textContent = latestWarnings.length > 0 ? `Warnings (${latestWarnings.length})` : 'Warnings';
+  }
+}
+
+/**
+ * Replaces the warning list with the entries collected for the latest layout.
+ * The tab trigger shows the count so warnings are visible from any tab.
+ */
+function updateWarnings(warnings = []) {
+  latestWarnings = Array.isArray(warnings) ? warnings : [];
+  renderWarnings();
+}
 
 function init() {
   hydrateTabPanel(TAB_KEY);
+  renderWarnings();
   if (initialized) return;
   initialized = true;
 }
@@ -20,4 +53,5 @@ const warningsTab = {
   },
 };
 
+export { updateWarnings };
 export default warningsTab;
@@ -9,15 +9,21 @@ export const $$ = (selector) => Array.from(document.querySelectorAll(selector));
 const layerVisibility = {
   layout: false,
   docs: true,
+  imposition: false,
+  marks: false,
+  bleed: false,
+  press: false,
   nonPrintable: true,
   cuts: false,
   slits: false,
   scores: false,
   perforations: false,
   holes: false,
+  grain: false,
+  numbering: false,
 };
 
-const AUTO_ACTIVATED_LAYERS = new Set(['scores', 'perforations', 'holes']);
+const AUTO_ACTIVATED_LAYERS = new Set(['imposition', 'marks', 'bleed', 'press', 'scores', 'perforations', 'holes', 'grain', 'numbering']);
 const userManagedLayers = new Set();
 
 const selectedMeasurements = new Set();
@@ -134,7 +140,11 @@ export const autoActivateLayerVisibility = (availability = {}) => {
   }
 };
 
-export const fillTable = (tbody, rows, type = 'measure') => {
+const formatExtent = (extent) =>
+  extent ? `${extent.start.toFixed(INCH_PRECISION)}–${extent.end.toFixed(INCH_PRECISION)}` : 'Full';
+
+// `showExtent` adds a column with the span a limited line covers (inches).
+export const fillTable = (tbody, rows, type = 'measure', { showExtent = false } = {}) => {
   if (!tbody) return;
   tbody.innerHTML = rows
     .map((row, index) => {
@@ -144,6 +154,7 @@ export const fillTable = (tbody, rows, type = 'measure') => {
         `<td>${row.label}</td>`,
         `<td class="k">${row.inches.toFixed(INCH_PRECISION)}</td>`,
         `<td class="k">${row.millimeters.toFixed(MILLIMETER_PRECISION)}</td>`,
+        ...(showExtent ? [`<td class="k">${formatExtent(row.extent)}</td>`] : []),
       ];
       return `<tr class="viz-measure-row" data-measure-id="${id}" data-measure-type="${type}" data-measure-index="${index}">${cells.join('')}</tr>`;
     })
@@ -156,6 +167,13 @@ export const fillTable = (tbody, rows, type = 'measure') => {
   });
 };
 
+// Round holes list their diameter; punched squares and slots width × height.
+const formatHoleSize = (hole, toUnits, precision) => {
+  const size = (value) => toUnits(Math.max(0, Number(value ?? 0))).toFixed(precision);
+  if (hole?.shape === 'square' || hole?.shape === 'slot') return `${size(hole.width)} × ${size(hole.height)}`;
+  return size(hole?.diameter);
+};
+
 export const fillHoleTable = (tbody, holes = []) => {
   if (!tbody) return;
   const rows = Array.isArray(holes) ? holes : [];
@@ -166,15 +184,15 @@ export const fillHoleTable = (tbody, holes = []) => {
       const label = hole?.label ?? `Hole ${index + 1}`;
       const x = Number(hole?.x ?? 0);
       const y = Number(hole?.y ?? 0);
-      const diameter = Math.max(0, Number(hole?.diameter ?? 0));
+      const toMillimeters = (inches) => inchesToMillimeters(inches, MILLIMETER_PRECISION);
       const cells = [
         `<td>${label}</td>`,
         `<td class="k">${x.toFixed(INCH_PRECISION)}</td>`,
         `<td class="k">${y.toFixed(INCH_PRECISION)}</td>`,
-        `<td class="k">${diameter.toFixed(INCH_PRECISION)}</td>`,
-        `<td class="k">${inchesToMillimeters(x, MILLIMETER_PRECISION).toFixed(MILLIMETER_PRECISION)}</td>`,
-        `<td class="k">${inchesToMillimeters(y, MILLIMETER_PRECISION).toFixed(MILLIMETER_PRECISION)}</td>`,
-        `<td class="k">${inchesToMillimeters(diameter, MILLIMETER_PRECISION).toFixed(MILLIMETER_PRECISION)}</td>`,
+        `<td class="k">${formatHoleSize(hole, (inches) => inches, INCH_PRECISION)}</td>`,
+        `<td class="k">${toMillimeters(x).toFixed(MILLIMETER_PRECISION)}</td>`,
+        `<td class="k">${toMillimeters(y).toFixed(MILLIMETER_PRECISION)}</td>`,
+        `<td class="k">${formatHoleSize(hole, toMillimeters, MILLIMETER_PRECISION)}</td>`,
       ];
       return `<tr class="viz-measure-row" data-measure-id="${id}" data-measure-type="hole" data-measure-index="${index}">${cells.join('')}</tr>`;
     })
@@ -1,5 +1,6 @@
 import { clampToZero, inchesToMillimeters, getUnitsPrecision } from './units.js';
 import { toFiniteNumber as toFinite } from './numbers.js';
+import { getAxisGaps, getAxisGutter } from '../calculations/gutter-pattern.js';
 
 const MILLIMETER_PRECISION = getUnitsPrecision('mm');
 
@@ -99,8 +100,12 @@ const calculateLayoutDetails = (layout = {}) => {
   // Translate document counts into the total occupied space. This gives us the
   // span of the documents plus the gutters, which we use for both the cutting
   // sequence and to locate the layout within the sheet.
-  const totalGutterWidth = Math.max(0, safeDocsAcross - 1) * gutterWidth;
-  const totalGutterLength = Math.max(0, safeDocsDown - 1) * gutterLength;
+  // A gutter pattern can make individual gaps wider (or zero), so the gaps
+  // are listed one by one rather than multiplied out.
+  const gapsWidth = getAxisGaps(getAxisGutter(layout.gutter, 'horizontal'), safeDocsAcross);
+  const gapsLength = getAxisGaps(getAxisGutter(layout.gutter, 'vertical'), safeDocsDown);
+  const totalGutterWidth = gapsWidth.reduce((sum, gap) => sum + gap, 0);
+  const totalGutterLength = gapsLength.reduce((sum, gap) => sum + gap, 0);
   const imposedSpaceWidth = safeDocsAcross * docWidth + totalGutterWidth;
   const imposedSpaceLength = safeDocsDown * docLength + totalGutterLength;
 
@@ -121,6 +126,8 @@ const calculateLayoutDetails = (layout = {}) => {
     docLength,
     gutterWidth,
     gutterLength,
+    gapsWidth,
+    gapsLength,
     marginWidth,
     marginLength,
     docsAcross: safeDocsAcross,
@@ -138,29 +145,29 @@ const calculateLayoutDetails = (layout = {}) => {
 // imperative helper that handled two separate responsibilities:
 //   1. Add the progressive "step back" cuts that separate adjacent documents.
 //   2. If gutters exist, add the smaller "back cuts" that trim the gutters.
-// Every input goes through the same sanitization pipeline so we never push
-// invalid numbers onto the sequence.
-const appendCuts = (sequence, count, size, gutter, imposedSize) => {
+// `gaps` lists every gap between neighbouring documents in order, so uneven
+// gutter patterns step back by the gap actually in front of each document.
+const appendCuts = (sequence, count, size, gaps, imposedSize) => {
   const safeCount = Math.max(0, Math.floor(toFinite(count)));
   const safeSize = clampToZero(toFinite(size));
-  const safeGutter = clampToZero(toFinite(gutter));
+  const safeGaps = (Array.isArray(gaps) ? gaps : []).map((gap) => clampToZero(toFinite(gap)));
   const safeImposed = clampToZero(toFinite(imposedSize));
 
   // Internal cuts: starting from the imposed edge, walk backward by the size of
-  // a document plus its gutter to determine each cut location. We stop one
-  // document early because a single document requires no internal cuts.
+  // a document plus the gap before it to determine each cut location. We stop
+  // one document early because a single document requires no internal cuts.
+  let position = safeImposed;
   for (let i = 1; i < safeCount; i += 1) {
-    sequence.push(clampToZero(safeImposed - i * (safeSize + safeGutter)));
+    position -= safeSize + (safeGaps[safeCount - 1 - i] ?? 0);
+    sequence.push(clampToZero(position));
   }
 
-  // Back cuts: if gutters exist we need to add the smaller cuts that remove the
-  // gutter material. The old algorithm simply appended the document size for
-  // each break, which downstream tooling interpreted as back cuts.
-  if (safeGutter > 0) {
-    for (let i = 1; i < safeCount; i += 1) {
-      sequence.push(safeSize);
-    }
-  }
+  // Back cuts: every gap wider than zero leaves a strip of gutter to remove.
+  // The old algorithm simply appended the document size for each break, which
+  // downstream tooling interpreted as back cuts.
+  safeGaps.slice(0, Math.max(0, safeCount - 1)).forEach((gap) => {
+    if (gap > 0) sequence.push(safeSize);
+  });
 };
 
 // Primary export: convert a complex layout configuration into a step-by-step
@@ -187,7 +194,7 @@ export const calculateProgramSequence = (layout = {}) => {
     sequence,
     details.docsAcross,
     details.docWidth,
-    details.gutterWidth,
+    details.gapsWidth,
     details.imposedSpaceWidth,
   );
 
@@ -196,7 +203,7 @@ export const calculateProgramSequence = (layout = {}) => {
     sequence,
     details.docsDown,
     details.docLength,
-    details.gutterLength,
+    details.gapsLength,
     details.imposedSpaceLength,
   );
 
@@ -13,10 +13,11 @@ export const calculatePadTotals = ({ padCount = 0, sheetsPerPad = 0, nUp = 0 } =
   return { totalPieces, totalSheets, overagePieces };
 };
 
-export const calculateRunPlan = ({ desiredPieces = 0, nUp = 0, oversPercent = 0 } = {}) => {
+export const calculateRunPlan = ({ desiredPieces = 0, nUp = 0, oversPercent = 0, pressSheetsPerParent = 0 } = {}) => {
   const desired = sanitizeInteger(desiredPieces);
   const nUpValue = sanitizeInteger(nUp);
   const overs = sanitizeFloat(oversPercent);
+  const perParent = sanitizeInteger(pressSheetsPerParent);
   if (desired <= 0 || nUpValue <= 0) {
     return null;
   }
@@ -25,7 +26,8 @@ export const calculateRunPlan = ({ desiredPieces = 0, nUp = 0, oversPercent = 0
   const baseSheets = Math.ceil(desired / nUpValue);
   const totalSheets = Math.ceil(totalPieces / nUpValue);
   const oversSheets = Math.max(0, totalSheets - baseSheets);
-  return { totalPieces, totalSheets, oversPieces, oversSheets };
+  const parentSheets = perParent > 0 ? Math.ceil(totalSheets / perParent) : null;
+  return { totalPieces, totalSheets, oversPieces, oversSheets, parentSheets };
 };
 
 export const calculateSheetConversion = ({
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { calculateBindingPlan } from '../docs/js/calculations/binding-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const letter = { width: 8.5, height: 11 };
+
+// Letter pages, two across on 17 × 11 with no gutters.
+const pageLayout = createLayoutFactory({
+  sheet: { width: 17, height: 11 },
+  document: letter,
+  gutter: { horizontal: 0, vertical: 0 },
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+});
+
+describe('binding hole library', () => {
+  it('fits each style to the bound length', () => {
+    const wire = calculateBindingPlan('wire-3-1', 'left', letter);
+    expect(wire).toMatchObject({ count: 32, shape: 'square', holesPerInch: 3 });
+    expect(wire.firstCenter).toBeCloseTo((11 - 31 / 3) / 2);
+    expect(wire.entries[0].offset).toBeCloseTo(0.125 + 5 / 64);
+    expect(calculateBindingPlan('wire-2-1', 'left', letter).count).toBe(21);
+    expect(calculateBindingPlan('comb', 'left', letter).count).toBe(19);
+    expect(calculateBindingPlan('coil-4-1', 'top', letter).count).toBe(32);
+    expect(calculateBindingPlan('comb', 'left', { width: 2, height: 0.5 }).count).toBe(0);
+    expect(calculateBindingPlan('three-hole', 'left', letter)).toBeNull();
+  });
+
+  it('punches slots on every piece sized for the bound edge', () => {
+    const layout = pageLayout();
+    const { holes, binding } = calculateFinishing(layout, { holePlan: { preset: 'wire-2-1', edge: 'left', entries: [] } });
+    expect(binding).toMatchObject({ label: 'Wire-O 2:1', count: 21 });
+    expect(holes).toHaveLength(42);
+    // Slots on the left edge run down the sheet: 5/16 along the edge, 1/4 into it.
+    expect(holes[0]).toMatchObject({ shape: 'slot', width: 0.25, height: 0.3125 });
+    expect(holes[0].diameter).toBeUndefined();
+    expect(holes[0].x).toBeCloseTo(layout.layoutArea.originX + 0.1875 + 0.125);
+    expect(holes[21].x).toBeCloseTo(layout.layoutArea.originX + 8.5 + 0.3125);
+
+    const drilled = calculateFinishing(layout, { holePlan: { preset: 'custom', size: 0.25, entries: [{ edge: 'left' }] } });
+    expect(drilled.binding).toBeUndefined();
+    expect(drilled.holes[0]).toMatchObject({ shape: 'round', diameter: 0.25 });
+  });
+
+  it('moves the bound edge with a rotated piece and draws slots as rectangles', () => {
+    const layout = pageLayout({ sheet: { width: 11, height: 17 }, orientation: 'rotated' });
+    const { holes, binding } = calculateFinishing(layout, { holePlan: { preset: 'comb', edge: 'left', entries: [] } });
+    expect(binding).toMatchObject({ edge: 'top', enteredEdge: 'left', count: 19 });
+    expect(holes[0]).toMatchObject({ width: 0.125, height: 0.3125 });
+    expect(holes[0].y).toBeCloseTo(layout.layoutArea.originY + 0.125 + 0.15625);
+
+    const items = buildLayoutScene(layout, { holes }).items.filter((item) => item.layer === 'holes');
+    expect(items).toHaveLength(holes.length);
+    expect(items[0]).toMatchObject({ type: 'rect', width: 0.125, height: 0.3125 });
+    expect(items[0].x).toBeCloseTo(holes[0].x - 0.0625);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const baseInputs = {
+  sheet: { width: 12, height: 18 },
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.25, vertical: 0.25 },
+  margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+  nonPrintable: { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 },
+};
+
+const layoutFor = createLayoutFactory(baseInputs);
+
+describe('document bleed', () => {
+  it('normalizes bleed per side and keeps cuts on the trim box', () => {
+    const plain = layoutFor();
+    const bled = layoutFor({ bleed: { top: 0.125, right: 0.125, bottom: 0.125, left: -1 } });
+
+    expect(bled.bleed).toEqual({ top: 0.125, right: 0.125, bottom: 0.125, left: 0 });
+    expect(bled.counts).toEqual(plain.counts);
+    expect(calculateFinishing(bled).cuts).toEqual(calculateFinishing(plain).cuts);
+    expect(calculateFinishing(bled).slits).toEqual(calculateFinishing(plain).slits);
+  });
+
+  it('rotates per-side bleed with the placed document', () => {
+    const layout = layoutFor({ orientation: 'rotated', bleed: { top: 0, right: 0, bottom: 0, left: 0.25 } });
+    expect(layout.bleed).toEqual({ top: 0.25, right: 0, bottom: 0, left: 0 });
+  });
+
+  it('draws a bleed box behind every document on its own layer', () => {
+    const layout = layoutFor({ bleed: { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 } });
+    const scene = buildLayoutScene(layout, calculateFinishing(layout));
+    const bleedRects = scene.items.filter((item) => item.layer === 'bleed');
+    const docRects = scene.items.filter((item) => item.layer === 'docs');
+
+    expect(bleedRects).toHaveLength(docRects.length);
+    expect(bleedRects[0]).toMatchObject({ x: 0.375, y: 0.375, width: 3.75, height: 2.25 });
+    expect(scene.items.indexOf(bleedRects[0])).toBeLessThan(scene.items.indexOf(docRects[0]));
+    expect(buildLayoutScene(layoutFor(), {}).items.some((item) => item.layer === 'bleed')).toBe(false);
+  });
+
+  it('warns when the gutter cannot hold both neighbouring bleeds', () => {
+    expect(collectLayoutWarnings(layoutFor({ bleed: { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 } }))).toEqual([]);
+
+    const warnings = collectLayoutWarnings(layoutFor({ bleed: { top: 0.125, right: 0.25, bottom: 0.125, left: 0.125 } }));
+    expect(warnings.map((warning) => warning.id)).toEqual(['bleed-gutter-horizontal']);
+    expect(warnings[0].message).toContain('0.375 in');
+  });
+
+  it('warns when outer bleed reaches the non-printable area', () => {
+    const warnings = collectLayoutWarnings(
+      layoutFor({ margins: { top: 0.3, right: 0.5, bottom: 0.5, left: 0.5 }, bleed: { top: 0.125 } }),
+      { units: 'mm' },
+    );
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ id: 'bleed-printable-top', severity: 'warning' });
+    expect(warnings[0].message).toContain('1.91 mm');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateBooklet,
+  formatBookletSpread,
+  mergeBookletScores,
+} from '../docs/js/calculations/booklet-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { calculateLayout, createCalculationContext } from '../docs/js/calculations/layout-calculations.js';
+
+const spec = { pageCount: 16, pageWidth: 5.5, pageHeight: 8.5, bindingEdge: 'left' };
+
+describe('saddle-stitch booklets', () => {
+  it('pairs printer spreads from the outer sheet inwards', () => {
+    const booklet = calculateBooklet(spec);
+    expect(booklet).toMatchObject({ paddedPages: 16, blanks: 0, sheetCount: 4, spread: { width: 11, height: 8.5 } });
+    expect(booklet.sheets.map((sheet) => [formatBookletSpread(sheet.front), formatBookletSpread(sheet.back)])).toEqual([
+      ['16/1', '2/15'],
+      ['14/3', '4/13'],
+      ['12/5', '6/11'],
+      ['10/7', '8/9'],
+    ]);
+    expect(formatBookletSpread(calculateBooklet({ ...spec, bindingEdge: 'right' }).sheets[0].front)).toBe('1/16');
+    expect(calculateBooklet({ ...spec, bindingEdge: 'top' }).spread).toEqual({ width: 5.5, height: 17 });
+  });
+
+  it('pads to a multiple of four with blanks at the back', () => {
+    const booklet = calculateBooklet({ ...spec, pageCount: 10 });
+    expect(booklet).toMatchObject({ paddedPages: 12, blanks: 2, sheetCount: 3 });
+    expect(formatBookletSpread(booklet.sheets[0].front)).toBe('—/1');
+    expect(formatBookletSpread(booklet.sheets[0].back)).toBe('2/—');
+    expect(calculateBooklet({ ...spec, pageCount: 0 })).toBeNull();
+  });
+
+  it('groups sheets into signatures by the spreads that fit the press sheet', () => {
+    const booklet = calculateBooklet({ ...spec, pageCount: 20, quantity: 500 }, { spreadsPerSide: 2 });
+    expect(booklet.signatures).toEqual([
+      { signature: 1, sheets: [1, 2], copiesPerSheet: 1, pressSheets: 500 },
+      { signature: 2, sheets: [3, 4], copiesPerSheet: 1, pressSheets: 500 },
+      { signature: 3, sheets: [5], copiesPerSheet: 2, pressSheets: 250 },
+    ]);
+    expect(booklet.pressSheetsRequired).toBe(1250);
+    expect(calculateBooklet(spec).signatures).toEqual([]);
+  });
+
+  it('feeds the spine allowance into the score positions', () => {
+    const booklet = calculateBooklet({ ...spec, caliper: 0.004 }, { spreadsPerSide: 2 });
+    expect(booklet.sheets.map((sheet) => sheet.spineAllowance)).toEqual([0.024, 0.016, 0.008, 0].map((value) => expect.closeTo(value, 9)));
+    const scores = mergeBookletScores(booklet, { horizontal: [], vertical: [0.5] });
+    expect(scores.vertical).toEqual([expect.closeTo(0.5 - 0.012 / 11, 9), 0.5, expect.closeTo(0.5 + 0.012 / 11, 9)]);
+
+    const innerScores = mergeBookletScores(calculateBooklet({ ...spec, caliper: 0.004, scoreSheet: 9 }), {});
+    expect(innerScores.vertical).toEqual([0.5]);
+
+    const layout = calculateLayout(
+      createCalculationContext({ sheet: { width: 12, height: 18 }, document: booklet.spread, gutter: { horizontal: 0, vertical: 0.25 } })
+    );
+    const fin = calculateFinishing(layout, { scoreVertical: scores.vertical });
+    expect(fin.scores.vertical.map((score) => score.inches)).toEqual([5.488, 5.5, 5.512]);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { calculateBooklet } from '../docs/js/calculations/booklet-calculations.js';
+import { calculateCreep, describeCreepAdjustment } from '../docs/js/calculations/creep-calculations.js';
+
+const booklet = calculateBooklet({ pageCount: 16, pageWidth: 5.5, pageHeight: 8.5, bindingEdge: 'left', caliper: 0.004 });
+
+describe('creep compensation', () => {
+  it('creeps one caliper per sheet from the cover inwards', () => {
+    const creep = calculateCreep(booklet);
+    expect(creep).toMatchObject({ method: 'artwork', fold: 5.5, span: 11 });
+    expect(creep.spreads.map((spread) => spread.creep)).toEqual([0, 0.004, 0.008, 0.012].map((value) => expect.closeTo(value, 9)));
+    expect(creep.maxCreep).toBeCloseTo(0.012);
+  });
+
+  it('moves the artwork and keeps the flat trim by default', () => {
+    const innermost = calculateCreep(booklet).spreads[3];
+    expect(innermost).toMatchObject({ leadTrim: 0, trailTrim: 11, trimmedSpan: 11 });
+    expect(innermost.artworkShift).toBeCloseTo(0.012);
+    expect(describeCreepAdjustment(innermost, 'artwork')).toBe('Pages move 0.0120 in toward the spine');
+    expect(describeCreepAdjustment(calculateCreep(booklet).spreads[0], 'artwork')).toBe('None');
+  });
+
+  it('pulls the fore-edge trims in for the trim method', () => {
+    const creep = calculateCreep(booklet, { method: 'trim' });
+    const innermost = creep.spreads[3];
+    expect(innermost.artworkShift).toBe(0);
+    expect(innermost.leadTrim).toBeCloseTo(0.012);
+    expect(innermost.trailTrim).toBeCloseTo(10.988);
+    expect(innermost.trimmedSpan).toBeCloseTo(10.976);
+    expect(describeCreepAdjustment(innermost, 'trim')).toBe('Trim at 0.0120 and 10.9880 in (10.9760 in flat)');
+  });
+
+  it('measures top-bound spreads down the sheet and skips non-booklet jobs', () => {
+    const topBound = calculateBooklet({ pageCount: 8, pageWidth: 11, pageHeight: 4.25, bindingEdge: 'top', caliper: 0.01 });
+    expect(calculateCreep(topBound)).toMatchObject({ fold: 4.25, span: 8.5, maxCreep: expect.closeTo(0.01, 9) });
+    expect(calculateCreep(null)).toBeNull();
+  });
+});
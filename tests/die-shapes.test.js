@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildDieShapePath,
+  combineSvgPaths,
+  getPathBounds,
+  mirrorDieShape,
+  normalizeDieShape,
+  parseSvgPath,
+  rotateDieShapeClockwise,
+} from '../docs/js/rendering/die-shape-path.js';
+import { calculateLayout, createCalculationContext } from '../docs/js/calculations/layout-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+
+const expectBounds = (bounds, expected) => {
+  Object.entries(expected).forEach(([key, value]) => expect(bounds[key]).toBeCloseTo(value, 6));
+};
+
+describe('die shapes', () => {
+  it('parses relative, shorthand and arc path data into absolute commands', () => {
+    const commands = parseSvgPath('m1 1h2v1h-2z');
+    expect(commands.map((command) => command.type)).toEqual(['M', 'L', 'L', 'L', 'Z']);
+    expect(commands[2].points).toEqual([[3, 2]]);
+    expectBounds(getPathBounds(commands), { x: 1, y: 1, width: 2, height: 1 });
+
+    // Compact arc flags: "a1 1 0 1 0 2 0" written without separators.
+    const circle = parseSvgPath('M0 1a1 1 0 1 0 2 0a1 1 0 10-2 0Z');
+    expect(circle.filter((command) => command.type === 'C')).toHaveLength(4);
+    expectBounds(getPathBounds(circle), { x: 0, y: 0, width: 2, height: 2 });
+
+    // The curve's turning point, not its control handle, bounds the shape.
+    expectBounds(getPathBounds(parseSvgPath('M0 0 Q 1 2 2 0 T 4 0')), { y: -1, height: 2, width: 4 });
+    expect(parseSvgPath('M 0 0 L 1')).toBeNull();
+    expect(parseSvgPath('M 2 2')).toBeNull();
+    expect(normalizeDieShape({ type: 'path', d: 'M0 0 H 3' })).toBeNull();
+  });
+
+  it('combines the paths of an SVG file one at a time with their transforms', () => {
+    // Each file path starts over, so the second square's `m` is not relative to the first.
+    const squares = combineSvgPaths([{ d: 'm 2,2 h 1 v 1 h -1 z' }, { d: 'm 5,5 h 1 v 1 h -1 z' }]);
+    expect(squares.filter((command) => command.type === 'M')).toHaveLength(2);
+    expectBounds(getPathBounds(squares), { x: 2, y: 2, width: 4, height: 4 });
+
+    const unit = 'M 0 0 H 1 V 1 H 0 Z';
+    const moved = combineSvgPaths([
+      { d: unit, transform: 'translate(10, 0) scale(2)' },
+      { d: unit, transform: 'rotate(90)' },
+    ]);
+    expectBounds(getPathBounds(moved), { x: -1, y: 0, width: 13, height: 2 });
+    expectBounds(getPathBounds(combineSvgPaths([{ d: unit, transform: 'rotate(180 1 1) skewX(45)' }])), {
+      x: 0,
+      y: 1,
+      width: 2,
+      height: 1,
+    });
+
+    expect(combineSvgPaths([{ d: unit, transform: 'perspective(2)' }])).toBeNull();
+    expect(combineSvgPaths([{ d: unit, transform: 'scale(1, 2, 3)' }])).toBeNull();
+    expect(combineSvgPaths([{ d: null }, { d: 'M 1 1' }])).toBeNull();
+  });
+
+  it('fits circles, ellipses and ovals to the document box', () => {
+    expect(buildDieShapePath({ type: 'circle' }, 0, 0, 4, 2)).toBe('M 1 1 A 1 1 0 1 0 3 1 A 1 1 0 1 0 1 1 Z');
+    expect(buildDieShapePath({ type: 'ellipse' }, 1, 1, 4, 2)).toBe('M 1 2 A 2 1 0 1 0 5 2 A 2 1 0 1 0 1 2 Z');
+    expect(buildDieShapePath({ type: 'oval' }, 0, 0, 4, 2)).toBe('M 1 0 H 3 A 1 1 0 0 1 3 2 H 1 A 1 1 0 0 1 1 0 Z');
+    expect(buildDieShapePath(null, 0, 0, 4, 2)).toBe('');
+    expect(normalizeDieShape({ type: 'rectangle' })).toBeNull();
+
+    const star = normalizeDieShape({ type: 'path', d: 'M 1 0 L 2 2 L 0 2 Z' });
+    expect(buildDieShapePath(star, 10, 10, 4, 1)).toBe('M 12 10 L 14 11 L 10 11 Z');
+  });
+
+  it('turns and mirrors custom paths with the piece', () => {
+    const wedge = normalizeDieShape({ type: 'path', d: 'M 0 0 H 2 L 0 1 Z' });
+    const turned = rotateDieShapeClockwise(wedge);
+    expectBounds(turned.bounds, { x: -1, y: 0, width: 1, height: 2 });
+    // The square corner at the top left of the wedge ends up top right.
+    expect(buildDieShapePath(turned, 0, 0, 1, 2)).toBe('M 1 0 L 1 2 L 0 0 Z');
+    expect(buildDieShapePath(mirrorDieShape(wedge, 'vertical'), 0, 0, 2, 1)).toBe('M 0 1 L 2 1 L 0 0 Z');
+    expect(buildDieShapePath(mirrorDieShape(wedge, 'horizontal'), 0, 0, 2, 1)).toBe('M 2 0 L 0 0 L 2 1 Z');
+    expect(rotateDieShapeClockwise({ type: 'oval' })).toEqual({ type: 'oval' });
+  });
+
+  it('carries the shape on each document and bleed box in place of rounded corners', () => {
+    const layout = calculateLayout(
+      createCalculationContext({
+        sheet: { width: 12, height: 18 },
+        document: { width: 3, height: 3 },
+        gutter: { horizontal: 0.25, vertical: 0.25 },
+        margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+      })
+    );
+    layout.bleed = { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 };
+    layout.roundedCorners = { topLeft: 0.25, topRight: 0.25, bottomRight: 0.25, bottomLeft: 0.25 };
+    layout.dieShape = normalizeDieShape({ type: 'circle' });
+    const items = buildLayoutScene(layout).items;
+    const docs = items.filter((item) => item.layer === 'docs');
+    expect(docs.length).toBeGreaterThan(0);
+    expect(docs.every((item) => item.shape?.type === 'circle' && item.cornerRadii === null)).toBe(true);
+    expect(items.filter((item) => item.layer === 'bleed').every((item) => item.shape?.type === 'circle')).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { createCalculationContext, evaluateDocumentOrientations } from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const baseInputs = {
+  sheet: { width: 13, height: 19 },
+  document: { width: 6, height: 4 },
+  gutter: { horizontal: 0, vertical: 0 },
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+  nonPrintable: { top: 0, right: 0, bottom: 0, left: 0 },
+};
+
+const orientedLayout = createLayoutFactory(baseInputs);
+
+describe('document orientation search', () => {
+  it('reports both orientations and recommends the higher yield', () => {
+    const evaluation = evaluateDocumentOrientations(createCalculationContext(baseInputs));
+
+    expect(evaluation.candidates['as-entered'].counts).toEqual({ across: 2, down: 4, total: 8 });
+    expect(evaluation.candidates.rotated.counts).toEqual({ across: 3, down: 3, total: 9 });
+    expect(evaluation.recommended).toBe('rotated');
+  });
+
+  it('keeps the entered orientation unless best fit is requested', () => {
+    const entered = orientedLayout();
+    expect(entered.document).toEqual({ width: 6, height: 4 });
+    expect(entered.orientation).toMatchObject({ mode: 'as-entered', selected: 'as-entered', rotated: false });
+
+    const best = orientedLayout({ orientation: 'best' });
+    expect(best.document).toEqual({ width: 4, height: 6 });
+    expect(best.counts).toEqual({ across: 3, down: 3 });
+    expect(best.orientation).toMatchObject({ mode: 'best', selected: 'rotated', rotated: true });
+  });
+
+  it('treats ties as a reason to stay as entered', () => {
+    const square = orientedLayout({ document: { width: 4, height: 4 }, orientation: 'best' });
+    expect(square.orientation.recommended).toBe('as-entered');
+    expect(square.orientation.rotated).toBe(false);
+  });
+
+  it('rotates finishing offsets and hole entries with the placed document', () => {
+    const layout = orientedLayout({ document: { width: 6, height: 4 }, orientation: 'rotated' });
+    const finishing = calculateFinishing(layout, {
+      scoreVertical: [0.5],
+      scoreHorizontal: [0.25],
+      holePlan: { size: 0.25, entries: [{ edge: 'left', align: 'start', axisOffset: 0.5, offset: 0.25 }] },
+    });
+
+    // The entered vertical score (half of the 6 in width) now runs across the
+    // 6 in height of each placed 4×6 piece.
+    expect(finishing.scores.horizontal.slice(0, 3).map((entry) => entry.inches)).toEqual([3, 9, 15]);
+    // The entered horizontal score at 25% of the 4 in height lands at 75% of
+    // the placed width.
+    expect(finishing.scores.vertical.map((entry) => entry.inches)).toEqual([3, 7, 11]);
+    // A left-edge hole near the top ends up on the top edge near the right.
+    expect(finishing.holes[0]).toMatchObject({ x: 3.5, y: 0.25 });
+  });
+});
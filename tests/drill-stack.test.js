@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { calculateDrillStack } from '../docs/js/calculations/drill-stack-calculations.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+// Recipe cards: 4 × 6 pieces, three across and three down on 12 × 18.
+const cardLayout = createLayoutFactory({
+  sheet: { width: 12, height: 18 },
+  document: { width: 4, height: 6 },
+  gutter: { horizontal: 0, vertical: 0 },
+});
+
+const twoHoles = {
+  holePlan: {
+    size: 0.25,
+    entries: [
+      { edge: 'left', align: 'start', axisOffset: 1, offset: 0.375 },
+      { edge: 'left', align: 'end', axisOffset: 1.5, offset: 0.375 },
+    ],
+  },
+};
+
+describe('drill stack readout', () => {
+  it('groups the holes of every piece into spindles measured from the fence', () => {
+    const layout = cardLayout();
+    const { holes } = calculateFinishing(layout, twoHoles);
+    const stack = calculateDrillStack(layout, holes, { fence: 'left', caliper: 0.004 });
+    expect(stack.pieces).toBe(9);
+    expect(stack.spindles).toEqual([
+      { fromFence: 0.375, along: 1, shape: 'round', width: 0.25, height: 0.25, pieces: 9 },
+      { fromFence: 0.375, along: 4.5, shape: 'round', width: 0.25, height: 0.25, pieces: 9 },
+    ]);
+
+    const fromBottom = calculateDrillStack(layout, holes, { fence: 'bottom' });
+    expect(fromBottom.spindles.map(({ fromFence, along }) => [fromFence, along])).toEqual([
+      [1.5, 0.375],
+      [5, 0.375],
+    ]);
+    expect(fromBottom.lift).toBeNull();
+  });
+
+  it('measures rotated pieces as entered', () => {
+    const layout = cardLayout({ sheet: { width: 18, height: 12 }, orientation: 'rotated' });
+    const { holes } = calculateFinishing(layout, twoHoles);
+    const stack = calculateDrillStack(layout, holes, { fence: 'left' });
+    expect(stack.spindles.map(({ fromFence, along, pieces }) => [fromFence, along, pieces])).toEqual([
+      [0.375, 1, stack.pieces],
+      [0.375, 4.5, stack.pieces],
+    ]);
+  });
+
+  it('recommends a lift from the caliper and the bit', () => {
+    const layout = cardLayout();
+    const { holes } = calculateFinishing(layout, twoHoles);
+    expect(calculateDrillStack(layout, holes, { caliper: 0.004 }).lift).toEqual({ height: 2, sheets: 500, bit: 0.25 });
+
+    const small = calculateFinishing(layout, { holePlan: { ...twoHoles.holePlan, size: 0.1875 } });
+    expect(calculateDrillStack(layout, small.holes, { caliper: 0.01 }).lift).toEqual({
+      height: 1.5,
+      sheets: 150,
+      bit: 0.1875,
+    });
+
+    const punched = calculateFinishing(layout, { holePlan: { preset: 'coil-4-1', edge: 'left', entries: [] } });
+    expect(calculateDrillStack(layout, punched.holes, { caliper: 0.004 }, { punched: true }).lift).toBeNull();
+    expect(calculateDrillStack(layout, [], { caliper: 0.004 })).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { calculateFoldPlan } from '../docs/js/calculations/fold-calculations.js';
+import { layoutPresets } from '../docs/js/data/layout-presets.js';
+
+const expectPanels = (plan, expected) => {
+  expect(plan.panels).toHaveLength(expected.length);
+  expected.forEach((panel, index) => expect(plan.panels[index]).toBeCloseTo(panel, 9));
+};
+
+describe('fold library', () => {
+  it('shortens the tuck-in panels of letter and roll folds for the stock', () => {
+    const letter = calculateFoldPlan({ type: 'letter', width: 11 });
+    expectPanels(letter, [3.6875, 3.6875, 3.625]);
+    expect(letter.offsets[0]).toBeCloseTo(3.6875 / 11, 9);
+    expect(letter.offsets[1]).toBeCloseTo(7.375 / 11, 9);
+    expect(layoutPresets['trifold-brochure'].scores.vertical).toEqual(letter.offsets);
+
+    expectPanels(calculateFoldPlan({ type: 'letter', width: 11, stock: 'heavy-cover' }), [3.7083333333, 3.7083333333, 3.5833333333]);
+    // Each panel rolls inside the last, one step shorter each time.
+    expectPanels(calculateFoldPlan({ type: 'roll', width: 16, panels: 4 }), [4.046875, 4.046875, 3.984375, 3.921875]);
+  });
+
+  it('keeps Z and accordion panels equal and stops gate flaps short of the centre', () => {
+    expect(calculateFoldPlan({ type: 'z', width: 12, stock: 'cover' })).toMatchObject({ compensation: 0, offsets: [1 / 3, 2 / 3] });
+    expect(calculateFoldPlan({ type: 'accordion', width: 10, panels: 5 }).offsets).toEqual([0.2, 0.4, 0.6, 0.8]);
+    expect(calculateFoldPlan({ type: 'accordion', width: 10, panels: 1 }).offsets).toEqual([0.5]);
+
+    const gate = calculateFoldPlan({ type: 'gate', width: 17, stock: 'cover' });
+    expectPanels(gate, [4.203125, 8.59375, 4.203125]);
+    expectPanels(calculateFoldPlan({ type: 'double-parallel', width: 14 }), [3.53125, 3.53125, 3.46875, 3.46875]);
+  });
+
+  it('scores a French fold across both sides and rejects folds that do not fit', () => {
+    expect(calculateFoldPlan({ type: 'french', width: 17 })).toMatchObject({ offsets: [0.5], cross: [0.5] });
+    expect(calculateFoldPlan({ type: 'letter', width: 11 }).cross).toEqual([]);
+    expect(calculateFoldPlan({ type: 'gate', width: 0.25, stock: 'heavy-cover' })).toBeNull();
+    expect(calculateFoldPlan({ type: 'letter', width: 0 })).toBeNull();
+    expect(calculateFoldPlan({ type: 'origami', width: 11 })).toBeNull();
+  });
+});
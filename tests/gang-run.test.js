@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { createCalculationContext, getLayoutTotal } from '../docs/js/calculations/layout-calculations.js';
+import {
+  calculateGangFinishing,
+  calculateGangLayout,
+  normalizeGangItems,
+} from '../docs/js/calculations/gang-run-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+
+const context = createCalculationContext({
+  sheet: { width: 13, height: 19 },
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.125, vertical: 0.125 },
+  margins: { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 },
+});
+
+const items = [
+  { label: 'Postcard', width: 6, height: 4, quantity: 1000 },
+  { label: 'Rack card', width: 4, height: 9, quantity: 500 },
+];
+
+describe('gang run layout', () => {
+  it('drops items without a usable size and defaults quantities', () => {
+    expect(normalizeGangItems([{ width: 2, height: 0 }, { width: 2, height: 3, quantity: 0 }])).toEqual([
+      { id: 'item-2', label: 'Item 2', width: 2, height: 3, quantity: 1 },
+    ]);
+  });
+
+  it('packs one strip per item and reports per-item counts', () => {
+    const layout = calculateGangLayout(context, items);
+
+    expect(layout.gang.strips.map(({ label, rotated, count, originY }) => ({ label, rotated, count, originY }))).toEqual([
+      { label: 'Postcard', rotated: true, count: 3, originY: 0.25 },
+      { label: 'Rack card', rotated: false, count: 3, originY: 6.375 },
+    ]);
+    expect(layout.gang.items.map(({ count, sheetsNeeded, produced, overs }) => ({ count, sheetsNeeded, produced, overs })))
+      .toEqual([
+        { count: 3, sheetsNeeded: 334, produced: 1002, overs: 2 },
+        { count: 3, sheetsNeeded: 167, produced: 1002, overs: 502 },
+      ]);
+    expect(layout.gang.sheetsRequired).toBe(334);
+    expect(getLayoutTotal(layout)).toBe(6);
+    expect(layout.usage.vertical.usedSpan).toBeCloseTo(15.125, 6);
+  });
+
+  it('gives the next strip to the item furthest behind its quantity', () => {
+    const layout = calculateGangLayout(context, [
+      { label: 'Ticket', width: 5.5, height: 2, quantity: 2000 },
+      { label: 'Postcard', width: 6, height: 4, quantity: 500 },
+    ]);
+    const perItem = Object.fromEntries(layout.gang.items.map((item) => [item.label, item.count]));
+
+    expect(perItem.Ticket).toBeGreaterThan(perItem.Postcard);
+    expect(layout.gang.strips.every((strip) => strip.originY + strip.document.height <= 18.75 + 1e-9)).toBe(true);
+  });
+
+  it('builds a guillotine cut list with slits limited to each strip', () => {
+    const layout = calculateGangLayout(context, items);
+    const finishing = calculateGangFinishing(layout);
+
+    expect(finishing.cuts.map((cut) => cut.inches)).toEqual([0.25, 6.25, 6.375, 15.375]);
+    expect(finishing.slits).toHaveLength(12);
+    expect(finishing.slits[0]).toMatchObject({ label: 'Strip 1 slit 1', inches: 0.25, extent: { start: 0.25, end: 6.25 } });
+    expect(finishing.slits[6].extent).toEqual({ start: 6.375, end: 15.375 });
+
+    const scene = buildLayoutScene(layout, finishing);
+    expect(scene.items.filter((item) => item.layer === 'docs')).toHaveLength(6);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { createCalculationContext, getGrainAxis } from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const grainLayout = createLayoutFactory({ document: { width: 4, height: 6 }, gutter: { horizontal: 0, vertical: 0 } });
+
+const layoutOn = ({ grain = 'long', ...overrides } = {}) =>
+  grainLayout({ sheet: { width: 12, height: 18, grain }, ...overrides });
+
+const grainWarnings = (layout, options) =>
+  collectLayoutWarnings(layout, { scores: calculateFinishing(layout, options).scores });
+
+describe('paper grain', () => {
+  it('resolves long and short grain against the sheet as drawn', () => {
+    const sheet = (width, height, grain) => createCalculationContext({ sheet: { width, height, grain } }).sheet;
+    expect(getGrainAxis(sheet(12, 18, 'long'))).toBe('vertical');
+    expect(getGrainAxis(sheet(12, 18, 'short'))).toBe('horizontal');
+    expect(getGrainAxis(sheet(18, 12, 'long'))).toBe('horizontal');
+    expect(getGrainAxis(sheet(12, 12, 'long'))).toBe('vertical');
+    expect(getGrainAxis(sheet(12, 18, 'sideways'))).toBeNull();
+    expect(getGrainAxis(sheet(12, 18))).toBeNull();
+  });
+
+  it('flags scores that run across the grain', () => {
+    const layout = layoutOn();
+    const across = grainWarnings(layout, { scoreHorizontal: [0.5] });
+    expect(across.map((warning) => warning.id)).toEqual(['grain-score-against']);
+    expect(across[0].message).toBe(
+      'Horizontal scores run across the long grain; folds may crack. Rotating the document would fold with the grain.'
+    );
+    expect(grainWarnings(layout, { scoreVertical: [0.5] })).toEqual([]);
+    expect(grainWarnings(layoutOn({ grain: 'short' }), { scoreVertical: [0.5] })[0].message).toMatch(/^Vertical scores/);
+    expect(grainWarnings(layoutOn({ grain: null }), { scoreHorizontal: [0.5] })).toEqual([]);
+  });
+
+  it('flags a rotation that turns the folds across the grain', () => {
+    const rotated = grainWarnings(layoutOn({ orientation: 'rotated' }), { scoreVertical: [0.5] });
+    expect(rotated.map((warning) => warning.id)).toEqual(['grain-score-against', 'grain-rotation']);
+    expect(rotated[0].message).not.toMatch(/Rotating/);
+
+    // 7 × 4 pieces fit six up turned but four as entered.
+    const asEntered = layoutOn({ document: { width: 7, height: 4 } });
+    expect(asEntered.orientation.recommended).toBe('rotated');
+    expect(grainWarnings(asEntered, { scoreVertical: [0.5] }).map((warning) => warning.id)).toEqual(['grain-rotation']);
+    expect(grainWarnings(asEntered, { scoreHorizontal: [0.5], scoreVertical: [0.5] }).map((warning) => warning.id)).toEqual([
+      'grain-score-against',
+    ]);
+  });
+
+  it('draws double-headed grain arrows along the grain', () => {
+    const arrows = buildLayoutScene(layoutOn()).items.filter((item) => item.layer === 'grain');
+    expect(arrows).toHaveLength(15);
+    const shafts = arrows.filter((line) => line.x1 === line.x2);
+    expect(shafts.map((line) => line.x1)).toEqual([3, 6, 9]);
+    expect(shafts[0].y2 - shafts[0].y1).toBeCloseTo(18 * 0.6);
+    expect(buildLayoutScene(layoutOn({ grain: null })).items.some((item) => item.layer === 'grain')).toBe(false);
+  });
+});
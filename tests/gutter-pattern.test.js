@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateAxisUsage,
+  calculateDocumentCount,
+  calculateLayout,
+  createCalculationContext,
+} from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing, generateEdgePositions } from '../docs/js/calculations/finishing-calculations.js';
+import { getDocumentOffsets, normalizeGutterPattern } from '../docs/js/calculations/gutter-pattern.js';
+import { calculateProgramSequence } from '../docs/js/utils/program-sequence.js';
+
+const ticketGutter = { size: 0.125, every: 3, wide: 0.5, gaps: [] };
+
+describe('gutter patterns', () => {
+  it('ignores patterns that change nothing', () => {
+    expect(normalizeGutterPattern({ every: 0, wide: 0.5, gaps: [] })).toBeNull();
+    expect(normalizeGutterPattern({ every: '2', wide: '-1', gaps: ['0.25', 'x'] })).toEqual({
+      every: 2,
+      wide: 0,
+      gaps: [0.25, 0],
+    });
+    const ctx = createCalculationContext({ sheet: { width: 12, height: 18 }, gutter: { horizontal: 0.125, vertical: 0 } });
+    expect(ctx.gutter).toEqual({ horizontal: 0.125, vertical: 0 });
+  });
+
+  it('widens every Nth gap when counting and measuring an axis', () => {
+    // 2 + 0.125 + 2 + 0.125 + 2 + 0.5 + 2 = 8.75; a fifth piece needs 10.875.
+    expect(calculateDocumentCount(10.5, 2, ticketGutter)).toBe(4);
+    expect(calculateDocumentCount(10.875, 2, ticketGutter)).toBe(5);
+    expect(calculateAxisUsage(10.5, 2, ticketGutter, 4)).toEqual({ usedSpan: 8.75, trailingMargin: 1.75 });
+    expect(getDocumentOffsets(2, ticketGutter, 4)).toEqual([0, 2.125, 4.25, 6.75]);
+  });
+
+  it('uses listed gaps first and falls back to the pattern after them', () => {
+    const gutter = { size: 0.25, every: 0, wide: 0, gaps: [0, 1] };
+    expect(getDocumentOffsets(3, gutter, 4)).toEqual([0, 3, 7, 10.25]);
+    // A zero gap is a shared edge, so it is cut once.
+    expect(generateEdgePositions(1, 3, gutter, 3)).toEqual([1, 4, 7, 8, 11]);
+  });
+
+  it('keeps the regular gutter when the wide gap is left blank', () => {
+    const pattern = normalizeGutterPattern({ every: 3, wide: null, gaps: [] });
+    expect(pattern).toEqual({ every: 3, wide: null, gaps: [] });
+    expect(getDocumentOffsets(2, { ...pattern, size: 0.125 }, 4)).toEqual([0, 2.125, 4.25, 6.375]);
+
+    const layout = calculateLayout(
+      createCalculationContext({
+        sheet: { width: 12, height: 10 },
+        document: { width: 2, height: 4 },
+        gutter: { horizontal: 0.125, vertical: 0.25, pattern: { horizontal: { every: 2, wide: null } } },
+      })
+    );
+    expect(layout.counts.across).toBe(5);
+    expect(getDocumentOffsets(2, layout.gutter.horizontal, 5)).toEqual([0, 2.125, 4.25, 6.375, 8.5]);
+  });
+
+  it('flows the pattern through layout, finishing and the program sequence', () => {
+    const layout = calculateLayout(
+      createCalculationContext({
+        sheet: { width: 12, height: 10 },
+        document: { width: 2.5, height: 4 },
+        gutter: { horizontal: 0.125, vertical: 0.25, pattern: { horizontal: { every: 2, wide: 0.75 } } },
+        margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+      })
+    );
+
+    // 2.5 + 0.125 + 2.5 + 0.75 + 2.5 + 0.125 + 2.5 = 11 fills the 11 in layout area.
+    expect(layout.counts).toEqual({ across: 4, down: 2 });
+    expect(layout.usage.horizontal.usedSpan).toBeCloseTo(11, 9);
+    expect(layout.realizedMargins.right).toBeCloseTo(0.5, 9);
+
+    const slits = calculateFinishing(layout).slits.map((slit) => slit.inches);
+    expect(slits).toEqual([0.5, 3, 3.125, 5.625, 6.375, 8.875, 9, 11.5]);
+
+    const steps = calculateProgramSequence(layout).map((step) => step.inches);
+    // Step 4 is the imposed width; the across step-backs follow the uneven gaps.
+    expect(steps.slice(3, 7)).toEqual([11, 8.375, 5.125, 2.5]);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { findHoleConflicts } from '../docs/js/calculations/hole-validation.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+// Tags: 2 × 4 pieces, four across and four down on 12 × 18.
+const tagLayout = createLayoutFactory({
+  sheet: { width: 12, height: 18 },
+  document: { width: 2, height: 4 },
+  gutter: { horizontal: 0.25, vertical: 0.25 },
+});
+
+const drilled = (entries, size = 0.25) => ({ holePlan: { size, entries } });
+
+const check = (layout, options) => {
+  const finishing = calculateFinishing(layout, options);
+  layout.holeConflicts = findHoleConflicts(layout, finishing);
+  return { finishing, conflicts: layout.holeConflicts };
+};
+
+const warningIds = (layout, finishing) =>
+  collectLayoutWarnings(layout, { holes: finishing.holes }).map((warning) => warning.id);
+
+describe('hole validation', () => {
+  it('flags holes too close to or breaking out of the trim', () => {
+    const layout = tagLayout();
+    const pieces = layout.counts.across * layout.counts.down;
+    // A 1/4 in hole 3/16 in from the top leaves 1/16 in of paper.
+    const close = check(layout, drilled([{ edge: 'top', align: 'center', offset: 0.1875 }]));
+    expect(close.conflicts).toHaveLength(pieces);
+    expect(close.conflicts[0]).toMatchObject({ kind: 'trim', holes: [0] });
+    expect(close.conflicts[0].clearance).toBeCloseTo(0.0625);
+    expect(warningIds(layout, close.finishing)).toEqual(['hole-edge-distance']);
+
+    const out = check(layout, drilled([{ edge: 'top', align: 'center', offset: 0.0625 }]));
+    expect(out.conflicts[0].clearance).toBeCloseTo(-0.0625);
+    expect(warningIds(layout, out.finishing)).toEqual(['hole-trim-breakout']);
+
+    expect(check(layout, drilled([{ edge: 'top', align: 'center', offset: 0.25 }])).conflicts).toEqual([]);
+  });
+
+  it('checks rounded corners, lines and neighbouring holes', () => {
+    const layout = tagLayout();
+    layout.roundedCorners = { topLeft: 1, topRight: 0, bottomRight: 0, bottomLeft: 0 };
+    // Clear of both straight edges but out in the rounded top-left corner.
+    const corner = check(layout, drilled([{ edge: 'top', align: 'start', axisOffset: 0.3, offset: 0.3 }]));
+    expect(corner.conflicts[0]).toMatchObject({ kind: 'corner' });
+    expect(corner.conflicts[0].clearance).toBeLessThan(0);
+    layout.roundedCorners = null;
+
+    const crossed = check(layout, {
+      ...drilled([{ edge: 'left', align: 'center', offset: 0.5 }]),
+      scoreHorizontal: [0.5],
+      perforationVertical: [{ offset: 0.25, skipGutters: true }],
+    });
+    expect(crossed.conflicts.slice(0, 2)).toMatchObject([
+      { kind: 'score', holes: [0], line: 'Score 1' },
+      { kind: 'perforation', holes: [0], line: 'Perforation 1' },
+    ]);
+    expect(warningIds(layout, crossed.finishing)).toEqual(['hole-score', 'hole-perforation']);
+    // A panel score that stops short of the hole leaves it alone.
+    const panel = check(layout, {
+      ...drilled([{ edge: 'left', align: 'center', offset: 0.5 }]),
+      panelScores: [{ direction: 'horizontal', offset: 0.5, start: 0.5, end: 1 }],
+    });
+    expect(panel.conflicts).toEqual([]);
+
+    const pair = check(
+      layout,
+      drilled([
+        { edge: 'left', align: 'center', axisOffset: 0, offset: 1 },
+        { edge: 'left', align: 'center', axisOffset: 0.2, offset: 1 },
+      ])
+    );
+    expect(pair.conflicts[0]).toMatchObject({ kind: 'overlap', holes: [0, 1] });
+    expect(pair.conflicts).toHaveLength(layout.counts.across * layout.counts.down);
+  });
+
+  it('checks holes against the die line of a shaped piece', () => {
+    const layout = tagLayout({ document: { width: 2, height: 2 } });
+    layout.dieShape = { type: 'circle' };
+    // Clear of both straight edges but outside the 1 in radius circle.
+    const corner = check(layout, drilled([{ edge: 'top', align: 'start', axisOffset: 0.3, offset: 0.3 }]));
+    expect(corner.conflicts[0]).toMatchObject({ kind: 'trim', holes: [0] });
+    expect(corner.conflicts[0].clearance).toBeCloseTo(1 - Math.hypot(0.7, 0.7) - 0.125);
+    expect(warningIds(layout, corner.finishing)).toEqual(['hole-trim-breakout']);
+    expect(collectLayoutWarnings(layout, { holes: corner.finishing.holes })[0].message).toContain('die line');
+    // 1/4 in below the top of the circle leaves 1/8 in of paper.
+    expect(check(layout, drilled([{ edge: 'top', align: 'center', offset: 0.25 }])).conflicts).toEqual([]);
+
+    layout.dieShape = { type: 'ellipse' };
+    const tight = check(layout, drilled([{ edge: 'top', align: 'center', offset: 0.2 }]));
+    expect(tight.conflicts[0].clearance).toBeCloseTo(0.075, 3);
+
+    layout.dieShape = { type: 'path', commands: [], bounds: { x: 0, y: 0, width: 2, height: 2 } };
+    const custom = check(layout, drilled([{ edge: 'top', align: 'center', offset: 0.25 }]));
+    expect(custom.conflicts).toEqual([]);
+    expect(warningIds(layout, custom.finishing)).toEqual(['hole-die-unchecked']);
+  });
+
+  it('highlights conflicting holes in the preview', () => {
+    const layout = tagLayout();
+    const { finishing } = check(layout, drilled([
+      { edge: 'top', align: 'center', offset: 0.0625 },
+      { edge: 'bottom', align: 'center', offset: 0.5 },
+    ]));
+    const holes = buildLayoutScene(layout, finishing).items.filter((item) => item.layer === 'holes');
+    expect(holes[0].classNames).toContain('svg-hole--conflict');
+    expect(holes[1].classNames).toEqual(['svg-hole']);
+  });
+});
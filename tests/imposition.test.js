@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyCountOverrides,
+  calculateAnchoredMargins,
+  calculateLayout,
+  createCalculationContext,
+  resolveImposition,
+} from '../docs/js/calculations/layout-calculations.js';
+import { calculateImposition, formatImpositionLabel } from '../docs/js/calculations/imposition-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+
+const baseInputs = {
+  sheet: { width: 12, height: 18 },
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.125, vertical: 0.125 },
+  nonPrintable: { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 },
+};
+
+// Lays out once, then again with the re-placed margins like the updater does.
+const imposedLayout = (overrides = {}) => {
+  const inputs = { ...baseInputs, ...overrides };
+  const first = calculateLayout(createCalculationContext(inputs));
+  const margins = calculateAnchoredMargins(first, {}, {});
+  return calculateLayout(createCalculationContext({ ...inputs, margins }));
+};
+
+describe('imposition modes', () => {
+  it('mirrors along the axis the gripper allows', () => {
+    expect(resolveImposition('work-and-turn', { gripperEdge: 'top' })).toEqual({
+      mode: 'work-and-turn',
+      mirrorAxis: 'horizontal',
+      selfBacking: true,
+    });
+    expect(resolveImposition('work-and-tumble', { gripperEdge: 'top' }).mirrorAxis).toBe('vertical');
+    expect(resolveImposition('work-and-turn', { gripperEdge: 'left' }).mirrorAxis).toBe('vertical');
+    expect(resolveImposition('perfecting', {})).toEqual({ mode: 'sheetwise', mirrorAxis: 'horizontal', selfBacking: false });
+  });
+
+  it('splits a work-and-turn grid into even front and back halves centred on the sheet', () => {
+    const layout = imposedLayout({ imposition: 'work-and-turn', nonPrintable: { top: 0.25, right: 0.25, bottom: 0.25, left: 1 } });
+    // Three columns fit, but an even split keeps two.
+    expect(layout.counts).toEqual({ across: 2, down: 8 });
+    expect(layout.realizedMargins.left).toBeCloseTo(layout.realizedMargins.right);
+    expect(applyCountOverrides(layout, 1, null).counts.across).toBe(0);
+
+    const imposition = calculateImposition(layout);
+    expect(imposition).toMatchObject({ fronts: 8, backs: 8, symmetric: true });
+    const [first, second] = imposition.cells;
+    expect([formatImpositionLabel(first), formatImpositionLabel(first, 'back')]).toEqual(['F1', 'B1']);
+    expect([formatImpositionLabel(second), formatImpositionLabel(second, 'back')]).toEqual(['B2', 'F2']);
+    // Turned over, piece 1 lands where piece 2 was printed, so the same cuts serve both sides.
+    expect(first.backX).toBeCloseTo(second.x);
+    const slits = calculateFinishing(layout).slits.map((slit) => slit.inches);
+    slits.forEach((x, index) => expect(12 - slits[slits.length - 1 - index]).toBeCloseTo(x, 2));
+    expect(collectLayoutWarnings(layout)).toEqual([]);
+  });
+
+  it('tumbles head to tail, giving the tail the gripper allowance', () => {
+    const layout = imposedLayout({ imposition: 'work-and-tumble', press: { gripper: 0.5 } });
+    expect(layout.counts).toEqual({ across: 3, down: 8 });
+    expect(layout.layoutArea.originY).toBeCloseTo(0.5625);
+    expect(layout.realizedMargins.bottom).toBeCloseTo(0.5625);
+    const imposition = calculateImposition(layout);
+    expect(imposition.cells.filter((cell) => cell.row < 4).every((cell) => cell.front === 'front')).toBe(true);
+    expect(imposition.cells[0].backY).toBeCloseTo(imposition.cells[21].y);
+    expect(layout.fillRemainder).toBe(false);
+  });
+
+  it('mirrors the sheet content for the back view and keeps the press regions in place', () => {
+    const layout = imposedLayout({ imposition: 'work-and-turn', press: { gripper: 0.5 } });
+    const fin = calculateFinishing(layout);
+    const front = buildLayoutScene(layout, fin);
+    const back = buildLayoutScene(layout, fin, { side: 'back' });
+    expect(front.items.filter((item) => item.type === 'text').slice(0, 2).map((item) => item.text)).toEqual(['F1', 'B2']);
+    const backLabels = back.items.filter((item) => item.type === 'text');
+    expect(backLabels[0]).toMatchObject({ text: 'B1', x: expect.closeTo(12 - front.items.find((item) => item.text === 'F1').x, 6) });
+    expect(back.items.filter((item) => item.layer === 'press')).toEqual(front.items.filter((item) => item.layer === 'press'));
+  });
+
+  it('warns when an uneven gutter pattern breaks the mirror', () => {
+    const layout = imposedLayout({
+      sheet: { width: 18, height: 12 },
+      imposition: 'work-and-turn',
+      press: { feed: 'long-edge' },
+      gutter: { horizontal: 0.125, vertical: 0.125, pattern: { horizontal: { gaps: [0.5] } } },
+    });
+    expect(calculateImposition(layout).symmetric).toBe(false);
+    expect(collectLayoutWarnings(layout).map((warning) => warning.id)).toEqual(['imposition-asymmetric']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateAnchoredMargins,
+  calculateLayout,
+  createCalculationContext,
+  normalizeLayoutAnchor,
+} from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+
+// 3 × 8 business cards on 12×18 leave 0.75 in across and 0.625 in down.
+const baseInputs = {
+  sheet: { width: 12, height: 18 },
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.125, vertical: 0.125 },
+  nonPrintable: { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 },
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+};
+
+const anchorLayout = (anchor, inputs = baseInputs, options = { autoMargins: true }) => {
+  const margins = calculateAnchoredMargins(calculateLayout(createCalculationContext(inputs)), anchor, options);
+  return calculateLayout(createCalculationContext({ ...inputs, margins }));
+};
+
+describe('layout anchor', () => {
+  it('normalizes the nine anchor points and rejects anything else', () => {
+    expect(normalizeLayoutAnchor({ point: 'bottom-center', offsetX: '0.25' })).toEqual({
+      point: 'bottom-center',
+      horizontal: 'center',
+      vertical: 'bottom',
+      offsetX: 0.25,
+      offsetY: 0,
+    });
+    expect(normalizeLayoutAnchor({ point: 'center' })).toMatchObject({ horizontal: 'center', vertical: 'center' });
+    expect(normalizeLayoutAnchor({ point: 'left-top' })).toMatchObject({ point: 'auto', horizontal: null });
+  });
+
+  it('centers on auto in auto-margin mode and pins to the requested corner otherwise', () => {
+    expect(anchorLayout({ point: 'auto' }).realizedMargins).toEqual({ left: 0.625, top: 0.5625, right: 0.625, bottom: 0.5625 });
+
+    const bottomRight = anchorLayout({ point: 'bottom-right' });
+    expect(bottomRight.counts).toEqual({ across: 3, down: 8 });
+    expect(bottomRight.realizedMargins).toEqual({ left: 1, top: 0.875, right: 0.25, bottom: 0.25 });
+
+    const topLeft = anchorLayout({ point: 'top-left' });
+    expect(topLeft.realizedMargins).toEqual({ left: 0.25, top: 0.25, right: 1, bottom: 0.875 });
+    const finishing = calculateFinishing(topLeft);
+    expect(finishing.slits.slice(0, 2).map((slit) => slit.inches)).toEqual([0.25, 3.75]);
+    expect(finishing.cuts.slice(0, 2).map((cut) => cut.inches)).toEqual([0.25, 2.25]);
+  });
+
+  it('moves inward from the anchored edge and clamps offsets to the leftover space', () => {
+    const offset = anchorLayout({ point: 'top-right', offsetX: 0.25, offsetY: 0.125 });
+    expect(offset.layoutArea.originX).toBeCloseTo(0.75);
+    expect(offset.layoutArea.originY).toBeCloseTo(0.375);
+
+    const clamped = anchorLayout({ point: 'top-left', offsetX: 5, offsetY: -1 });
+    expect(clamped.counts).toEqual({ across: 3, down: 8 });
+    expect(clamped.realizedMargins.left).toBeCloseTo(1);
+    expect(clamped.realizedMargins.top).toBeCloseTo(0.25);
+  });
+
+  it('anchors within manual margins and defaults to their top-left corner', () => {
+    const manual = { ...baseInputs, margins: { top: 1, right: 1, bottom: 1, left: 1 } };
+    expect(anchorLayout({ point: 'auto' }, manual, {}).realizedMargins).toMatchObject({ left: 1, top: 1 });
+    // 16 in of height fits 7 rows (14.75 in), leaving 1.25 in below them.
+    const bottomRight = anchorLayout({ point: 'bottom-right' }, manual, {});
+    expect(bottomRight.counts).toEqual({ across: 2, down: 7 });
+    expect(bottomRight.realizedMargins).toMatchObject({ right: 1, bottom: 1 });
+    expect(bottomRight.layoutArea.originY).toBeCloseTo(2.25);
+  });
+
+  it('does not add the bleed on top of manual margins', () => {
+    const bleed = { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 };
+    const manual = { ...baseInputs, margins: { top: 1, right: 1, bottom: 1, left: 1 }, bleed };
+    const auto = anchorLayout({ point: 'auto' }, manual, {});
+    const topLeft = anchorLayout({ point: 'top-left' }, manual, {});
+    expect(topLeft.layoutArea).toEqual(auto.layoutArea);
+    expect(topLeft.layoutArea).toMatchObject({ originX: 1, originY: 1 });
+    expect(anchorLayout({ point: 'bottom-right' }, manual, {}).realizedMargins).toMatchObject({ right: 1, bottom: 1 });
+
+    // Auto margins still keep the outer bleed inside the printable area.
+    expect(anchorLayout({ point: 'top-left' }, { ...baseInputs, bleed }).layoutArea).toMatchObject({
+      originX: 0.375,
+      originY: 0.375,
+    });
+  });
+});
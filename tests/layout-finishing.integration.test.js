@@ -1,52 +1,7 @@
 import { describe, expect, it } from 'vitest';
 import { DEFAULT_INPUTS } from '../docs/js/config/defaults.js';
-import {
-  createCalculationContext,
-  calculateLayout,
-  applyCountOverrides,
-} from '../docs/js/calculations/layout-calculations.js';
-import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
 import { MM_PER_INCH } from '../docs/js/utils/units.js';
-
-const defaultFinishingOptions = {
-  scoreHorizontal: [0.5],
-  scoreVertical: [0.5],
-  perforationHorizontal: [0.25],
-  perforationVertical: [0.25, 0.75],
-};
-
-const convertMeasurement = (value, units) => {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric)) return 0;
-  return units === 'mm' ? numeric / MM_PER_INCH : numeric;
-};
-
-const convertRect = (rect, keys, units) => {
-  if (!rect) return undefined;
-  return keys.reduce((acc, key) => {
-    acc[key] = convertMeasurement(rect[key], units);
-    return acc;
-  }, {});
-};
-
-const normalizeInputs = (inputs) => {
-  const units = inputs.units ?? 'in';
-  return {
-    sheet: convertRect(inputs.sheet, ['width', 'height'], units),
-    document: convertRect(inputs.document, ['width', 'height'], units),
-    gutter: convertRect(inputs.gutter, ['horizontal', 'vertical'], units),
-    margins: convertRect(inputs.margins, ['top', 'right', 'bottom', 'left'], units),
-    nonPrintable: convertRect(inputs.nonPrintable, ['top', 'right', 'bottom', 'left'], units),
-  };
-};
-
-const runPipeline = (rawInputs, { finishingOptions = defaultFinishingOptions, forceAcross, forceDown } = {}) => {
-  const normalizedInputs = normalizeInputs(rawInputs);
-  const context = createCalculationContext(normalizedInputs);
-  const layout = applyCountOverrides(calculateLayout(context), forceAcross, forceDown);
-  const finishing = calculateFinishing(layout, finishingOptions);
-  return { context, layout, finishing };
-};
+import { runPipeline } from './helpers/pipeline.js';
 
 const mapReadoutToInches = (readout) => readout.map((entry) => entry.inches);
 
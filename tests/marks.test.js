@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { calculatePrinterMarks, normalizeMarkSettings } from '../docs/js/calculations/marks-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { calculateLayout, createCalculationContext } from '../docs/js/calculations/layout-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+
+const crops = { crop: true, length: 0.25, offset: 0.0625 };
+const insets = { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 };
+
+describe('printer marks', () => {
+  it('runs crop marks into the gutter and stops at the next piece', () => {
+    const marks = calculatePrinterMarks({
+      width: 6.25,
+      height: 4,
+      insets,
+      trims: [
+        { x: 1, y: 1, width: 2, height: 2 },
+        { x: 3.25, y: 1, width: 2, height: 2 },
+      ],
+      settings: crops,
+    });
+    expect(marks.crops).toHaveLength(16);
+    expect(marks.crops).toContainEqual({ x1: 3.0625, y1: 1, x2: 3.25, y2: 1 });
+    expect(marks.crops).toContainEqual({ x1: 1, y1: 0.9375, x2: 1, y2: 0.6875 });
+    expect(marks.crops).toContainEqual({ x1: 0.9375, y1: 3, x2: 0.6875, y2: 3 });
+    expect(marks.strokeWidth).toBeCloseTo(0.25 / 72);
+  });
+
+  it('skips marks between butted pieces and starts them outside the bleed', () => {
+    const bleed = { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 };
+    const butted = calculatePrinterMarks({
+      width: 6,
+      height: 4,
+      trims: [
+        { x: 1, y: 1, width: 2, height: 2 },
+        { x: 3, y: 1, width: 2, height: 2 },
+      ],
+      settings: crops,
+    });
+    expect(butted.crops).toHaveLength(10);
+    expect(butted.crops.some((mark) => mark.y1 === mark.y2 && mark.x1 > 1 && mark.x1 < 5)).toBe(false);
+
+    const bled = calculatePrinterMarks({ width: 6, height: 4, trims: [{ x: 2, y: 1, width: 2, height: 2, bleed }], settings: crops });
+    expect(bled.crops).toContainEqual({ x1: 1.875, y1: 1, x2: 1.625, y2: 1 });
+  });
+
+  it('centres registration targets in each margin past the crop marks', () => {
+    const trims = [{ x: 3, y: 2, width: 2, height: 2 }];
+    const plain = calculatePrinterMarks({ width: 8, height: 6, trims, settings: { registration: true } });
+    expect(plain.registration).toEqual([
+      { side: 'top', cx: 4, cy: 1, radius: 0.125 },
+      { side: 'right', cx: 6.5, cy: 3, radius: 0.125 },
+      { side: 'bottom', cx: 4, cy: 5, radius: 0.125 },
+      { side: 'left', cx: 1.5, cy: 3, radius: 0.125 },
+    ]);
+    const withCrops = calculatePrinterMarks({ width: 8, height: 6, trims, settings: { ...crops, registration: true } });
+    expect(withCrops.registration[0].cy).toBeCloseTo(0.84375);
+    const tight = [{ x: 0.125, y: 0.125, width: 2.75, height: 2.75 }];
+    expect(calculatePrinterMarks({ width: 3, height: 3, trims: tight, settings: { registration: true } }).registration).toEqual([]);
+  });
+
+  it('puts the slug and color bar on the tail and draws marks on their own layer', () => {
+    const marks = calculatePrinterMarks({
+      width: 6,
+      height: 4,
+      insets: { ...insets, top: 0.5 },
+      trims: [{ x: 1, y: 1.5, width: 4, height: 2 }],
+      settings: { slug: true, registration: true },
+      slugSide: 'top',
+    });
+    expect(marks.slug).toEqual({ x: 0.25, y: 0.5, width: 5.5, height: 0.25, side: 'top' });
+    expect(marks.colorBar).toHaveLength(22);
+    expect(marks.colorBar.slice(0, 5).map((patch) => patch.ink)).toEqual(['cyan', 'magenta', 'yellow', 'black', 'cyan']);
+    expect(marks.registration.map((target) => target.side)).not.toContain('top');
+
+    const layout = calculateLayout(createCalculationContext({
+      sheet: { width: 12, height: 18 },
+      document: { width: 3.5, height: 2 },
+      gutter: { horizontal: 0.25, vertical: 0.25 },
+      margins: { top: 1, right: 1, bottom: 1, left: 1 },
+    }));
+    layout.marks = normalizeMarkSettings(crops);
+    const scene = buildLayoutScene(layout, calculateFinishing(layout));
+    const cropItems = scene.items.filter((item) => item.classNames?.includes('svg-crop-mark'));
+    expect(cropItems.length).toBeGreaterThan(0);
+    expect(cropItems.every((item) => item.layer === 'marks' && item.strokeWidth > 0)).toBe(true);
+  });
+});
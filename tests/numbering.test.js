@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { applySkippedCells } from '../docs/js/calculations/layout-calculations.js';
+import {
+  buildNumberingCsv,
+  calculateNumberingPlan,
+  getSheetNumbers,
+} from '../docs/js/calculations/numbering-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+// Event tickets: 2 × 5.5 pieces, five across and three down on 12 × 18.
+const ticketLayout = createLayoutFactory({
+  sheet: { width: 12, height: 18 },
+  document: { width: 2, height: 5.5 },
+  gutter: { horizontal: 0.125, vertical: 0.25 },
+});
+
+const numbering = (spec = {}) => ({ enabled: true, start: 1, increment: 1, quantity: 100, x: 1, y: 0.5, ...spec });
+
+describe('sequential numbering', () => {
+  it('gives every position an unbroken run when stacked and cut', () => {
+    const plan = calculateNumberingPlan(ticketLayout(), numbering());
+    expect(plan).toMatchObject({ perSheet: 15, sheets: 7, last: 100 });
+    expect(getSheetNumbers(plan, 1)).toEqual([1, 8, 15, 22, 29, 36, 43, 50, 57, 64, 71, 78, 85, 92, 99]);
+    // The last pile runs out after 100; its position prints blank from then on.
+    expect(getSheetNumbers(plan, 2).at(-1)).toBe(100);
+    expect(getSheetNumbers(plan, 7).slice(-3)).toEqual([91, 98, null]);
+    const firstPile = Array.from({ length: 7 }, (_, index) => getSheetNumbers(plan, index + 1)[0]);
+    expect(firstPile).toEqual([1, 2, 3, 4, 5, 6, 7]);
+
+    const stepped = calculateNumberingPlan(ticketLayout(), numbering({ start: 500, increment: 5, quantity: 30 }));
+    expect(getSheetNumbers(stepped, 2).slice(0, 3)).toEqual([505, 515, 525]);
+    expect(stepped.last).toBe(645);
+  });
+
+  it('numbers sheet by sheet and skips blanked cells', () => {
+    const plan = calculateNumberingPlan(ticketLayout(), numbering({ order: 'sheet', quantity: 20 }));
+    expect(getSheetNumbers(plan, 2)).toEqual([16, 17, 18, 19, 20, null, null, null, null, null, null, null, null, null, null]);
+
+    const blanked = applySkippedCells(ticketLayout(), [{ row: 0, col: 0 }]);
+    const skipped = calculateNumberingPlan(blanked, numbering({ quantity: 28 }));
+    expect(skipped).toMatchObject({ perSheet: 14, sheets: 2 });
+    expect(skipped.cells[0]).toMatchObject({ row: 0, col: 1 });
+    expect(calculateNumberingPlan(ticketLayout(), numbering({ enabled: false }))).toBeNull();
+  });
+
+  it('places the number on each piece and turns it with a rotated layout', () => {
+    const layout = ticketLayout();
+    const plan = calculateNumberingPlan(layout, numbering());
+    expect(plan.cells[0].x).toBeCloseTo(layout.layoutArea.originX + 1);
+    expect(plan.cells[0].y).toBeCloseTo(layout.layoutArea.originY + 0.5);
+
+    const rotated = ticketLayout({ orientation: 'rotated' });
+    const turned = calculateNumberingPlan(rotated, numbering());
+    expect(turned.cells[0].x).toBeCloseTo(rotated.layoutArea.originX + 5.5 - 0.5);
+    expect(turned.cells[0].y).toBeCloseTo(rotated.layoutArea.originY + 1);
+
+    layout.numbering = calculateNumberingPlan(layout, numbering({ x: 3, digits: 4, sheet: 2 }));
+    expect(collectLayoutWarnings(layout).map((warning) => warning.id)).toEqual(['numbering-off-document']);
+    const labels = buildLayoutScene(layout).items.filter((item) => item.layer === 'numbering');
+    expect(labels.slice(0, 2).map((label) => label.text)).toEqual(['0002', '0009']);
+    expect(buildLayoutScene(layout, {}, { side: 'back' }).items.some((item) => item.layer === 'numbering')).toBe(false);
+  });
+
+  it('exports one CSV row per sheet', () => {
+    const layout = ticketLayout({ document: { width: 5.5, height: 8.5 }, gutter: { horizontal: 0, vertical: 0 } });
+    const plan = calculateNumberingPlan(layout, numbering({ quantity: 7, digits: 3 }));
+    expect(buildNumberingCsv(plan).split('\n')).toEqual([
+      'Sheet,R1 C1,R1 C2,R2 C1,R2 C2',
+      '1,001,003,005,007',
+      '2,002,004,006,',
+    ]);
+  });
+});
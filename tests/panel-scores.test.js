@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+// Pocket folders: 9 × 12 pieces, two across on 19 × 13 with no gutters.
+const folderLayout = createLayoutFactory({
+  sheet: { width: 19, height: 13 },
+  document: { width: 9, height: 12 },
+  gutter: { horizontal: 0, vertical: 0 },
+});
+
+// The pocket flap fold runs across the bottom quarter, left half only.
+const flap = { direction: 'horizontal', offset: 0.75, start: 0, end: 0.5 };
+
+describe('panel scores', () => {
+  it('limits each piece to its own stretch of the score', () => {
+    const layout = folderLayout();
+    const { originX, originY } = layout.layoutArea;
+    const finishing = calculateFinishing(layout, { scoreHorizontal: [0.25], panelScores: [flap] });
+    const [regular, ...panel] = finishing.scores.horizontal;
+    expect(regular.label).toBe('Score 1');
+    expect(regular.extent).toBeUndefined();
+    expect(panel.map((score) => score.label)).toEqual(['Panel score 1 — Doc 1,1', 'Panel score 1 — Doc 2,1']);
+    expect(panel[0].inches).toBeCloseTo(originY + 9);
+    expect(panel[1].extent.start).toBeCloseTo(originX + 9);
+    expect(panel[1].extent.end).toBeCloseTo(originX + 13.5);
+    expect(calculateFinishing(layout, { panelScores: [{ ...flap, start: 0.5, end: 0.5 }] }).scores.horizontal).toEqual([]);
+  });
+
+  it('turns with the piece when the layout is rotated', () => {
+    const layout = folderLayout({ sheet: { width: 13, height: 19 }, orientation: 'rotated' });
+    const { originX, originY } = layout.layoutArea;
+    const [first] = calculateFinishing(layout, { panelScores: [flap] }).scores.vertical;
+    // The flap line ends up a quarter in from the left, running down the top half.
+    expect(first.inches).toBeCloseTo(originX + 3);
+    expect(first.extent.start).toBeCloseTo(originY);
+    expect(first.extent.end).toBeCloseTo(originY + 4.5);
+  });
+
+  it('draws panel scores as segments and regular scores across the layout', () => {
+    const layout = folderLayout();
+    const finishing = calculateFinishing(layout, { scoreVertical: [0.5], panelScores: [flap] });
+    const scores = buildLayoutScene(layout, finishing).items.filter((item) => item.layer === 'scores');
+    const horizontal = scores.filter((item) => item.y1 === item.y2);
+    const vertical = scores.filter((item) => item.x1 === item.x2);
+    expect(horizontal).toHaveLength(2);
+    expect(horizontal[0].x2 - horizontal[0].x1).toBeCloseTo(4.5);
+    expect(vertical[0].y2 - vertical[0].y1).toBeCloseTo(layout.layoutArea.height);
+  });
+});
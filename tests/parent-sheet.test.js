@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { calculateParentCutDown } from '../docs/js/calculations/parent-sheet-calculations.js';
+import { calculateRunPlan } from '../docs/js/utils/summary-calculations.js';
+
+const positions = (readouts) => readouts.map((readout) => [readout.label, readout.inches]);
+
+describe('parent sheet cut-down', () => {
+  it('returns null until both sheet sizes are entered', () => {
+    expect(calculateParentCutDown({ width: 0, height: 0 }, { width: 12, height: 18 })).toBeNull();
+    expect(calculateParentCutDown({ width: 25, height: 38 }, { width: 0, height: 18 })).toBeNull();
+  });
+
+  it('cuts four 12×18 press sheets from a 25×38 parent without edge cuts', () => {
+    const plan = calculateParentCutDown({ width: 25, height: 38 }, { width: 12, height: 18 });
+
+    expect(plan.pressSheetsPerParent).toBe(4);
+    expect(plan.counts).toEqual({ across: 2, down: 2 });
+    expect(plan.wastePercent).toBeCloseTo(100 * (1 - (4 * 12 * 18) / (25 * 38)), 6);
+    expect(positions(plan.cuts)).toEqual([
+      ['Cut 1', 18],
+      ['Cut 2', 36],
+    ]);
+    expect(positions(plan.slits)).toEqual([
+      ['Slit 1', 12],
+      ['Slit 2', 24],
+    ]);
+  });
+
+  it('rotates the press sheet and fills the leftover when that fits more', () => {
+    const rotated = calculateParentCutDown({ width: 23, height: 35 }, { width: 13, height: 19 });
+    expect(rotated).toMatchObject({ pressSheetsPerParent: 2, rotated: true, counts: { across: 1, down: 2 } });
+
+    const filled = calculateParentCutDown({ width: 25, height: 38 }, { width: 8.5, height: 14 });
+    expect(filled).toMatchObject({ pressSheetsPerParent: 5, fillCount: 1 });
+    expect(positions(filled.cuts)).toEqual([
+      ['Cut 1', 14],
+      ['Fill split 1', 28],
+      ['Bottom fill cut 1', 36.5],
+    ]);
+    expect(filled.slits[filled.slits.length - 1]).toMatchObject({
+      label: 'Bottom fill slit 1',
+      inches: 14,
+      extent: { start: 28, end: 38 },
+    });
+  });
+
+  it('reports an empty plan when the press sheet does not fit', () => {
+    const plan = calculateParentCutDown({ width: 10, height: 10 }, { width: 12, height: 18 });
+    expect(plan).toMatchObject({ pressSheetsPerParent: 0, cuts: [], slits: [] });
+  });
+
+  it('turns the run plan into parent sheets', () => {
+    const plan = calculateRunPlan({ desiredPieces: 5000, nUp: 24, pressSheetsPerParent: 4 });
+    expect(plan.totalSheets).toBe(209);
+    expect(plan.parentSheets).toBe(53);
+    expect(calculateRunPlan({ desiredPieces: 5000, nUp: 24 }).parentSheets).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyLineSettings,
+  calculateFinishing,
+  describePerforationPattern,
+} from '../docs/js/calculations/finishing-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+// Two 5 × 8 pieces across and two down, 0.25 in apart, starting at (0.5, 0.5).
+const pieceLayout = createLayoutFactory({
+  sheet: { width: 11, height: 17 },
+  document: { width: 5, height: 8 },
+  gutter: { horizontal: 0.25, vertical: 0.25 },
+  margins: { top: 0.5, right: 0.25, bottom: 0.25, left: 0.5 },
+});
+
+describe('perforation line settings', () => {
+  it('keeps plain offsets as bare numbers and pairs the rest with their settings', () => {
+    expect(applyLineSettings([0.25, 0.5], { 0.25: {}, 0.5: { startInset: '0.125', pattern: 'micro' } })).toEqual([
+      0.25,
+      { offset: 0.5, startInset: 0.125, endInset: 0, skipGutters: false, pattern: 'micro' },
+    ]);
+    expect(applyLineSettings([0.5], { 0.5: { pattern: 'unknown' } })).toEqual([0.5]);
+    expect(describePerforationPattern('micro')).toMatchObject({ tpi: 12, tie: 1 / 48, cut: 1 / 12 - 1 / 48 });
+  });
+
+  it('keeps the settings with their line when another offset is removed', () => {
+    const settings = { 0.5: { startInset: 0.25 }, 0.75: { pattern: 'fine' } };
+    expect(applyLineSettings([0.25, 0.5, 0.75], settings)).toEqual([
+      0.25,
+      { offset: 0.5, startInset: 0.25, endInset: 0, skipGutters: false, pattern: null },
+      { offset: 0.75, startInset: 0, endInset: 0, skipGutters: false, pattern: 'fine' },
+    ]);
+    expect(applyLineSettings([0.25, 0.75], settings)).toEqual([
+      0.25,
+      { offset: 0.75, startInset: 0, endInset: 0, skipGutters: false, pattern: 'fine' },
+    ]);
+  });
+
+  it('cuts only the runs left by the insets and gutter skips', () => {
+    const layout = pieceLayout();
+    const { horizontal, vertical } = calculateFinishing(layout, {
+      perforationHorizontal: applyLineSettings([0.75], { 0.75: { startInset: 0.5, endInset: 0.25 } }),
+      perforationVertical: applyLineSettings([0.5, 0.8], { 0.5: { skipGutters: true, endInset: 1 } }),
+    }).perforations;
+    expect(horizontal).toHaveLength(2);
+    expect(horizontal[0]).toMatchObject({ inches: 6.5, segments: [{ start: 1, end: 10.5 }], pattern: null });
+    // The second vertical line has no settings and keeps the plain readout.
+    expect(vertical.map((line) => line.segments)).toEqual([
+      [
+        { start: 0.5, end: 7.5 },
+        { start: 8.75, end: 15.75 },
+      ],
+      undefined,
+      [
+        { start: 0.5, end: 7.5 },
+        { start: 8.75, end: 15.75 },
+      ],
+      undefined,
+    ]);
+
+    // A pattern alone keeps the plain line's run.
+    const [patterned] = calculateFinishing(layout, {
+      perforationHorizontal: applyLineSettings([0.5], { 0.5: { pattern: 'fine' } }),
+    }).perforations.horizontal;
+    expect(patterned.segments).toBeUndefined();
+    expect(patterned.pattern).toMatchObject({ key: 'fine', tpi: 8 });
+  });
+
+  it('turns the settings with a rotated piece and draws the pattern to scale', () => {
+    const rotated = pieceLayout({ orientation: 'rotated' });
+    const { horizontal } = calculateFinishing(rotated, {
+      perforationVertical: applyLineSettings([0.5], { 0.5: { startInset: 1 } }),
+    }).perforations;
+    const origin = rotated.layoutArea.originX;
+    const lastEnd = origin + (rotated.counts.across - 1) * 8.25 + 8;
+    expect(horizontal[0].segments).toEqual([{ start: origin, end: lastEnd - 1 }]);
+
+    const layout = pieceLayout();
+    const finishing = calculateFinishing(layout, {
+      perforationHorizontal: applyLineSettings([0.5], { 0.5: { skipGutters: true, pattern: 'standard' } }),
+      perforationVertical: [0.5],
+    });
+    const lines = buildLayoutScene(layout, finishing).items.filter((item) => item.layer === 'perforations');
+    const patterned = lines.filter((line) => line.dash);
+    expect(patterned).toHaveLength(4);
+    expect(patterned[0].dash).toEqual([0.1875, 0.0625]);
+    expect(lines.filter((line) => !line.dash)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { normalizePressConstraints } from '../docs/js/calculations/layout-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const baseInputs = {
+  sheet: { width: 12, height: 18 },
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.125, vertical: 0.125 },
+  nonPrintable: { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 },
+};
+
+const layoutFor = createLayoutFactory(baseInputs);
+
+describe('press gripper and tail', () => {
+  it('puts the gripper on the leading edge and flips it when the sheet is turned', () => {
+    expect(normalizePressConstraints({ gripper: 0.375, tail: 0.25 }, 12, 18)).toMatchObject({
+      feed: 'short-edge',
+      gripperEdge: 'top',
+      tailEdge: 'bottom',
+      insets: { top: 0.375, right: 0, bottom: 0.25, left: 0 },
+    });
+    expect(normalizePressConstraints({ gripper: 0.375, feed: 'short-edge' }, 18, 12)).toMatchObject({
+      gripperEdge: 'left',
+      tailEdge: 'right',
+    });
+    expect(normalizePressConstraints({ gripper: 0.375, feed: 'long-edge' }, 12, 18).gripperEdge).toBe('left');
+    expect(normalizePressConstraints({ gripper: 0.375, feed: 'long-edge' }, 18, 12).gripperEdge).toBe('top');
+    expect(normalizePressConstraints({ gripper: -1, feed: 'sideways' }, 12, 12)).toMatchObject({
+      feed: 'short-edge',
+      gripper: 0,
+      gripperEdge: 'top',
+    });
+  });
+
+  it('keeps the layout area clear of whichever is deeper, the gripper or the non-printable area', () => {
+    const press = { gripper: 0.5, tail: 0.25, feed: 'short-edge' };
+    const portrait = layoutFor({ press });
+    expect(portrait.layoutArea).toEqual({ originX: 0.125, originY: 0.5, width: 11.75, height: 17.25 });
+    expect(portrait.sheet.effectiveHeight).toBe(17.25);
+    // Eight rows need 16.875 in, so a 1 in gripper drops one.
+    expect(portrait.counts).toEqual({ across: 3, down: 8 });
+    expect(layoutFor({ press: { ...press, gripper: 1 } }).counts.down).toBe(7);
+
+    const landscape = layoutFor({ sheet: { width: 18, height: 12 }, press });
+    expect(landscape.layoutArea).toMatchObject({ originX: 0.5, originY: 0.125, width: 17.25, height: 11.75 });
+  });
+
+  it('draws the gripper and tail as their own regions', () => {
+    const layout = layoutFor({ sheet: { width: 18, height: 12 }, press: { gripper: 0.5, tail: 0.25 } });
+    const regions = buildLayoutScene(layout, {}).items.filter((item) => item.layer === 'press');
+    expect(regions).toEqual([
+      expect.objectContaining({ x: 0, y: 0, width: 0.5, height: 12, classNames: ['svg-gripper-region'] }),
+      expect.objectContaining({ x: 17.75, y: 0, width: 0.25, height: 12, classNames: ['svg-tail-region'] }),
+    ]);
+    const printable = buildLayoutScene(layout, {}).items.find((item) => item.classNames?.includes('svg-printable-outline'));
+    expect(printable).toMatchObject({ x: 0.5, y: 0.125, width: 17.25, height: 11.75 });
+    expect(buildLayoutScene(layoutFor(), {}).items.some((item) => item.layer === 'press')).toBe(false);
+  });
+
+  it('warns when bleed runs into the gripper', () => {
+    const warnings = collectLayoutWarnings(
+      layoutFor({
+        margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+        press: { gripper: 0.5 },
+        bleed: { top: 0.125, right: 0, bottom: 0, left: 0 },
+      })
+    );
+    expect(warnings.map((warning) => warning.id)).toEqual(['bleed-printable-top']);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { applyCountOverrides, getLayoutTotal } from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const baseInputs = {
+  sheet: { width: 12, height: 18 },
+  document: { width: 7, height: 4 },
+  gutter: { horizontal: 0, vertical: 0 },
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+  nonPrintable: { top: 0, right: 0, bottom: 0, left: 0 },
+};
+
+const fillLayout = createLayoutFactory(baseInputs);
+
+const positions = (readouts) => readouts.map((entry) => [entry.label, entry.inches, entry.extent]);
+
+describe('remainder fill', () => {
+  it('leaves the layout untouched unless fill is enabled', () => {
+    const layout = fillLayout();
+    expect(layout.remainder).toBeNull();
+    expect(getLayoutTotal(layout)).toBe(4);
+    expect(calculateFinishing(layout).slits.every((slit) => slit.extent === undefined)).toBe(true);
+  });
+
+  it('places rotated pieces in the trailing strip and updates realized margins', () => {
+    const layout = fillLayout({ fillRemainder: true });
+
+    expect(layout.counts).toEqual({ across: 1, down: 4 });
+    expect(layout.remainder.arrangement).toBe('right-first');
+    expect(layout.remainder.blocks).toHaveLength(1);
+    expect(layout.remainder.blocks[0]).toMatchObject({
+      region: 'right',
+      originX: 7,
+      originY: 0,
+      document: { width: 4, height: 7 },
+      counts: { across: 1, down: 2 },
+    });
+    expect(getLayoutTotal(layout)).toBe(6);
+    expect(layout.realizedMargins).toMatchObject({ right: 1, bottom: 2 });
+  });
+
+  it('limits cuts and slits to the block they belong to', () => {
+    const layout = fillLayout({ fillRemainder: true });
+    const finishing = calculateFinishing(layout);
+    const left = { start: 0, end: 7 };
+    const right = { start: 7, end: 12 };
+    const fullHeight = { start: 0, end: 18 };
+
+    expect(positions(finishing.cuts)).toEqual([
+      ['Cut 1', 0, left],
+      ['Cut 2', 4, left],
+      ['Cut 3', 8, left],
+      ['Cut 4', 12, left],
+      ['Cut 5', 16, left],
+      ['Right fill cut 1', 0, right],
+      ['Right fill cut 2', 7, right],
+      ['Right fill cut 3', 14, right],
+    ]);
+    expect(positions(finishing.slits)).toEqual([
+      ['Slit 1', 0, fullHeight],
+      ['Fill split 1', 7, fullHeight],
+      ['Right fill slit 1', 11, fullHeight],
+    ]);
+
+    const scene = buildLayoutScene(layout, finishing);
+    expect(scene.items.filter((item) => item.classNames.includes('svg-document-area--fill'))).toHaveLength(2);
+    const fillCut = scene.items.find((item) => item.layer === 'cuts' && item.y1 === 14);
+    expect(fillCut).toMatchObject({ x1: 7, x2: 12 });
+  });
+
+  it('recomputes the fill after count overrides free up space', () => {
+    const layout = fillLayout({ fillRemainder: true });
+    const forced = applyCountOverrides(layout, 1, 2);
+
+    expect(forced.counts).toEqual({ across: 1, down: 2 });
+    expect(forced.remainder.arrangement).toBe('bottom-first');
+    expect(forced.remainder.total).toBe(4);
+    expect(getLayoutTotal(forced)).toBe(6);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRollRun, createRollContext } from '../docs/js/calculations/roll-calculations.js';
+import { applyCountOverrides, calculateLayout } from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { getDieShapeArea } from '../docs/js/rendering/die-shape-path.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+
+const labelWeb = (roll = {}, document = { width: 2, height: 1.5 }) =>
+  createRollContext({
+    roll: { enabled: true, webWidth: 13, repeatLength: 12, edgeTrim: 0.125, quantity: 10000, ...roll },
+    document,
+    gutter: { horizontal: 0.125, vertical: 0.125 },
+  });
+
+const rollLayout = (ctx, labelArea) => {
+  const layout = calculateLayout(ctx);
+  layout.roll = calculateRollRun(layout, ctx.roll, { labelArea });
+  return layout;
+};
+
+describe('roll labels', () => {
+  it('centres the lanes across the web and shares the repeat between labels around', () => {
+    const ctx = labelWeb();
+    expect(ctx.roll).toMatchObject({ across: 6, around: 7, repeatLength: 12 });
+    expect(ctx.roll.gapAround).toBeCloseTo(12 / 7 - 1.5);
+    const layout = calculateLayout(ctx);
+    expect(layout.counts).toEqual({ across: 6, down: 7 });
+    expect(layout.layoutArea.originX).toBeCloseTo((13 - 12.625) / 2);
+    expect(layout.layoutArea.originY).toBeCloseTo(ctx.roll.gapAround / 2);
+    expect(layout.usage.vertical.usedSpan + ctx.roll.gapAround).toBeCloseTo(12);
+
+    // A blank repeat holds a single label and its gap.
+    expect(labelWeb({ repeatLength: 0 }).roll).toMatchObject({ around: 1, repeatLength: 1.625, gapAround: 0.125 });
+  });
+
+  it('works out the run length and matrix waste for a quantity', () => {
+    const run = rollLayout(labelWeb()).roll;
+    expect(run).toMatchObject({ perRepeat: 42, repeats: 239, produced: 10038 });
+    expect(run.length.feet).toBeCloseTo(239);
+    expect(run.length.meters).toBeCloseTo(72.8472);
+    expect(run.matrixWaste.percent).toBeCloseTo((1 - (42 * 3) / (13 * 12)) * 100);
+
+    const circles = labelWeb({}, { width: 1.5, height: 1.5 });
+    const round = rollLayout(circles, getDieShapeArea({ type: 'circle' }, 1.5, 1.5)).roll;
+    const square = rollLayout(circles).roll;
+    expect(round.matrixWaste.perRepeat - square.matrixWaste.perRepeat).toBeCloseTo(
+      round.perRepeat * (1.5 * 1.5 - Math.PI * 0.5625)
+    );
+
+    const capped = calculateRollRun(applyCountOverrides(calculateLayout(labelWeb()), 5, 7), labelWeb().roll);
+    expect(capped).toMatchObject({ across: 5, perRepeat: 35, repeats: 286 });
+  });
+
+  it('warns when the web or repeat cannot hold a label and skips sheet finishing', () => {
+    const layout = rollLayout(labelWeb());
+    expect(collectLayoutWarnings(layout)).toEqual([]);
+    expect(
+      calculateFinishing(layout, {
+        scoreHorizontal: [0.5],
+        holePlan: { size: 0.125, entries: [{ edge: 'top', align: 'center', offset: 0.125 }] },
+      })
+    ).toEqual({
+      cuts: [],
+      slits: [],
+      scores: { horizontal: [], vertical: [] },
+      perforations: { horizontal: [], vertical: [] },
+      holes: [],
+    });
+
+    const skipped = collectLayoutWarnings(layout, {
+      finishing: { scoreHorizontal: [0.5], holePlan: { preset: 'wire-3-1', entries: [] } },
+    });
+    expect(skipped.map((warning) => warning.id)).toEqual(['roll-finishing-skipped']);
+    expect(skipped[0].message).toContain('the scores and holes entered are left out');
+    expect(collectLayoutWarnings(layout, { finishing: { scoreHorizontal: [], holePlan: { size: 0.25 } } })).toEqual([]);
+
+    const cramped = rollLayout(labelWeb({ webWidth: 2, repeatLength: 1 }));
+    expect(collectLayoutWarnings(cramped).map((warning) => warning.id)).toEqual(['roll-web-narrow', 'roll-repeat-short']);
+  });
+
+  it('draws three repeats of the web with the labels marked to scroll', () => {
+    const scene = buildLayoutScene(rollLayout(labelWeb()));
+    expect(scene).toMatchObject({ width: 13, height: 36, repeat: 12 });
+    const docs = scene.items.filter((item) => item.layer === 'docs');
+    expect(docs).toHaveLength(126);
+    expect(docs.every((item) => item.feed)).toBe(true);
+    expect(docs[42].y - docs[0].y).toBeCloseTo(12);
+    const repeats = scene.items.filter((item) => item.classNames?.includes('svg-repeat-line'));
+    expect(repeats.map((line) => line.y1)).toEqual([0, 12, 24]);
+    expect(scene.items.some((item) => item.classNames?.includes('svg-sheet-outline'))).toBe(false);
+    expect(scene.items.filter((item) => item.classNames?.includes('svg-web-edge'))).toHaveLength(2);
+  });
+});
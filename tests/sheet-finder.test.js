@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import {
+  collectSheetCandidates,
+  parseSheetSizes,
+  rankSheetCandidates,
+} from '../docs/js/calculations/sheet-finder.js';
+
+const jobInputs = {
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.125, vertical: 0.125 },
+  nonPrintable: { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 },
+  orientation: 'best',
+};
+
+const sheets = [
+  { id: 'sheet-1218', label: '12×18 in', width: 12, height: 18 },
+  { id: 'sheet-1319', label: '13×19 in', width: 13, height: 19 },
+  { id: 'tiny', label: 'Tiny', width: 3, height: 3 },
+];
+
+describe('sheet finder', () => {
+  it('parses extra sheet sizes and skips malformed entries', () => {
+    expect(parseSheetSizes('14x20, 19×25; nope, 0x5, 8.5 X 11')).toEqual([
+      { width: 14, height: 20 },
+      { width: 19, height: 25 },
+      { width: 8.5, height: 11 },
+    ]);
+  });
+
+  it('adds the current and extra sheets without duplicating presets', () => {
+    const candidates = collectSheetCandidates(sheets, { width: 12, height: 18 }, [
+      { width: 14, height: 20 },
+      { width: 13, height: 19 },
+    ]);
+    expect(candidates.map((sheet) => sheet.id)).toEqual(['sheet-1218', 'sheet-1319', 'tiny', 'extra-1']);
+  });
+
+  it('ranks by yield with waste and sheets needed for the target', () => {
+    const ranked = rankSheetCandidates(sheets, { ...jobInputs, targetQuantity: 1000 });
+
+    expect(ranked.map((entry) => entry.id)).toEqual(['sheet-1319', 'sheet-1218', 'tiny']);
+    const [best, next, tiny] = ranked;
+    expect(best).toMatchObject({ yield: 25, sheetsNeeded: 40, orientation: 'rotated' });
+    expect(best.wastePercent).toBeCloseTo(100 * (1 - (25 * 7) / (13 * 19)), 6);
+    expect(next).toMatchObject({ yield: 24, sheetsNeeded: 42 });
+    expect(next.wastePercent).toBeCloseTo(100 * (1 - (24 * 7) / (12 * 18)), 6);
+    expect(tiny).toMatchObject({ yield: 0, sheetsNeeded: null });
+  });
+
+  it('can rank by waste or sheets needed instead', () => {
+    const byWaste = rankSheetCandidates(sheets, { ...jobInputs, sortBy: 'waste' });
+    expect(byWaste.map((entry) => entry.id)).toEqual(['sheet-1218', 'sheet-1319', 'tiny']);
+
+    const bySheets = rankSheetCandidates(sheets, { ...jobInputs, targetQuantity: 1000, sortBy: 'sheets' });
+    expect(bySheets.map((entry) => entry.sheetsNeeded)).toEqual([40, 42, null]);
+  });
+});
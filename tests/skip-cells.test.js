@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyCountOverrides,
+  applySkippedCells,
+  getGridCells,
+  getLayoutTotal,
+} from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { calculateImposition } from '../docs/js/calculations/imposition-calculations.js';
+import { buildLayoutScene } from '../docs/js/rendering/svg-layout-scene.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const gridLayout = createLayoutFactory({
+  sheet: { width: 12, height: 18 },
+  document: { width: 3.5, height: 2 },
+  gutter: { horizontal: 0.125, vertical: 0.125 },
+  margins: { top: 0.5, right: 0.5, bottom: 0.5, left: 0.5 },
+});
+
+describe('blanked-out cells', () => {
+  it('drops the blanked positions from the grid and the total', () => {
+    const layout = applySkippedCells(gridLayout(), [
+      { row: 0, col: 1 },
+      { row: 7, col: 2 },
+    ]);
+    expect(layout.counts).toEqual({ across: 3, down: 8 });
+    expect(layout.skipped).toEqual([
+      { row: 0, col: 1 },
+      { row: 7, col: 2 },
+    ]);
+    expect(getLayoutTotal(layout)).toBe(22);
+    const cells = getGridCells(layout);
+    expect(cells).toHaveLength(22);
+    expect(cells.some((cell) => cell.row === 0 && cell.col === 1)).toBe(false);
+    expect(getGridCells(layout, { includeSkipped: true })).toHaveLength(24);
+  });
+
+  it('ignores cells outside the current grid and duplicates', () => {
+    const capped = applyCountOverrides(gridLayout(), 2, 3);
+    const layout = applySkippedCells(capped, [
+      { row: 1, col: 1 },
+      { row: 1, col: 1 },
+      { row: 5, col: 0 },
+      { row: 0, col: 2 },
+    ]);
+    expect(layout.skipped).toEqual([{ row: 1, col: 1 }]);
+    expect(getLayoutTotal(layout)).toBe(5);
+    expect(applySkippedCells(capped, 'not a list').skipped).toEqual([]);
+  });
+
+  it('leaves the blanked cells out of drilling and imposition', () => {
+    const holePlan = { size: 0.25, entries: [{ edge: 'left', align: 'center', offset: 0.25 }] };
+    const layout = applySkippedCells(gridLayout(), [{ row: 2, col: 0 }]);
+    const holes = calculateFinishing(layout, { holePlan }).holes;
+    expect(holes).toHaveLength(23);
+    expect(holes.some((hole) => hole.docAcross === 1 && hole.docDown === 3)).toBe(false);
+    const imposition = calculateImposition(layout);
+    expect(imposition.cells).toHaveLength(23);
+    expect(imposition.cells.at(-1).number).toBe(23);
+  });
+
+  it('draws blanked cells as clickable outlines without bleed or marks', () => {
+    const layout = applySkippedCells(gridLayout({ bleed: { top: 0.125, right: 0.125, bottom: 0.125, left: 0.125 } }), [
+      { row: 1, col: 2 },
+    ]);
+    const items = buildLayoutScene(layout).items;
+    const docs = items.filter((item) => item.layer === 'docs');
+    expect(docs).toHaveLength(24);
+    const blank = docs.filter((item) => item.skipped);
+    expect(blank).toHaveLength(1);
+    expect(blank[0]).toMatchObject({ cell: { row: 1, col: 2 } });
+    expect(blank[0].classNames).toContain('svg-document-area--skipped');
+    expect(docs.every((item) => item.cell)).toBe(true);
+    expect(items.filter((item) => item.layer === 'bleed')).toHaveLength(23);
+  });
+});
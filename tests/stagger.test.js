@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyCountOverrides,
+  calculateStaggeredGrid,
+  getGridCells,
+  getLayoutTotal,
+} from '../docs/js/calculations/layout-calculations.js';
+import { calculateFinishing } from '../docs/js/calculations/finishing-calculations.js';
+import { collectLayoutWarnings } from '../docs/js/calculations/layout-warnings.js';
+import { createLayoutFactory } from './helpers/pipeline.js';
+
+const HEX_PITCH = Math.sqrt(3) / 2;
+
+const roundLabels = createLayoutFactory({
+  sheet: { width: 10.5, height: 5 },
+  document: { width: 1, height: 1 },
+  gutter: { horizontal: 0, vertical: 0 },
+  margins: { top: 0.25, right: 0.25, bottom: 0.25, left: 0.25 },
+  stagger: { mode: 'rows', pitch: HEX_PITCH },
+});
+
+describe('staggered grids', () => {
+  it('nests an extra row of round pieces into a hex grid', () => {
+    const grid = calculateStaggeredGrid(
+      { width: 10, height: 4.5 },
+      { width: 1, height: 1 },
+      { horizontal: 0, vertical: 0 },
+      { mode: 'rows', pitch: HEX_PITCH }
+    );
+    expect(grid.lines.map((line) => line.count)).toEqual([10, 9, 10, 9, 10]);
+    expect(grid.lines[1]).toMatchObject({ offset: 0.5, position: HEX_PITCH });
+    expect(grid).toMatchObject({ total: 48, shift: 0.5, counts: { across: 10, down: 5 } });
+    expect(grid.usage.vertical.usedSpan).toBeCloseTo(4 * HEX_PITCH + 1);
+    expect(grid.usage.horizontal.usedSpan).toBe(10);
+
+    const columns = calculateStaggeredGrid(
+      { width: 4.5, height: 10 },
+      { width: 1, height: 1 },
+      { horizontal: 0, vertical: 0 },
+      { mode: 'columns', pitch: HEX_PITCH }
+    );
+    expect(columns).toMatchObject({ total: 48, counts: { across: 5, down: 10 } });
+    expect(calculateStaggeredGrid({ width: 10, height: 4 }, { width: 1, height: 1 }, {}, { mode: 'none' })).toBeNull();
+  });
+
+  it('places staggered pieces sheetwise and caps them with the count overrides', () => {
+    const layout = roundLabels({ imposition: 'work-and-turn', fillRemainder: true });
+    expect(getLayoutTotal(layout)).toBe(48);
+    expect(layout.imposition.selfBacking).toBe(false);
+    expect(layout.remainder).toBeNull();
+    const cells = getGridCells(layout);
+    expect(cells).toHaveLength(48);
+    expect(cells[10]).toMatchObject({ row: 1, col: 0, x: 0.75 });
+    expect(cells[10].y).toBeCloseTo(0.25 + HEX_PITCH);
+
+    const capped = applyCountOverrides(layout, 4, 2);
+    expect(capped.stagger.lines.map((line) => line.count)).toEqual([4, 4]);
+    expect(getLayoutTotal(capped)).toBe(8);
+    expect(capped.usage.horizontal.usedSpan).toBe(4.5);
+  });
+
+  it('limits finishing to the holes a die-cut job needs', () => {
+    const layout = roundLabels();
+    const finishing = calculateFinishing(layout, {
+      scoreHorizontal: [0.5],
+      perforationVertical: [0.5],
+      holePlan: { size: 0.125, entries: [{ edge: 'top', align: 'center', offset: 0.125 }] },
+    });
+    expect(finishing.cuts).toEqual([]);
+    expect(finishing.slits).toEqual([]);
+    expect(finishing.scores).toEqual({ horizontal: [], vertical: [] });
+    expect(finishing.perforations).toEqual({ horizontal: [], vertical: [] });
+    expect(finishing.holes).toHaveLength(48);
+    expect(finishing.holes[10]).toMatchObject({ x: 1.25, docAcross: 1, docDown: 2 });
+  });
+
+  it('warns when staggered lines are too tight for round pieces to clear', () => {
+    expect(collectLayoutWarnings(roundLabels())).toEqual([]);
+    const tight = collectLayoutWarnings(roundLabels({ stagger: { mode: 'rows', pitch: 0.75 } }));
+    expect(tight.map((warning) => warning.id)).toEqual(['stagger-overlap']);
+    expect(tight[0].message).toContain('0.866');
+  });
+
+  it('keeps staggered lines at least half a document apart', () => {
+    const grid = calculateStaggeredGrid(
+      { width: 10, height: 4.5 },
+      { width: 1, height: 1 },
+      { horizontal: 0, vertical: 0 },
+      { mode: 'rows', pitch: 0.001 }
+    );
+    expect(grid.pitch).toBe(0.5);
+    expect(grid.lines).toHaveLength(8);
+    expect(grid.lines[7].position).toBe(3.5);
+  });
+});